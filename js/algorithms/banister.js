@@ -27,9 +27,10 @@
    Contrat d'interface :
      algo.getName()         → 'banister'
      algo.getLabel()        → 'Fitness-Fatigue (Banister)'
+     algo.getShortLabel()   → 'Banister'
      algo.getDescription()  → string
      algo.predictTestMax(weekNumber, history)           → number
-     algo.generatePlan(weekNumber, testMax, history)    → Object
+     algo.generatePlan(weekNumber, testMax, history, unit, schedule) → Object
    ════════════════════════════════════════════════════════════════ */
 
 import {
@@ -40,6 +41,21 @@ import {
   volumeToSeriesReps,
   calculateRest
 } from '../utils/math.js';
+import {
+  UNITS,
+  boundAmount,
+  isBeginnerTestMax,
+  getBeginnerDay,
+  toRestBasis
+} from '../utils/units.js';
+import {
+  DEFAULT_SCHEDULE,
+  getTrainingDays,
+  getWeekLength,
+  getWeekStartDay,
+  samplePattern,
+  getVolumeScale
+} from '../utils/schedule.js';
 
 
 // ── Constantes du modèle ──
@@ -73,7 +89,10 @@ const CHARGE_RATIOS = {
 
 Object.freeze(CHARGE_RATIOS);
 
-/** Types de jours selon leur position dans la semaine */
+/**
+ * Types de jours selon leur position dans la semaine type (J2-J7).
+ * Échantillonnés pour les semaines à moins de 6 entraînements.
+ */
 const DAY_TYPES = {
   2: { type: 'RECOVERY',  label: 'Récupération' },
   3: { type: 'MODERATE',  label: 'Modéré' },
@@ -119,6 +138,10 @@ class BanisterAlgorithm {
     return 'Fitness-Fatigue (Banister)';
   }
 
+  getShortLabel() {
+    return 'Banister';
+  }
+
   getDescription() {
     return 'Modèle bi-exponentiel de surcompensation. ' +
            'Optimise la charge quotidienne pour maximiser ' +
@@ -151,8 +174,9 @@ class BanisterAlgorithm {
     const pBase = this._getBasePerformance(history);
     const sessions = this._flattenSessions(history);
 
-    // Le test a lieu le jour 1 de la semaine N = jour (N-1)*7 + 1
-    const testDay = (weekNumber - 1) * 7 + 1;
+    // Le test a lieu le J1 de la semaine N
+    // (jour absolu selon la longueur réelle des semaines passées)
+    const testDay = getWeekStartDay(weekNumber, history);
 
     // Calculer performance au jour du test
     const result = banisterPerformance(
@@ -169,7 +193,7 @@ class BanisterAlgorithm {
   /* ──────────────────────────────────────────────────────────
      GÉNÉRATION DU PLAN HEBDOMADAIRE
      
-     Pour chaque jour J2-J7 :
+     Pour chaque jour d'entraînement (J2-J7 par défaut) :
      1. Calculer l'effet net de l'entraînement ce jour-là
         sur la performance au jour du prochain test
      2. Estimer la performance courante à ce jour
@@ -183,25 +207,32 @@ class BanisterAlgorithm {
    * @param {number} weekNumber — Numéro de la semaine
    * @param {number} testMax    — Résultat du test max
    * @param {Array<Object>} history — Historique
+   * @param {string} [unit]      — Unité du test max (reps par défaut)
+   * @param {Object} [schedule]  — Forme de la semaine (6 jours par défaut)
    * @returns {Object} Plan { day2: {series, reps, rest, type}, ..., day7: {...} }
    */
-  generatePlan(weekNumber, testMax, history) {
+  generatePlan(weekNumber, testMax, history, unit = UNITS.REPS, schedule = DEFAULT_SCHEDULE) {
     // Mode grand débutant
-    if (testMax < 5) {
-      return this._generateBeginnerPlan();
+    if (isBeginnerTestMax(testMax, unit)) {
+      return this._generateBeginnerPlan(unit, schedule);
     }
 
     const pBase = this._getBasePerformance(history);
     const sessions = this._flattenSessions(history);
 
     // Jour du prochain test (semaine N+1, jour 1)
-    const nextTestDay = weekNumber * 7 + 1;
+    const weekStartDay = getWeekStartDay(weekNumber, history);
+    const nextTestDay = weekStartDay + getWeekLength(schedule);
+
+    // Types de jours et charge adaptés au nombre d'entraînements
+    const dayTypes = this._getDayTypes(schedule);
+    const volumeScale = getVolumeScale(schedule);
 
     const plan = {};
 
-    for (let d = 2; d <= 7; d++) {
-      const sessionDay = (weekNumber - 1) * 7 + d;
-      const dayConfig = DAY_TYPES[d];
+    getTrainingDays(schedule).forEach((d, i) => {
+      const sessionDay = weekStartDay + d - 1;
+      const dayConfig = dayTypes[i];
 
       // 1. Calculer l'effet net de cet entraînement
       //    sur la performance au jour du prochain test
@@ -224,13 +255,15 @@ class BanisterAlgorithm {
         currentPerf.performance,
         netEffect,
         dayConfig.type
-      );
+      ) * volumeScale;
 
-      // 4. Convertir en séries × reps
-      const { series, reps } = volumeToSeriesReps(chargeOptimale, testMax);
+      // 4. Convertir en séries × reps (arrondies au pas de l'unité)
+      const split = volumeToSeriesReps(chargeOptimale, testMax);
+      const series = split.series;
+      const reps = boundAmount(split.reps, testMax, unit);
 
       // 5. Calculer le repos
-      const rest = this._calculateDayRest(reps, dayConfig.type);
+      const rest = this._calculateDayRest(toRestBasis(reps, unit), dayConfig.type);
 
       plan[`day${d}`] = {
         series,
@@ -238,7 +271,7 @@ class BanisterAlgorithm {
         rest,
         type: dayConfig.type
       };
-    }
+    });
 
     return plan;
   }
@@ -248,6 +281,18 @@ class BanisterAlgorithm {
      CALCULS INTERNES
      ────────────────────────────────────────────────────────── */
 
+  /**
+   * Types des jours d'entraînement, échantillonnés depuis DAY_TYPES.
+   *
+   * @param {Object} schedule
+   * @returns {Array<{type: string, label: string}>}
+   * @private
+   */
+  _getDayTypes(schedule) {
+    const templateDays = Object.keys(DAY_TYPES).map(Number);
+    return samplePattern(templateDays, schedule).map(d => DAY_TYPES[d]);
+  }
+
   /**
    * Calcule la charge optimale pour un jour donné.
    *
@@ -353,12 +398,12 @@ class BanisterAlgorithm {
     history.forEach(week => {
       if (!week.sessions || !Array.isArray(week.sessions)) return;
 
-      const weekNumber = week.weekNumber || 1;
+      const weekStartDay = getWeekStartDay(week.weekNumber || 1, history);
 
       week.sessions.forEach(session => {
         // Calculer le jour absolu
         const dayNumber = session.dayNumber || 1;
-        const absoluteDay = (weekNumber - 1) * 7 + dayNumber;
+        const absoluteDay = weekStartDay + dayNumber - 1;
 
         // Calculer le volume réalisé
         let volume = 0;
@@ -388,19 +433,20 @@ class BanisterAlgorithm {
   /**
    * Génère un plan simplifié pour les grands débutants.
    *
+   * @param {string} unit
+   * @param {Object} [schedule]
    * @returns {Object}
    * @private
    */
-  _generateBeginnerPlan() {
+  _generateBeginnerPlan(unit, schedule = DEFAULT_SCHEDULE) {
     const plan = {};
-    for (let d = 2; d <= 7; d++) {
+    const dayTypes = this._getDayTypes(schedule);
+    getTrainingDays(schedule).forEach((d, i) => {
       plan[`day${d}`] = {
-        series: 5,
-        reps: 3,
-        rest: 90,
-        type: DAY_TYPES[d].type
+        ...getBeginnerDay(unit),
+        type: dayTypes[i].type
       };
-    }
+    });
     return plan;
   }
 
@@ -468,10 +514,12 @@ class BanisterAlgorithm {
    * Retourne un diagnostic basé sur le ratio fitness/fatigue.
    *
    * @param {Array<Object>} history
+   * @param {number|null} [atDay=null] — Jour absolu analysé
+   *   (défaut : dernier jour de la dernière semaine)
    * @returns {{status: string, ratio: number, recommendation: string}}
-   *   status : 'optimal' | 'overreaching' | 'undertrained' | 'peaking'
+   *   status : 'peaking' | 'optimal' | 'overreaching' | 'overtrained' | 'undertrained'
    */
-  analyzeTrainingStatus(history) {
+  analyzeTrainingStatus(history, atDay = null) {
     if (!history || history.length === 0) {
       return {
         status: 'undertrained',
@@ -482,7 +530,8 @@ class BanisterAlgorithm {
 
     const lastWeek = history[history.length - 1];
     const weekNumber = lastWeek.weekNumber || 1;
-    const currentDay = (weekNumber - 1) * 7 + 7; // Fin de semaine
+    const currentDay = atDay ?? getWeekStartDay(weekNumber, history)
+      + getWeekLength(lastWeek.schedule) - 1; // Fin de semaine
 
     const state = this.getStateAtDay(history, currentDay);
 
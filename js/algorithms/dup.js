@@ -25,9 +25,10 @@
    Contrat d'interface :
      algo.getName()         → 'dup'
      algo.getLabel()        → 'Ondulation Quotidienne (DUP)'
+     algo.getShortLabel()   → 'DUP'
      algo.getDescription()  → string
      algo.predictTestMax(weekNumber, history)           → number
-     algo.generatePlan(weekNumber, testMax, history)    → Object
+     algo.generatePlan(weekNumber, testMax, history, unit, schedule) → Object
    ════════════════════════════════════════════════════════════════ */
 
 import {
@@ -36,6 +37,19 @@ import {
   detectTrend,
   calculateRest
 } from '../utils/math.js';
+import {
+  UNITS,
+  boundAmount,
+  isBeginnerTestMax,
+  getBeginnerDay,
+  toRestBasis
+} from '../utils/units.js';
+import {
+  DEFAULT_SCHEDULE,
+  getTrainingDays,
+  samplePattern,
+  getVolumeScale
+} from '../utils/schedule.js';
 
 
 // ── Constantes ──
@@ -49,6 +63,8 @@ const FEEDBACK_ADJUSTMENTS = {
   MANY_EASY:         0.02,
   /** Malus si ≥1 feedback "impossible" dans la semaine */
   ANY_IMPOSSIBLE:   -0.02,
+  /** Malus si ≥2 feedbacks "difficile" dans la semaine */
+  MANY_HARD:        -0.01,
   /** Bonus si tendance croissante sur 3 semaines */
   TREND_INCREASING:  0.01,
   /** Malus si tendance stagnante */
@@ -60,6 +76,9 @@ Object.freeze(FEEDBACK_ADJUSTMENTS);
 /** Seuil de feedbacks "facile" pour le bonus */
 const EASY_FEEDBACK_THRESHOLD = 4;
 
+/** Seuil de feedbacks "difficile" pour le malus */
+const HARD_FEEDBACK_THRESHOLD = 2;
+
 /** Facteur de progression des reps par semaine (+5%) */
 const WEEKLY_REPS_PROGRESSION = 0.05;
 
@@ -120,6 +139,10 @@ Object.freeze(TRAINING_PROFILES);
  * - J5 : ENDURANCE   (récupération)
  * - J6 : HYPERTROPHIE
  * - J7 : ENDURANCE   (récupération pré-test)
+ *
+ * Avec moins de jours d'entraînement, la rotation est échantillonnée
+ * (le premier et le dernier jour restent ENDURANCE) et les séries
+ * sont augmentées pour conserver le volume hebdomadaire.
  */
 const DAILY_ROTATION = [
   'ENDURANCE',      // J2
@@ -152,6 +175,10 @@ class DUPAlgorithm {
     return 'Ondulation Quotidienne (DUP)';
   }
 
+  getShortLabel() {
+    return 'DUP';
+  }
+
   getDescription() {
     return 'Alternance quotidienne entre endurance, hypertrophie et force. ' +
            'Ajuste la progression selon les feedbacks et détecte les plateaux.';
@@ -209,33 +236,40 @@ class DUPAlgorithm {
    * @param {number} weekNumber
    * @param {number} testMax
    * @param {Array<Object>} history
+   * @param {string} [unit] — Unité du test max (reps par défaut)
+   * @param {Object} [schedule] — Forme de la semaine (6 jours par défaut)
    * @returns {Object}
    */
-  generatePlan(weekNumber, testMax, history) {
+  generatePlan(weekNumber, testMax, history, unit = UNITS.REPS, schedule = DEFAULT_SCHEDULE) {
     // Mode grand débutant
-    if (testMax < 5) {
-      return this._generateBeginnerPlan();
+    if (isBeginnerTestMax(testMax, unit)) {
+      return this._generateBeginnerPlan(unit, schedule);
     }
 
     // Facteur de progression cumulé
     const progressionFactor = this._calculateProgressionFactor(weekNumber);
 
+    // Rotation et volume adaptés au nombre de jours d'entraînement
+    const rotation = samplePattern(DAILY_ROTATION, schedule);
+    const volumeScale = getVolumeScale(schedule);
+
     const plan = {};
 
-    for (let i = 0; i < DAILY_ROTATION.length; i++) {
-      const dayNumber = i + 2; // J2 à J7
-      const profileName = DAILY_ROTATION[i];
+    getTrainingDays(schedule).forEach((dayNumber, i) => {
+      const profileName = rotation[i];
       const profile = TRAINING_PROFILES[profileName];
 
       const dayPlan = this._generateDayPlan(
         testMax,
         profile,
         profileName,
-        progressionFactor
+        progressionFactor,
+        unit,
+        volumeScale
       );
 
       plan[`day${dayNumber}`] = dayPlan;
-    }
+    });
 
     return plan;
   }
@@ -252,6 +286,7 @@ class DUPAlgorithm {
    * Ajustements :
    *   + 2% si ≥4 feedbacks "facile"
    *   - 2% si ≥1 feedback "impossible"
+   *   - 1% si ≥2 feedbacks "difficile"
    *   + 1% si tendance croissante sur 3 semaines
    *   - 1% si tendance stagnante
    *
@@ -283,7 +318,7 @@ class DUPAlgorithm {
   _feedbackAdjustment(week) {
     if (!week || !week.feedbackSummary) return 0;
 
-    const { facile = 0, impossible = 0 } = week.feedbackSummary;
+    const { facile = 0, difficile = 0, impossible = 0 } = week.feedbackSummary;
     let adjustment = 0;
 
     // Bonus si beaucoup de séances faciles
@@ -296,6 +331,11 @@ class DUPAlgorithm {
       adjustment += FEEDBACK_ADJUSTMENTS.ANY_IMPOSSIBLE;
     }
 
+    // Malus si plusieurs séances terminées à la limite
+    if (difficile >= HARD_FEEDBACK_THRESHOLD) {
+      adjustment += FEEDBACK_ADJUSTMENTS.MANY_HARD;
+    }
+
     return adjustment;
   }
 
@@ -354,21 +394,23 @@ class DUPAlgorithm {
    * @param {Object} profile — Profil d'entraînement (TRAINING_PROFILES[type])
    * @param {string} profileName — Nom du profil (ENDURANCE, HYPERTROPHIE, FORCE)
    * @param {number} progressionFactor — Facteur de progression cumulé
+   * @param {string} unit — Unité du test max
+   * @param {number} [volumeScale=1] — Facteur de séries (cf. getVolumeScale)
    * @returns {{series: number, reps: number, rest: number, type: string}}
    * @private
    */
-  _generateDayPlan(testMax, profile, profileName, progressionFactor) {
+  _generateDayPlan(testMax, profile, profileName, progressionFactor, unit, volumeScale = 1) {
     // Calculer les reps cibles
     let reps = round(testMax * profile.repsRatio * progressionFactor);
 
     // Borner les reps
-    reps = clamp(reps, 3, Math.ceil(testMax * 1.2));
+    reps = boundAmount(reps, testMax, unit);
 
-    // Séries fixes selon le profil
-    const series = clamp(profile.seriesBase, 2, 10);
+    // Séries fixes selon le profil (augmentées si moins de jours)
+    const series = clamp(round(profile.seriesBase * volumeScale), 2, 10);
 
     // Calculer le repos selon la zone
-    const rest = this._calculateProfileRest(reps, profile.restConfig);
+    const rest = this._calculateProfileRest(toRestBasis(reps, unit), profile.restConfig);
 
     return {
       series,
@@ -442,20 +484,20 @@ class DUPAlgorithm {
   /**
    * Génère un plan simplifié pour les grands débutants.
    *
+   * @param {string} unit
+   * @param {Object} [schedule]
    * @returns {Object}
    * @private
    */
-  _generateBeginnerPlan() {
+  _generateBeginnerPlan(unit, schedule = DEFAULT_SCHEDULE) {
     const plan = {};
-    for (let i = 0; i < DAILY_ROTATION.length; i++) {
-      const dayNumber = i + 2;
+    const rotation = samplePattern(DAILY_ROTATION, schedule);
+    getTrainingDays(schedule).forEach((dayNumber, i) => {
       plan[`day${dayNumber}`] = {
-        series: 5,
-        reps: 3,
-        rest: 90,
-        type: DAILY_ROTATION[i]
+        ...getBeginnerDay(unit),
+        type: rotation[i]
       };
-    }
+    });
     return plan;
   }
 
@@ -523,14 +565,15 @@ class DUPAlgorithm {
       return { diversity: 'unknown', score: 50 };
     }
 
-    const { facile = 0, parfait = 0, impossible = 0 } = feedbackSummary;
-    const total = facile + parfait + impossible;
+    const { facile = 0, parfait = 0, difficile = 0, impossible = 0 } = feedbackSummary;
+    const total = facile + parfait + difficile + impossible;
 
     if (total === 0) {
       return { diversity: 'none', score: 50 };
     }
 
     const parfaitRatio = parfait / total;
+    const difficileRatio = difficile / total;
     const impossibleRatio = impossible / total;
 
     // Score de diversité :
@@ -550,13 +593,14 @@ class DUPAlgorithm {
       score += 15;
     }
 
-    // Malus pour les impossibles
+    // Malus pour les impossibles (moindre pour les séances difficiles)
     score -= impossibleRatio * 40;
+    score -= difficileRatio * 15;
 
     let diversity;
     if (parfaitRatio > 0.6 && impossibleRatio === 0) {
       diversity = 'optimal';
-    } else if (impossibleRatio > 0.3) {
+    } else if (impossibleRatio + difficileRatio > 0.3) {
       diversity = 'too_hard';
     } else if (facile / total > 0.7) {
       diversity = 'too_easy';
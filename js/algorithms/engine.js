@@ -8,13 +8,16 @@
    instancier ou appeler directement les algorithmes individuels.
 
    Responsabilités :
-   1. Instancier et enregistrer les 5 algorithmes
+   1. Instancier et enregistrer les 6 algorithmes (+ l'ensemble
+      pondéré, algorithme virtuel sélectionnable manuellement)
+      et ceux ajoutés via registerAlgorithm()
    2. Déterminer les algorithmes éligibles par semaine
    3. Collecter les prédictions de chaque algorithme
    4. Déclencher le scoring comparatif
    5. Sélectionner le meilleur algorithme
    6. Générer le plan hebdomadaire
-   7. Appliquer la règle "Impossible"
+   7. Appliquer la règle "Impossible" (semaine suivante) et
+      alléger les jours restants après un échec (intra-semaine)
    8. Appliquer les bornes de sécurité
    9. Gérer le mode grand débutant
 
@@ -22,13 +25,31 @@
    API publique :
 
      engine.initialize()
-     engine.selectBestAlgorithm(weekNumber, testMax, weekHistory, scoringHistory)
-     engine.generateWeekPlan(algoName, weekNumber, testMax, history, hasImpossible)
+     engine.registerAlgorithm(instance, eligibility)
+     engine.selectBestAlgorithm(weekNumber, testMax, weekHistory, scoringHistory, unit)
+     engine.generateWeekPlan(algoName, weekNumber, testMax, history, hasImpossible, unit, schedule, scores)
+     engine.adjustRemainingWeek(plan, failedDay, testMax, failure, unit)
      engine.getAllPredictions(weekNumber, history)
      engine.getAlgorithm(name)
      engine.getEligibleAlgorithms(weekNumber)
+     engine.getSelectableAlgorithms(weekNumber)
+     engine.isAlgorithmEligible(name, weekNumber)
      engine.getAlgorithmInfo(name)
      engine.getAllAlgorithmsInfo()
+     engine.getBacktestReport(weekHistory, scoringHistory)
+     engine.setScoringConfig(config) / engine.getScoringConfig()
+     engine.previewScoringConfig(config, weekHistory, scoringHistory)
+
+   ─────────────────────────────────────────────────────────────
+   Extension (algorithmes tiers) :
+
+     import engine from './algorithms/engine.js';
+     engine.registerAlgorithm(new MonAlgorithme(), { minWeek: 3 });
+
+   L'instance respecte le contrat commun (cf. algorithms/linear.js).
+   Une fois enregistré, l'algorithme est prédit, scoré, proposé
+   au verrou manuel et affiché dans l'historique comme les
+   algorithmes intégrés.
    ════════════════════════════════════════════════════════════════ */
 
 import { LinearAlgorithm }     from './linear.js';
@@ -36,38 +57,72 @@ import { BanisterAlgorithm }   from './banister.js';
 import { DUPAlgorithm }        from './dup.js';
 import { RIRAlgorithm }        from './rir.js';
 import { RegressionAlgorithm } from './regression.js';
-import { AlgorithmScorer }     from './scoring.js';
+import { GreaseTheGrooveAlgorithm } from './gtg.js';
+import { EnsembleAlgorithm }   from './ensemble.js';
+import { AlgorithmScorer, normalizeScoringConfig } from './scoring.js';
 import { clamp, round }        from '../utils/math.js';
+import {
+  UNITS,
+  getUnitBounds,
+  boundAmount,
+  isBeginnerTestMax,
+  getBeginnerDay
+} from '../utils/units.js';
+import {
+  DEFAULT_SCHEDULE,
+  normalizeSchedule,
+  getTrainingDays,
+  samplePattern
+} from '../utils/schedule.js';
+import { getExercise }         from '../exercises.js';
 
 
 // ── Constantes ──
 
 /**
- * Stratégie d'éligibilité par semaine.
+ * Stratégie d'éligibilité par semaine des algorithmes intégrés.
  *
  * Semaine 1 : Linéaire uniquement (pas de données)
  * Semaine 2 : Linéaire + RIR (1 feedback disponible)
- * Semaine 3 : Linéaire + DUP + RIR (patterns suffisants)
- * Semaine 4+: Tous les 5 (régression et Banister ont assez de données)
+ * Semaine 3 : Linéaire + DUP + RIR + GtG (patterns et feedbacks suffisants)
+ * Semaine 4+: Tous les 6 (régression et Banister ont assez de données)
+ *
+ * Convertie en règles par algorithme à l'initialisation ; les
+ * algorithmes tiers déclarent la leur (registerAlgorithm).
  */
 const ELIGIBILITY_MAP = [
   { maxWeek: 1,  algorithms: ['linear'] },
   { maxWeek: 2,  algorithms: ['linear', 'rir'] },
-  { maxWeek: 3,  algorithms: ['linear', 'dup', 'rir'] },
-  { maxWeek: Infinity, algorithms: ['linear', 'banister', 'dup', 'rir', 'regression'] }
+  { maxWeek: 3,  algorithms: ['linear', 'dup', 'rir', 'gtg'] },
+  { maxWeek: Infinity, algorithms: ['linear', 'banister', 'dup', 'rir', 'regression', 'gtg'] }
 ];
 
+/**
+ * Règle d'éligibilité d'un algorithme enregistré.
+ *
+ * minWeek    : première semaine où l'algorithme peut servir
+ * autoSelect : participe aux prédictions, au scoring et à la
+ *              sélection automatique (false : sélectionnable
+ *              uniquement via le verrou manuel, ex. l'ensemble)
+ */
+const DEFAULT_ELIGIBILITY = {
+  minWeek: 1,
+  autoSelect: true
+};
+
 Object.freeze(ELIGIBILITY_MAP);
+Object.freeze(DEFAULT_ELIGIBILITY);
 
 /**
  * Bornes de sécurité pour le plan d'entraînement.
  *
  * Appliquées APRÈS la génération du plan par l'algorithme
  * et APRÈS la règle Impossible.
+ *
+ * Les bornes de quantité par série (reps ou secondes)
+ * dépendent de l'unité : cf. UNIT_BOUNDS dans utils/units.js.
  */
 const SAFETY_BOUNDS = {
-  REPS_MIN: 3,
-  REPS_MAX_RATIO: 1.2,   // testMax × 1.2
   SERIES_MIN: 2,
   SERIES_MAX: 10,
   REST_MIN: 20,           // secondes
@@ -91,18 +146,43 @@ const IMPOSSIBLE_RULE = {
 
 Object.freeze(IMPOSSIBLE_RULE);
 
-/** Seuil de test max pour le mode grand débutant */
-const BEGINNER_THRESHOLD = 5;
-
-/** Plan fixe pour les grands débutants */
-const BEGINNER_PLAN = {
-  series: 5,
-  reps: 3,
-  rest: 90,
-  type: 'DEBUTANT'
+/**
+ * Ajustement intra-semaine : après une séance impossible, les
+ * jours restants de la semaine sont allégés sans attendre la
+ * semaine suivante.
+ *
+ * Facteur = quantité réalisée / prévue sur la série ratée,
+ * borné à [MIN_FACTOR, MAX_FACTOR]. Les reps sont multipliées
+ * par ce facteur et les séries augmentées pour conserver le
+ * volume prévu (dans la limite des bornes de sécurité).
+ */
+const INTRA_WEEK_RULE = {
+  MIN_FACTOR: 0.5,
+  MAX_FACTOR: 0.85
 };
 
-Object.freeze(BEGINNER_PLAN);
+Object.freeze(INTRA_WEEK_RULE);
+
+
+// ── Utilitaires ──
+
+/**
+ * Première semaine d'éligibilité d'un algorithme intégré,
+ * d'après ELIGIBILITY_MAP.
+ *
+ * @param {string} name
+ * @returns {number}
+ */
+function getBuiltinMinWeek(name) {
+  let previousMaxWeek = 0;
+
+  for (const entry of ELIGIBILITY_MAP) {
+    if (entry.algorithms.includes(name)) return previousMaxWeek + 1;
+    previousMaxWeek = entry.maxWeek;
+  }
+
+  return 1;
+}
 
 
 // ── Classe AlgorithmEngine ──
@@ -113,6 +193,9 @@ class AlgorithmEngine {
     /** @type {Map<string, Object>} Algorithmes enregistrés */
     this._algorithms = new Map();
 
+    /** @type {Map<string, {minWeek: number, autoSelect: boolean}>} Éligibilité par algorithme */
+    this._eligibility = new Map();
+
     /** @type {AlgorithmScorer} Système de scoring */
     this._scorer = new AlgorithmScorer();
 
@@ -127,29 +210,85 @@ class AlgorithmEngine {
 
   /**
    * Initialise le moteur en instanciant et enregistrant
-   * tous les algorithmes.
+   * tous les algorithmes intégrés.
    */
   initialize() {
     if (this._initialized) return;
 
-    // Instancier les 5 algorithmes
+    // Instancier les 6 algorithmes
     const algorithms = [
       new LinearAlgorithm(),
       new BanisterAlgorithm(),
       new DUPAlgorithm(),
       new RIRAlgorithm(),
-      new RegressionAlgorithm()
+      new RegressionAlgorithm(),
+      new GreaseTheGrooveAlgorithm()
     ];
 
-    // Enregistrer et valider chacun
+    // Enregistrer et valider chacun (éligibilité issue d'ELIGIBILITY_MAP)
     algorithms.forEach(algo => {
-      this._validateAlgorithm(algo);
-      this._algorithms.set(algo.getName(), algo);
+      this._register(algo, { minWeek: getBuiltinMinWeek(algo.getName()) });
     });
 
+    // Ensemble virtuel : mélange des algorithmes éligibles de la semaine,
+    // à partir de la semaine 2 (au moins deux membres)
+    this._register(new EnsembleAlgorithm(
+      (weekNumber) => this.getEligibleAlgorithms(weekNumber)
+        .map(name => this._algorithms.get(name))
+        .filter(Boolean)
+    ), { minWeek: 2, autoSelect: false });
+
     this._initialized = true;
   }
 
+  /**
+   * Enregistre un algorithme tiers.
+   *
+   * L'instance est validée (contrat d'interface) puis traitée
+   * comme un algorithme intégré : prédictions, scoring,
+   * sélection automatique et verrou manuel.
+   *
+   * @param {Object} instance — Algorithme (cf. contrat dans linear.js)
+   * @param {Object} [eligibility] — { minWeek = 1, autoSelect = true }
+   * @throws {Error} Contrat non respecté, éligibilité invalide ou nom déjà pris
+   */
+  registerAlgorithm(instance, eligibility = {}) {
+    this._ensureInitialized();
+
+    this._validateAlgorithm(instance);
+
+    const name = instance.getName();
+    if (this._algorithms.has(name)) {
+      throw new Error(`Algorithme "${name}" déjà enregistré.`);
+    }
+
+    this._register(instance, eligibility);
+  }
+
+  /**
+   * Valide puis ajoute un algorithme et sa règle d'éligibilité.
+   *
+   * @param {Object} algo
+   * @param {Object} eligibility
+   * @private
+   */
+  _register(algo, eligibility) {
+    this._validateAlgorithm(algo);
+
+    const rule = { ...DEFAULT_ELIGIBILITY, ...eligibility };
+    if (!Number.isInteger(rule.minWeek) || rule.minWeek < 1) {
+      throw new Error(
+        `Éligibilité invalide pour "${algo.getName()}" : minWeek doit être un entier ≥ 1.`
+      );
+    }
+
+    this._algorithms.set(algo.getName(), algo);
+    this._eligibility.set(algo.getName(), {
+      minWeek: rule.minWeek,
+      autoSelect: Boolean(rule.autoSelect)
+    });
+  }
+
   /**
    * Vérifie qu'un algorithme respecte le contrat d'interface.
    *
@@ -197,14 +336,42 @@ class AlgorithmEngine {
    * @returns {string[]} Noms des algorithmes éligibles
    */
   getEligibleAlgorithms(weekNumber) {
-    for (const entry of ELIGIBILITY_MAP) {
-      if (weekNumber <= entry.maxWeek) {
-        return [...entry.algorithms];
-      }
-    }
+    this._ensureInitialized();
 
-    // Fallback : tous les algorithmes
-    return ELIGIBILITY_MAP[ELIGIBILITY_MAP.length - 1].algorithms;
+    return [...this._eligibility.entries()]
+      .filter(([, rule]) => rule.autoSelect && weekNumber >= rule.minWeek)
+      .map(([name]) => name);
+  }
+
+  /**
+   * Algorithmes pouvant être imposés manuellement une semaine :
+   * les éligibles, plus ceux exclus de la sélection automatique
+   * (ensemble…) une fois leur semaine minimale atteinte.
+   *
+   * @param {number} weekNumber
+   * @returns {string[]}
+   */
+  getSelectableAlgorithms(weekNumber) {
+    this._ensureInitialized();
+
+    return [...this._eligibility.entries()]
+      .filter(([, rule]) => weekNumber >= rule.minWeek)
+      .map(([name]) => name);
+  }
+
+  /**
+   * Vérifie qu'un algorithme peut être imposé pour une semaine
+   * (verrou manuel) : il doit être enregistré et sélectionnable.
+   *
+   * @param {string|null} name
+   * @param {number} weekNumber
+   * @returns {boolean}
+   */
+  isAlgorithmEligible(name, weekNumber) {
+    this._ensureInitialized();
+    return Boolean(name)
+      && this._algorithms.has(name)
+      && this.getSelectableAlgorithms(weekNumber).includes(name);
   }
 
 
@@ -260,6 +427,7 @@ class AlgorithmEngine {
    * @param {number} testMax — Test max réel de cette semaine
    * @param {Array<Object>} weekHistory — Historique des semaines
    * @param {Array<Object>} scoringHistory — Historique de scoring
+   * @param {string} [unit] — Unité de l'exercice (explications)
    * @returns {{
    *   algorithm: string,
    *   scores: Object,
@@ -268,7 +436,7 @@ class AlgorithmEngine {
    *   reliability: Object
    * }}
    */
-  selectBestAlgorithm(weekNumber, testMax, weekHistory, scoringHistory) {
+  selectBestAlgorithm(weekNumber, testMax, weekHistory, scoringHistory, unit = UNITS.REPS) {
     this._ensureInitialized();
 
     // Semaine 1 : pas de données, linéaire par défaut
@@ -297,8 +465,13 @@ class AlgorithmEngine {
       eligible
     );
 
-    // 4. Sélection
-    const best = this._scorer.selectBestAlgorithm(scores);
+    // 4. Sélection (stratégie configurée)
+    const best = this._scorer.selectBestAlgorithm(scores, {
+      weekNumber,
+      weekHistory,
+      scoringHistory: scoringHistory || [],
+      unit
+    });
 
     // 5. Fiabilité
     const reliability = this._scorer.assessReliability(
@@ -327,25 +500,29 @@ class AlgorithmEngine {
      ────────────────────────────────────────────────────────── */
 
   /**
-   * Génère le plan d'entraînement complet J2-J7.
+   * Génère le plan d'entraînement complet de la semaine
+   * (jours d'entraînement uniquement, J2-J7 par défaut).
    *
    * @param {string} algorithmName — Nom de l'algorithme à utiliser
    * @param {number} weekNumber — Numéro de la semaine
    * @param {number} testMax — Test max de cette semaine
    * @param {Array<Object>} history — Historique des semaines
    * @param {boolean} hasImpossible — Au moins 1 séance impossible la semaine précédente
-   * @returns {Object} Plan { day2: {series, reps, rest, type}, ..., day7: {...} }
+   * @param {string} [unit] — Unité du test max (UNITS.REPS par défaut)
+   * @param {Object} [schedule] — Forme de la semaine (cf. utils/schedule.js)
+   * @param {Object|null} [scores] — Scores de la semaine (pondération de l'ensemble)
+   * @returns {Object} Plan { day2: {series, reps, rest, type, unit}, ..., day7: {...} }
    */
-  generateWeekPlan(algorithmName, weekNumber, testMax, history, hasImpossible) {
+  generateWeekPlan(algorithmName, weekNumber, testMax, history, hasImpossible, unit = UNITS.REPS, schedule = DEFAULT_SCHEDULE, scores = null) {
     this._ensureInitialized();
 
     // 1. Mode grand débutant
-    if (testMax < BEGINNER_THRESHOLD) {
-      return this._generateBeginnerPlan();
+    if (isBeginnerTestMax(testMax, unit)) {
+      return this._generateBeginnerPlan(unit, schedule);
     }
 
     // 2. Générer le plan via l'algorithme
-    let plan = this._generateRawPlan(algorithmName, weekNumber, testMax, history);
+    let plan = this._generateRawPlan(algorithmName, weekNumber, testMax, history, unit, schedule, scores);
 
     // 3. Appliquer la règle Impossible
     if (hasImpossible) {
@@ -353,7 +530,7 @@ class AlgorithmEngine {
     }
 
     // 4. Appliquer les bornes de sécurité
-    plan = this._applySafetyBounds(plan, testMax);
+    plan = this._applySafetyBounds(plan, testMax, unit, schedule);
 
     return plan;
   }
@@ -365,27 +542,30 @@ class AlgorithmEngine {
    * @param {number} weekNumber
    * @param {number} testMax
    * @param {Array<Object>} history
+   * @param {string} unit
+   * @param {Object} schedule
+   * @param {Object|null} scores — Transmis aux algorithmes qui en dépendent (ensemble)
    * @returns {Object}
    * @private
    */
-  _generateRawPlan(algorithmName, weekNumber, testMax, history) {
+  _generateRawPlan(algorithmName, weekNumber, testMax, history, unit, schedule, scores) {
     const algo = this._algorithms.get(algorithmName);
 
     if (!algo) {
       console.warn(
         `Algorithme "${algorithmName}" inconnu. Fallback vers "linear".`
       );
-      return this._algorithms.get('linear').generatePlan(weekNumber, testMax, history);
+      return this._algorithms.get('linear').generatePlan(weekNumber, testMax, history, unit, schedule);
     }
 
     try {
-      return algo.generatePlan(weekNumber, testMax, history);
+      return algo.generatePlan(weekNumber, testMax, history, unit, schedule, scores);
     } catch (error) {
       console.error(
         `Erreur de génération pour "${algorithmName}" :`, error,
         'Fallback vers "linear".'
       );
-      return this._algorithms.get('linear').generatePlan(weekNumber, testMax, history);
+      return this._algorithms.get('linear').generatePlan(weekNumber, testMax, history, unit, schedule);
     }
   }
 
@@ -425,6 +605,76 @@ class AlgorithmEngine {
   }
 
 
+  /* ──────────────────────────────────────────────────────────
+     AJUSTEMENT INTRA-SEMAINE
+
+     Après une séance impossible le jour N :
+       facteur = clamp(réalisé ÷ prévu, 0.5, 0.85)
+       pour chaque jour > N :
+         reps   = arrondi_sup(reps × facteur)
+         séries = arrondi_sup(séries × reps_avant ÷ reps_après)
+
+     Chaque jour modifié garde son objectif d'origine dans
+     `adjustment.original` (conservé si plusieurs échecs).
+     ────────────────────────────────────────────────────────── */
+
+  /**
+   * Allège les jours restants de la semaine après un échec.
+   *
+   * @param {Object} plan — Plan courant de la semaine
+   * @param {number} failedDay — Jour de la séance impossible
+   * @param {number} testMax
+   * @param {Object} failure — Série ratée
+   * @param {number} failure.planned  — Quantité prévue par série
+   * @param {number} failure.achieved — Quantité réalisée
+   * @param {number} [failure.factor] — Facteur déjà calculé (nouvelle
+   *   application d'un ajustement enregistré, cf. week.planAdjustments)
+   * @param {string} [unit]
+   * @returns {{plan: Object, factor: number, days: number[]}}
+   *   days = jours effectivement modifiés (vide si rien à alléger)
+   */
+  adjustRemainingWeek(plan, failedDay, testMax, failure, unit = UNITS.REPS) {
+    const ratio = failure.planned > 0 ? failure.achieved / failure.planned : 0;
+    const factor = failure.factor
+      ?? round(clamp(ratio, INTRA_WEEK_RULE.MIN_FACTOR, INTRA_WEEK_RULE.MAX_FACTOR), 2);
+
+    // Le plan grand débutant est fixe et déjà au minimum
+    if (!plan || isBeginnerTestMax(testMax, unit)) {
+      return { plan, factor, days: [] };
+    }
+
+    const adjusted = { ...plan };
+    const days = [];
+
+    for (const [dayKey, dayPlan] of Object.entries(plan)) {
+      const dayNumber = parseInt(dayKey.replace('day', ''), 10);
+      if (dayNumber <= failedDay) continue;
+
+      const reps = boundAmount(Math.ceil(dayPlan.reps * factor), testMax, unit);
+      const series = clamp(
+        Math.ceil(dayPlan.series * dayPlan.reps / reps),
+        SAFETY_BOUNDS.SERIES_MIN,
+        SAFETY_BOUNDS.SERIES_MAX
+      );
+      if (reps === dayPlan.reps && series === dayPlan.series) continue;
+
+      adjusted[dayKey] = {
+        ...dayPlan,
+        series,
+        reps,
+        adjustment: {
+          fromDay: failedDay,
+          factor,
+          original: dayPlan.adjustment?.original || { series: dayPlan.series, reps: dayPlan.reps }
+        }
+      };
+      days.push(dayNumber);
+    }
+
+    return { plan: adjusted, factor, days };
+  }
+
+
   /* ──────────────────────────────────────────────────────────
      BORNES DE SÉCURITÉ
      
@@ -432,26 +682,31 @@ class AlgorithmEngine {
      de l'algorithme.
      
      - reps : [3, testMax × 1.2]
+     - secondes : [10s, testMax × 0.9], par pas de 5s
      - séries : [2, 10]
      - repos : [20s, 180s]
+     - jours : uniquement les jours d'entraînement de la semaine
      ────────────────────────────────────────────────────────── */
 
   /**
    * Applique les bornes de sécurité à un plan.
+   * Chaque jour est marqué avec l'unité de sa quantité.
    *
    * @param {Object} plan — Plan (peut être post-Impossible)
    * @param {number} testMax
+   * @param {string} [unit]
+   * @param {Object} [schedule]
    * @returns {Object} Plan borné
    * @private
    */
-  _applySafetyBounds(plan, testMax) {
-    const maxReps = Math.ceil(testMax * SAFETY_BOUNDS.REPS_MAX_RATIO);
+  _applySafetyBounds(plan, testMax, unit = UNITS.REPS, schedule = DEFAULT_SCHEDULE) {
     const bounded = {};
 
-    for (const [dayKey, dayPlan] of Object.entries(plan)) {
+    for (const [dayKey, dayPlan] of Object.entries(this._fitToSchedule(plan, schedule))) {
       bounded[dayKey] = {
         ...dayPlan,
-        reps: clamp(dayPlan.reps, SAFETY_BOUNDS.REPS_MIN, maxReps),
+        unit,
+        reps: boundAmount(dayPlan.reps, testMax, unit),
         series: clamp(dayPlan.series, SAFETY_BOUNDS.SERIES_MIN, SAFETY_BOUNDS.SERIES_MAX),
         rest: clamp(round(dayPlan.rest), SAFETY_BOUNDS.REST_MIN, SAFETY_BOUNDS.REST_MAX)
       };
@@ -460,6 +715,46 @@ class AlgorithmEngine {
     return bounded;
   }
 
+  /**
+   * Garantit que le plan couvre exactement les jours d'entraînement.
+   *
+   * Un plan d'une autre forme (algorithme ignorant `schedule`,
+   * semaine type sur 6 jours…) est échantillonné sur les jours
+   * d'entraînement et ses séries sont ajustées pour conserver
+   * le volume hebdomadaire (séries × quantité).
+   *
+   * @param {Object} plan
+   * @param {Object} schedule
+   * @returns {Object}
+   * @private
+   */
+  _fitToSchedule(plan, schedule) {
+    const trainingDays = getTrainingDays(schedule);
+    const keys = Object.keys(plan);
+
+    const matches = keys.length === trainingDays.length &&
+      trainingDays.every(d => plan[`day${d}`]);
+    if (matches || keys.length === 0) return plan;
+
+    const dayIndex = (key) => parseInt(key.replace('day', ''), 10);
+    const days = keys.sort((a, b) => dayIndex(a) - dayIndex(b)).map(k => plan[k]);
+    const sampled = samplePattern(days, schedule);
+
+    const volumeOf = (list) => list.reduce((total, d) => total + d.series * d.reps, 0);
+    const sampledVolume = volumeOf(sampled);
+    const scale = sampledVolume > 0 ? volumeOf(days) / sampledVolume : 1;
+
+    const fitted = {};
+    trainingDays.forEach((d, i) => {
+      fitted[`day${d}`] = {
+        ...sampled[i],
+        series: Math.round(sampled[i].series * scale)
+      };
+    });
+
+    return fitted;
+  }
+
 
   /* ──────────────────────────────────────────────────────────
      MODE GRAND DÉBUTANT
@@ -468,15 +763,17 @@ class AlgorithmEngine {
   /**
    * Génère le plan fixe pour les grands débutants.
    *
+   * @param {string} [unit]
+   * @param {Object} [schedule]
    * @returns {Object}
    * @private
    */
-  _generateBeginnerPlan() {
+  _generateBeginnerPlan(unit = UNITS.REPS, schedule = DEFAULT_SCHEDULE) {
     const plan = {};
 
-    for (let d = 2; d <= 7; d++) {
-      plan[`day${d}`] = { ...BEGINNER_PLAN };
-    }
+    getTrainingDays(schedule).forEach(d => {
+      plan[`day${d}`] = { ...getBeginnerDay(unit), unit };
+    });
 
     return plan;
   }
@@ -498,14 +795,28 @@ class AlgorithmEngine {
    * C'est le point d'entrée principal utilisé par test-max.js.
    * Il encapsule toute la logique de début de semaine.
    *
+   * Chaque exercice a sa propre progression : les historiques
+   * fournis doivent être ceux de l'exercice concerné uniquement.
+   * L'unité de l'exercice (reps ou secondes) détermine les
+   * bornes du plan et le seuil du mode grand débutant.
+   * La forme de la semaine (jours d'entraînement / de repos)
+   * détermine les jours couverts par le plan.
+   *
    * @param {number} weekNumber — Numéro de la semaine qui commence
    * @param {number} testMax — Test max venant d'être saisi
-   * @param {Array<Object>} weekHistory — Historique complet des semaines
-   * @param {Array<Object>} scoringHistory — Historique de scoring
+   * @param {Array<Object>} weekHistory — Historique des semaines de l'exercice
+   * @param {Array<Object>} scoringHistory — Historique de scoring de l'exercice
    * @param {boolean} hasImpossibleLastWeek — Séance impossible la semaine précédente
+   * @param {string|null} [exerciseId] — Exercice concerné (cf. exercises.js)
+   * @param {Object|null} [schedule] — Forme de la semaine (cf. utils/schedule.js)
+   * @param {string|null} [lockedAlgorithm] — Algorithme imposé par l'utilisateur
    * @returns {{
+   *   exerciseId: string|null,
+   *   schedule: {trainingDays: number, restDays: number},
    *   algorithm: string,
    *   algorithmLabel: string,
+   *   recommendedAlgorithm: string,
+   *   locked: boolean,
    *   scores: Object,
    *   predictions: Object,
    *   plan: Object,
@@ -513,20 +824,31 @@ class AlgorithmEngine {
    *   reliability: Object,
    *   isBeginnerMode: boolean
    * }}
+   *   algorithm = algorithme du plan (verrouillé le cas échéant),
+   *   recommendedAlgorithm = choix du scoring, enregistré dans tous les cas
    */
-  processNewWeek(weekNumber, testMax, weekHistory, scoringHistory, hasImpossibleLastWeek) {
+  processNewWeek(weekNumber, testMax, weekHistory, scoringHistory, hasImpossibleLastWeek, exerciseId = null, schedule = null, lockedAlgorithm = null) {
     this._ensureInitialized();
 
+    const unit = getExercise(exerciseId).unit;
+    const weekSchedule = normalizeSchedule(schedule);
+
     // Mode grand débutant
-    if (testMax < BEGINNER_THRESHOLD) {
-      const plan = this._generateBeginnerPlan();
+    if (isBeginnerTestMax(testMax, unit)) {
+      const plan = this._generateBeginnerPlan(unit, weekSchedule);
       return {
+        exerciseId,
+        schedule: weekSchedule,
         algorithm: 'linear',
         algorithmLabel: this._algorithms.get('linear').getLabel(),
+        recommendedAlgorithm: 'linear',
+        locked: false,
         scores: null,
         predictions: null,
         plan,
-        reason: 'Mode grand débutant activé (test max < 5 reps). Plan fixe.',
+        reason: unit === UNITS.SECONDS
+          ? 'Mode grand débutant activé (maintien < 20 s). Plan fixe.'
+          : 'Mode grand débutant activé (test max < 5 reps). Plan fixe.',
         reliability: { reliable: false, reason: 'Mode débutant.', dataPoints: 0 },
         isBeginnerMode: true
       };
@@ -537,29 +859,50 @@ class AlgorithmEngine {
       weekNumber,
       testMax,
       weekHistory,
-      scoringHistory
+      scoringHistory,
+      unit
     );
 
-    // 2. Génération du plan
+    // 2. Verrou manuel : le scoring reste calculé pour comparaison
+    const locked = this.isAlgorithmEligible(lockedAlgorithm, weekNumber);
+    const algorithm = locked ? lockedAlgorithm : selection.algorithm;
+
+    // 3. Génération du plan
     const plan = this.generateWeekPlan(
-      selection.algorithm,
+      algorithm,
       weekNumber,
       testMax,
       weekHistory,
-      hasImpossibleLastWeek
+      hasImpossibleLastWeek,
+      unit,
+      weekSchedule,
+      selection.scores
     );
 
-    // 3. Récupérer le label de l'algorithme
-    const algo = this._algorithms.get(selection.algorithm);
-    const algorithmLabel = algo ? algo.getLabel() : selection.algorithm;
+    // 4. Récupérer le label de l'algorithme
+    const algo = this._algorithms.get(algorithm);
+    const algorithmLabel = algo ? algo.getLabel() : algorithm;
+
+    let reason = selection.reason;
+    if (locked && algorithm !== selection.algorithm) {
+      const recommended = this._algorithms.get(selection.algorithm);
+      reason = `Algorithme verrouillé manuellement. Le moteur aurait choisi `
+        + `${recommended ? recommended.getLabel() : selection.algorithm} : ${selection.reason}`;
+    } else if (locked) {
+      reason = `Algorithme verrouillé manuellement, également choisi par le moteur. ${selection.reason}`;
+    }
 
     return {
-      algorithm: selection.algorithm,
+      exerciseId,
+      schedule: weekSchedule,
+      algorithm,
       algorithmLabel,
+      recommendedAlgorithm: selection.algorithm,
+      locked,
       scores: selection.scores,
       predictions: selection.predictions,
       plan,
-      reason: selection.reason,
+      reason,
       reliability: selection.reliability,
       isBeginnerMode: false
     };
@@ -585,7 +928,7 @@ class AlgorithmEngine {
    * Retourne les informations d'un algorithme.
    *
    * @param {string} name
-   * @returns {{name: string, label: string, description: string}|null}
+   * @returns {{name: string, label: string, shortLabel: string, description: string}|null}
    */
   getAlgorithmInfo(name) {
     this._ensureInitialized();
@@ -593,31 +936,35 @@ class AlgorithmEngine {
 
     if (!algo) return null;
 
-    return {
-      name: algo.getName(),
-      label: algo.getLabel(),
-      description: algo.getDescription()
-    };
+    return this._describe(algo);
   }
 
   /**
    * Retourne les informations de tous les algorithmes.
    *
-   * @returns {Array<{name: string, label: string, description: string}>}
+   * @returns {Array<{name: string, label: string, shortLabel: string, description: string}>}
    */
   getAllAlgorithmsInfo() {
     this._ensureInitialized();
 
-    const infos = [];
-    for (const algo of this._algorithms.values()) {
-      infos.push({
-        name: algo.getName(),
-        label: algo.getLabel(),
-        description: algo.getDescription()
-      });
-    }
+    return [...this._algorithms.values()].map(algo => this._describe(algo));
+  }
 
-    return infos;
+  /**
+   * Informations d'affichage d'un algorithme. getShortLabel() est
+   * facultatif (algorithmes tiers) : le nom lisible le remplace.
+   *
+   * @param {Object} algo
+   * @returns {{name: string, label: string, shortLabel: string, description: string}}
+   * @private
+   */
+  _describe(algo) {
+    return {
+      name: algo.getName(),
+      label: algo.getLabel(),
+      shortLabel: typeof algo.getShortLabel === 'function' ? algo.getShortLabel() : algo.getLabel(),
+      description: algo.getDescription()
+    };
   }
 
   /**
@@ -629,13 +976,39 @@ class AlgorithmEngine {
     return this._scorer;
   }
 
+  /**
+   * Applique une configuration de scoring (pondérations,
+   * décroissance, pénalités, stratégie de sélection).
+   *
+   * @param {Object|null} config — Cf. normalizeScoringConfig() ; null = défauts
+   */
+  setScoringConfig(config) {
+    this._scorer.setConfig(config);
+  }
+
+  /**
+   * Retourne la configuration de scoring active.
+   *
+   * @returns {Object}
+   */
+  getScoringConfig() {
+    return this._scorer.getConfig();
+  }
+
   /**
    * Retourne les bornes de sécurité (pour l'affichage).
    *
+   * @param {string} [unit] — Unité de quantité (reps par défaut)
    * @returns {Object}
    */
-  getSafetyBounds() {
-    return { ...SAFETY_BOUNDS };
+  getSafetyBounds(unit = UNITS.REPS) {
+    const amountBounds = getUnitBounds(unit);
+
+    return {
+      ...SAFETY_BOUNDS,
+      AMOUNT_MIN: amountBounds.AMOUNT_MIN,
+      AMOUNT_MAX_RATIO: amountBounds.AMOUNT_MAX_RATIO
+    };
   }
 
   /**
@@ -647,6 +1020,15 @@ class AlgorithmEngine {
     return { ...IMPOSSIBLE_RULE };
   }
 
+  /**
+   * Retourne les paramètres de l'ajustement intra-semaine (pour l'affichage).
+   *
+   * @returns {Object}
+   */
+  getIntraWeekRule() {
+    return { ...INTRA_WEEK_RULE };
+  }
+
 
   /* ──────────────────────────────────────────────────────────
      ANALYSE & DIAGNOSTIC
@@ -685,7 +1067,11 @@ class AlgorithmEngine {
         eligible
       );
 
-      const best = this._scorer.selectBestAlgorithm(scores);
+      const best = this._scorer.selectBestAlgorithm(scores, {
+        weekNumber: week.weekNumber,
+        weekHistory: previousHistory,
+        scoringHistory: previousScoring
+      });
 
       results.push({
         week: week.weekNumber,
@@ -699,6 +1085,48 @@ class AlgorithmEngine {
     return results;
   }
 
+  /**
+   * Rejoue l'historique avec une configuration de scoring
+   * candidate et la compare à la configuration active, sans
+   * modifier cette dernière.
+   *
+   * @param {Object} config — Configuration candidate
+   * @param {Array<Object>} weekHistory
+   * @param {Array<Object>} scoringHistory
+   * @returns {{
+   *   config: Object,
+   *   weeks: Array<{weekNumber: number, current: string, preview: string, changed: boolean}>,
+   *   changedCount: number
+   * }}
+   */
+  previewScoringConfig(config, weekHistory, scoringHistory) {
+    this._ensureInitialized();
+
+    const activeConfig = this._scorer.getConfig();
+    const current = this.simulateHistoricalScoring(weekHistory, scoringHistory);
+
+    let preview;
+    try {
+      this._scorer.setConfig(config);
+      preview = this.simulateHistoricalScoring(weekHistory, scoringHistory);
+    } finally {
+      this._scorer.setConfig(activeConfig);
+    }
+
+    const weeks = current.map((entry, i) => ({
+      weekNumber: entry.week,
+      current: entry.selected,
+      preview: preview[i].selected,
+      changed: entry.selected !== preview[i].selected
+    }));
+
+    return {
+      config: normalizeScoringConfig(config),
+      weeks,
+      changedCount: weeks.filter(w => w.changed).length
+    };
+  }
+
   /**
    * Calcule les métriques de performance globale du moteur.
    *
@@ -767,7 +1195,7 @@ class AlgorithmEngine {
     weekHistory.forEach(week => {
       if (week.feedbackSummary) {
         const fb = week.feedbackSummary;
-        totalSessions += (fb.facile || 0) + (fb.parfait || 0) + (fb.impossible || 0);
+        totalSessions += (fb.facile || 0) + (fb.parfait || 0) + (fb.difficile || 0) + (fb.impossible || 0);
         impossibleSessions += fb.impossible || 0;
       }
     });
@@ -779,6 +1207,97 @@ class AlgorithmEngine {
       failureRate: totalSessions > 0 ? round(impossibleSessions / totalSessions * 100, 1) : 0
     };
   }
+
+  /**
+   * Rapport « Fiabilité du moteur » : rejoue chaque semaine passée
+   * (simulateHistoricalScoring) et le compare à ce qui a été
+   * réellement enregistré.
+   *
+   * Une semaine est signalée (mismatch) quand l'algorithme que le
+   * moteur sélectionnerait aujourd'hui diffère de celui stocké
+   * (moteur modifié depuis, données importées ou corrigées…).
+   * Pour une semaine verrouillée, la référence est le choix du
+   * scoring (recommendedAlgorithm), pas l'algorithme imposé.
+   *
+   * @param {Array<Object>} weekHistory — state.getAlgorithmHistory()
+   * @param {Array<Object>} scoringHistory
+   * @returns {{
+   *   weeks: Array<{
+   *     weekNumber: number,
+   *     actual: number,
+   *     predictions: Object,
+   *     errors: Object,
+   *     simulated: string,
+   *     stored: string|null,
+   *     mismatch: boolean
+   *   }>,
+   *   metrics: Object,
+   *   algorithmErrors: Object,
+   *   simulatedChanges: number,
+   *   mismatchCount: number
+   * }}
+   *   errors = prédiction − réel par algorithme,
+   *   algorithmErrors = erreur absolue moyenne en % du réel par algorithme
+   */
+  getBacktestReport(weekHistory, scoringHistory) {
+    this._ensureInitialized();
+
+    const replay = this.simulateHistoricalScoring(weekHistory, scoringHistory);
+    const metrics = this.getEngineMetrics(weekHistory, scoringHistory);
+    const storedByWeek = new Map(
+      (weekHistory || []).map(week => [
+        week.weekNumber,
+        week.recommendedAlgorithm || week.selectedAlgorithm || null
+      ])
+    );
+
+    const relativeErrors = {};
+
+    const weeks = replay.map(entry => {
+      const errors = {};
+
+      Object.entries(entry.predictions).forEach(([name, predicted]) => {
+        if (typeof predicted !== 'number' || typeof entry.actual !== 'number') return;
+
+        errors[name] = predicted - entry.actual;
+
+        if (entry.actual > 0) {
+          if (!relativeErrors[name]) relativeErrors[name] = [];
+          relativeErrors[name].push(Math.abs(errors[name]) / entry.actual * 100);
+        }
+      });
+
+      const stored = storedByWeek.get(entry.week) || null;
+
+      return {
+        weekNumber: entry.week,
+        actual: entry.actual,
+        predictions: entry.predictions,
+        errors,
+        simulated: entry.selected,
+        stored,
+        mismatch: stored !== null && stored !== entry.selected
+      };
+    });
+
+    const algorithmErrors = {};
+    Object.entries(relativeErrors).forEach(([name, values]) => {
+      algorithmErrors[name] = round(values.reduce((a, b) => a + b, 0) / values.length, 1);
+    });
+
+    let simulatedChanges = 0;
+    for (let i = 1; i < weeks.length; i++) {
+      if (weeks[i].simulated !== weeks[i - 1].simulated) simulatedChanges++;
+    }
+
+    return {
+      weeks,
+      metrics,
+      algorithmErrors,
+      simulatedChanges,
+      mismatchCount: weeks.filter(w => w.mismatch).length
+    };
+  }
 }
 
 
@@ -786,5 +1305,5 @@ class AlgorithmEngine {
 
 const engine = new AlgorithmEngine();
 
-export { engine, AlgorithmEngine, SAFETY_BOUNDS, IMPOSSIBLE_RULE, ELIGIBILITY_MAP };
+export { engine, AlgorithmEngine, SAFETY_BOUNDS, IMPOSSIBLE_RULE, INTRA_WEEK_RULE, ELIGIBILITY_MAP };
 export default engine;
\ No newline at end of file
@@ -0,0 +1,232 @@
+/* ════════════════════════════════════════════════════════════════
+   AbdoPro — algorithms/ensemble.js
+
+   ALGORITHME VIRTUEL — Ensemble pondéré
+   ─────────────────────────────────────────────────────────────
+   Principe :
+   Plutôt que de suivre un seul algorithme, chaque jour du plan
+   est une moyenne des plans de tous les algorithmes éligibles
+   de la semaine, pondérée par leur score composite :
+
+     séries = Σ (score_i × séries_i) / Σ score_i
+     reps   = Σ (score_i × reps_i)   / Σ score_i
+     repos  = Σ (score_i × repos_i)  / Σ score_i
+
+   Le type de séance (ENDURANCE, FORCE…) est celui de
+   l'algorithme le mieux noté ayant planifié ce jour (séance
+   classique de préférence : le mélange est toujours une séance
+   unique, sans mini-séances).
+   Sans scores (plan régénéré hors scoring), tous les membres
+   pèsent autant.
+
+   L'ensemble n'est jamais retenu automatiquement par le
+   scoring (il n'a pas d'historique propre) : il se choisit
+   via le verrou manuel (cf. engine.getSelectableAlgorithms).
+   Règle Impossible et bornes de sécurité sont appliquées par
+   le moteur au plan mélangé, comme pour tout autre algorithme.
+
+   ─────────────────────────────────────────────────────────────
+   Contrat d'interface : identique aux autres algorithmes
+   (cf. algorithms/linear.js). generatePlan() accepte en plus
+   les scores de la semaine (engine.selectBestAlgorithm).
+   ════════════════════════════════════════════════════════════════ */
+
+import { round, mean } from '../utils/math.js';
+import { UNITS } from '../utils/units.js';
+import { DEFAULT_SCHEDULE, getTrainingDays } from '../utils/schedule.js';
+
+
+// ── Constantes ──
+
+/** Identifiant machine de l'algorithme virtuel */
+const ENSEMBLE_NAME = 'ensemble';
+
+/** Nombre minimum d'algorithmes à mélanger */
+const MIN_MEMBERS = 2;
+
+
+// ── Classe EnsembleAlgorithm ──
+
+class EnsembleAlgorithm {
+
+  /**
+   * @param {function(number): Array<Object>} getMembers — Algorithmes
+   *   éligibles pour une semaine (fourni par le moteur)
+   */
+  constructor(getMembers) {
+    /** @type {function(number): Array<Object>} */
+    this._getMembers = getMembers;
+  }
+
+
+  /* ──────────────────────────────────────────────────────────
+     IDENTITÉ
+     ────────────────────────────────────────────────────────── */
+
+  /**
+   * Identifiant machine unique.
+   * @returns {string}
+   */
+  getName() {
+    return ENSEMBLE_NAME;
+  }
+
+  /**
+   * Nom lisible pour l'interface.
+   * @returns {string}
+   */
+  getLabel() {
+    return 'Ensemble pondéré';
+  }
+
+  /**
+   * Nom court pour les puces de l'interface.
+   * @returns {string}
+   */
+  getShortLabel() {
+    return 'Ensemble';
+  }
+
+  /**
+   * Description courte pour l'écran de résultats.
+   * @returns {string}
+   */
+  getDescription() {
+    return 'Mélange des plans de tous les algorithmes éligibles, ' +
+           'pondéré par leur score composite.';
+  }
+
+
+  /* ──────────────────────────────────────────────────────────
+     PRÉDICTION DU TEST MAX
+
+     Moyenne simple des prédictions des membres (les scores
+     dépendent eux-mêmes des prédictions).
+     ────────────────────────────────────────────────────────── */
+
+  /**
+   * @param {number} weekNumber
+   * @param {Array<Object>} history
+   * @returns {number} Prédiction du test max (entier ≥ 1)
+   */
+  predictTestMax(weekNumber, history) {
+    const predictions = this._getMembers(weekNumber)
+      .map(algo => {
+        try {
+          return algo.predictTestMax(weekNumber, history);
+        } catch {
+          return null;
+        }
+      })
+      .filter(value => Number.isFinite(value));
+
+    if (predictions.length === 0) return 1;
+
+    return Math.max(1, round(mean(predictions)));
+  }
+
+
+  /* ──────────────────────────────────────────────────────────
+     GÉNÉRATION DU PLAN HEBDOMADAIRE
+     ────────────────────────────────────────────────────────── */
+
+  /**
+   * Génère le plan mélangé de la semaine.
+   *
+   * @param {number} weekNumber
+   * @param {number} testMax
+   * @param {Array<Object>} history
+   * @param {string} [unit]
+   * @param {Object} [schedule]
+   * @param {Object|null} [scores] — { algoName: { composite, ... } }
+   * @returns {Object} Plan { dayN: {series, reps, rest, type, ...}, ... }
+   * @throws {Error} Si moins de MIN_MEMBERS plans sont disponibles
+   */
+  generatePlan(weekNumber, testMax, history, unit = UNITS.REPS, schedule = DEFAULT_SCHEDULE, scores = null) {
+    const members = this._getMembers(weekNumber)
+      .map(algo => ({
+        name: algo.getName(),
+        weight: this._getWeight(algo.getName(), scores),
+        plan: this._safePlan(algo, weekNumber, testMax, history, unit, schedule)
+      }))
+      .filter(member => member.plan && member.weight > 0)
+      .sort((a, b) => b.weight - a.weight);
+
+    if (members.length < MIN_MEMBERS) {
+      throw new Error(
+        `Ensemble : ${members.length} plan(s) disponible(s), ${MIN_MEMBERS} requis.`
+      );
+    }
+
+    const plan = {};
+
+    getTrainingDays(schedule).forEach(dayNumber => {
+      const dayKey = `day${dayNumber}`;
+      const dayPlans = members.filter(member => member.plan[dayKey]);
+      if (dayPlans.length === 0) return;
+
+      const totalWeight = dayPlans.reduce((total, member) => total + member.weight, 0);
+      const blend = (field) => dayPlans.reduce(
+        (total, member) => total + member.weight * (member.plan[dayKey][field] || 0),
+        0
+      ) / totalWeight;
+
+      // Base : jour du membre le mieux noté (type, libellés…), en
+      // préférant une séance classique (le mélange n'est pas découpé
+      // en mini-séances, cf. gtg.js)
+      const base = dayPlans.find(member => !member.plan[dayKey].miniSessions) || dayPlans[0];
+      const { miniSessions, spacingMinutes, ...baseDay } = base.plan[dayKey];
+
+      plan[dayKey] = {
+        ...baseDay,
+        series: Math.max(1, round(blend('series'))),
+        reps: Math.max(1, round(blend('reps'))),
+        rest: round(blend('rest'))
+      };
+    });
+
+    return plan;
+  }
+
+
+  /* ──────────────────────────────────────────────────────────
+     CALCULS INTERNES
+     ────────────────────────────────────────────────────────── */
+
+  /**
+   * Poids d'un membre : son score composite, ou 1 sans scores.
+   *
+   * @param {string} name
+   * @param {Object|null} scores
+   * @returns {number}
+   * @private
+   */
+  _getWeight(name, scores) {
+    if (!scores) return 1;
+
+    const composite = scores[name]?.composite;
+    return Number.isFinite(composite) ? Math.max(0, composite) : 0;
+  }
+
+  /**
+   * Plan d'un membre, ou null si sa génération échoue
+   * (le membre est alors ignoré).
+   *
+   * @returns {Object|null}
+   * @private
+   */
+  _safePlan(algo, weekNumber, testMax, history, unit, schedule) {
+    try {
+      return algo.generatePlan(weekNumber, testMax, history, unit, schedule);
+    } catch (error) {
+      console.error(`Ensemble : plan de "${algo.getName()}" ignoré :`, error);
+      return null;
+    }
+  }
+}
+
+
+// ── Export ──
+
+export { EnsembleAlgorithm, ENSEMBLE_NAME, MIN_MEMBERS as ENSEMBLE_MIN_MEMBERS };
+export default EnsembleAlgorithm;
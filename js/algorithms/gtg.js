@@ -0,0 +1,392 @@
+/* ════════════════════════════════════════════════════════════════
+   AbdoPro — algorithms/gtg.js
+
+   ALGORITHME 6 — Grease the Groove (pratique sous-maximale)
+   ─────────────────────────────────────────────────────────────
+   Source :
+   Pavel Tsatsouline (« The Naked Warrior », 2003). Des séries
+   courtes, loin de l'échec, répétées de nombreuses fois dans la
+   journée, renforcent l'efficacité neuromusculaire du mouvement
+   sans accumuler de fatigue.
+
+   Principe :
+   Chaque jour d'entraînement est découpé en plusieurs
+   « mini-séances » espacées dans la journée (au moins
+   MIN_SPACING_MINUTES entre deux). Chaque mini-séance compte
+   une série à ~40–50 % du test max.
+
+     reps        = test_max × intensité (0,40 → 0,50)
+     séries/jour = nombre de mini-séances × SETS_PER_MINI_SESSION
+
+   Le champ `series` du plan reste le total de la journée :
+   volume, bornes de sécurité et règle Impossible s'appliquent
+   comme pour les autres algorithmes. `miniSessions` indique en
+   combien de blocs le répartir (cf. getMiniSessionSeries).
+
+   Feedbacks (semaine précédente) :
+   - majorité de « facile »   → intensité +5 points
+   - au moins un « difficile »  → intensité −5 points (les séries
+     doivent rester loin de l'échec)
+   - au moins un « impossible » → intensité −5 points, une
+     mini-séance de moins
+   - assiduité (mini-séances réalisées / prévues) : sous 60 %,
+     une mini-séance de moins ; au-delà de 90 %, une de plus.
+
+   Quand cet algorithme est optimal :
+   Pratiquant disponible dans la journée, progression freinée par
+   la fatigue des séances longues. Éligible à partir de la
+   semaine 3 (une semaine de feedbacks exploitable).
+
+   ─────────────────────────────────────────────────────────────
+   Contrat d'interface :
+     algo.getName()         → 'gtg'
+     algo.getLabel()        → 'Grease the Groove'
+     algo.getShortLabel()   → 'GtG'
+     algo.getDescription()  → string
+     algo.predictTestMax(weekNumber, history)           → number
+     algo.generatePlan(weekNumber, testMax, history, unit, schedule) → Object
+
+   Utilitaires de plan (écran de séance, tableau de bord) :
+     getMiniSessionCount(dayPlan)       → Nombre de mini-séances
+     getMiniSessionSeries(dayPlan)      → Séries de chaque mini-séance
+   ════════════════════════════════════════════════════════════════ */
+
+import { clamp, round, mean } from '../utils/math.js';
+import {
+  UNITS,
+  boundAmount,
+  isBeginnerTestMax,
+  getBeginnerDay
+} from '../utils/units.js';
+import {
+  DEFAULT_SCHEDULE,
+  getTrainingDays,
+  samplePattern,
+  getVolumeScale
+} from '../utils/schedule.js';
+
+
+// ── Constantes ──
+
+/** Intensité des séries (ratio du test max) */
+const INTENSITY = {
+  MIN: 0.40,
+  BASE: 0.45,
+  MAX: 0.50,
+  STEP: 0.05
+};
+
+/** Nombre de mini-séances par jour */
+const MINI_SESSIONS = {
+  MIN: 3,
+  BASE: 5,
+  MAX: 8
+};
+
+Object.freeze(INTENSITY);
+Object.freeze(MINI_SESSIONS);
+
+/** Séries par mini-séance */
+const SETS_PER_MINI_SESSION = 1;
+
+/** Écart minimal conseillé entre deux mini-séances (minutes) */
+const MIN_SPACING_MINUTES = 60;
+
+/** Repos entre deux séries d'une même mini-séance (secondes) */
+const REST_BETWEEN_SETS = 60;
+
+/**
+ * Variation du nombre de mini-séances sur 6 jours (J2-J7).
+ * J7 allégé avant le test max de la semaine suivante.
+ */
+const DAILY_OFFSETS = [0, 1, 0, 1, 0, -1];
+
+Object.freeze(DAILY_OFFSETS);
+
+/** Progression hebdomadaire de base du test max (+5%) */
+const BASE_PROGRESSION_RATE = 0.05;
+
+/** Ajustements du taux de progression selon les feedbacks */
+const FEEDBACK_ADJUSTMENTS = {
+  MOSTLY_EASY:     0.01,
+  ANY_IMPOSSIBLE: -0.02
+};
+
+Object.freeze(FEEDBACK_ADJUSTMENTS);
+
+/** Seuils d'assiduité (mini-séances réalisées / prévues) */
+const ADHERENCE = {
+  LOW: 0.6,
+  HIGH: 0.9
+};
+
+Object.freeze(ADHERENCE);
+
+
+// ── Classe GreaseTheGrooveAlgorithm ──
+
+class GreaseTheGrooveAlgorithm {
+
+  /* ──────────────────────────────────────────────────────────
+     IDENTITÉ
+     ────────────────────────────────────────────────────────── */
+
+  getName() {
+    return 'gtg';
+  }
+
+  getLabel() {
+    return 'Grease the Groove';
+  }
+
+  getShortLabel() {
+    return 'GtG';
+  }
+
+  getDescription() {
+    return 'Plusieurs mini-séances par jour à 40–50 % du test max, ' +
+           'loin de l\'échec. Ajuste intensité et fréquence selon ' +
+           'les feedbacks et l\'assiduité.';
+  }
+
+
+  /* ──────────────────────────────────────────────────────────
+     PRÉDICTION DU TEST MAX
+
+     taux = 5 % × assiduité + ajustement feedbacks  (borné 0–12 %)
+     test_max_prédit = dernier_test_max × (1 + taux)
+
+     Sans mini-séances la semaine précédente (autre algorithme),
+     l'assiduité vaut 1.
+     ────────────────────────────────────────────────────────── */
+
+  /**
+   * @param {number} weekNumber
+   * @param {Array<Object>} history
+   * @returns {number} Prédiction du test max (entier ≥ 1)
+   */
+  predictTestMax(weekNumber, history) {
+    if (!history || history.length === 0) {
+      return 1;
+    }
+
+    const lastMax = this._getLastTestMax(history);
+    const analysis = this._analyzeWeek(history[history.length - 1]);
+
+    let rate = BASE_PROGRESSION_RATE * (analysis.adherence ?? 1);
+    if (analysis.mostlyEasy) rate += FEEDBACK_ADJUSTMENTS.MOSTLY_EASY;
+    if (analysis.impossible > 0) rate += FEEDBACK_ADJUSTMENTS.ANY_IMPOSSIBLE;
+
+    return Math.max(1, round(lastMax * (1 + clamp(rate, 0, 0.12))));
+  }
+
+
+  /* ──────────────────────────────────────────────────────────
+     GÉNÉRATION DU PLAN HEBDOMADAIRE
+     ────────────────────────────────────────────────────────── */
+
+  /**
+   * Génère le plan de la semaine : chaque jour d'entraînement
+   * reçoit N mini-séances d'une série sous-maximale.
+   *
+   * @param {number} weekNumber
+   * @param {number} testMax
+   * @param {Array<Object>} history
+   * @param {string} [unit]
+   * @param {Object} [schedule]
+   * @returns {Object} Plan { dayN: {series, reps, rest, type, miniSessions, spacingMinutes} }
+   */
+  generatePlan(weekNumber, testMax, history, unit = UNITS.REPS, schedule = DEFAULT_SCHEDULE) {
+    // Mode grand débutant : séance fixe, sans découpage
+    if (isBeginnerTestMax(testMax, unit)) {
+      return this._generateBeginnerPlan(unit, schedule);
+    }
+
+    const lastWeek = history && history.length > 0 ? history[history.length - 1] : null;
+    const analysis = this._analyzeWeek(lastWeek);
+
+    const intensity = this._adjustIntensity(analysis);
+    const baseCount = this._adjustMiniSessionCount(analysis);
+    const reps = boundAmount(testMax * intensity, testMax, unit);
+
+    // Moins de jours → plus de mini-séances par jour (bornées)
+    const volumeScale = getVolumeScale(schedule);
+    const offsets = samplePattern(DAILY_OFFSETS, schedule);
+    const plan = {};
+
+    getTrainingDays(schedule).forEach((dayNumber, i) => {
+      const miniSessions = clamp(
+        round((baseCount + offsets[i]) * volumeScale),
+        MINI_SESSIONS.MIN,
+        MINI_SESSIONS.MAX
+      );
+
+      plan[`day${dayNumber}`] = {
+        series: miniSessions * SETS_PER_MINI_SESSION,
+        reps,
+        rest: REST_BETWEEN_SETS,
+        type: 'GTG',
+        miniSessions,
+        spacingMinutes: MIN_SPACING_MINUTES
+      };
+    });
+
+    return plan;
+  }
+
+
+  /* ──────────────────────────────────────────────────────────
+     FEEDBACKS & ASSIDUITÉ
+     ────────────────────────────────────────────────────────── */
+
+  /**
+   * Analyse une semaine de l'historique.
+   *
+   * @param {Object|null} week
+   * @returns {{mostlyEasy: boolean, difficile: number, impossible: number, adherence: number|null, miniSessions: number|null}}
+   *   adherence / miniSessions : null si la semaine n'avait pas de mini-séances
+   * @private
+   */
+  _analyzeWeek(week) {
+    const { facile = 0, parfait = 0, difficile = 0, impossible = 0 } = week?.feedbackSummary || {};
+    const rated = facile + parfait + difficile + impossible;
+
+    const planned = [];
+    const ratios = [];
+
+    (week?.sessions || []).forEach(session => {
+      const dayPlan = week.plan?.[`day${session.dayNumber}`];
+      const count = getMiniSessionCount(dayPlan);
+      if (count < 2) return;
+
+      planned.push(count);
+
+      // Jour manqué ou non terminé : mini-séances réellement faites
+      const done = session.status === 'completed' && !session.actual?.miniSessions
+        ? count
+        : (session.actual?.miniSessions?.length || 0);
+      ratios.push(Math.min(1, done / count));
+    });
+
+    return {
+      mostlyEasy: rated > 0 && facile / rated >= 0.5,
+      difficile,
+      impossible,
+      adherence: ratios.length > 0 ? mean(ratios) : null,
+      miniSessions: planned.length > 0 ? round(mean(planned)) : null
+    };
+  }
+
+  /**
+   * @param {Object} analysis — Résultat de _analyzeWeek()
+   * @returns {number} Ratio du test max
+   * @private
+   */
+  _adjustIntensity(analysis) {
+    let intensity = INTENSITY.BASE;
+
+    if (analysis.impossible > 0 || analysis.difficile > 0) {
+      intensity -= INTENSITY.STEP;
+    } else if (analysis.mostlyEasy) {
+      intensity += INTENSITY.STEP;
+    }
+
+    return clamp(intensity, INTENSITY.MIN, INTENSITY.MAX);
+  }
+
+  /**
+   * Nombre de mini-séances de base : celui de la semaine
+   * précédente (si elle suivait ce programme), ajusté.
+   *
+   * @param {Object} analysis — Résultat de _analyzeWeek()
+   * @returns {number}
+   * @private
+   */
+  _adjustMiniSessionCount(analysis) {
+    let count = analysis.miniSessions ?? MINI_SESSIONS.BASE;
+
+    if (analysis.impossible > 0) {
+      count -= 1;
+    } else if (analysis.adherence !== null) {
+      if (analysis.adherence < ADHERENCE.LOW) count -= 1;
+      else if (analysis.adherence >= ADHERENCE.HIGH) count += 1;
+    }
+
+    return clamp(count, MINI_SESSIONS.MIN, MINI_SESSIONS.MAX);
+  }
+
+
+  /* ──────────────────────────────────────────────────────────
+     CALCULS INTERNES
+     ────────────────────────────────────────────────────────── */
+
+  /**
+   * @param {string} unit
+   * @param {Object} [schedule]
+   * @returns {Object}
+   * @private
+   */
+  _generateBeginnerPlan(unit, schedule = DEFAULT_SCHEDULE) {
+    const plan = {};
+
+    getTrainingDays(schedule).forEach(d => {
+      plan[`day${d}`] = getBeginnerDay(unit);
+    });
+
+    return plan;
+  }
+
+  /**
+   * @param {Array<Object>} history
+   * @returns {number}
+   * @private
+   */
+  _getLastTestMax(history) {
+    for (let i = history.length - 1; i >= 0; i--) {
+      if (typeof history[i].testMax === 'number' && history[i].testMax > 0) {
+        return history[i].testMax;
+      }
+    }
+
+    return 10;
+  }
+}
+
+
+/* ──────────────────────────────────────────────────────────────
+   UTILITAIRES DE PLAN
+   ────────────────────────────────────────────────────────────── */
+
+/**
+ * Nombre de mini-séances d'un jour (1 pour une séance classique).
+ *
+ * @param {Object|null} dayPlan
+ * @returns {number}
+ */
+export function getMiniSessionCount(dayPlan) {
+  if (!dayPlan || !Number.isInteger(dayPlan.miniSessions)) return 1;
+
+  return clamp(dayPlan.miniSessions, 1, Math.max(1, dayPlan.series));
+}
+
+/**
+ * Répartit les séries du jour entre ses mini-séances
+ * (les premières reçoivent le reste de la division).
+ * Ex. : 10 séries en 4 mini-séances → [3, 3, 2, 2].
+ *
+ * @param {Object} dayPlan
+ * @returns {number[]} Séries de chaque mini-séance
+ */
+export function getMiniSessionSeries(dayPlan) {
+  const count = getMiniSessionCount(dayPlan);
+  const base = Math.floor(dayPlan.series / count);
+  const extra = dayPlan.series % count;
+
+  return Array.from({ length: count }, (_, i) => base + (i < extra ? 1 : 0));
+}
+
+
+// ── Export ──
+
+export { GreaseTheGrooveAlgorithm, INTENSITY, MINI_SESSIONS, MIN_SPACING_MINUTES };
+export default GreaseTheGrooveAlgorithm;
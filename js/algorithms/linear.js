@@ -14,6 +14,10 @@
    redistribué entre séries et répétitions selon les zones
    d'intensité de Prilepin.
 
+   Repos : fonction de la zone et des reps (REST_CONFIG), puis
+   ajusté à la préférence apprise sur les repos réellement pris
+   (cf. utils/rest.js).
+
    Quand cet algorithme est optimal :
    Débutant pur (semaines 1-4), progression régulière sans échec.
 
@@ -21,12 +25,17 @@
    Contrat d'interface (commun à tous les algorithmes) :
 
      algo.predictTestMax(weekNumber, history)  → number
-     algo.generatePlan(weekNumber, testMax, history) → Object
+     algo.generatePlan(weekNumber, testMax, history, unit, schedule) → Object
      algo.getName()    → string (identifiant machine)
      algo.getLabel()   → string (nom lisible)
+     algo.getShortLabel() → string (nom court, facultatif : getLabel() à défaut)
      algo.getDescription() → string
 
    Ce contrat est vérifié par engine.js lors de l'enregistrement.
+   Le paramètre `unit` (cf. utils/units.js) est optionnel : les
+   plans sont exprimés dans l'unité du test max (reps ou secondes).
+   Le paramètre `schedule` (cf. utils/schedule.js) est optionnel :
+   le plan ne contient que les jours d'entraînement de la semaine.
    ════════════════════════════════════════════════════════════════ */
 
 import {
@@ -35,6 +44,21 @@ import {
   calculateRest,
   distributeVolume
 } from '../utils/math.js';
+import {
+  UNITS,
+  boundAmount,
+  getMaxAmount,
+  isBeginnerTestMax,
+  getBeginnerDay,
+  toRestBasis
+} from '../utils/units.js';
+import {
+  DEFAULT_SCHEDULE,
+  getTrainingDays,
+  samplePattern,
+  sampleRatios
+} from '../utils/schedule.js';
+import { getRestPreference, applyRestPreference } from '../utils/rest.js';
 
 
 // ── Constantes ──
@@ -55,6 +79,9 @@ const BASE_VOLUME_MULTIPLIER = 3;
  * - J5 (18%) : Pic de la semaine
  * - J6 (17%) : Maintien
  * - J7 (12%) : Pré-test semaine suivante, volume réduit
+ *
+ * Avec moins de jours d'entraînement, ratios et zones sont
+ * échantillonnés (cf. utils/schedule.js).
  */
 const DAILY_VOLUME_RATIOS = [0.20, 0.18, 0.15, 0.18, 0.17, 0.12];
 
@@ -151,6 +178,14 @@ class LinearAlgorithm {
     return 'Progression Linéaire';
   }
 
+  /**
+   * Nom court pour les puces de l'interface.
+   * @returns {string}
+   */
+  getShortLabel() {
+    return 'Linéaire';
+  }
+
   /**
    * Description courte pour l'écran de résultats.
    * @returns {string}
@@ -201,7 +236,8 @@ class LinearAlgorithm {
      Formules du PRD :
      - Volume_semaine_N = Volume_semaine_1 × (1.10)^(N-1)
      - Volume_semaine_1 = test_max × 3
-     - Distribution sur 6 jours selon DAILY_VOLUME_RATIOS
+     - Distribution sur les jours d'entraînement selon
+       DAILY_VOLUME_RATIOS (échantillonnés si moins de 6 jours)
      - Reps par série selon la zone d'intensité
      - Séries = volume_jour / reps_par_série
      - Repos = f(zone, reps)
@@ -213,36 +249,41 @@ class LinearAlgorithm {
    * @param {number} weekNumber — Numéro de la semaine
    * @param {number} testMax    — Résultat du test max de cette semaine
    * @param {Array<Object>} history — Historique des semaines passées
+   * @param {string} [unit]      — Unité du test max (reps par défaut)
+   * @param {Object} [schedule]  — Forme de la semaine (6 jours par défaut)
    * @returns {Object} Plan { day2: {series, reps, rest, type}, ..., day7: {...} }
    */
-  generatePlan(weekNumber, testMax, history) {
-    // Mode grand débutant (test_max < 5)
-    if (testMax < 5) {
-      return this._generateBeginnerPlan();
+  generatePlan(weekNumber, testMax, history, unit = UNITS.REPS, schedule = DEFAULT_SCHEDULE) {
+    // Mode grand débutant (test_max < 5 reps / 20 s)
+    if (isBeginnerTestMax(testMax, unit)) {
+      return this._generateBeginnerPlan(unit, schedule);
     }
 
     // Calculer le volume hebdomadaire total
     const weeklyVolume = this._calculateWeeklyVolume(weekNumber, testMax);
 
-    // Distribuer le volume sur les 6 jours
-    const dailyVolumes = distributeVolume(weeklyVolume, DAILY_VOLUME_RATIOS);
+    // Distribuer le volume sur les jours d'entraînement
+    const dailyVolumes = distributeVolume(weeklyVolume, sampleRatios(DAILY_VOLUME_RATIOS, schedule));
+    const zones = samplePattern(INTENSITY_ZONES, schedule);
+    const restPreference = getRestPreference(history);
 
     // Générer le plan pour chaque jour
     const plan = {};
 
-    for (let i = 0; i < 6; i++) {
-      const dayNumber = i + 2; // J2 à J7
+    getTrainingDays(schedule).forEach((dayNumber, i) => {
       const dayVolume = dailyVolumes[i];
-      const zone = INTENSITY_ZONES[i];
+      const zone = zones[i];
 
       const dayPlan = this._generateDayPlan(
         dayVolume,
         testMax,
-        zone
+        zone,
+        unit,
+        restPreference
       );
 
       plan[`day${dayNumber}`] = dayPlan;
-    }
+    });
 
     return plan;
   }
@@ -274,15 +315,19 @@ class LinearAlgorithm {
    * @param {number} dayVolume — Volume cible pour ce jour
    * @param {number} testMax   — Test max actuel
    * @param {Object} zone      — Zone d'intensité (INTENSITY_ZONES[i])
+   * @param {string} unit      — Unité du test max
+   * @param {Object|null} [restPreference] — Préférence de repos (utils/rest.js)
    * @returns {{series: number, reps: number, rest: number, type: string}}
    * @private
    */
-  _generateDayPlan(dayVolume, testMax, zone) {
+  _generateDayPlan(dayVolume, testMax, zone, unit, restPreference = null) {
+    const maxReps = getMaxAmount(testMax, unit);
+
     // Calculer les reps par série selon le ratio d'intensité
     let reps = round(testMax * zone.repsRatio);
 
     // Borner les reps
-    reps = clamp(reps, 3, Math.ceil(testMax * 1.2));
+    reps = boundAmount(reps, testMax, unit);
 
     // Calculer le nombre de séries pour atteindre le volume cible
     let series = reps > 0 ? round(dayVolume / reps) : zone.seriesRange[0];
@@ -293,24 +338,23 @@ class LinearAlgorithm {
     // Si les séries sont au minimum et le volume est encore trop haut,
     // augmenter les reps
     const actualVolume = series * reps;
-    if (actualVolume < dayVolume * 0.8 && reps < Math.ceil(testMax * 1.2)) {
-      reps = clamp(
-        round(dayVolume / series),
-        3,
-        Math.ceil(testMax * 1.2)
-      );
+    if (actualVolume < dayVolume * 0.8 && reps < maxReps) {
+      reps = boundAmount(round(dayVolume / series), testMax, unit);
     }
 
     // Bornes de sécurité globales
     series = clamp(series, 2, 10);
-    reps = clamp(reps, 3, Math.ceil(testMax * 1.2));
+    reps = boundAmount(reps, testMax, unit);
 
     // Calculer le repos selon la zone
     const restConfig = REST_CONFIG[zone.type] || REST_CONFIG.MIXTE;
-    const rest = clamp(
-      calculateRest(reps, restConfig.baseRest, restConfig.threshold, restConfig.addPer, restConfig.chunkSize),
-      20,
-      180
+    const rest = applyRestPreference(
+      clamp(
+        calculateRest(toRestBasis(reps, unit), restConfig.baseRest, restConfig.threshold, restConfig.addPer, restConfig.chunkSize),
+        20,
+        180
+      ),
+      restPreference
     );
 
     return {
@@ -322,25 +366,22 @@ class LinearAlgorithm {
   }
 
   /**
-   * Génère le plan pour les grands débutants (test_max < 5).
+   * Génère le plan pour les grands débutants (test_max < 5 reps / 20 s).
    *
-   * Plan fixe : 5 × 3 reps avec 90s de repos.
+   * Plan fixe : 5 × 3 reps (ou 5 × 10 s) avec repos long.
    * Pas de variation par zone — priorité à l'apprentissage du mouvement.
    *
+   * @param {string} unit
+   * @param {Object} [schedule]
    * @returns {Object}
    * @private
    */
-  _generateBeginnerPlan() {
+  _generateBeginnerPlan(unit, schedule = DEFAULT_SCHEDULE) {
     const plan = {};
 
-    for (let d = 2; d <= 7; d++) {
-      plan[`day${d}`] = {
-        series: 5,
-        reps: 3,
-        rest: 90,
-        type: 'DEBUTANT'
-      };
-    }
+    getTrainingDays(schedule).forEach(d => {
+      plan[`day${d}`] = getBeginnerDay(unit);
+    });
 
     return plan;
   }
@@ -24,9 +24,10 @@
    Contrat d'interface :
      algo.getName()         → 'regression'
      algo.getLabel()        → 'Régression Adaptative'
+     algo.getShortLabel()   → 'Régression'
      algo.getDescription()  → string
      algo.predictTestMax(weekNumber, history)           → number
-     algo.generatePlan(weekNumber, testMax, history)    → Object
+     algo.generatePlan(weekNumber, testMax, history, unit, schedule) → Object
    ════════════════════════════════════════════════════════════════ */
 
 import {
@@ -35,9 +36,18 @@ import {
   fitPolynomial,
   evaluatePolynomial,
   confidenceInterval95,
+  rSquared,
   progressionRate,
   calculateRest
 } from '../utils/math.js';
+import {
+  UNITS,
+  boundAmount,
+  isBeginnerTestMax,
+  getBeginnerDay,
+  toRestBasis
+} from '../utils/units.js';
+import { DEFAULT_SCHEDULE, getTrainingDays } from '../utils/schedule.js';
 
 
 // ── Constantes ──
@@ -112,6 +122,10 @@ class RegressionAlgorithm {
     return 'Régression Adaptative';
   }
 
+  getShortLabel() {
+    return 'Régression';
+  }
+
   getDescription() {
     return 'Modèle personnalisé basé sur votre historique complet. ' +
            'Prédit votre trajectoire de progression par régression ' +
@@ -177,7 +191,7 @@ class RegressionAlgorithm {
      2. Calculer le facteur d'ajustement réel/théorique
      3. Calculer le volume total = testMax_prédit × 3 × F_adjust
      4. Appliquer la réduction selon le taux d'échec
-     5. Distribuer uniformément sur 6 jours
+     5. Distribuer uniformément sur les jours d'entraînement
      ────────────────────────────────────────────────────────── */
 
   /**
@@ -186,14 +200,18 @@ class RegressionAlgorithm {
    * @param {number} weekNumber
    * @param {number} testMax
    * @param {Array<Object>} history
+   * @param {string} [unit] — Unité du test max (reps par défaut)
+   * @param {Object} [schedule] — Forme de la semaine (6 jours par défaut)
    * @returns {Object}
    */
-  generatePlan(weekNumber, testMax, history) {
+  generatePlan(weekNumber, testMax, history, unit = UNITS.REPS, schedule = DEFAULT_SCHEDULE) {
     // Mode grand débutant
-    if (testMax < 5) {
-      return this._generateBeginnerPlan();
+    if (isBeginnerTestMax(testMax, unit)) {
+      return this._generateBeginnerPlan(unit, schedule);
     }
 
+    const trainingDays = getTrainingDays(schedule);
+
     // 1. Prédire le test max de la semaine suivante
     const predictedNext = this.predictTestMax(weekNumber + 1, history);
 
@@ -213,14 +231,14 @@ class RegressionAlgorithm {
     volume *= failureAdjustment.multiplier;
 
     // 5. Calculer reps et séries par jour
-    const repsBase = clamp(
+    const repsBase = boundAmount(
       round(predictedNext * REPS_RATIO),
-      3,
-      Math.ceil(testMax * 1.2)
+      testMax,
+      unit
     );
 
     const seriesPerDay = clamp(
-      round(volume / repsBase / 6),
+      round(volume / repsBase / trainingDays.length),
       2,
       10
     );
@@ -228,7 +246,7 @@ class RegressionAlgorithm {
     // 6. Calculer le repos
     const rest = clamp(
       calculateRest(
-        repsBase,
+        toRestBasis(repsBase, unit),
         REST_CONFIG.baseRest,
         REST_CONFIG.threshold,
         REST_CONFIG.addPer,
@@ -241,14 +259,14 @@ class RegressionAlgorithm {
     // 7. Construire le plan (uniforme car la régression ne distingue pas les types)
     const plan = {};
 
-    for (let d = 2; d <= 7; d++) {
+    trainingDays.forEach(d => {
       plan[`day${d}`] = {
         series: seriesPerDay,
         reps: repsBase,
         rest,
         type: 'ADAPTATIF'
       };
-    }
+    });
 
     return plan;
   }
@@ -340,8 +358,8 @@ class RegressionAlgorithm {
 
     history.forEach(week => {
       if (week.feedbackSummary) {
-        const { facile = 0, parfait = 0, impossible = 0 } = week.feedbackSummary;
-        totalSessions += facile + parfait + impossible;
+        const { facile = 0, parfait = 0, difficile = 0, impossible = 0 } = week.feedbackSummary;
+        totalSessions += facile + parfait + difficile + impossible;
         impossibleSessions += impossible;
       } else if (week.sessions && Array.isArray(week.sessions)) {
         week.sessions.forEach(session => {
@@ -443,19 +461,16 @@ class RegressionAlgorithm {
   /**
    * Génère un plan simplifié pour les grands débutants.
    *
+   * @param {string} unit
+   * @param {Object} [schedule]
    * @returns {Object}
    * @private
    */
-  _generateBeginnerPlan() {
+  _generateBeginnerPlan(unit, schedule = DEFAULT_SCHEDULE) {
     const plan = {};
-    for (let d = 2; d <= 7; d++) {
-      plan[`day${d}`] = {
-        series: 5,
-        reps: 3,
-        rest: 90,
-        type: 'DEBUTANT'
-      };
-    }
+    getTrainingDays(schedule).forEach(d => {
+      plan[`day${d}`] = getBeginnerDay(unit);
+    });
     return plan;
   }
 
@@ -528,7 +543,9 @@ class RegressionAlgorithm {
    * Analyse la qualité du modèle de régression.
    *
    * @param {Array<Object>} history
-   * @returns {{quality: string, stdError: number, pointCount: number, confidence: number, equation: string}}
+   * @returns {{quality: string, stdError: number, pointCount: number, confidence: number,
+   *   equation: string, rSquared: number, margin95: number}}
+   *   margin95 = demi-largeur de l'intervalle de confiance à 95 %
    */
   analyzeModelQuality(history) {
     const points = this._extractPoints(history);
@@ -539,7 +556,9 @@ class RegressionAlgorithm {
         stdError: 0,
         pointCount: points.length,
         confidence: 0,
-        equation: 'Pas assez de données'
+        equation: 'Pas assez de données',
+        rSquared: 0,
+        margin95: 0
       };
     }
 
@@ -576,7 +595,9 @@ class RegressionAlgorithm {
       stdError: round(model.stdError, 2),
       pointCount: points.length,
       confidence,
-      equation
+      equation,
+      rSquared: round(rSquared(points, model), 3),
+      margin95: round(ci, 1)
     };
   }
 
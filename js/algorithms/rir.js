@@ -11,12 +11,19 @@
    en réserve (RIR).
 
    Principe :
-   Le feedback utilisateur ("Facile", "Parfait", "Impossible")
+   Le feedback utilisateur ("Facile", "Parfait", "Difficile", "Impossible")
    est mappé sur une échelle RIR qui ajuste le volume de la
    séance suivante en temps réel et le plan hebdomadaire.
+   Quand l'utilisateur a saisi le RIR série par série
+   (seriesDetail[].rir, 0–5, cf. screens/session.js), ces
+   valeurs remplacent le mapping à trois niveaux.
 
    Cible optimale : RIR = 2 (2 reps en réserve)
 
+   Repos : fonction du statut de volume et des reps, puis ajusté
+   à la préférence apprise sur les repos réellement pris
+   (cf. utils/rest.js).
+
    Quand cet algorithme est optimal :
    Utilisateur qui donne des feedbacks cohérents, détection fine
    de la fatigue cumulée. Éligible à partir de la semaine 2.
@@ -25,9 +32,13 @@
    Contrat d'interface :
      algo.getName()         → 'rir'
      algo.getLabel()        → 'Autorégulation (RIR)'
+     algo.getShortLabel()   → 'RIR'
      algo.getDescription()  → string
      algo.predictTestMax(weekNumber, history)           → number
-     algo.generatePlan(weekNumber, testMax, history)    → Object
+     algo.generatePlan(weekNumber, testMax, history, unit, schedule) → Object
+
+   Utilitaire (feedback, scoring) :
+     getSeriesRIR(session)  → RIR saisis pour chaque série
    ════════════════════════════════════════════════════════════════ */
 
 import {
@@ -36,6 +47,19 @@ import {
   mean,
   calculateRest
 } from '../utils/math.js';
+import {
+  UNITS,
+  boundAmount,
+  isBeginnerTestMax,
+  getBeginnerDay,
+  toRestBasis
+} from '../utils/units.js';
+import {
+  DEFAULT_SCHEDULE,
+  getTrainingDays,
+  sampleRatios
+} from '../utils/schedule.js';
+import { getRestPreference, applyRestPreference } from '../utils/rest.js';
 
 
 // ── Constantes ──
@@ -48,11 +72,13 @@ import {
  *
  * - "facile"     → RIR 4+ (trop facile, sous-stimulation)
  * - "parfait"    → RIR 1-3 (zone optimale, représenté par 2)
+ * - "difficile"  → RIR 0-1 (terminée à la limite, représenté par 1)
  * - "impossible" → RIR 0 (échec musculaire, surstimulation)
  */
 const FEEDBACK_TO_RIR = {
   facile:     4,
   parfait:    2,
+  difficile:  1,
   impossible: 0
 };
 
@@ -92,11 +118,13 @@ Object.freeze(VOLUME_MULTIPLIERS);
  *
  * - "facile"     → +10% reps
  * - "parfait"    → +5% reps
+ * - "difficile"  → −5% reps
  * - "impossible" → Géré par la règle Impossible (engine.js)
  */
 const INTER_SESSION_ADJUSTMENTS = {
-  facile:  1.10,
-  parfait: 1.05
+  facile:    1.10,
+  parfait:   1.05,
+  difficile: 0.95
 };
 
 Object.freeze(INTER_SESSION_ADJUSTMENTS);
@@ -110,6 +138,7 @@ const RIR_PREDICTION_BONUS = 0.015;
 /**
  * Distribution du volume sur 6 jours (J2-J7).
  * Légèrement décroissante pour favoriser la récupération en fin de semaine.
+ * Échantillonnée et renormalisée pour les semaines plus courtes.
  */
 const DAILY_DISTRIBUTION = [0.18, 0.17, 0.17, 0.17, 0.16, 0.15];
 
@@ -135,6 +164,10 @@ class RIRAlgorithm {
     return 'Autorégulation (RIR)';
   }
 
+  getShortLabel() {
+    return 'RIR';
+  }
+
   getDescription() {
     return 'Ajuste automatiquement le volume et l\'intensité ' +
            'en fonction de vos feedbacks. Détecte la fatigue ' +
@@ -197,12 +230,14 @@ class RIRAlgorithm {
    * @param {number} weekNumber
    * @param {number} testMax
    * @param {Array<Object>} history
+   * @param {string} [unit] — Unité du test max (reps par défaut)
+   * @param {Object} [schedule] — Forme de la semaine (6 jours par défaut)
    * @returns {Object}
    */
-  generatePlan(weekNumber, testMax, history) {
+  generatePlan(weekNumber, testMax, history, unit = UNITS.REPS, schedule = DEFAULT_SCHEDULE) {
     // Mode grand débutant
-    if (testMax < 5) {
-      return this._generateBeginnerPlan();
+    if (isBeginnerTestMax(testMax, unit)) {
+      return this._generateBeginnerPlan(unit, schedule);
     }
 
     // 1. Calculer le RIR moyen
@@ -216,27 +251,30 @@ class RIRAlgorithm {
 
     // 3. Calculer le volume total et les reps cibles
     const volumeTotal = testMax * volumeConfig.multiplier;
-    const repsCible = this._calculateTargetReps(testMax, rirMoyen);
+    const repsCible = this._calculateTargetReps(testMax, rirMoyen, unit);
 
-    // 4. Générer le plan jour par jour
+    // 4. Générer le plan jour par jour (jours d'entraînement uniquement)
     const plan = {};
+    const distribution = sampleRatios(DAILY_DISTRIBUTION, schedule);
+    const restPreference = getRestPreference(history);
 
-    for (let i = 0; i < DAILY_DISTRIBUTION.length; i++) {
-      const dayNumber = i + 2;
-      const dayVolume = round(volumeTotal * DAILY_DISTRIBUTION[i]);
+    getTrainingDays(schedule).forEach((dayNumber, i) => {
+      const dayVolume = round(volumeTotal * distribution[i]);
 
       const dayPlan = this._generateDayPlan(
         dayVolume,
         repsCible,
         testMax,
-        volumeConfig.status
+        volumeConfig.status,
+        unit,
+        restPreference
       );
 
       plan[`day${dayNumber}`] = dayPlan;
-    }
+    });
 
     // 5. Appliquer les ajustements inter-séance
-    this._applyInterSessionAdjustments(plan, lastWeek, testMax);
+    this._applyInterSessionAdjustments(plan, lastWeek, testMax, unit);
 
     return plan;
   }
@@ -248,11 +286,16 @@ class RIRAlgorithm {
 
   /**
    * Convertit un feedback en valeur RIR.
+   * Les RIR saisis série par série, s'il y en a, priment.
    *
-   * @param {string} feedback — 'facile', 'parfait', ou 'impossible'
+   * @param {string} feedback — 'facile', 'parfait', 'difficile' ou 'impossible'
+   * @param {Object} [session] — Séance (seriesDetail[].rir)
    * @returns {number} Valeur RIR estimée
    */
-  mapFeedbackToRIR(feedback) {
+  mapFeedbackToRIR(feedback, session = null) {
+    const seriesRIR = getSeriesRIR(session);
+    if (seriesRIR.length > 0) return round(mean(seriesRIR), 1);
+
     if (!feedback || typeof feedback !== 'string') return TARGET_RIR;
     return FEEDBACK_TO_RIR[feedback] ?? TARGET_RIR;
   }
@@ -260,8 +303,8 @@ class RIRAlgorithm {
   /**
    * Calcule le RIR moyen d'une semaine à partir de son feedbackSummary.
    *
-   * Si le feedbackSummary contient un rirMoyen pré-calculé, l'utilise.
-   * Sinon, calcule à partir des compteurs de feedbacks.
+   * Priorité aux RIR saisis série par série ; sinon le rirMoyen
+   * pré-calculé du feedbackSummary ; sinon les compteurs de feedbacks.
    *
    * @param {Object|null} week — Données de la semaine
    * @returns {number} RIR moyen (défaut: 2 = optimal)
@@ -271,6 +314,12 @@ class RIRAlgorithm {
     if (!week) return TARGET_RIR;
 
     const summary = week.feedbackSummary;
+
+    // RIR saisis série par série : plus fins que le résumé
+    if ((week.sessions || []).some(session => getSeriesRIR(session).length > 0)) {
+      return this._calculateRIRFromFeedbacks(summary || {}, week.sessions);
+    }
+
     if (!summary) return TARGET_RIR;
 
     // Utiliser le RIR moyen pré-calculé s'il existe
@@ -283,21 +332,42 @@ class RIRAlgorithm {
   }
 
   /**
-   * Calcule le RIR moyen à partir des compteurs de feedbacks.
+   * Calcule le RIR moyen à partir des feedbacks.
    *
-   * @param {Object} summary — { facile, parfait, impossible }
+   * Avec le détail des séances : une valeur par série saisie,
+   * une valeur par séance notée sans saisie (mapping du feedback).
+   * Sinon : compteurs du résumé.
+   *
+   * @param {Object} summary — { facile, parfait, difficile, impossible }
+   * @param {Array<Object>} [sessions] — Séances de la semaine
    * @returns {number}
    * @private
    */
-  _calculateRIRFromFeedbacks(summary) {
-    const { facile = 0, parfait = 0, impossible = 0 } = summary;
-    const total = facile + parfait + impossible;
+  _calculateRIRFromFeedbacks(summary, sessions = []) {
+    const sessionValues = [];
+
+    (sessions || []).forEach(session => {
+      if (session.type === 'test_max' || session.status !== 'completed') return;
+
+      const seriesRIR = getSeriesRIR(session);
+      if (seriesRIR.length > 0) {
+        sessionValues.push(...seriesRIR);
+      } else if (session.feedback in FEEDBACK_TO_RIR) {
+        sessionValues.push(FEEDBACK_TO_RIR[session.feedback]);
+      }
+    });
+
+    if (sessionValues.length > 0) return round(mean(sessionValues), 1);
+
+    const { facile = 0, parfait = 0, difficile = 0, impossible = 0 } = summary;
+    const total = facile + parfait + difficile + impossible;
 
     if (total === 0) return TARGET_RIR;
 
     const rirValues = [
       ...Array(facile).fill(FEEDBACK_TO_RIR.facile),
       ...Array(parfait).fill(FEEDBACK_TO_RIR.parfait),
+      ...Array(difficile).fill(FEEDBACK_TO_RIR.difficile),
       ...Array(impossible).fill(FEEDBACK_TO_RIR.impossible)
     ];
 
@@ -339,13 +409,14 @@ class RIRAlgorithm {
    *
    * @param {number} testMax
    * @param {number} rirMoyen
+   * @param {string} [unit]
    * @returns {number}
    * @private
    */
-  _calculateTargetReps(testMax, rirMoyen) {
+  _calculateTargetReps(testMax, rirMoyen, unit = UNITS.REPS) {
     const ratio = 0.6 + rirMoyen * 0.05;
     const reps = round(testMax * ratio);
-    return clamp(reps, 3, Math.ceil(testMax * 1.2));
+    return boundAmount(reps, testMax, unit);
   }
 
 
@@ -360,19 +431,21 @@ class RIRAlgorithm {
    * @param {number} repsCible — Reps cibles par série
    * @param {number} testMax
    * @param {string} status — Status du volume (optimal, deload, etc.)
+   * @param {string} unit — Unité du test max
+   * @param {Object|null} [restPreference] — Préférence de repos (utils/rest.js)
    * @returns {{series: number, reps: number, rest: number, type: string}}
    * @private
    */
-  _generateDayPlan(dayVolume, repsCible, testMax, status) {
+  _generateDayPlan(dayVolume, repsCible, testMax, status, unit, restPreference = null) {
     // Calculer le nombre de séries
     let series = repsCible > 0 ? round(dayVolume / repsCible) : 3;
 
     // Borner
     series = clamp(series, 2, 10);
-    const reps = clamp(repsCible, 3, Math.ceil(testMax * 1.2));
+    const reps = boundAmount(repsCible, testMax, unit);
 
     // Calculer le repos basé sur le RIR
-    const rest = this._calculateRIRBasedRest(reps, status);
+    const rest = this._calculateRIRBasedRest(toRestBasis(reps, unit), status, restPreference);
 
     // Déterminer le type
     const type = status === 'deload' ? 'DELOAD' : 'STANDARD';
@@ -392,12 +465,15 @@ class RIRAlgorithm {
    * - optimal  : repos standard
    * - moderate : repos légèrement allongé
    *
+   * Le résultat suit ensuite la préférence de repos apprise.
+   *
    * @param {number} reps
    * @param {string} status
+   * @param {Object|null} [restPreference] — getRestPreference()
    * @returns {number} Repos en secondes
    * @private
    */
-  _calculateRIRBasedRest(reps, status) {
+  _calculateRIRBasedRest(reps, status, restPreference = null) {
     let baseRest;
 
     switch (status) {
@@ -419,7 +495,7 @@ class RIRAlgorithm {
     // Ajustement par nombre de reps
     const rest = calculateRest(reps, baseRest, 15, 5, 5);
 
-    return clamp(round(rest), 20, 180);
+    return applyRestPreference(clamp(round(rest), 20, 180), restPreference);
   }
 
 
@@ -432,14 +508,16 @@ class RIRAlgorithm {
    *
    * Si le dernier feedback est "facile" → +10% reps
    * Si le dernier feedback est "parfait" → +5% reps
+   * Si le dernier feedback est "difficile" → −5% reps
    * "impossible" est géré par la règle Impossible dans engine.js
    *
    * @param {Object} plan — Plan J2-J7 (modifié en place)
    * @param {Object|null} lastWeek — Dernière semaine
    * @param {number} testMax
+   * @param {string} unit
    * @private
    */
-  _applyInterSessionAdjustments(plan, lastWeek, testMax) {
+  _applyInterSessionAdjustments(plan, lastWeek, testMax, unit) {
     if (!lastWeek || !lastWeek.sessions || !Array.isArray(lastWeek.sessions)) {
       return;
     }
@@ -452,12 +530,11 @@ class RIRAlgorithm {
     }
 
     const multiplier = INTER_SESSION_ADJUSTMENTS[lastFeedback];
-    const maxReps = Math.ceil(testMax * 1.2);
 
     // Appliquer le multiplicateur à tous les jours
     for (const dayKey of Object.keys(plan)) {
       const day = plan[dayKey];
-      day.reps = clamp(round(day.reps * multiplier), 3, maxReps);
+      day.reps = boundAmount(round(day.reps * multiplier), testMax, unit);
     }
   }
 
@@ -505,19 +582,16 @@ class RIRAlgorithm {
   /**
    * Génère un plan simplifié pour les grands débutants.
    *
+   * @param {string} unit
+   * @param {Object} [schedule]
    * @returns {Object}
    * @private
    */
-  _generateBeginnerPlan() {
+  _generateBeginnerPlan(unit, schedule = DEFAULT_SCHEDULE) {
     const plan = {};
-    for (let d = 2; d <= 7; d++) {
-      plan[`day${d}`] = {
-        series: 5,
-        reps: 3,
-        rest: 90,
-        type: 'DEBUTANT'
-      };
-    }
+    getTrainingDays(schedule).forEach(d => {
+      plan[`day${d}`] = getBeginnerDay(unit);
+    });
     return plan;
   }
 
@@ -666,6 +740,24 @@ class RIRAlgorithm {
 }
 
 
+/* ──────────────────────────────────────────────────────────────
+   UTILITAIRES
+   ────────────────────────────────────────────────────────────── */
+
+/**
+ * RIR saisis pour chaque série d'une séance (séries sans
+ * saisie ignorées).
+ *
+ * @param {Object|null} session — { actual: { seriesDetail: [{ rir }] } }
+ * @returns {number[]}
+ */
+export function getSeriesRIR(session) {
+  return (session?.actual?.seriesDetail || [])
+    .map(series => series.rir)
+    .filter(rir => Number.isFinite(rir));
+}
+
+
 // ── Export ──
 
 export { RIRAlgorithm, FEEDBACK_TO_RIR, VOLUME_MULTIPLIERS };
@@ -3,7 +3,7 @@
 
    Responsabilité unique : scoring comparatif des algorithmes.
    ─────────────────────────────────────────────────────────────
-   Évalue et compare les 5 algorithmes de progression en
+   Évalue et compare les algorithmes de progression en
    calculant un score composite pour chacun.
 
    Le score composite combine trois dimensions :
@@ -15,6 +15,19 @@
    La pondération temporelle fait que les semaines récentes
    comptent plus que les anciennes.
 
+   Configuration :
+     Pondérations, décroissance temporelle et pénalités sont
+     réglables (profile.settings.scoring, cf. DEFAULT_SCORING_CONFIG).
+     Les valeurs ci-dessus sont les valeurs par défaut.
+
+   Stratégies de sélection :
+     Le choix final à partir des scores est délégué à une
+     stratégie enregistrée (registerSelectionStrategy). Par
+     défaut : meilleur score composite. La stratégie « bandit »
+     (Thompson sampling sur la précision) laisse une chance aux
+     algorithmes distancés ; ses tirages dépendent d'une graine
+     fixe (banditSeed + semaine) et sont donc reproductibles.
+
    ─────────────────────────────────────────────────────────────
    API publique :
 
@@ -23,7 +36,13 @@
      scorer.calculateTrendScore(history)                             → number
      scorer.calculateCompositeScore(precision, feedback, trend)      → number
      scorer.scoreAllAlgorithms(history, predictions, actualTestMax)  → Object
-     scorer.selectBestAlgorithm(scores)                              → {name, score, reason}
+     scorer.selectBestAlgorithm(scores, context)                     → {name, score, reason}
+     scorer.collectPrecisionScores(history, algoName)                → Observations (bandit)
+     scorer.setConfig(config) / scorer.getConfig()                   → Configuration active
+
+     normalizeScoringConfig(config)          → Configuration complète et bornée
+     registerSelectionStrategy(name, def)    → Ajoute une stratégie
+     getSelectionStrategies()                → Stratégies disponibles
    ════════════════════════════════════════════════════════════════ */
 
 import {
@@ -32,8 +51,12 @@ import {
   mean,
   exponentialWeight,
   progressionRate,
-  detectTrend
+  detectTrend,
+  createSeededRandom,
+  sampleBeta
 } from '../utils/math.js';
+import { getSeriesRIR } from './rir.js';
+import { UNITS, formatAmount } from '../utils/units.js';
 
 
 // ── Constantes ──
@@ -84,6 +107,22 @@ const IMPOSSIBLE_PENALTY = 150;
  */
 const PARFAIT_BONUS = 100;
 
+/**
+ * Bonus par feedback "difficile" : séance terminée mais à la
+ * limite de l'échec, moitié moins bien calibrée qu'une "parfaite".
+ */
+const DIFFICILE_BONUS = 50;
+
+/**
+ * Score de calibration d'une série selon son RIR saisi (index 0–5).
+ *
+ * RIR 2 = zone idéale (100). L'échec (RIR 0) est le plus pénalisé,
+ * une série trop facile l'est progressivement.
+ */
+const RIR_CALIBRATION_SCORES = [0, 70, 100, 80, 50, 25];
+
+Object.freeze(RIR_CALIBRATION_SCORES);
+
 /**
  * Seuil de variation (%) sous lequel la tendance est "stagnante".
  */
@@ -100,11 +139,313 @@ const MIN_TREND_WEEKS = 2;
  */
 const TREND_WINDOW = 3;
 
+/** Stratégie de sélection par défaut */
+const DEFAULT_STRATEGY = 'composite';
+
+/**
+ * Configuration de scoring par défaut (profile.settings.scoring).
+ * Les pondérations n'ont pas besoin de sommer à 1 : le score
+ * composite est divisé par leur somme.
+ */
+const DEFAULT_SCORING_CONFIG = {
+  strategy: DEFAULT_STRATEGY,
+  weights: {
+    precision: SCORE_WEIGHTS.PRECISION,
+    feedback:  SCORE_WEIGHTS.FEEDBACK,
+    trend:     SCORE_WEIGHTS.TREND
+  },
+  temporalDecay: TEMPORAL_DECAY,
+  precisionPenalty: PRECISION_PENALTY_FACTOR,
+  impossiblePenalty: IMPOSSIBLE_PENALTY,
+  banditSeed: 1
+};
+
+/** Bornes et pas des paramètres réglables */
+const SCORING_CONFIG_BOUNDS = {
+  WEIGHT_MIN: 0,
+  WEIGHT_MAX: 1,
+  WEIGHT_STEP: 0.05,
+  DECAY_MIN: 0.5,
+  DECAY_MAX: 1,
+  DECAY_STEP: 0.05,
+  PRECISION_PENALTY_MIN: 50,
+  PRECISION_PENALTY_MAX: 400,
+  PRECISION_PENALTY_STEP: 25,
+  IMPOSSIBLE_PENALTY_MIN: 0,
+  IMPOSSIBLE_PENALTY_MAX: 300,
+  IMPOSSIBLE_PENALTY_STEP: 10,
+  BANDIT_SEED_MIN: 0,
+  BANDIT_SEED_MAX: 999,
+  BANDIT_SEED_STEP: 1
+};
+
+Object.freeze(DEFAULT_SCORING_CONFIG.weights);
+Object.freeze(DEFAULT_SCORING_CONFIG);
+Object.freeze(SCORING_CONFIG_BOUNDS);
+
+
+/* ──────────────────────────────────────────────────────────────
+   CONFIGURATION
+   ────────────────────────────────────────────────────────────── */
+
+/**
+ * Complète une configuration partielle avec les valeurs par
+ * défaut et borne chaque paramètre.
+ *
+ * Une stratégie inconnue retombe sur la stratégie par défaut ;
+ * des pondérations toutes nulles retombent sur les pondérations
+ * par défaut.
+ *
+ * @param {Object|null} config
+ * @returns {{
+ *   strategy: string,
+ *   weights: {precision: number, feedback: number, trend: number},
+ *   temporalDecay: number,
+ *   precisionPenalty: number,
+ *   impossiblePenalty: number,
+ *   banditSeed: number
+ * }}
+ */
+export function normalizeScoringConfig(config) {
+  const B = SCORING_CONFIG_BOUNDS;
+  const source = config || {};
+  const number = (value, fallback, min, max) => (
+    Number.isFinite(value) ? round(clamp(value, min, max), 2) : fallback
+  );
+
+  const weights = {};
+  Object.keys(DEFAULT_SCORING_CONFIG.weights).forEach(key => {
+    weights[key] = number(
+      source.weights?.[key],
+      DEFAULT_SCORING_CONFIG.weights[key],
+      B.WEIGHT_MIN,
+      B.WEIGHT_MAX
+    );
+  });
+
+  const totalWeight = Object.values(weights).reduce((sum, w) => sum + w, 0);
+
+  return {
+    strategy: SELECTION_STRATEGIES.has(source.strategy) ? source.strategy : DEFAULT_STRATEGY,
+    weights: totalWeight > 0 ? weights : { ...DEFAULT_SCORING_CONFIG.weights },
+    temporalDecay: number(source.temporalDecay, TEMPORAL_DECAY, B.DECAY_MIN, B.DECAY_MAX),
+    precisionPenalty: number(
+      source.precisionPenalty, PRECISION_PENALTY_FACTOR,
+      B.PRECISION_PENALTY_MIN, B.PRECISION_PENALTY_MAX
+    ),
+    impossiblePenalty: number(
+      source.impossiblePenalty, IMPOSSIBLE_PENALTY,
+      B.IMPOSSIBLE_PENALTY_MIN, B.IMPOSSIBLE_PENALTY_MAX
+    ),
+    banditSeed: Number.isInteger(source.banditSeed)
+      ? clamp(source.banditSeed, B.BANDIT_SEED_MIN, B.BANDIT_SEED_MAX)
+      : DEFAULT_SCORING_CONFIG.banditSeed
+  };
+}
+
+
+/* ──────────────────────────────────────────────────────────────
+   STRATÉGIES DE SÉLECTION
+
+   Une stratégie classe les algorithmes à partir des scores :
+     {
+       label: string,
+       description: string,
+       rank(scores, context) → Array<[name, scores]>  (meilleur en tête)
+       explain?(bestName, bestScores, ranking, context) → string
+     }
+   context = { weekNumber, weekHistory, scoringHistory, unit } (peut
+   être vide), complété par le scorer : { config, scorer }.
+   Sans explain(), la raison générique du scorer est utilisée.
+   ────────────────────────────────────────────────────────────── */
+
+/**
+ * Prédiction du test max dans l'unité de l'exercice
+ * (reps par défaut).
+ *
+ * @param {number} prediction
+ * @param {Object} [context] — { unit }
+ * @returns {string}
+ */
+function formatPrediction(prediction, context = {}) {
+  return `Prédiction : ${formatAmount(prediction, context.unit || UNITS.REPS)}`;
+}
+
+/** @type {Map<string, Object>} Stratégies enregistrées */
+const SELECTION_STRATEGIES = new Map();
+
+/**
+ * Enregistre (ou remplace) une stratégie de sélection.
+ *
+ * @param {string} name
+ * @param {Object} strategy — Cf. contrat ci-dessus
+ * @throws {Error} Si le contrat n'est pas respecté
+ */
+export function registerSelectionStrategy(name, strategy) {
+  if (!name || typeof name !== 'string') {
+    throw new Error('Stratégie invalide : le nom doit être une chaîne non vide.');
+  }
+
+  if (!strategy || typeof strategy.rank !== 'function') {
+    throw new Error(`Stratégie invalide : méthode "rank" manquante sur "${name}".`);
+  }
+
+  SELECTION_STRATEGIES.set(name, Object.freeze({
+    name,
+    label: strategy.label || name,
+    description: strategy.description || '',
+    rank: strategy.rank,
+    explain: typeof strategy.explain === 'function' ? strategy.explain : null
+  }));
+}
+
+/**
+ * Liste les stratégies disponibles (pour l'affichage).
+ *
+ * @returns {Array<{name: string, label: string, description: string}>}
+ */
+export function getSelectionStrategies() {
+  return [...SELECTION_STRATEGIES.values()].map(({ name, label, description }) => ({
+    name,
+    label,
+    description
+  }));
+}
+
+registerSelectionStrategy('composite', {
+  label: 'Score composite',
+  description: 'Meilleur score pondéré précision / feedback / tendance.',
+  rank: (scores) => Object.entries(scores)
+    .sort(([, a], [, b]) => b.composite - a.composite)
+});
+
+registerSelectionStrategy('precision', {
+  label: 'Précision pure',
+  description: 'Algorithme qui prédit le mieux le test max, feedback et tendance ignorés.',
+  rank: (scores) => Object.entries(scores)
+    .sort(([, a], [, b]) => (b.scorePrecision - a.scorePrecision) || (b.composite - a.composite)),
+  explain: (bestName, bestScores, ranking, context) => {
+    const parts = [`Stratégie précision pure : ${bestScores.scorePrecision}/100`];
+
+    if (ranking.length > 1) {
+      const gap = round(bestScores.scorePrecision - ranking[1][1].scorePrecision, 1);
+      parts.push(`+${gap} pts sur le second`);
+    }
+
+    if (bestScores.prediction !== null) {
+      parts.push(formatPrediction(bestScores.prediction, context));
+    }
+
+    return parts.join('. ') + '.';
+  }
+});
+
+/**
+ * Thompson sampling : chaque algorithme a une loi Beta dont les
+ * « succès » sont ses scores de précision passés (÷ 100, pondérés
+ * par la décroissance temporelle). Un tirage par algorithme, le
+ * plus haut l'emporte. Un algorithme peu observé a une loi large
+ * et peut être tiré devant le favori (exploration).
+ *
+ * @param {Object} scores
+ * @param {Object} context
+ * @returns {Array<[string, Object]>} Scores enrichis de banditSample / banditMean
+ */
+function rankByThompsonSampling(scores, context) {
+  const { config, scorer, scoringHistory = [], weekNumber = 1 } = context;
+  const seed = config ? config.banditSeed : DEFAULT_SCORING_CONFIG.banditSeed;
+  const decay = config ? config.temporalDecay : TEMPORAL_DECAY;
+  const random = createSeededRandom(Math.imul(seed + 1, 2654435761) ^ weekNumber);
+
+  // Ordre alphabétique : tirages indépendants de l'ordre des scores
+  return Object.keys(scores)
+    .sort()
+    .map(name => {
+      let alpha = 1;
+      let beta = 1;
+
+      (scorer ? scorer.collectPrecisionScores(scoringHistory, name) : []).forEach(({ week, score }) => {
+        const weight = exponentialWeight(weekNumber, week, decay);
+        alpha += weight * (score / 100);
+        beta += weight * (1 - score / 100);
+      });
+
+      return [name, {
+        ...scores[name],
+        banditSample: round(sampleBeta(alpha, beta, random), 3),
+        banditMean: round(alpha / (alpha + beta), 3),
+        banditObservations: round(alpha + beta - 2, 1)
+      }];
+    })
+    .sort(([, a], [, b]) => b.banditSample - a.banditSample);
+}
+
+registerSelectionStrategy('bandit', {
+  label: 'Bandit (exploration)',
+  description: 'Thompson sampling sur la précision : les algorithmes distancés sont encore testés de temps en temps.',
+  rank: rankByThompsonSampling,
+  explain: (bestName, bestScores, ranking, context) => {
+    const favorite = ranking.reduce(
+      (best, entry) => (entry[1].banditMean > best[1].banditMean ? entry : best),
+      ranking[0]
+    );
+    const isExploration = favorite[0] !== bestName
+      && favorite[1].banditMean > bestScores.banditMean;
+
+    const parts = isExploration
+      ? [
+        `Exploration : ${bestName} tiré à ${bestScores.banditSample}`
+          + ` (moyenne ${bestScores.banditMean}, ${bestScores.banditObservations} obs.)`,
+        `Favori ${favorite[0]} tiré à ${favorite[1].banditSample} (moyenne ${favorite[1].banditMean})`
+      ]
+      : [
+        `Exploitation : ${bestName} tiré à ${bestScores.banditSample}`
+          + ` (moyenne ${bestScores.banditMean}, ${bestScores.banditObservations} obs.)`
+      ];
+
+    if (bestScores.prediction !== null) {
+      parts.push(formatPrediction(bestScores.prediction, context));
+    }
+
+    return parts.join('. ') + '.';
+  }
+});
+
 
 // ── Classe AlgorithmScorer ──
 
 class AlgorithmScorer {
 
+  /**
+   * @param {Object} [config] — Configuration de scoring (cf. normalizeScoringConfig)
+   */
+  constructor(config = null) {
+    /** @type {Object} Configuration active (normalisée) */
+    this._config = normalizeScoringConfig(config);
+  }
+
+  /**
+   * Remplace la configuration active.
+   *
+   * @param {Object|null} config — Partielle ou complète ; null = défauts
+   */
+  setConfig(config) {
+    this._config = normalizeScoringConfig(config);
+  }
+
+  /**
+   * Retourne une copie de la configuration active.
+   *
+   * @returns {Object}
+   */
+  getConfig() {
+    return {
+      ...this._config,
+      weights: { ...this._config.weights }
+    };
+  }
+
+
   /* ──────────────────────────────────────────────────────────
      1. SCORE DE PRÉCISION
      
@@ -160,7 +501,7 @@ class AlgorithmScorer {
 
     predictions.forEach(prediction => {
       const score = this._singlePrecisionScore(prediction.predicted, prediction.actual);
-      const weight = exponentialWeight(currentWeek, prediction.week, TEMPORAL_DECAY);
+      const weight = exponentialWeight(currentWeek, prediction.week, this._config.temporalDecay);
 
       weightedScore += score * weight;
       totalWeight += weight;
@@ -183,11 +524,26 @@ class AlgorithmScorer {
     if (actual <= 0) return NEUTRAL_SCORE;
 
     const errorRelative = Math.abs(predicted - actual) / actual;
-    const score = 100 - errorRelative * PRECISION_PENALTY_FACTOR;
+    const score = 100 - errorRelative * this._config.precisionPenalty;
 
     return clamp(round(score, 1), 0, 100);
   }
 
+  /**
+   * Score de précision de chaque prédiction passée d'un algorithme
+   * (observations utilisées par la stratégie bandit).
+   *
+   * @param {Array<Object>} scoringHistory
+   * @param {string} algoName
+   * @returns {Array<{week: number, score: number}>}
+   */
+  collectPrecisionScores(scoringHistory, algoName) {
+    return this._collectPredictions(scoringHistory, algoName).map(prediction => ({
+      week: prediction.week,
+      score: this._singlePrecisionScore(prediction.predicted, prediction.actual)
+    }));
+  }
+
   /**
    * Collecte toutes les prédictions passées d'un algorithme.
    *
@@ -274,17 +630,23 @@ class AlgorithmScorer {
      Mesure la qualité des feedbacks quand cet algorithme
      était actif.
      
-     score = taux_parfait × 100 - taux_impossible × 150
+     score = taux_parfait × 100 + taux_difficile × 50
+           - taux_impossible × 150
      
      Un algorithme qui génère beaucoup de "parfait" et peu
      d'"impossible" est bien calibré.
+
+     Si des RIR ont été saisis série par série, la semaine est
+     notée par la calibration moyenne de ses séries
+     (RIR_CALIBRATION_SCORES) ; une séance notée sans saisie
+     compte pour son score à trois niveaux.
      ────────────────────────────────────────────────────────── */
 
   /**
    * Calcule le score de feedback d'un algorithme.
    *
    * @param {Array<Object>} history — Historique des semaines
-   *   Chaque entrée : { selectedAlgorithm, feedbackSummary: { facile, parfait, impossible } }
+   *   Chaque entrée : { selectedAlgorithm, feedbackSummary: { facile, parfait, difficile, impossible }, sessions? }
    * @param {string} algoName — Nom de l'algorithme à évaluer
    * @returns {number} Score de 0 à 100
    */
@@ -305,7 +667,7 @@ class AlgorithmScorer {
     let weekCount = 0;
 
     relevantWeeks.forEach(week => {
-      const score = this._singleFeedbackScore(week.feedbackSummary);
+      const score = this._singleFeedbackScore(week.feedbackSummary, week.sessions);
       if (score !== null) {
         totalScore += score;
         weekCount++;
@@ -320,26 +682,67 @@ class AlgorithmScorer {
   /**
    * Calcule le score de feedback pour une seule semaine.
    *
-   * @param {Object|null} feedbackSummary — { facile, parfait, impossible }
+   * @param {Object|null} feedbackSummary — { facile, parfait, difficile, impossible }
+   *   (difficile absent des données antérieures → 0)
+   * @param {Array<Object>} [sessions] — Séances (RIR par série)
    * @returns {number|null} Score ou null si pas de données
    * @private
    */
-  _singleFeedbackScore(feedbackSummary) {
+  _singleFeedbackScore(feedbackSummary, sessions = []) {
+    const rirScore = this._seriesRIRScore(sessions);
+    if (rirScore !== null) return rirScore;
+
     if (!feedbackSummary) return null;
 
-    const { facile = 0, parfait = 0, impossible = 0 } = feedbackSummary;
-    const total = facile + parfait + impossible;
+    const { facile = 0, parfait = 0, difficile = 0, impossible = 0 } = feedbackSummary;
+    const total = facile + parfait + difficile + impossible;
 
     if (total === 0) return null;
 
     const tauxParfait = parfait / total;
+    const tauxDifficile = difficile / total;
     const tauxImpossible = impossible / total;
 
-    const score = tauxParfait * PARFAIT_BONUS - tauxImpossible * IMPOSSIBLE_PENALTY;
+    const score = tauxParfait * PARFAIT_BONUS
+      + tauxDifficile * DIFFICILE_BONUS
+      - tauxImpossible * this._config.impossiblePenalty;
 
     return clamp(round(score, 1), 0, 100);
   }
 
+  /**
+   * Score de feedback d'une semaine à partir des RIR saisis
+   * série par série. Une séance notée sans saisie compte
+   * pour le score à trois niveaux de son feedback.
+   *
+   * @param {Array<Object>} sessions
+   * @returns {number|null} null si aucun RIR saisi
+   * @private
+   */
+  _seriesRIRScore(sessions) {
+    const trainings = (sessions || []).filter(
+      session => session.type !== 'test_max' && session.status === 'completed'
+    );
+    if (!trainings.some(session => getSeriesRIR(session).length > 0)) return null;
+
+    const values = [];
+
+    trainings.forEach(session => {
+      const seriesRIR = getSeriesRIR(session);
+
+      if (seriesRIR.length > 0) {
+        seriesRIR.forEach(rir => {
+          values.push(RIR_CALIBRATION_SCORES[clamp(round(rir), 0, RIR_CALIBRATION_SCORES.length - 1)]);
+        });
+      } else if (session.feedback) {
+        const score = this._singleFeedbackScore({ [session.feedback]: 1 });
+        if (score !== null) values.push(score);
+      }
+    });
+
+    return values.length > 0 ? clamp(round(mean(values), 1), 0, 100) : null;
+  }
+
 
   /* ──────────────────────────────────────────────────────────
      3. SCORE DE TENDANCE
@@ -463,6 +866,9 @@ class AlgorithmScorer {
      composite = 0.50 × précision
                + 0.30 × feedback
                + 0.20 × tendance
+
+     Avec des pondérations personnalisées, la somme est
+     ramenée à 1 (division par le total des pondérations).
      ────────────────────────────────────────────────────────── */
 
   /**
@@ -474,10 +880,14 @@ class AlgorithmScorer {
    * @returns {number} Score composite (0-100)
    */
   calculateCompositeScore(precision, feedback, trend) {
-    const composite =
-      SCORE_WEIGHTS.PRECISION * precision +
-      SCORE_WEIGHTS.FEEDBACK  * feedback +
-      SCORE_WEIGHTS.TREND     * trend;
+    const weights = this._config.weights;
+    const totalWeight = weights.precision + weights.feedback + weights.trend;
+
+    const composite = (
+      weights.precision * precision +
+      weights.feedback  * feedback +
+      weights.trend     * trend
+    ) / totalWeight;
 
     return clamp(round(composite, 1), 0, 100);
   }
@@ -541,12 +951,14 @@ class AlgorithmScorer {
      ────────────────────────────────────────────────────────── */
 
   /**
-   * Sélectionne l'algorithme avec le meilleur score composite.
+   * Sélectionne le meilleur algorithme selon la stratégie
+   * configurée (par défaut : meilleur score composite).
    *
    * @param {Object} scores — Résultat de scoreAllAlgorithms()
+   * @param {Object} [context] — { weekNumber, weekHistory, scoringHistory, unit }
    * @returns {{name: string, score: number, reason: string}}
    */
-  selectBestAlgorithm(scores) {
+  selectBestAlgorithm(scores, context = {}) {
     if (!scores || Object.keys(scores).length === 0) {
       return {
         name: 'linear',
@@ -555,14 +967,19 @@ class AlgorithmScorer {
       };
     }
 
-    // Trier par score composite décroissant
-    const sorted = Object.entries(scores)
-      .sort(([, a], [, b]) => b.composite - a.composite);
+    const strategy = SELECTION_STRATEGIES.get(this._config.strategy)
+      || SELECTION_STRATEGIES.get(DEFAULT_STRATEGY);
+
+    // Classement par la stratégie (meilleur en tête)
+    const strategyContext = { ...context, config: this._config, scorer: this };
+    const sorted = strategy.rank(scores, strategyContext);
 
     const [bestName, bestScores] = sorted[0];
 
     // Générer la raison
-    const reason = this._generateReason(bestName, bestScores, sorted);
+    const reason = strategy.explain
+      ? strategy.explain(bestName, bestScores, sorted, strategyContext)
+      : this._generateReason(bestName, bestScores, sorted, strategyContext);
 
     return {
       name: bestName,
@@ -577,10 +994,11 @@ class AlgorithmScorer {
    * @param {string} bestName — Nom du meilleur algorithme
    * @param {Object} bestScores — Scores du meilleur algorithme
    * @param {Array} sorted — Tous les algorithmes triés
+   * @param {Object} [context] — Contexte de sélection ({ unit })
    * @returns {string}
    * @private
    */
-  _generateReason(bestName, bestScores, sorted) {
+  _generateReason(bestName, bestScores, sorted, context = {}) {
     const parts = [];
 
     // Score composite
@@ -612,7 +1030,7 @@ class AlgorithmScorer {
 
     // Prédiction si disponible
     if (bestScores.prediction !== null) {
-      parts.push(`Prédiction : ${bestScores.prediction} reps`);
+      parts.push(formatPrediction(bestScores.prediction, context));
     }
 
     return parts.join('. ') + '.';
@@ -747,12 +1165,14 @@ class AlgorithmScorer {
   }
 
   /**
-   * Retourne les pondérations utilisées (pour l'affichage).
+   * Retourne les pondérations utilisées (pour l'affichage), au
+   * format de SCORE_WEIGHTS (PRECISION, FEEDBACK, TREND).
    *
-   * @returns {Object}
+   * @returns {{PRECISION: number, FEEDBACK: number, TREND: number}}
    */
   getWeights() {
-    return { ...SCORE_WEIGHTS };
+    const { precision, feedback, trend } = this._config.weights;
+    return { PRECISION: precision, FEEDBACK: feedback, TREND: trend };
   }
 }
 
@@ -764,7 +1184,9 @@ export {
   SCORE_WEIGHTS,
   NEUTRAL_SCORE,
   TEMPORAL_DECAY,
-  PRECISION_PENALTY_FACTOR
+  PRECISION_PENALTY_FACTOR,
+  DEFAULT_SCORING_CONFIG,
+  SCORING_CONFIG_BOUNDS
 };
 
 export default AlgorithmScorer;
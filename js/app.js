@@ -21,10 +21,12 @@
      #/session     → Séance active
      #/feedback    → Feedback post-séance
      #/history     → Historique & statistiques
+     #/fitness     → Forme (fitness / fatigue)
      #/settings    → Paramètres
    ════════════════════════════════════════════════════════════════ */
 
 import { state, TOPICS } from './state.js';
+import engine from './algorithms/engine.js';
 
 // ── Imports dynamiques des écrans ──
 // Chaque écran est importé à la demande (lazy loading)
@@ -38,6 +40,7 @@ const screenModules = {
   session:    () => import('./screens/session.js'),
   feedback:   () => import('./screens/feedback.js'),
   history:    () => import('./screens/history.js'),
+  fitness:    () => import('./screens/fitness.js'),
   settings:   () => import('./screens/settings.js')
 };
 
@@ -71,6 +74,11 @@ const ROUTE_CONFIG = {
     navItem: 'history',
     title: 'Statistiques'
   },
+  fitness: {
+    showNav: true,
+    navItem: 'fitness',
+    title: 'Forme'
+  },
   settings: {
     showNav: true,
     navItem: 'settings',
@@ -134,12 +142,18 @@ class App {
       // Initialiser la couche données
       await state.init();
 
+      // Appliquer la configuration de scoring au moteur
+      this._setupScoringConfig();
+
       // Enregistrer le Service Worker
       this._registerServiceWorker();
 
       // Configurer la navigation
       this._setupNavigation();
 
+      // Rattraper le calendrier au retour dans l'app
+      this._setupCalendarSync();
+
       // Déterminer la route initiale
       const initialRoute = this._resolveInitialRoute();
 
@@ -323,6 +337,37 @@ class App {
     }
   }
 
+  /**
+   * Transmet au moteur la configuration de scoring des réglages,
+   * au démarrage puis à chaque modification des paramètres.
+   * @private
+   */
+  _setupScoringConfig() {
+    const apply = () => engine.setScoringConfig(state.getScoringConfig());
+
+    apply();
+    state.subscribe(TOPICS.SETTINGS, apply);
+  }
+
+  /**
+   * Re-synchronise le jour courant avec le calendrier quand l'app
+   * revient au premier plan (PWA laissée ouverte plusieurs jours).
+   * Ignoré pendant une séance ou son feedback : la séance en cours
+   * doit être enregistrée sur le jour où elle a commencé.
+   * @private
+   */
+  _setupCalendarSync() {
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState !== 'visible') return;
+      if (this._currentRoute === 'session' || this._currentRoute === 'feedback') return;
+      if (state.isFirstLaunch()) return;
+
+      state.syncCalendar().catch(error => {
+        console.error('Erreur de synchronisation du calendrier :', error);
+      });
+    });
+  }
+
   /**
    * Navigue vers une route.
    *
@@ -4,11 +4,15 @@
    Responsabilité unique : couche d'abstraction IndexedDB.
    ─────────────────────────────────────────────────────────────
    Fournit un accès CRUD asynchrone aux 4 stores :
-     1. user              → Profil et paramètres
+     1. user              → Profil et paramètres (+ point de
+                            reprise de la séance en cours)
      2. weeks             → Données hebdomadaires
      3. sessions          → Séances individuelles
      4. algorithm_history → Historique de scoring
 
+   Les stores weeks, sessions et algorithm_history sont
+   partitionnés par exercice (champ exerciseId, cf. exercises.js).
+
    Aucune logique métier ici — uniquement la persistance.
    Toute la validation et la transformation de données
    sont de la responsabilité de state.js et des algorithmes.
@@ -28,14 +32,17 @@
      // Méthodes spécialisées (raccourcis sémantiques)
      db.getProfile()              → Profil utilisateur
      db.saveProfile(data)         → Sauvegarde profil
-     db.getWeek(weekNumber)       → Données d'une semaine
-     db.getAllWeeks()              → Toutes les semaines (triées)
-     db.saveWeek(data)            → Sauvegarde semaine
-     db.getSession(weekN, dayN)   → Une séance spécifique
-     db.getSessionsByWeek(weekN)  → Toutes les séances d'une semaine
-     db.saveSession(data)         → Sauvegarde séance
-     db.getScoringHistory()       → Historique complet de scoring
-     db.saveScoringEntry(data)    → Sauvegarde un scoring
+     db.getSessionCheckpoint()    → Point de reprise de séance
+     db.saveSessionCheckpoint(d)  → Sauvegarde le point de reprise
+     db.deleteSessionCheckpoint() → Supprime le point de reprise
+     db.getWeek(exId, weekN)          → Données d'une semaine
+     db.getAllWeeks(exId)              → Toutes les semaines (triées)
+     db.saveWeek(data)                → Sauvegarde semaine
+     db.getSession(exId, weekN, dayN) → Une séance spécifique
+     db.getSessionsByWeek(exId, weekN)→ Toutes les séances d'une semaine
+     db.saveSession(data)             → Sauvegarde séance
+     db.getScoringHistory(exId)       → Historique complet de scoring
+     db.saveScoringEntry(data)        → Sauvegarde un scoring
 
      // Utilitaires
      db.exportAll()               → Exporte toute la base en objet
@@ -44,10 +51,15 @@
    ════════════════════════════════════════════════════════════════ */
 
 
+import { DEFAULT_EXERCISE_ID } from './exercises.js';
+import { getPendingMigrations, LATEST_SCHEMA_VERSION } from './migrations.js';
+import { MAX_WEEK_LENGTH } from './utils/schedule.js';
+
+
 // ── Constantes de la base ──
 
 const DB_NAME = 'abdopro';
-const DB_VERSION = 1;
+const DB_VERSION = LATEST_SCHEMA_VERSION;
 
 const STORES = {
   USER: 'user',
@@ -58,6 +70,9 @@ const STORES = {
 
 Object.freeze(STORES);
 
+/** Clé du point de reprise de séance dans le store user */
+const CHECKPOINT_KEY = 'session_checkpoint';
+
 
 // ── Classe Database ──
 
@@ -103,7 +118,9 @@ class Database {
       // ── Création / Migration des stores ──
       request.onupgradeneeded = (event) => {
         const db = event.target.result;
-        this._createStores(db);
+        const tx = event.target.transaction;
+
+        this._runMigrations(db, tx, event.oldVersion);
       };
 
       // ── Succès ──
@@ -139,44 +156,104 @@ class Database {
   }
 
   /**
-   * Crée les object stores lors de la première ouverture
-   * ou d'une montée de version.
+   * Joue les migrations du registre (cf. migrations.js) dont la
+   * version est supérieure à la version actuelle de la base.
+   * À la création (oldVersion = 0), toutes les étapes sont jouées.
+   *
+   * Les étapes sont enchaînées : une migration ne démarre qu'une
+   * fois les enregistrements de la précédente réécrits, afin de
+   * toujours lire des données au format de la version précédente.
+   *
+   * Exécuté dans la transaction 'versionchange' de onupgradeneeded.
+   * Une erreur annule la transaction : la base reste intacte.
    *
    * @param {IDBDatabase} db
+   * @param {IDBTransaction} tx
+   * @param {number} oldVersion
    * @private
    */
-  _createStores(db) {
-    // ── Store: user ──
-    // Clé manuelle (keyPath: 'id'). Un seul enregistrement : 'profile'.
-    if (!db.objectStoreNames.contains(STORES.USER)) {
-      db.createObjectStore(STORES.USER, { keyPath: 'id' });
-    }
+  _runMigrations(db, tx, oldVersion) {
+    const pending = getPendingMigrations(oldVersion, DB_VERSION);
 
-    // ── Store: weeks ──
-    // Clé manuelle (keyPath: 'id'). Format : 'week_N'.
-    // Index sur weekNumber pour les requêtes triées.
-    if (!db.objectStoreNames.contains(STORES.WEEKS)) {
-      const weeksStore = db.createObjectStore(STORES.WEEKS, { keyPath: 'id' });
-      weeksStore.createIndex('byWeekNumber', 'weekNumber', { unique: true });
-    }
+    const runStep = (index) => {
+      if (index >= pending.length) return;
+
+      const migration = pending[index];
+      if (migration.upgradeSchema) {
+        migration.upgradeSchema(db, tx);
+      }
 
-    // ── Store: sessions ──
-    // Clé manuelle (keyPath: 'id'). Format : 'weekN_dayM'.
-    // Index sur weekNumber pour récupérer toutes les séances d'une semaine.
-    // Index sur date pour les requêtes chronologiques.
-    if (!db.objectStoreNames.contains(STORES.SESSIONS)) {
-      const sessionsStore = db.createObjectStore(STORES.SESSIONS, { keyPath: 'id' });
-      sessionsStore.createIndex('byWeek', 'weekNumber', { unique: false });
-      sessionsStore.createIndex('byDate', 'date', { unique: false });
+      this._migrateRecords(tx, migration.records, () => runStep(index + 1));
+    };
+
+    runStep(0);
+  }
+
+  /**
+   * Réécrit tous les enregistrements des stores concernés
+   * par une migration, puis appelle onDone.
+   *
+   * Les enregistrements sont relus, le store vidé puis
+   * ré-alimenté : une transformation peut donc changer la clé.
+   *
+   * @param {IDBTransaction} tx
+   * @param {Object<string, Function>|undefined} records — { storeName: transform }
+   * @param {Function} onDone
+   * @private
+   */
+  _migrateRecords(tx, records, onDone) {
+    const entries = Object.entries(records || {});
+    let remaining = entries.length;
+
+    if (remaining === 0) {
+      onDone();
+      return;
     }
 
-    // ── Store: algorithm_history ──
-    // Clé manuelle (keyPath: 'id'). Format : 'scoring_weekN'.
-    // Index sur weekNumber pour les requêtes triées.
-    if (!db.objectStoreNames.contains(STORES.ALGORITHM_HISTORY)) {
-      const algoStore = db.createObjectStore(STORES.ALGORITHM_HISTORY, { keyPath: 'id' });
-      algoStore.createIndex('byWeekNumber', 'weekNumber', { unique: true });
+    entries.forEach(([storeName, transform]) => {
+      const store = tx.objectStore(storeName);
+      const request = store.getAll();
+
+      request.onsuccess = () => {
+        const existing = request.result || [];
+        store.clear();
+        existing.forEach(record => store.put(transform(record)));
+
+        remaining--;
+        if (remaining === 0) onDone();
+      };
+    });
+  }
+
+  /**
+   * Rattache un enregistrement à un exercice et recalcule sa clé.
+   * Les enregistrements sans exerciseId (données v1) sont
+   * attribués à l'exercice par défaut.
+   *
+   * @param {string} storeName
+   * @param {Object} record
+   * @returns {Object}
+   * @private
+   */
+  _withExerciseKey(storeName, record) {
+    const exerciseId = record.exerciseId || DEFAULT_EXERCISE_ID;
+    let id;
+
+    switch (storeName) {
+      case STORES.WEEKS:
+        id = this._weekKey(exerciseId, record.weekNumber);
+        break;
+      case STORES.SESSIONS:
+        id = this._sessionKey(exerciseId, record.weekNumber, record.dayNumber);
+        break;
+      case STORES.ALGORITHM_HISTORY:
+        id = this._scoringKey(exerciseId, record.weekNumber);
+        break;
+      default:
+        id = record.id;
     }
+
+    return { ...record, exerciseId, id };
   }
 
   /**
@@ -264,7 +341,7 @@ class Database {
    *
    * @param {string} storeName — Nom du store
    * @param {string} indexName — Nom de l'index
-   * @param {*}      value     — Valeur recherchée
+   * @param {*|IDBKeyRange} value — Valeur ou plage recherchée
    * @returns {Promise<Array<Object>>}
    */
   async getAllByIndex(storeName, indexName, value) {
@@ -376,6 +453,67 @@ class Database {
   }
 
 
+  /* ──────────────────────────────────────────────────────────
+     CLÉS PARTITIONNÉES PAR EXERCICE
+     ────────────────────────────────────────────────────────── */
+
+  /**
+   * @param {string} exerciseId
+   * @param {number} weekNumber
+   * @returns {string} Ex: 'crunch_week_3'
+   * @private
+   */
+  _weekKey(exerciseId, weekNumber) {
+    return `${exerciseId}_week_${weekNumber}`;
+  }
+
+  /**
+   * @param {string} exerciseId
+   * @param {number} weekNumber
+   * @param {number} dayNumber
+   * @returns {string} Ex: 'crunch_week3_day4'
+   * @private
+   */
+  _sessionKey(exerciseId, weekNumber, dayNumber) {
+    return `${exerciseId}_week${weekNumber}_day${dayNumber}`;
+  }
+
+  /**
+   * @param {string} exerciseId
+   * @param {number} weekNumber
+   * @returns {string} Ex: 'crunch_scoring_week3'
+   * @private
+   */
+  _scoringKey(exerciseId, weekNumber) {
+    return `${exerciseId}_scoring_week${weekNumber}`;
+  }
+
+  /**
+   * Plage couvrant toutes les semaines d'un exercice
+   * sur l'index composé [exerciseId, weekNumber].
+   *
+   * @param {string} exerciseId
+   * @returns {IDBKeyRange}
+   * @private
+   */
+  _exerciseRange(exerciseId) {
+    return IDBKeyRange.bound([exerciseId, 0], [exerciseId, Infinity]);
+  }
+
+  /**
+   * Vérifie la présence d'un exerciseId sur un enregistrement.
+   *
+   * @param {Object} data
+   * @throws {Error}
+   * @private
+   */
+  _ensureExerciseId(data) {
+    if (typeof data.exerciseId !== 'string' || data.exerciseId.length === 0) {
+      throw new Error(`exerciseId invalide : ${data.exerciseId}`);
+    }
+  }
+
+
   /* ──────────────────────────────────────────────────────────
      MÉTHODES SPÉCIALISÉES — PROFIL UTILISATEUR
      ────────────────────────────────────────────────────────── */
@@ -413,6 +551,14 @@ class Database {
       };
     }
 
+    // Fusion par exercice pour la progression
+    if (data.exercises && existing?.exercises) {
+      merged.exercises = {
+        ...existing.exercises,
+        ...data.exercises
+      };
+    }
+
     return this.put(STORES.USER, merged);
   }
 
@@ -427,6 +573,42 @@ class Database {
   }
 
 
+  /* ──────────────────────────────────────────────────────────
+     MÉTHODES SPÉCIALISÉES — REPRISE DE SÉANCE
+
+     Un seul point de reprise (la séance en cours), stocké à
+     côté du profil. Données transitoires : non exportées.
+     ────────────────────────────────────────────────────────── */
+
+  /**
+   * Récupère le point de reprise de la séance en cours.
+   *
+   * @returns {Promise<Object|null>}
+   */
+  async getSessionCheckpoint() {
+    return this.get(STORES.USER, CHECKPOINT_KEY);
+  }
+
+  /**
+   * Sauvegarde (remplace) le point de reprise.
+   *
+   * @param {Object} data
+   * @returns {Promise<string>}
+   */
+  async saveSessionCheckpoint(data) {
+    return this.put(STORES.USER, { ...data, id: CHECKPOINT_KEY });
+  }
+
+  /**
+   * Supprime le point de reprise.
+   *
+   * @returns {Promise<void>}
+   */
+  async deleteSessionCheckpoint() {
+    return this.delete(STORES.USER, CHECKPOINT_KEY);
+  }
+
+
   /* ──────────────────────────────────────────────────────────
      MÉTHODES SPÉCIALISÉES — SEMAINES
      ────────────────────────────────────────────────────────── */
@@ -434,41 +616,48 @@ class Database {
   /**
    * Récupère les données d'une semaine spécifique.
    *
+   * @param {string} exerciseId — Identifiant de l'exercice
    * @param {number} weekNumber — Numéro de semaine (1, 2, 3...)
    * @returns {Promise<Object|null>}
    */
-  async getWeek(weekNumber) {
-    return this.get(STORES.WEEKS, `week_${weekNumber}`);
+  async getWeek(exerciseId, weekNumber) {
+    return this.get(STORES.WEEKS, this._weekKey(exerciseId, weekNumber));
   }
 
   /**
-   * Récupère toutes les semaines, triées par numéro croissant.
+   * Récupère toutes les semaines d'un exercice, triées par numéro croissant.
+   * Sans exerciseId, retourne les semaines de tous les exercices.
    *
+   * @param {string} [exerciseId]
    * @returns {Promise<Array<Object>>}
    */
-  async getAllWeeks() {
-    const weeks = await this.getAll(STORES.WEEKS);
+  async getAllWeeks(exerciseId) {
+    const weeks = exerciseId
+      ? await this.getAllByIndex(STORES.WEEKS, 'byExerciseWeek', this._exerciseRange(exerciseId))
+      : await this.getAll(STORES.WEEKS);
     return weeks.sort((a, b) => a.weekNumber - b.weekNumber);
   }
 
   /**
    * Récupère les N dernières semaines complétées.
    *
+   * @param {string} exerciseId
    * @param {number} count — Nombre de semaines à récupérer
    * @returns {Promise<Array<Object>>}
    */
-  async getRecentWeeks(count) {
-    const allWeeks = await this.getAllWeeks();
+  async getRecentWeeks(exerciseId, count) {
+    const allWeeks = await this.getAllWeeks(exerciseId);
     return allWeeks.slice(-count);
   }
 
   /**
    * Sauvegarde les données d'une semaine.
    *
-   * @param {Object} data — Doit contenir weekNumber
+   * @param {Object} data — Doit contenir exerciseId et weekNumber
    * @returns {Promise<string>}
    */
   async saveWeek(data) {
+    this._ensureExerciseId(data);
     if (typeof data.weekNumber !== 'number' || data.weekNumber < 1) {
       throw new Error(
         `weekNumber invalide : ${data.weekNumber}. Doit être un entier ≥ 1.`
@@ -477,7 +666,7 @@ class Database {
 
     const record = {
       ...data,
-      id: `week_${data.weekNumber}`,
+      id: this._weekKey(data.exerciseId, data.weekNumber),
       updatedAt: new Date().toISOString()
     };
 
@@ -487,10 +676,11 @@ class Database {
   /**
    * Récupère la semaine avec le numéro le plus élevé.
    *
+   * @param {string} exerciseId
    * @returns {Promise<Object|null>}
    */
-  async getLatestWeek() {
-    const weeks = await this.getAllWeeks();
+  async getLatestWeek(exerciseId) {
+    const weeks = await this.getAllWeeks(exerciseId);
     return weeks.length > 0 ? weeks[weeks.length - 1] : null;
   }
 
@@ -502,36 +692,42 @@ class Database {
   /**
    * Récupère une séance spécifique.
    *
+   * @param {string} exerciseId — Identifiant de l'exercice
    * @param {number} weekNumber — Numéro de semaine
-   * @param {number} dayNumber  — Numéro de jour (1-7)
+   * @param {number} dayNumber  — Numéro de jour (1 = test max)
    * @returns {Promise<Object|null>}
    */
-  async getSession(weekNumber, dayNumber) {
-    return this.get(STORES.SESSIONS, `week${weekNumber}_day${dayNumber}`);
+  async getSession(exerciseId, weekNumber, dayNumber) {
+    return this.get(STORES.SESSIONS, this._sessionKey(exerciseId, weekNumber, dayNumber));
   }
 
   /**
    * Récupère toutes les séances d'une semaine.
    *
+   * @param {string} exerciseId — Identifiant de l'exercice
    * @param {number} weekNumber — Numéro de semaine
    * @returns {Promise<Array<Object>>} Triées par jour croissant
    */
-  async getSessionsByWeek(weekNumber) {
+  async getSessionsByWeek(exerciseId, weekNumber) {
     const sessions = await this.getAllByIndex(
       STORES.SESSIONS,
-      'byWeek',
-      weekNumber
+      'byExerciseWeek',
+      [exerciseId, weekNumber]
     );
     return sessions.sort((a, b) => a.dayNumber - b.dayNumber);
   }
 
   /**
    * Récupère toutes les séances de l'historique.
+   * Sans exerciseId, retourne les séances de tous les exercices.
    *
+   * @param {string} [exerciseId]
    * @returns {Promise<Array<Object>>} Triées chronologiquement
    */
-  async getAllSessions() {
-    const sessions = await this.getAll(STORES.SESSIONS);
+  async getAllSessions(exerciseId) {
+    const sessions = exerciseId
+      ? await this.getAllByIndex(STORES.SESSIONS, 'byExerciseWeek', this._exerciseRange(exerciseId))
+      : await this.getAll(STORES.SESSIONS);
     return sessions.sort((a, b) => {
       if (a.weekNumber !== b.weekNumber) {
         return a.weekNumber - b.weekNumber;
@@ -543,20 +739,21 @@ class Database {
   /**
    * Sauvegarde une séance.
    *
-   * @param {Object} data — Doit contenir weekNumber et dayNumber
+   * @param {Object} data — Doit contenir exerciseId, weekNumber et dayNumber
    * @returns {Promise<string>}
    */
   async saveSession(data) {
+    this._ensureExerciseId(data);
     if (typeof data.weekNumber !== 'number' || data.weekNumber < 1) {
       throw new Error(`weekNumber invalide : ${data.weekNumber}`);
     }
-    if (typeof data.dayNumber !== 'number' || data.dayNumber < 1 || data.dayNumber > 7) {
-      throw new Error(`dayNumber invalide : ${data.dayNumber}. Doit être entre 1 et 7.`);
+    if (typeof data.dayNumber !== 'number' || data.dayNumber < 1 || data.dayNumber > MAX_WEEK_LENGTH) {
+      throw new Error(`dayNumber invalide : ${data.dayNumber}. Doit être entre 1 et ${MAX_WEEK_LENGTH}.`);
     }
 
     const record = {
       ...data,
-      id: `week${data.weekNumber}_day${data.dayNumber}`,
+      id: this._sessionKey(data.exerciseId, data.weekNumber, data.dayNumber),
       updatedAt: new Date().toISOString()
     };
 
@@ -566,16 +763,18 @@ class Database {
   /**
    * Compte les séances d'une semaine selon leur feedback.
    *
+   * @param {string} exerciseId
    * @param {number} weekNumber
-   * @returns {Promise<{total: number, facile: number, parfait: number, impossible: number, skipped: number}>}
+   * @returns {Promise<{total: number, facile: number, parfait: number, difficile: number, impossible: number, skipped: number}>}
    */
-  async countFeedbacksByWeek(weekNumber) {
-    const sessions = await this.getSessionsByWeek(weekNumber);
+  async countFeedbacksByWeek(exerciseId, weekNumber) {
+    const sessions = await this.getSessionsByWeek(exerciseId, weekNumber);
 
     const counts = {
       total: 0,
       facile: 0,
       parfait: 0,
+      difficile: 0,
       impossible: 0,
       skipped: 0
     };
@@ -600,39 +799,45 @@ class Database {
      ────────────────────────────────────────────────────────── */
 
   /**
-   * Récupère l'historique de scoring complet.
+   * Récupère l'historique de scoring complet d'un exercice.
+   * Sans exerciseId, retourne l'historique de tous les exercices.
    *
+   * @param {string} [exerciseId]
    * @returns {Promise<Array<Object>>} Trié par semaine croissante
    */
-  async getScoringHistory() {
-    const history = await this.getAll(STORES.ALGORITHM_HISTORY);
+  async getScoringHistory(exerciseId) {
+    const history = exerciseId
+      ? await this.getAllByIndex(STORES.ALGORITHM_HISTORY, 'byExerciseWeek', this._exerciseRange(exerciseId))
+      : await this.getAll(STORES.ALGORITHM_HISTORY);
     return history.sort((a, b) => a.weekNumber - b.weekNumber);
   }
 
   /**
    * Récupère le scoring d'une semaine spécifique.
    *
+   * @param {string} exerciseId
    * @param {number} weekNumber
    * @returns {Promise<Object|null>}
    */
-  async getScoringEntry(weekNumber) {
-    return this.get(STORES.ALGORITHM_HISTORY, `scoring_week${weekNumber}`);
+  async getScoringEntry(exerciseId, weekNumber) {
+    return this.get(STORES.ALGORITHM_HISTORY, this._scoringKey(exerciseId, weekNumber));
   }
 
   /**
    * Sauvegarde un scoring hebdomadaire.
    *
-   * @param {Object} data — Doit contenir weekNumber
+   * @param {Object} data — Doit contenir exerciseId et weekNumber
    * @returns {Promise<string>}
    */
   async saveScoringEntry(data) {
+    this._ensureExerciseId(data);
     if (typeof data.weekNumber !== 'number' || data.weekNumber < 1) {
       throw new Error(`weekNumber invalide : ${data.weekNumber}`);
     }
 
     const record = {
       ...data,
-      id: `scoring_week${data.weekNumber}`,
+      id: this._scoringKey(data.exerciseId, data.weekNumber),
       updatedAt: new Date().toISOString()
     };
 
@@ -661,7 +866,7 @@ class Database {
     ]);
 
     return {
-      appVersion: '1.0.0',
+      appVersion: '1.1.0',
       exportDate: new Date().toISOString(),
       user: user,
       weeks: weeks,
@@ -686,6 +891,7 @@ class Database {
     await this.clearAll();
 
     // Importer le profil
+    // (les exports anciens sont mis à niveau par utils/export.js)
     if (data.user) {
       await this.put(STORES.USER, { ...data.user, id: 'profile' });
     }
@@ -737,45 +943,40 @@ class Database {
     }
 
     // Valider que chaque semaine a un weekNumber
+    // (les clés sont recalculées pour garantir leur cohérence avec exerciseId)
     if (data.weeks) {
-      for (const week of data.weeks) {
+      data.weeks.forEach((week, i) => {
         if (typeof week.weekNumber !== 'number') {
           throw new Error(
             `Format d'import invalide : semaine sans weekNumber valide.`
           );
         }
-        if (!week.id) {
-          week.id = `week_${week.weekNumber}`;
-        }
-      }
+        data.weeks[i] = this._withExerciseKey(STORES.WEEKS, week);
+      });
     }
 
     // Valider que chaque séance a weekNumber et dayNumber
     if (data.sessions) {
-      for (const session of data.sessions) {
+      data.sessions.forEach((session, i) => {
         if (typeof session.weekNumber !== 'number' || typeof session.dayNumber !== 'number') {
           throw new Error(
             `Format d'import invalide : séance sans weekNumber/dayNumber valide.`
           );
         }
-        if (!session.id) {
-          session.id = `week${session.weekNumber}_day${session.dayNumber}`;
-        }
-      }
+        data.sessions[i] = this._withExerciseKey(STORES.SESSIONS, session);
+      });
     }
 
     // Valider l'historique algorithmique
     if (data.algorithmHistory) {
-      for (const entry of data.algorithmHistory) {
+      data.algorithmHistory.forEach((entry, i) => {
         if (typeof entry.weekNumber !== 'number') {
           throw new Error(
             `Format d'import invalide : entrée scoring sans weekNumber valide.`
           );
         }
-        if (!entry.id) {
-          entry.id = `scoring_week${entry.weekNumber}`;
-        }
-      }
+        data.algorithmHistory[i] = this._withExerciseKey(STORES.ALGORITHM_HISTORY, entry);
+      });
     }
   }
 
@@ -0,0 +1,128 @@
+/* ════════════════════════════════════════════════════════════════
+   AbdoPro — exercises.js
+
+   Responsabilité unique : catalogue des exercices disponibles.
+   ─────────────────────────────────────────────────────────────
+   Chaque exercice possède sa propre progression indépendante :
+   test max hebdomadaire, algorithme sélectionné, plan et séances.
+   Le catalogue ne contient que des données descriptives —
+   la persistance est gérée par db.js, la progression par state.js.
+
+   ─────────────────────────────────────────────────────────────
+   API publique :
+
+     getExercise(id)        → Définition d'un exercice (fallback défaut)
+     getAllExercises()      → Liste ordonnée des exercices
+     isValidExercise(id)    → L'identifiant existe-t-il ?
+     DEFAULT_EXERCISE_ID    → Exercice historique (avant multi-exercices)
+   ════════════════════════════════════════════════════════════════ */
+
+
+import { UNITS } from './utils/units.js';
+
+
+// ── Constantes ──
+
+/**
+ * Exercice par défaut.
+ * Toutes les données antérieures au multi-exercices lui sont rattachées.
+ */
+const DEFAULT_EXERCISE_ID = 'crunch';
+
+/**
+ * Catalogue des exercices.
+ *
+ * Champs :
+ *   id          — Identifiant stable (utilisé dans les clés DB)
+ *   label       — Nom affiché
+ *   icon        — Emoji
+ *   unit        — Unité de mesure (UNITS.REPS ou UNITS.SECONDS, cf. utils/units.js)
+ *   testLabel   — Consigne du test max
+ *   position    — Position de départ
+ */
+const EXERCISES = {
+  crunch: {
+    id: 'crunch',
+    label: 'Crunch',
+    icon: '💪',
+    unit: UNITS.REPS,
+    testLabel: 'Faites le maximum de crunchs en une seule série, sans pause.',
+    position: 'Dos au sol, genoux pliés'
+  },
+  leg_raise: {
+    id: 'leg_raise',
+    label: 'Relevés de jambes',
+    icon: '🦵',
+    unit: UNITS.REPS,
+    testLabel: 'Faites le maximum de relevés de jambes en une seule série, sans pause.',
+    position: 'Allongé sur le dos, jambes tendues'
+  },
+  bicycle_crunch: {
+    id: 'bicycle_crunch',
+    label: 'Crunch vélo',
+    icon: '🚴',
+    unit: UNITS.REPS,
+    testLabel: 'Faites le maximum de crunchs vélo (1 rep = gauche + droite), sans pause.',
+    position: 'Dos au sol, mains derrière la tête'
+  },
+  russian_twist: {
+    id: 'russian_twist',
+    label: 'Russian twist',
+    icon: '🌀',
+    unit: UNITS.REPS,
+    testLabel: 'Faites le maximum de rotations (1 rep = gauche + droite), sans pause.',
+    position: 'Assis, buste incliné, pieds décollés'
+  },
+  plank: {
+    id: 'plank',
+    label: 'Gainage',
+    icon: '🧱',
+    unit: UNITS.SECONDS,
+    testLabel: 'Tenez la position de gainage le plus longtemps possible, sans pause.',
+    position: 'Appui sur les avant-bras, corps aligné'
+  }
+};
+
+Object.values(EXERCISES).forEach(exercise => Object.freeze(exercise));
+Object.freeze(EXERCISES);
+
+
+/* ──────────────────────────────────────────────────────────────
+   ACCÈS AU CATALOGUE
+   ────────────────────────────────────────────────────────────── */
+
+/**
+ * Vérifie qu'un identifiant d'exercice existe dans le catalogue.
+ *
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isValidExercise(id) {
+  return typeof id === 'string' && Object.prototype.hasOwnProperty.call(EXERCISES, id);
+}
+
+/**
+ * Retourne la définition d'un exercice.
+ * Retombe sur l'exercice par défaut si l'identifiant est inconnu.
+ *
+ * @param {string} id
+ * @returns {Object}
+ */
+export function getExercise(id) {
+  return isValidExercise(id) ? EXERCISES[id] : EXERCISES[DEFAULT_EXERCISE_ID];
+}
+
+/**
+ * Retourne tous les exercices dans l'ordre du catalogue.
+ *
+ * @returns {Array<Object>}
+ */
+export function getAllExercises() {
+  return Object.values(EXERCISES);
+}
+
+
+// ── Export ──
+
+export { EXERCISES, DEFAULT_EXERCISE_ID };
+export default EXERCISES;
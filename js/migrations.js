@@ -0,0 +1,243 @@
+/* ════════════════════════════════════════════════════════════════
+   AbdoPro — migrations.js
+
+   Responsabilité unique : registre ordonné des évolutions du
+   format des données.
+   ─────────────────────────────────────────────────────────────
+   Chaque migration décrit le passage à une version du schéma :
+
+     version       — Version IndexedDB atteinte (DB_VERSION)
+     appVersion    — Premier format d'export qui l'intègre
+     description   — Résumé lisible
+     upgradeSchema — (optionnel) Création/modification des stores
+                     et index, appelé dans la transaction
+                     'versionchange' de onupgradeneeded
+     records       — (optionnel) Transformations par store :
+                     { [storeName]: (record) => record }
+
+   Les mêmes transformations d'enregistrements servent deux fois :
+   - db.js les applique aux données locales à l'ouverture,
+   - utils/export.js les applique aux fichiers d'export anciens.
+
+   Une migration fige le format de SA version : si un format
+   change plus tard, on ajoute une migration, on ne modifie
+   jamais une migration existante.
+
+   ─────────────────────────────────────────────────────────────
+   API publique :
+
+     getPendingMigrations(fromVersion, toVersion) → Étapes IndexedDB à jouer
+     getExportUpgrades(appVersion)                → Étapes pour un export ancien
+     compareVersions(a, b)                        → Comparaison 'x.y.z'
+     LATEST_SCHEMA_VERSION                        → Dernière version du schéma
+   ════════════════════════════════════════════════════════════════ */
+
+
+import { DEFAULT_EXERCISE_ID } from './exercises.js';
+
+
+/* ──────────────────────────────────────────────────────────────
+   v1 — SCHÉMA INITIAL
+   ────────────────────────────────────────────────────────────── */
+
+/**
+ * Crée les 4 stores du schéma initial (mono-exercice).
+ *
+ * @param {IDBDatabase} db
+ */
+function createInitialStores(db) {
+  // ── Store: user ──
+  // Clé manuelle (keyPath: 'id'). Un seul enregistrement : 'profile'.
+  db.createObjectStore('user', { keyPath: 'id' });
+
+  // ── Store: weeks ──
+  // Clé manuelle (keyPath: 'id'). Format v1 : 'week_N'.
+  const weeksStore = db.createObjectStore('weeks', { keyPath: 'id' });
+  weeksStore.createIndex('byWeekNumber', 'weekNumber', { unique: true });
+
+  // ── Store: sessions ──
+  // Clé manuelle (keyPath: 'id'). Format v1 : 'weekN_dayM'.
+  const sessionsStore = db.createObjectStore('sessions', { keyPath: 'id' });
+  sessionsStore.createIndex('byWeek', 'weekNumber', { unique: false });
+  sessionsStore.createIndex('byDate', 'date', { unique: false });
+
+  // ── Store: algorithm_history ──
+  // Clé manuelle (keyPath: 'id'). Format v1 : 'scoring_weekN'.
+  const algoStore = db.createObjectStore('algorithm_history', { keyPath: 'id' });
+  algoStore.createIndex('byWeekNumber', 'weekNumber', { unique: true });
+}
+
+
+/* ──────────────────────────────────────────────────────────────
+   v2 — MULTI-EXERCICES
+   ────────────────────────────────────────────────────────────── */
+
+/**
+ * Les index uniques sur weekNumber deviennent non uniques
+ * (plusieurs exercices partagent les mêmes numéros de semaine)
+ * et l'index composé [exerciseId, weekNumber] est ajouté.
+ *
+ * @param {IDBDatabase} db
+ * @param {IDBTransaction} tx
+ */
+function addExerciseIndexes(db, tx) {
+  const keyed = [
+    { name: 'weeks',             uniqueWeek: true  },
+    { name: 'sessions',          uniqueWeek: false },
+    { name: 'algorithm_history', uniqueWeek: true  }
+  ];
+
+  keyed.forEach(({ name, uniqueWeek }) => {
+    const store = tx.objectStore(name);
+
+    if (store.indexNames.contains('byWeekNumber')) {
+      store.deleteIndex('byWeekNumber');
+      store.createIndex('byWeekNumber', 'weekNumber', { unique: false });
+    }
+
+    store.createIndex('byExerciseWeek', ['exerciseId', 'weekNumber'], { unique: uniqueWeek });
+  });
+}
+
+/**
+ * Rattache un enregistrement à l'exercice par défaut s'il n'en a pas.
+ *
+ * @param {Object} record
+ * @returns {string}
+ */
+function exerciseOf(record) {
+  return record.exerciseId || DEFAULT_EXERCISE_ID;
+}
+
+/**
+ * Déplace la progression racine du profil (currentWeek, currentDay,
+ * selectedAlgorithm) dans profile.exercises[exercice par défaut].
+ *
+ * @param {Object} profile
+ * @returns {Object}
+ */
+function toMultiExerciseProfile(profile) {
+  if (!profile || profile.exercises) return profile;
+
+  const { currentWeek, currentDay, selectedAlgorithm, ...rest } = profile;
+
+  return {
+    ...rest,
+    activeExercise: DEFAULT_EXERCISE_ID,
+    exercises: {
+      [DEFAULT_EXERCISE_ID]: {
+        currentWeek: currentWeek || 1,
+        currentDay: currentDay || 1,
+        selectedAlgorithm: selectedAlgorithm || 'linear'
+      }
+    }
+  };
+}
+
+
+/* ──────────────────────────────────────────────────────────────
+   REGISTRE
+   ────────────────────────────────────────────────────────────── */
+
+/**
+ * Migrations ordonnées par version croissante.
+ * Ajouter une entrée en fin de liste pour toute évolution de format.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    appVersion: '1.0.0',
+    description: 'Schéma initial (mono-exercice)',
+    upgradeSchema: createInitialStores
+  },
+  {
+    version: 2,
+    appVersion: '1.1.0',
+    description: 'Multi-exercices : exerciseId et clés préfixées',
+    upgradeSchema: addExerciseIndexes,
+    records: {
+      user: toMultiExerciseProfile,
+      weeks: (week) => {
+        const exerciseId = exerciseOf(week);
+        return { ...week, exerciseId, id: `${exerciseId}_week_${week.weekNumber}` };
+      },
+      sessions: (session) => {
+        const exerciseId = exerciseOf(session);
+        return {
+          ...session,
+          exerciseId,
+          id: `${exerciseId}_week${session.weekNumber}_day${session.dayNumber}`
+        };
+      },
+      algorithm_history: (entry) => {
+        const exerciseId = exerciseOf(entry);
+        return { ...entry, exerciseId, id: `${exerciseId}_scoring_week${entry.weekNumber}` };
+      }
+    }
+  }
+];
+
+MIGRATIONS.forEach(migration => {
+  if (migration.records) Object.freeze(migration.records);
+  Object.freeze(migration);
+});
+Object.freeze(MIGRATIONS);
+
+/** Dernière version du schéma IndexedDB */
+const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+
+/* ──────────────────────────────────────────────────────────────
+   SÉLECTION DES ÉTAPES
+   ────────────────────────────────────────────────────────────── */
+
+/**
+ * Compare deux versions 'majeur.mineur.patch'.
+ * Les segments manquants ou non numériques valent 0.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} < 0 si a < b, 0 si égales, > 0 si a > b
+ */
+export function compareVersions(a, b) {
+  const pa = String(a).split('.').map(n => parseInt(n, 10) || 0);
+  const pb = String(b).split('.').map(n => parseInt(n, 10) || 0);
+
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff;
+  }
+
+  return 0;
+}
+
+/**
+ * Migrations IndexedDB à jouer pour passer de fromVersion à toVersion.
+ * fromVersion vaut 0 lors de la création de la base.
+ *
+ * @param {number} fromVersion — event.oldVersion
+ * @param {number} [toVersion=LATEST_SCHEMA_VERSION]
+ * @returns {Array<Object>} Dans l'ordre d'exécution
+ */
+export function getPendingMigrations(fromVersion, toVersion = LATEST_SCHEMA_VERSION) {
+  return MIGRATIONS.filter(m => m.version > fromVersion && m.version <= toVersion);
+}
+
+/**
+ * Migrations à appliquer à un fichier d'export produit par appVersion.
+ * Seules celles qui transforment des enregistrements sont retenues.
+ *
+ * @param {string} appVersion — Champ appVersion du fichier
+ * @returns {Array<Object>} Dans l'ordre d'exécution
+ */
+export function getExportUpgrades(appVersion) {
+  return MIGRATIONS.filter(m =>
+    m.records && compareVersions(m.appVersion, appVersion) > 0
+  );
+}
+
+
+// ── Export ──
+
+export { MIGRATIONS, LATEST_SCHEMA_VERSION };
+export default MIGRATIONS;
@@ -7,11 +7,13 @@
    permet de lancer la séance du jour.
 
    Données affichées :
+   - Sélecteur de l'exercice actif (progression indépendante)
    - Semaine et jour courants
    - Test max actuel + progression
-   - Algorithme actif
+   - Algorithme actif + verrou manuel (sélection automatique ou imposée)
    - Programme du jour (séries × reps, repos, type)
-   - État des 7 jours de la semaine
+   - État des jours de la semaine (entraînement, repos)
+   - Carte « Forme » (fitness / fatigue, cf. utils/fitness.js)
    - Messages contextuels (reprise, semaine terminée, etc.)
 
    S'abonne aux topics : WEEK, SESSION, PROFILE
@@ -23,6 +25,9 @@
 
 import state, { TOPICS } from '../state.js';
 import engine from '../algorithms/engine.js';
+import { formatAmount, isBeginnerTestMax } from '../utils/units.js';
+import { getFitnessOverview, buildFitnessCard } from '../utils/fitness.js';
+import { getMiniSessionCount } from '../algorithms/gtg.js';
 
 
 // ── Constantes ──
@@ -40,7 +45,8 @@ const TYPE_CSS_MAP = {
   INTENSE:      'card--intense',
   LIGHT:        'card--light',
   ADAPTATIF:    'card--adaptatif',
-  STANDARD:     'card--standard'
+  STANDARD:     'card--standard',
+  GTG:          'card--light'
 };
 
 /** Mapping type d'exercice → emoji */
@@ -56,7 +62,8 @@ const TYPE_EMOJI_MAP = {
   INTENSE:      '🔥',
   LIGHT:        '🌿',
   ADAPTATIF:    '🎯',
-  STANDARD:     '⚡'
+  STANDARD:     '⚡',
+  GTG:          '🔁'
 };
 
 /** Mapping statut de jour → icône */
@@ -65,7 +72,8 @@ const DAY_STATUS_ICONS = {
   current: '▶️',
   pending: '⬜',
   failed:  '❌',
-  skipped: '⏭️'
+  skipped: '⏭️',
+  rest:    '💤'
 };
 
 /** Messages de reprise selon le nombre de jours manqués */
@@ -97,6 +105,9 @@ const DashboardScreen = {
   /** @type {HTMLElement|null} Référence au conteneur */
   _container: null,
 
+  /** @type {Object|null} Dernier état de forme calculé (chargement asynchrone) */
+  _fitnessOverview: null,
+
 
   /* ──────────────────────────────────────────────────────────
      RENDER
@@ -115,12 +126,13 @@ const DashboardScreen = {
 
     // Rendu initial
     this._update();
+    this._loadFitness();
 
     // S'abonner aux changements d'état
     this._unsubscribers = [
-      state.subscribe(TOPICS.WEEK,    () => this._update()),
-      state.subscribe(TOPICS.SESSION, () => this._update()),
-      state.subscribe(TOPICS.PROFILE, () => this._update())
+      state.subscribe(TOPICS.WEEK,    () => this._refresh()),
+      state.subscribe(TOPICS.SESSION, () => this._refresh()),
+      state.subscribe(TOPICS.PROFILE, () => this._refresh())
     ];
   },
 
@@ -140,6 +152,7 @@ const DashboardScreen = {
 
     this._navigateTo = null;
     this._container = null;
+    this._fitnessOverview = null;
   },
 
 
@@ -166,6 +179,40 @@ const DashboardScreen = {
     this._attachEvents();
   },
 
+  /**
+   * Re-rend le dashboard puis recalcule la forme.
+   *
+   * @private
+   */
+  _refresh() {
+    this._update();
+    this._loadFitness();
+  },
+
+  /**
+   * Calcule l'état de forme (historique des séances chargé
+   * depuis IndexedDB) puis met à jour la carte « Forme ».
+   *
+   * @private
+   */
+  async _loadFitness() {
+    try {
+      const history = await state.getAlgorithmHistory();
+      if (!this._container) return;
+
+      this._fitnessOverview = getFitnessOverview(
+        history,
+        state.getCurrentWeekNumber(),
+        state.getCurrentDayNumber()
+      );
+
+      const slot = this._container.querySelector('[data-fitness-card]');
+      if (slot) slot.innerHTML = this._buildFitnessCard();
+    } catch (error) {
+      console.error('Erreur calcul de la forme :', error);
+    }
+  },
+
   /**
    * Collecte les données depuis le state.
    *
@@ -179,6 +226,7 @@ const DashboardScreen = {
     const testMax = state.getCurrentTestMax();
     const progression = state.getProgressionPercent();
     const algorithm = state.getSelectedAlgorithm();
+    const lockedAlgorithm = state.getLockedAlgorithm();
     const dayPlan = state.getCurrentDayPlan();
     const weekStatus = state.getWeekCompletionStatus();
     const isTestDay = state.isTestMaxDay();
@@ -186,7 +234,14 @@ const DashboardScreen = {
     const skippedDays = state.getConsecutiveSkippedDays();
     const shouldRetest = state.shouldRetestMax();
     const hasImpossible = state.hasImpossibleThisWeek();
+    const planAdjustments = currentWeek?.planAdjustments || [];
     const isSessionDone = state.isSessionCompleted(dayNumber);
+    const daySession = state.getDaySession(dayNumber);
+    const checkpoint = state.getSessionCheckpoint();
+    const isRestDay = state.isRestDay(dayNumber);
+    const weekLength = state.getWeekLength();
+    const exercise = state.getActiveExercise();
+    const exercises = state.getExercisesOverview();
 
     // Récupérer le label de l'algorithme
     engine.initialize();
@@ -194,12 +249,17 @@ const DashboardScreen = {
     const algorithmLabel = algoInfo ? algoInfo.label : algorithm;
 
     return {
+      exercise,
+      exercises,
       weekNumber,
       dayNumber,
       testMax,
       progression,
       algorithm,
       algorithmLabel,
+      lockedAlgorithm,
+      recommendedAlgorithm: currentWeek?.recommendedAlgorithm || null,
+      eligibleAlgorithms: engine.getSelectableAlgorithms(weekNumber),
       dayPlan,
       weekStatus,
       isTestDay,
@@ -207,7 +267,12 @@ const DashboardScreen = {
       skippedDays,
       shouldRetest,
       hasImpossible,
-      isSessionDone
+      planAdjustment: planAdjustments[planAdjustments.length - 1] || null,
+      isSessionDone,
+      daySession,
+      checkpoint,
+      isRestDay,
+      weekLength
     };
   },
 
@@ -230,6 +295,9 @@ const DashboardScreen = {
         <!-- En-tête -->
         ${this._buildHeader(data)}
 
+        <!-- Sélecteur d'exercice -->
+        ${this._buildExercisePicker(data)}
+
         <!-- Statistiques rapides -->
         ${this._buildStats(data)}
 
@@ -239,9 +307,12 @@ const DashboardScreen = {
         <!-- Carte de la séance du jour -->
         ${this._buildSessionCard(data)}
 
-        <!-- Progression de la semaine (7 jours) -->
+        <!-- Progression de la semaine -->
         ${this._buildWeekProgress(data)}
 
+        <!-- Forme (fitness / fatigue) -->
+        <div data-fitness-card>${this._buildFitnessCard()}</div>
+
         <!-- Info algorithme -->
         ${this._buildAlgorithmInfo(data)}
 
@@ -263,12 +334,44 @@ const DashboardScreen = {
 
     return `
       <header class="screen-header">
-        <span class="screen-header__subtitle">Semaine ${data.weekNumber}</span>
+        <span class="screen-header__subtitle">
+          ${data.exercise.icon} ${data.exercise.label} · Semaine ${data.weekNumber}
+        </span>
         <h1 class="screen-header__title">${dayLabel}</h1>
       </header>
     `;
   },
 
+  /**
+   * Construit le sélecteur d'exercice.
+   * Chaque exercice affiche sa propre position (semaine / jour).
+   *
+   * @param {Object} data
+   * @returns {string}
+   * @private
+   */
+  _buildExercisePicker(data) {
+    const chips = data.exercises.map(({ exercise, currentWeek, currentDay, started, active }) => `
+      <button class="exercise-chip ${active ? 'exercise-chip--active' : ''}"
+              data-action="select-exercise"
+              data-exercise="${exercise.id}"
+              aria-pressed="${active}"
+              type="button">
+        <span class="exercise-chip__icon" aria-hidden="true">${exercise.icon}</span>
+        <span class="exercise-chip__label">${exercise.label}</span>
+        <span class="exercise-chip__meta mono">
+          ${started ? `S${currentWeek} · J${currentDay}` : 'Nouveau'}
+        </span>
+      </button>
+    `).join('');
+
+    return `
+      <nav class="exercise-picker mb-6" aria-label="Choix de l'exercice">
+        ${chips}
+      </nav>
+    `;
+  },
+
   /**
    * Construit la rangée de statistiques rapides.
    *
@@ -346,10 +449,13 @@ const DashboardScreen = {
 
     // Séance impossible cette semaine
     if (data.hasImpossible && !data.isWeekDone) {
+      const adjustment = data.planAdjustment;
       alerts.push({
         type: 'info',
         icon: 'ℹ️',
-        message: 'Séance impossible cette semaine. Le programme sera adapté la semaine prochaine (séries ×2, reps ÷2).'
+        message: adjustment
+          ? `Séance impossible le J${adjustment.dayNumber} : les jours ${adjustment.days.map(d => `J${d}`).join(', ')} ont été allégés (reps ×${adjustment.factor}, séries ajoutées). La semaine prochaine sera aussi adaptée.`
+          : 'Séance impossible cette semaine. Le programme sera adapté la semaine prochaine (séries ×2, reps ÷2).'
       });
     }
 
@@ -407,6 +513,11 @@ const DashboardScreen = {
       return this._buildTestMaxCard(data);
     }
 
+    // Jour de repos prévu par la forme de la semaine
+    if (data.isRestDay) {
+      return this._buildRestDayCard(data);
+    }
+
     // Séance déjà complétée
     if (data.isSessionDone) {
       return this._buildCompletedCard(data);
@@ -437,8 +548,8 @@ const DashboardScreen = {
         </div>
         <div class="card__body">
           <p class="text-sm text-secondary">
-            Faites le maximum d'abdominaux en une seule série
-            pour calibrer votre programme de la semaine.
+            ${data.exercise.testLabel}
+            Le résultat calibre votre programme de la semaine.
           </p>
         </div>
         <div class="card__footer">
@@ -464,9 +575,16 @@ const DashboardScreen = {
     const typeClass = TYPE_CSS_MAP[plan.type] || '';
     const typeEmoji = TYPE_EMOJI_MAP[plan.type] || '⚡';
     const typeName = this._formatTypeName(plan.type);
-    const totalVolume = plan.series * plan.reps;
+    const unit = plan.unit || data.exercise.unit;
+    const totalVolume = formatAmount(plan.series * plan.reps, unit);
     const restFormatted = this._formatRest(plan.rest);
 
+    // Mini-séances (Grease the Groove) : progression de la journée
+    const miniCount = getMiniSessionCount(plan);
+    const miniDone = data.daySession?.status === 'in_progress'
+      ? (data.daySession.actual?.miniSessions?.length || 0)
+      : 0;
+
     return `
       <div class="card ${typeClass} mb-6">
         <div class="card__header">
@@ -482,25 +600,52 @@ const DashboardScreen = {
             <div class="detail-item">
               <dt class="detail-item__label">Programme</dt>
               <dd class="detail-item__value mono">
-                ${plan.series} × ${plan.reps} reps
+                ${plan.series} × ${formatAmount(plan.reps, unit)}
               </dd>
             </div>
+            ${plan.adjustment ? `
+              <div class="detail-item">
+                <dt class="detail-item__label">Ajusté (échec J${plan.adjustment.fromDay})</dt>
+                <dd class="detail-item__value mono text-muted">
+                  au lieu de ${plan.adjustment.original.series} × ${formatAmount(plan.adjustment.original.reps, unit)}
+                </dd>
+              </div>` : ''}
             <div class="detail-item">
               <dt class="detail-item__label">Volume total</dt>
-              <dd class="detail-item__value mono">${totalVolume} reps</dd>
-            </div>
-            <div class="detail-item">
-              <dt class="detail-item__label">Repos</dt>
-              <dd class="detail-item__value mono">${restFormatted}</dd>
+              <dd class="detail-item__value mono">${totalVolume}</dd>
             </div>
+            ${miniCount > 1 ? `
+              <div class="detail-item">
+                <dt class="detail-item__label">Mini-séances</dt>
+                <dd class="detail-item__value mono">
+                  ${miniDone} / ${miniCount} · ≥ ${plan.spacingMinutes} min d'écart
+                </dd>
+              </div>` : `
+              <div class="detail-item">
+                <dt class="detail-item__label">Repos</dt>
+                <dd class="detail-item__value mono">${restFormatted}</dd>
+              </div>`}
           </dl>
         </div>
         <div class="card__footer">
-          <button class="btn btn-success btn-block btn-lg btn-ripple"
-                  data-action="start-session"
-                  type="button">
-            Commencer la séance
-          </button>
+          ${data.checkpoint ? `
+            <div class="flex flex-col gap-2 w-full">
+              <button class="btn btn-success btn-block btn-lg btn-ripple"
+                      data-action="resume-session"
+                      type="button">
+                ⏸️ Reprendre la séance · série ${data.checkpoint.currentSeries} / ${data.checkpoint.targetSeries}
+              </button>
+              <button class="btn btn-ghost btn-block"
+                      data-action="start-session"
+                      type="button">
+                Recommencer
+              </button>
+            </div>` : `
+            <button class="btn btn-success btn-block btn-lg btn-ripple"
+                    data-action="start-session"
+                    type="button">
+              ${miniCount > 1 ? `Commencer la mini-séance ${miniDone + 1}` : 'Commencer la séance'}
+            </button>`}
         </div>
       </div>
     `;
@@ -515,7 +660,7 @@ const DashboardScreen = {
    */
   _buildCompletedCard(data) {
     const nextDay = data.dayNumber + 1;
-    const hasNextDay = nextDay <= 7;
+    const hasNextDay = nextDay <= data.weekLength;
 
     return `
       <div class="card mb-6">
@@ -551,6 +696,38 @@ const DashboardScreen = {
     `;
   },
 
+  /**
+   * Carte jour de repos.
+   *
+   * @param {Object} data
+   * @returns {string}
+   * @private
+   */
+  _buildRestDayCard(data) {
+    const isLastDay = data.dayNumber >= data.weekLength;
+
+    return `
+      <div class="card mb-6">
+        <div class="card__header">
+          <h2 class="card__title">💤 Jour de repos</h2>
+          <span class="badge badge--primary">J${data.dayNumber}</span>
+        </div>
+        <div class="card__body">
+          <p class="text-sm text-secondary">
+            Pas de séance aujourd'hui : la récupération fait partie du programme.
+          </p>
+        </div>
+        <div class="card__footer">
+          <button class="btn btn-ghost btn-block"
+                  data-action="${isLastDay ? 'next-week' : 'advance-day'}"
+                  type="button">
+            ${isLastDay ? 'Passer à la semaine suivante' : 'Passer au jour suivant'}
+          </button>
+        </div>
+      </div>
+    `;
+  },
+
   /**
    * Carte quand aucune séance n'est disponible.
    *
@@ -570,7 +747,8 @@ const DashboardScreen = {
   },
 
   /**
-   * Construit la barre de progression des 7 jours.
+   * Construit la barre de progression de la semaine.
+   * Les jours de repos sont affichés mais non comptés.
    *
    * @param {Object} data
    * @returns {string}
@@ -594,7 +772,7 @@ const DashboardScreen = {
     const completedCount = data.weekStatus.filter(
       d => d.status === 'done' || d.status === 'failed'
     ).length;
-    const totalDays = 7;
+    const totalDays = data.weekStatus.filter(d => d.status !== 'rest').length;
     const completionPercent = Math.round((completedCount / totalDays) * 100);
 
     return `
@@ -619,6 +797,22 @@ const DashboardScreen = {
     `;
   },
 
+  /**
+   * Construit la carte « Forme » compacte.
+   * Vide tant que l'état de forme n'est pas calculé.
+   *
+   * @returns {string}
+   * @private
+   */
+  _buildFitnessCard() {
+    if (!this._fitnessOverview?.available) return '';
+
+    return buildFitnessCard(this._fitnessOverview, {
+      compact: true,
+      unit: state.getActiveExercise().unit
+    });
+  },
+
   /**
    * Construit la section d'info sur l'algorithme actif.
    *
@@ -632,14 +826,51 @@ const DashboardScreen = {
     const algoInfo = engine.getAlgorithmInfo(data.algorithm);
     if (!algoInfo) return '';
 
+    const recommended = data.recommendedAlgorithm && data.recommendedAlgorithm !== data.algorithm
+      ? engine.getAlgorithmInfo(data.recommendedAlgorithm)
+      : null;
+
+    const chip = (name, label) => {
+      const active = (data.lockedAlgorithm || '') === name;
+      return `
+        <button class="exercise-chip ${active ? 'exercise-chip--active' : ''}"
+                data-action="lock-algorithm"
+                data-algorithm="${name}"
+                aria-pressed="${active}"
+                type="button">
+          <span class="exercise-chip__label">${label}</span>
+        </button>
+      `;
+    };
+
+    const chips = data.eligibleAlgorithms
+      .map(name => chip(name, `🔒 ${engine.getAlgorithmInfo(name)?.shortLabel || name}`))
+      .join('');
+
     return `
       <div class="card mb-6">
         <div class="card__header">
           <h3 class="card__title text-sm">🧠 Algorithme actif</h3>
+          <span class="badge ${data.lockedAlgorithm ? 'badge--muted' : 'badge--primary'}">
+            ${data.lockedAlgorithm ? '🔒 Verrouillé' : 'Auto'}
+          </span>
         </div>
         <div class="card__body">
           <p class="font-semibold mb-2">${algoInfo.label}</p>
           <p class="text-sm text-secondary">${algoInfo.description}</p>
+          ${recommended ? `
+            <p class="text-xs text-muted mt-2">Choix du moteur cette semaine : ${recommended.label}</p>
+          ` : ''}
+        </div>
+        <div class="card__footer flex-col gap-2">
+          <nav class="exercise-picker" aria-label="Choix de l'algorithme">
+            ${chip('', '🧠 Auto')}
+            ${chips}
+          </nav>
+          <p class="text-xs text-muted">
+            Verrouiller régénère le plan des jours restants et garde
+            l'algorithme aux semaines suivantes.
+          </p>
         </div>
       </div>
     `;
@@ -694,6 +925,12 @@ const DashboardScreen = {
         }
         break;
 
+      case 'resume-session':
+        if (this._navigateTo) {
+          await this._navigateTo('session', { resume: true });
+        }
+        break;
+
       case 'advance-day':
         await this._handleAdvanceDay(target);
         break;
@@ -708,6 +945,20 @@ const DashboardScreen = {
         }
         break;
 
+      case 'select-exercise':
+        await this._handleSelectExercise(target);
+        break;
+
+      case 'lock-algorithm':
+        await this._handleLockAlgorithm(target);
+        break;
+
+      case 'open-fitness':
+        if (this._navigateTo) {
+          await this._navigateTo('fitness');
+        }
+        break;
+
       default:
         console.warn(`Action inconnue : "${action}"`);
     }
@@ -730,6 +981,87 @@ const DashboardScreen = {
     }
   },
 
+  /**
+   * Gère le changement d'exercice actif.
+   *
+   * @param {HTMLElement} button
+   * @private
+   */
+  async _handleSelectExercise(button) {
+    try {
+      button.disabled = true;
+      await state.setActiveExercise(button.dataset.exercise);
+      // Le re-render est déclenché automatiquement par le subscriber
+    } catch (error) {
+      console.error('Erreur setActiveExercise :', error);
+      button.disabled = false;
+    }
+  },
+
+  /**
+   * Verrouille (ou déverrouille) l'algorithme puis régénère le
+   * plan de la semaine en cours avec l'algorithme retenu.
+   * Sans verrou, la semaine revient au choix du scoring. Les
+   * allègements après une séance impossible sont réappliqués.
+   *
+   * @param {HTMLElement} button
+   * @private
+   */
+  async _handleLockAlgorithm(button) {
+    const name = button.dataset.algorithm || null;
+    if (name === state.getLockedAlgorithm()) return;
+
+    try {
+      button.disabled = true;
+      await state.lockAlgorithm(name);
+
+      // Semaine sans plan (test max à venir) ou plan fixe du mode
+      // grand débutant : le verrou s'appliquera au prochain test max
+      const week = state.getCurrentWeek();
+      const unit = state.getActiveExercise().unit;
+      if (!week?.testMax || !week.plan || isBeginnerTestMax(week.testMax, unit)) return;
+
+      const algorithm = name || week.recommendedAlgorithm || week.selectedAlgorithm;
+      const history = (await state.getAlgorithmHistory())
+        .filter(w => w.weekNumber < week.weekNumber);
+      const previousWeek = history.length > 0 ? history[history.length - 1] : null;
+
+      const plan = engine.generateWeekPlan(
+        algorithm,
+        week.weekNumber,
+        week.testMax,
+        history,
+        previousWeek?.feedbackSummary?.impossible > 0,
+        unit,
+        state.getWeekSchedule(),
+        week.algorithmScores
+      );
+
+      // Les allègements après une séance impossible restent
+      // appliqués au nouveau plan
+      let adjustedPlan = plan;
+      const adjustments = (week.planAdjustments || [])
+        .map(adjustment => {
+          const { plan: next, days } = engine.adjustRemainingWeek(
+            adjustedPlan,
+            adjustment.dayNumber,
+            week.testMax,
+            { factor: adjustment.factor },
+            unit
+          );
+          adjustedPlan = next;
+          return { ...adjustment, days };
+        })
+        .filter(adjustment => adjustment.days.length > 0);
+
+      await state.applyAlgorithmOverride(algorithm, adjustedPlan, adjustments);
+      // Le re-render est déclenché automatiquement par le subscriber
+    } catch (error) {
+      console.error('Erreur verrouillage algorithme :', error);
+      button.disabled = false;
+    }
+  },
+
   /**
    * Gère le passage à la semaine suivante.
    *
@@ -779,7 +1111,8 @@ const DashboardScreen = {
       INTENSE:      'Intense',
       LIGHT:        'Léger',
       ADAPTATIF:    'Adaptatif',
-      STANDARD:     'Standard'
+      STANDARD:     'Standard',
+      GTG:          'Grease the Groove'
     };
 
     return names[type] || type;
@@ -5,15 +5,22 @@
    ─────────────────────────────────────────────────────────────
    Cet écran s'affiche après une séance réussie.
    Il permet d'ajuster l'algorithme RIR (Repetitions In Reserve).
+   Si des RIR ont été saisis série par série pendant la séance,
+   leur moyenne remplace le RIR fixe associé au feedback.
    
    Actions :
    1. Affiche le résumé de la séance terminée.
-   2. Enregistre le feedback (facile / parfait).
+   2. Enregistre le feedback (facile / parfait / difficile).
+      « Difficile » : séance terminée, mais à 0–1 rep de l'échec
+      (« impossible » reste réservé à l'échec en cours de séance).
    3. Avance l'état global au jour suivant.
    4. Redirige vers le tableau de bord.
    ════════════════════════════════════════════════════════════════ */
 
 import state from '../state.js';
+import { formatAmount } from '../utils/units.js';
+import { getSeriesRIR, FEEDBACK_TO_RIR } from '../algorithms/rir.js';
+import { mean, round } from '../utils/math.js';
 
 const FeedbackScreen = {
   _container: null,
@@ -65,6 +72,8 @@ const FeedbackScreen = {
      ────────────────────────────────────────────────────────── */
 
   _renderUI() {
+    const seriesRIR = getSeriesRIR(this._session);
+
     this._container.innerHTML = `
       <div class="screen fullheight centered">
         <header class="screen-header text-center">
@@ -80,12 +89,17 @@ const FeedbackScreen = {
           <div class="card__body">
             <div class="flex-between">
               <span class="text-secondary text-sm">Volume total</span>
-              <span class="mono font-bold">${this._session.actual.totalRepsCompleted} reps</span>
+              <span class="mono font-bold">${formatAmount(this._session.actual.totalRepsCompleted, this._session.unit || state.getActiveExercise().unit)}</span>
             </div>
             <div class="flex-between">
               <span class="text-secondary text-sm">Durée</span>
               <span class="mono">${this._formatDuration(this._session.duration)}</span>
             </div>
+            ${seriesRIR.length > 0 ? `
+              <div class="flex-between">
+                <span class="text-secondary text-sm">RIR moyen saisi</span>
+                <span class="mono">${round(mean(seriesRIR), 1)} (${seriesRIR.length} série${seriesRIR.length > 1 ? 's' : ''})</span>
+              </div>` : ''}
           </div>
         </div>
 
@@ -104,6 +118,12 @@ const FeedbackScreen = {
             <span class="feedback-btn__title">Parfait</span>
             <span class="feedback-btn__desc">C'était le bon niveau d'effort</span>
           </button>
+
+          <button class="feedback-btn feedback-btn--difficile" data-feedback="difficile" type="button">
+            <span class="feedback-btn__icon">😓</span>
+            <span class="feedback-btn__title">Difficile</span>
+            <span class="feedback-btn__desc">Terminé, mais à 0–1 rep de l'échec</span>
+          </button>
         </div>
       </div>
     `;
@@ -124,7 +144,7 @@ const FeedbackScreen = {
 
   /**
    * Traite le choix de l'utilisateur
-   * @param {string} type 'facile' | 'parfait'
+   * @param {string} type 'facile' | 'parfait' | 'difficile'
    */
   async _handleFeedback(type) {
     this._isProcessing = true;
@@ -133,15 +153,19 @@ const FeedbackScreen = {
     const btn = this._container.querySelector(`[data-feedback="${type}"]`);
     btn.classList.add('feedback-btn--selected');
     
-    // Désactiver l'autre bouton
+    // Désactiver les autres boutons
     this._container.querySelectorAll('.feedback-btn').forEach(b => {
       if (b !== btn) b.style.opacity = '0.5';
     });
 
     try {
-      // Calcul du RIR (Repetitions In Reserve)
-      // facile = 4 reps en réserve, parfait = 2 reps en réserve
-      const rir = type === 'facile' ? 4 : 2;
+      // Calcul du RIR (Repetitions In Reserve) : moyenne des RIR
+      // saisis par série, sinon facile = 4 reps en réserve,
+      // parfait = 2, difficile = 1 (cf. FEEDBACK_TO_RIR)
+      const seriesRIR = getSeriesRIR(this._session);
+      const rir = seriesRIR.length > 0
+        ? round(mean(seriesRIR), 1)
+        : FEEDBACK_TO_RIR[type];
 
       // Mise à jour de la séance avec le feedback
       const updatedSession = {
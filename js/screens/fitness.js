@@ -0,0 +1,137 @@
+/* ════════════════════════════════════════════════════════════════
+   AbdoPro — screens/fitness.js
+
+   Responsabilité unique : écran « Forme » (modèle Banister).
+   ─────────────────────────────────────────────────────────────
+   Contenu :
+   1. Statut du jour (frais, fatigué, surmenage…) + recommandation.
+   2. Courbes fitness / fatigue / performance estimée, calculées
+      à partir des séances réellement enregistrées, prolongées
+      d'une projection sans entraînement.
+   3. Rappel du modèle et de ses paramètres.
+
+   Les calculs sont délégués à utils/fitness.js, partagé avec
+   la carte « Forme » du tableau de bord.
+   L'état affiché est celui de l'exercice actif.
+   ════════════════════════════════════════════════════════════════ */
+
+import state from '../state.js';
+import engine from '../algorithms/engine.js';
+import {
+  getFitnessOverview,
+  buildFitnessChartSVG,
+  buildFitnessCard,
+  PROJECTION_DAYS
+} from '../utils/fitness.js';
+
+const FitnessScreen = {
+  _container: null,
+  _abortController: null,
+
+  async render(container, params) {
+    this._container = container;
+    this._abortController = new AbortController();
+
+    const history = await state.getAlgorithmHistory();
+
+    // Écran quitté pendant le chargement
+    if (!this._container) return;
+
+    const overview = getFitnessOverview(
+      history,
+      state.getCurrentWeekNumber(),
+      state.getCurrentDayNumber()
+    );
+
+    if (!overview.available) {
+      this._renderEmptyState();
+      return;
+    }
+
+    this._renderUI(overview);
+  },
+
+  destroy() {
+    if (this._abortController) {
+      this._abortController.abort();
+    }
+    this._container = null;
+  },
+
+  _renderEmptyState() {
+    this._container.innerHTML = `
+      <div class="screen centered">
+        <div class="text-3xl mb-4">🔋</div>
+        <h1 class="screen-header__title">Forme inconnue</h1>
+        <p class="text-secondary text-center">
+          Passez votre premier test max de ${state.getActiveExercise().label}
+          pour suivre votre fitness et votre fatigue ici.
+        </p>
+      </div>
+    `;
+  },
+
+  _renderUI(overview) {
+    const exercise = state.getActiveExercise();
+    const params = engine.getAlgorithm('banister').getModelParams();
+
+    this._container.innerHTML = `
+      <div class="screen">
+        <header class="screen-header">
+          <span class="screen-header__subtitle">Modèle Banister · ${exercise.icon} ${exercise.label}</span>
+          <h1 class="screen-header__title">Votre Forme</h1>
+        </header>
+
+        <!-- 1. Statut du jour -->
+        ${buildFitnessCard(overview, { unit: exercise.unit })}
+
+        <!-- 2. Courbes (Composant Section 15) -->
+        <section class="mb-8">
+          <h3 class="mb-4 text-sm uppercase text-muted">Fitness & fatigue</h3>
+          <div class="chart-container chart-container--interactive">
+            <div class="chart">
+              ${buildFitnessChartSVG(overview, exercise.unit)}
+            </div>
+          </div>
+          <div class="chart-legend mt-2">
+            <span class="chart-legend__item">
+              <span class="chart-legend__swatch" style="background-color: var(--accent-success)"></span>Fitness
+            </span>
+            <span class="chart-legend__item">
+              <span class="chart-legend__swatch" style="background-color: var(--accent-danger)"></span>Fatigue
+            </span>
+            <span class="chart-legend__item">
+              <span class="chart-legend__swatch"></span>Performance estimée
+            </span>
+          </div>
+          <p class="text-xs text-muted mt-2">
+            Pointillés : projection sur ${PROJECTION_DAYS} jours sans entraînement.
+          </p>
+        </section>
+
+        <!-- 3. Modèle (Composant Section 17) -->
+        <details class="accordion mb-8">
+          <summary class="accordion__header">
+            <span class="accordion__title">ℹ️ Comment lire ces courbes ?</span>
+            <span class="accordion__chevron">▶</span>
+          </summary>
+          <div class="accordion__content text-sm text-secondary">
+            <p class="mb-2">
+              Chaque séance ajoute de la <strong>fitness</strong> (gain durable,
+              τ = ${params.tau1} j) et de la <strong>fatigue</strong>
+              (×${params.k2 / params.k1}, dissipée en τ = ${params.tau2} j).
+            </p>
+            <p class="mb-2">
+              Performance estimée = premier test max + fitness − fatigue.
+              La fatigue retombe plus vite : après quelques jours de repos,
+              la performance remonte au-dessus de son niveau d'avant.
+            </p>
+            <p>Ratio fitness / fatigue actuel : <span class="mono">${overview.status.ratio}</span></p>
+          </div>
+        </details>
+      </div>
+    `;
+  }
+};
+
+export default FitnessScreen;
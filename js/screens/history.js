@@ -4,19 +4,47 @@
    Responsabilité unique : affichage de l'historique et des stats.
    ─────────────────────────────────────────────────────────────
    Contenu :
-   1. Graphique de progression (Test Max).
+   1. Graphique de progression (Test Max réel, prédictions
+      de chaque algorithme, détail au tap sur une semaine).
    2. Classement des algorithmes (Scoring).
-   3. Historique détaillé par semaine (Accordéons).
-   4. Actions de maintenance (Export).
+   3. Diagnostic du modèle de régression (équation, R²,
+      projection et bande de confiance, facteur d'ajustement).
+   4. Fiabilité du moteur : rejeu de chaque semaine passée
+      (prédictions vs réel, sélection simulée vs stockée).
+   5. Historique détaillé par semaine (Accordéons).
+   6. Actions de maintenance (Export).
+
+   L'historique affiché est celui de l'exercice actif.
    ════════════════════════════════════════════════════════════════ */
 
 import state from '../state.js';
+import engine from '../algorithms/engine.js';
 import { exportData } from '../utils/export.js';
+import { formatAmount, getUnitShortLabel } from '../utils/units.js';
+import { round } from '../utils/math.js';
+import { parseLocalDate } from '../utils/dates.js';
+import { getRegressionDiagnostics, buildTrendChartSVG, PROJECTION_WEEKS } from '../utils/trend.js';
+import {
+  buildChartData,
+  buildChartSVG,
+  getWeekDetails,
+  getPointPosition,
+  getAlgorithmColor
+} from '../utils/chart.js';
 
 const HistoryScreen = {
   _container: null,
   _abortController: null,
 
+  /** @type {Object|null} Données du graphique (cf. utils/chart.js) */
+  _chartData: null,
+
+  /** @type {string[]} Algorithmes dont la courbe est masquée */
+  _hiddenAlgorithms: [],
+
+  /** @type {number|null} Semaine inspectée */
+  _selectedWeek: null,
+
   async render(container, params) {
     this._container = container;
     this._abortController = new AbortController();
@@ -28,7 +56,14 @@ const HistoryScreen = {
       return;
     }
 
-    this._renderUI(history);
+    // Rejeu du moteur sur l'historique complet (séances incluses)
+    const algorithmHistory = await state.getAlgorithmHistory();
+    if (!this._container) return;
+
+    engine.initialize();
+    const backtest = engine.getBacktestReport(algorithmHistory, state.getScoringHistory());
+
+    this._renderUI(history, backtest);
   },
 
   destroy() {
@@ -36,6 +71,9 @@ const HistoryScreen = {
       this._abortController.abort();
     }
     this._container = null;
+    this._chartData = null;
+    this._hiddenAlgorithms = [];
+    this._selectedWeek = null;
   },
 
   _renderEmptyState() {
@@ -44,34 +82,43 @@ const HistoryScreen = {
         <div class="text-3xl mb-4">📊</div>
         <h1 class="screen-header__title">Historique vide</h1>
         <p class="text-secondary text-center">
-          Complétez votre première semaine pour voir vos statistiques de progression ici.
+          Complétez votre première semaine de ${state.getActiveExercise().label}
+          pour voir vos statistiques de progression ici.
         </p>
       </div>
     `;
   },
 
-  _renderUI(history) {
+  _renderUI(history, backtest) {
     const lastWeek = history[history.length - 1];
+    const exercise = state.getActiveExercise();
+    this._chartData = buildChartData(history, state.getScoringHistory());
     
     this._container.innerHTML = `
       <div class="screen">
         <header class="screen-header">
-          <span class="screen-header__subtitle">Statistiques</span>
+          <span class="screen-header__subtitle">Statistiques · ${exercise.icon} ${exercise.label}</span>
           <h1 class="screen-header__title">Votre Progression</h1>
         </header>
 
         <!-- 1. Graphique (Composant Section 15) -->
         <section class="mb-8">
           <h3 class="mb-4 text-sm uppercase text-muted">Évolution Test Max</h3>
-          <div class="chart-container">
-            ${this._buildSVGChart(history)}
+          <div data-chart>
+            ${this._buildChart()}
           </div>
         </section>
 
         <!-- 2. Scoring Algorithmes (Composant Section 8) -->
         ${this._buildAlgoScoring(lastWeek)}
 
-        <!-- 3. Liste des semaines (Composant Section 17) -->
+        <!-- 3. Diagnostic régression (Composants Sections 12, 15, 17) -->
+        ${this._buildRegressionDiagnostics(history)}
+
+        <!-- 4. Fiabilité du moteur (Composants Sections 12, 17, 20) -->
+        ${this._buildBacktestReport(backtest)}
+
+        <!-- 5. Liste des semaines (Composant Section 17) -->
         <section class="mb-8">
           <h3 class="mb-4 text-sm uppercase text-muted">Détail des semaines</h3>
           <div class="flex-col gap-3">
@@ -79,7 +126,7 @@ const HistoryScreen = {
           </div>
         </section>
 
-        <!-- 4. Actions -->
+        <!-- 6. Actions -->
         <footer class="mt-4 mb-8">
           <button class="btn btn-ghost btn-block" data-action="export">
             📤 Exporter mes données (JSON)
@@ -91,37 +138,99 @@ const HistoryScreen = {
     this._attachEvents();
   },
 
-  _buildSVGChart(history) {
-    const data = history.filter(w => w.testMax !== null);
-    if (data.length < 2) return `<div class="flex-center h-full text-muted text-sm">Plus de données requises pour le graphique</div>`;
+  _buildChart() {
+    const data = this._chartData;
+    if (data.points.length === 0) {
+      return `<div class="chart-container flex flex-center text-muted text-sm">Plus de données requises pour le graphique</div>`;
+    }
 
-    const width = 300;
-    const height = 150;
-    const padding = 20;
-    
-    const maxVal = Math.max(...data.map(d => d.testMax)) * 1.2;
-    const minVal = 0;
+    const unit = state.getActiveExercise().unit;
 
-    const points = data.map((d, i) => {
-      const x = (i / (data.length - 1)) * (width - padding * 2) + padding;
-      const y = height - ((d.testMax / maxVal) * (height - padding * 2) + padding);
-      return `${x},${y}`;
-    }).join(' ');
+    return `
+      <div class="chart-container chart-container--interactive">
+        <div class="chart">
+          ${buildChartSVG(data, {
+            unitLabel: getUnitShortLabel(unit),
+            hidden: this._hiddenAlgorithms,
+            selectedWeek: this._selectedWeek
+          })}
+          ${this._buildChartTooltip(unit)}
+        </div>
+      </div>
+      ${this._buildChartLegend()}
+    `;
+  },
+
+  _buildChartTooltip(unit) {
+    if (this._selectedWeek === null) return '';
+
+    const details = getWeekDetails(this._chartData, this._selectedWeek);
+    const position = getPointPosition(this._chartData, this._selectedWeek);
+    if (!details || !position) return '';
+
+    // Ancrage à gauche/droite près des bords pour rester visible
+    const anchor = position.left < 30 ? 'start' : position.left > 70 ? 'end' : 'center';
+    const below = position.top < 50 ? 'chart-tooltip--below' : '';
+    const algorithms = Object.keys(this._chartData.overlays);
+    const date = details.date
+      ? parseLocalDate(details.date).toLocaleDateString('fr-FR', { day: 'numeric', month: 'short' })
+      : '';
+
+    const rows = details.predictions
+      .filter(p => !this._hiddenAlgorithms.includes(p.algorithm))
+      .map(p => `
+        <div class="chart-tooltip__row">
+          <span class="chart-legend__swatch" style="background-color: ${getAlgorithmColor(p.algorithm, algorithms.indexOf(p.algorithm))}"></span>
+          <span>${p.algorithm.toUpperCase()}</span>
+          <span class="mono">${formatAmount(p.predicted, unit)}</span>
+          <span class="mono ${p.error === 0 ? 'color-success' : 'text-muted'}">${p.error > 0 ? '+' : ''}${p.error}</span>
+        </div>
+      `).join('');
 
     return `
-      <svg viewBox="0 0 ${width} ${height}" class="w-full h-full">
-        <polyline fill="none" stroke="var(--accent-primary)" stroke-width="3" 
-                  stroke-linecap="round" stroke-linejoin="round" 
-                  points="${points}" />
-        ${data.map((d, i) => {
-          const x = (i / (data.length - 1)) * (width - padding * 2) + padding;
-          const y = height - ((d.testMax / maxVal) * (height - padding * 2) + padding);
-          return `<circle cx="${x}" cy="${y}" r="4" fill="var(--bg-card)" stroke="var(--accent-primary)" stroke-width="2" />`;
+      <div class="chart-tooltip chart-tooltip--${anchor} ${below}"
+           style="left: ${position.left}%; top: ${position.top}%" role="status">
+        <div class="chart-tooltip__title">Semaine ${details.weekNumber}${date ? ` · ${date}` : ''}</div>
+        <div class="chart-tooltip__row chart-tooltip__row--actual">
+          <span>Réel</span>
+          <span class="mono">${formatAmount(details.actual, unit)}</span>
+        </div>
+        ${rows || '<div class="text-xs text-muted">Aucune prédiction pour cette semaine</div>'}
+      </div>
+    `;
+  },
+
+  _buildChartLegend() {
+    const algorithms = Object.keys(this._chartData.overlays);
+    if (algorithms.length === 0) return '';
+
+    return `
+      <div class="chart-legend mt-2">
+        <span class="chart-legend__item chart-legend__item--actual">
+          <span class="chart-legend__swatch"></span>Réel
+        </span>
+        ${algorithms.map((name, i) => {
+          const accuracy = this._chartData.accuracy[name];
+          const isHidden = this._hiddenAlgorithms.includes(name);
+          return `
+            <button class="chart-legend__item ${isHidden ? 'chart-legend__item--hidden' : ''}"
+                    data-action="chart-toggle" data-algorithm="${name}"
+                    type="button" aria-pressed="${!isHidden}">
+              <span class="chart-legend__swatch" style="background-color: ${getAlgorithmColor(name, i)}"></span>
+              ${name.toUpperCase()}
+              ${accuracy !== null ? `<span class="text-muted mono">±${accuracy}%</span>` : ''}
+            </button>
+          `;
         }).join('')}
-      </svg>
+      </div>
     `;
   },
 
+  _refreshChart() {
+    const slot = this._container?.querySelector('[data-chart]');
+    if (slot) slot.innerHTML = this._buildChart();
+  },
+
   _buildAlgoScoring(week) {
     if (!week.algorithmScores) return '';
 
@@ -148,29 +257,201 @@ const HistoryScreen = {
     `;
   },
 
+  _buildRegressionDiagnostics(history) {
+    const diagnostics = getRegressionDiagnostics(history, PROJECTION_WEEKS);
+    if (!diagnostics.available) return '';
+
+    const unit = state.getActiveExercise().unit;
+    const { quality, adjustment, nextWeek } = diagnostics;
+
+    return `
+      <details class="accordion mb-8">
+        <summary class="accordion__header">
+          <span class="accordion__title">📈 Modèle de régression</span>
+          <span class="mono text-sm">R² ${quality.rSquared}</span>
+          <span class="accordion__chevron">▶</span>
+        </summary>
+        <div class="accordion__content">
+          <p class="mono text-sm text-center mb-4">${quality.equation}</p>
+          <p class="text-xs text-muted mb-4">x = numéro de semaine, y = test max.</p>
+
+          <div class="chart-container chart-container--interactive mb-4">
+            <div class="chart">
+              ${buildTrendChartSVG(diagnostics, unit)}
+            </div>
+          </div>
+
+          <dl class="detail-list">
+            <div class="detail-item">
+              <dt class="detail-item__label">Qualité de l'ajustement</dt>
+              <dd class="detail-item__value">${diagnostics.qualityLabel} · ${quality.confidence}%</dd>
+            </div>
+            <div class="detail-item">
+              <dt class="detail-item__label">R² (${quality.pointCount} tests max)</dt>
+              <dd class="detail-item__value mono">${quality.rSquared}</dd>
+            </div>
+            <div class="detail-item">
+              <dt class="detail-item__label">Intervalle 95 %</dt>
+              <dd class="detail-item__value mono">± ${quality.margin95}</dd>
+            </div>
+            ${nextWeek ? `
+              <div class="detail-item">
+                <dt class="detail-item__label">Prévision S${nextWeek.week}</dt>
+                <dd class="detail-item__value mono">
+                  ${formatAmount(round(nextWeek.predicted), unit)}
+                  <span class="text-muted">(${round(nextWeek.lower)}–${round(nextWeek.upper)})</span>
+                </dd>
+              </div>` : ''}
+            <div class="detail-item">
+              <dt class="detail-item__label">Facteur d'ajustement</dt>
+              <dd class="detail-item__value mono">×${adjustment.factor}</dd>
+            </div>
+            <div class="detail-item">
+              <dt class="detail-item__label">Taux d'échec</dt>
+              <dd class="detail-item__value">${adjustment.failureRate}% · ${adjustment.failureLabel}</dd>
+            </div>
+          </dl>
+
+          <p class="text-sm text-secondary mt-4">
+            ${adjustment.interpretation}
+            Le facteur compare votre progression réelle à celle prédite
+            par la courbe : au-dessus de 1, la régression augmente le volume
+            de la semaine ; en dessous, elle le réduit.
+          </p>
+          <p class="text-xs text-muted mt-2">
+            Pointillés : projection sur ${PROJECTION_WEEKS} semaines.
+            Zone colorée : intervalle de confiance à 95 %.
+          </p>
+        </div>
+      </details>
+    `;
+  },
+
+  _buildBacktestReport(report) {
+    if (!report || report.weeks.length === 0) return '';
+
+    const unit = state.getActiveExercise().unit;
+    const { metrics, algorithmErrors } = report;
+
+    const errorRows = Object.entries(algorithmErrors)
+      .sort(([, a], [, b]) => a - b)
+      .map(([name, error]) => `
+        <div class="detail-item">
+          <dt class="detail-item__label">${name.toUpperCase()}</dt>
+          <dd class="detail-item__value mono">± ${error}%</dd>
+        </div>
+      `).join('');
+
+    const weekRows = report.weeks.slice().reverse().map(week => {
+      const predictions = Object.entries(week.predictions)
+        .filter(([, value]) => typeof value === 'number')
+        .map(([name, value]) => {
+          const error = week.errors[name];
+          return `
+            <span class="backtest-week__prediction ${name === week.simulated ? 'backtest-week__prediction--selected' : ''}">
+              ${name.toUpperCase()} ${value}
+              <span class="text-muted">(${error > 0 ? '+' : ''}${error})</span>
+            </span>
+          `;
+        }).join('');
+
+      return `
+        <li class="backtest-week ${week.mismatch ? 'backtest-week--mismatch' : ''}">
+          <div class="backtest-week__header">
+            <span class="font-semibold">S${week.weekNumber}</span>
+            <span class="mono text-sm">Réel ${formatAmount(week.actual, unit)}</span>
+            <span class="badge ${week.mismatch ? 'badge--warning' : 'badge--muted'}">${week.simulated.toUpperCase()}</span>
+          </div>
+          ${week.mismatch ? `
+            <p class="text-xs color-warning">
+              ⚠️ Sélection enregistrée : ${week.stored.toUpperCase()}
+            </p>` : ''}
+          <div class="backtest-week__predictions mono text-xs">${predictions}</div>
+        </li>
+      `;
+    }).join('');
+
+    return `
+      <details class="accordion mb-8">
+        <summary class="accordion__header">
+          <span class="accordion__title">🧪 Fiabilité du moteur</span>
+          ${report.mismatchCount > 0
+            ? `<span class="badge badge--warning">${report.mismatchCount} écart(s)</span>`
+            : '<span class="badge badge--success">Cohérent</span>'}
+          <span class="accordion__chevron">▶</span>
+        </summary>
+        <div class="accordion__content">
+          <p class="text-sm text-secondary mb-4">
+            Chaque semaine passée est rejouée : prédiction de chaque algorithme
+            à partir des semaines précédentes, comparée au test max réel.
+          </p>
+
+          <dl class="detail-list mb-4">
+            <div class="detail-item">
+              <dt class="detail-item__label">Semaines rejouées</dt>
+              <dd class="detail-item__value mono">${report.weeks.length}</dd>
+            </div>
+            <div class="detail-item">
+              <dt class="detail-item__label">Précision moyenne</dt>
+              <dd class="detail-item__value mono">${metrics.averagePrecision}/100</dd>
+            </div>
+            <div class="detail-item">
+              <dt class="detail-item__label">Changements d'algorithme</dt>
+              <dd class="detail-item__value mono">${metrics.algorithmChanges} (rejeu : ${report.simulatedChanges})</dd>
+            </div>
+            <div class="detail-item">
+              <dt class="detail-item__label">Algorithme dominant</dt>
+              <dd class="detail-item__value">${metrics.dominantAlgorithm.toUpperCase()}</dd>
+            </div>
+            <div class="detail-item">
+              <dt class="detail-item__label">Taux d'échec</dt>
+              <dd class="detail-item__value mono">${metrics.failureRate}%</dd>
+            </div>
+            <div class="detail-item">
+              <dt class="detail-item__label">Sélections divergentes</dt>
+              <dd class="detail-item__value mono">${report.mismatchCount}</dd>
+            </div>
+          </dl>
+
+          ${errorRows ? `
+            <h4 class="text-xs uppercase text-muted mb-2">Erreur moyenne de prédiction</h4>
+            <dl class="detail-list mb-4">${errorRows}</dl>` : ''}
+
+          <h4 class="text-xs uppercase text-muted mb-2">Prédit vs réel par semaine</h4>
+          <ul class="backtest-list">${weekRows}</ul>
+        </div>
+      </details>
+    `;
+  },
+
   _buildWeekAccordion(week) {
     const fb = week.feedbackSummary || {};
     return `
       <details class="accordion">
         <summary class="accordion__header">
           <span class="accordion__title">Semaine ${week.weekNumber}</span>
-          <span class="mono text-sm">${week.testMax} reps</span>
+          <span class="mono text-sm">${formatAmount(week.testMax, state.getActiveExercise().unit)}</span>
           <span class="accordion__chevron">▶</span>
         </summary>
         <div class="accordion__content">
           <dl class="detail-list">
             <div class="detail-item">
               <dt class="detail-item__label">Algorithme utilisé</dt>
-              <dd class="detail-item__value">${week.selectedAlgorithm}</dd>
+              <dd class="detail-item__value">${week.selectedAlgorithm}${week.algorithmLocked ? ' 🔒' : ''}</dd>
             </div>
+            ${week.recommendedAlgorithm && week.recommendedAlgorithm !== week.selectedAlgorithm ? `
+              <div class="detail-item">
+                <dt class="detail-item__label">Choix du moteur</dt>
+                <dd class="detail-item__value">${week.recommendedAlgorithm}</dd>
+              </div>` : ''}
             <div class="detail-item">
               <dt class="detail-item__label">Volume réalisé</dt>
-              <dd class="detail-item__value">${fb.volumeRealiseTotale || 0} reps</dd>
+              <dd class="detail-item__value">${formatAmount(fb.volumeRealiseTotale || 0, state.getActiveExercise().unit)}</dd>
             </div>
             <div class="detail-item">
               <dt class="detail-item__label">Feedbacks</dt>
               <dd class="detail-item__value">
-                ✅${fb.parfait || 0}  😊${fb.facile || 0}  ❌${fb.impossible || 0}
+                ✅${fb.parfait || 0}  😊${fb.facile || 0}  😓${fb.difficile || 0}  ❌${fb.impossible || 0}
               </dd>
             </div>
           </dl>
@@ -182,13 +463,41 @@ const HistoryScreen = {
   _attachEvents() {
     const signal = this._abortController.signal;
     this._container.addEventListener('click', async (e) => {
-      const btn = e.target.closest('[data-action="export"]');
-      if (btn) {
-        btn.disabled = true;
-        btn.textContent = 'Génération...';
-        await exportData();
-        btn.disabled = false;
-        btn.textContent = '📤 Exporter mes données (JSON)';
+      const btn = e.target.closest('[data-action]');
+
+      if (!btn) {
+        // Tap hors d'un point du graphique → fermer l'info-bulle
+        if (this._selectedWeek !== null && e.target.closest('[data-chart]')) {
+          this._selectedWeek = null;
+          this._refreshChart();
+        }
+        return;
+      }
+
+      switch (btn.dataset.action) {
+        case 'export':
+          btn.disabled = true;
+          btn.textContent = 'Génération...';
+          await exportData();
+          btn.disabled = false;
+          btn.textContent = '📤 Exporter mes données (JSON)';
+          break;
+
+        case 'chart-point': {
+          const week = Number(btn.dataset.week);
+          this._selectedWeek = this._selectedWeek === week ? null : week;
+          this._refreshChart();
+          break;
+        }
+
+        case 'chart-toggle': {
+          const name = btn.dataset.algorithm;
+          this._hiddenAlgorithms = this._hiddenAlgorithms.includes(name)
+            ? this._hiddenAlgorithms.filter(n => n !== name)
+            : [...this._hiddenAlgorithms, name];
+          this._refreshChart();
+          break;
+        }
       }
     }, { signal });
   }
@@ -31,7 +31,7 @@ const SLIDES = [
   {
     icon: '🧠',
     title: 'Un programme adapté automatiquement',
-    text: '5 algorithmes scientifiques analysent vos performances ' +
+    text: '6 algorithmes scientifiques analysent vos performances ' +
           'et créent un programme sur mesure, ajusté chaque semaine.'
   },
   {
@@ -8,8 +8,41 @@
    ════════════════════════════════════════════════════════════════ */
 
 import state from '../state.js';
+import engine from '../algorithms/engine.js';
 import { RestTimer, updateTimerUI } from '../utils/timer.js';
 import notifications from '../utils/notifications.js';
+import { UNITS, formatAmount } from '../utils/units.js';
+import { round } from '../utils/math.js';
+import { Metronome, resolveTempo } from '../utils/metronome.js';
+import wakeLock from '../utils/wake-lock.js';
+import mediaSession from '../utils/media-session.js';
+import voiceCoach from '../utils/voice-coach.js';
+import { getMiniSessionSeries, MIN_SPACING_MINUTES } from '../algorithms/gtg.js';
+
+/** Échelle de saisie du RIR par série */
+const RIR_SCALE = [0, 1, 2, 3, 4, 5];
+
+Object.freeze(RIR_SCALE);
+
+/** États sauvegardés dans le point de reprise */
+const CHECKPOINT_STATES = ['exercising', 'resting', 'completed', 'failed'];
+
+Object.freeze(CHECKPOINT_STATES);
+
+/** Pas des boutons d'ajustement du repos (s) */
+const REST_ADJUST_STEP = 15;
+
+/** Repos minimal restant après un raccourcissement (s) */
+const MIN_REST_REMAINING = 5;
+
+/** Au-delà, le repos mesuré inclut une interruption : non enregistré (s) */
+const MAX_RECORDED_REST = 600;
+
+/** Message affiché quand l'enregistrement de la séance échoue */
+const SAVE_ERROR_MESSAGE = 'Enregistrement impossible. Veuillez réessayer.';
+
+/** Écart minimal entre deux appuis du compteur (anti double-tap) */
+const MIN_TAP_INTERVAL_MS = 250;
 
 const SESSION_STATE = {
   READY:      'ready',
@@ -31,16 +64,24 @@ const SessionScreen = {
   _seriesDetail: [],
   _sessionStart: 0,
   _seriesStart: 0,
+  _restEndsAt: null,
+  _restStartedAt: null,
   _partialReps: 0,
+  _repTaps: [],
+  _metronome: null,
+  _metronomeOn: false,
   _timerElements: null,
+  _miniSeries: [],
+  _miniIndex: 0,
+  _previous: null,
 
   async render(container, params) {
     this._container = container;
     this._navigateTo = params.navigateTo;
     this._abortController = new AbortController();
+    this._attachEvents();
 
-    this._plan = state.getCurrentDayPlan();
-    if (!this._plan) {
+    if (!this._loadPlan()) {
       this._showNoPlanError();
       return;
     }
@@ -50,10 +91,17 @@ const SessionScreen = {
     this._currentSeries = 1;
     this._seriesDetail = [];
     this._sessionStart = 0;
+    this._restEndsAt = null;
+    this._restStartedAt = null;
     this._partialReps = 0;
+    this._repTaps = [];
+    this._metronomeOn = state.getSettings().metronomeEnabled === true;
 
     notifications.init();
-    this._attachEvents();
+
+    const checkpoint = state.getSessionCheckpoint();
+    if (params.resume && checkpoint && this._restoreCheckpoint(checkpoint)) return;
+
     this._render();
   },
 
@@ -62,6 +110,9 @@ const SessionScreen = {
       this._timer.destroy();
       this._timer = null;
     }
+    this._stopMetronome();
+    this._releaseDeviceControls();
+    voiceCoach.stop();
     if (this._abortController) {
       this._abortController.abort();
     }
@@ -70,9 +121,18 @@ const SessionScreen = {
 
   _render() {
     if (!this._container) return;
+    this._stopMetronome();
     switch (this._state) {
       case SESSION_STATE.READY:      this._container.innerHTML = this._buildReadyHTML(); break;
-      case SESSION_STATE.EXERCISING: this._container.innerHTML = this._buildExercisingHTML(); break;
+      case SESSION_STATE.EXERCISING: if (this._isTimed()) {
+                                       this._container.innerHTML = this._buildHoldingHTML();
+                                       this._cacheTimerElements();
+                                       this._startWorkTimer();
+                                     } else {
+                                       this._container.innerHTML = this._buildExercisingHTML();
+                                       this._startMetronome();
+                                     }
+                                     break;
       case SESSION_STATE.RESTING:    this._container.innerHTML = this._buildRestingHTML(); 
                                      this._cacheTimerElements(); 
                                      this._startRestTimer(); break;
@@ -80,6 +140,8 @@ const SessionScreen = {
       case SESSION_STATE.FAILED:     this._container.innerHTML = this._buildFailedHTML(); break;
       case SESSION_STATE.SAVING:     this._container.innerHTML = this._buildSavingHTML(); break;
     }
+    this._syncDeviceControls();
+    this._saveCheckpoint();
   },
 
   _attachEvents() {
@@ -94,39 +156,100 @@ const SessionScreen = {
   _handleAction(action, target) {
     switch (action) {
       case 'start-session':     this._onStartSession(); break;
+      case 'resume-session':    this._onResumeSession(); break;
       case 'series-done':       this._onSeriesDone(); break;
+      case 'tap-rep':           this._onTapRep(); break;
+      case 'undo-rep':          this._onUndoRep(); break;
+      case 'toggle-metronome':  this._onToggleMetronome(); break;
       case 'impossible':        this._onImpossible(); break;
       case 'skip-rest':         this._onSkipRest(); break;
-      case 'go-feedback':       this._onGoFeedback(); break;
+      case 'adjust-rest':       this._onAdjustRest(Number(target.dataset.delta)); break;
+      case 'go-feedback':       this._onGoFeedback(target); break;
+      case 'save-mini-session': this._onSaveMiniSession(target); break;
+      case 'set-rir':           this._onSetRIR(target); break;
       case 'partial-increment': this._adjustPartialReps(1); break;
       case 'partial-decrement': this._adjustPartialReps(-1); break;
       case 'save-failed':       this._onSaveFailed(target); break;
+      case 'select-exercise':   this._onSelectExercise(target); break;
+      case 'go-dashboard':      this._navigateTo('dashboard'); break;
     }
   },
 
   /* --- Logique des actions & Transitions --- */
 
   _onStartSession() {
+    notifications.requestSystemPermission();
     this._sessionStart = Date.now();
     this._seriesStart = Date.now();
+    this._repTaps = [];
     this._state = SESSION_STATE.EXERCISING;
     this._render();
+    this._announceSeries();
+  },
+
+  _onResumeSession() {
+    const checkpoint = state.getSessionCheckpoint();
+    if (this._sessionStart || !checkpoint) return;
+
+    if (!this._restoreCheckpoint(checkpoint)) {
+      // Plan du jour modifié depuis : reprise impossible
+      state.clearSessionCheckpoint().catch(error => console.error('Erreur point de reprise :', error));
+      this._render();
+    }
+  },
+
+  /**
+   * Change l'exercice actif avant le démarrage (état READY)
+   * et relit le plan du jour pour cet exercice.
+   */
+  async _onSelectExercise(button) {
+    // Changement d'exercice uniquement avant le début de la séance
+    if (this._sessionStart) return;
+
+    button.disabled = true;
+    try {
+      await state.setActiveExercise(button.dataset.exercise);
+    } catch (error) {
+      console.error('Erreur setActiveExercise :', error);
+    }
+    if (!this._container) return;
+
+    if (!this._loadPlan()) {
+      this._showNoPlanError();
+      return;
+    }
+
+    this._state = SESSION_STATE.READY;
+    this._render();
   },
 
+  /**
+   * Série terminée. Les reps comptées au compteur, s'il y en a,
+   * remplacent l'objectif (avec instants, tempo et cadence).
+   */
   _onSeriesDone() {
     if (this._state !== SESSION_STATE.EXERCISING) return;
 
+    if (this._timer) {
+      this._timer.destroy();
+      this._timer = null;
+    }
+
+    const counted = this._repTaps.length > 0;
     this._seriesDetail.push({
       seriesNumber: this._currentSeries,
-      repsCompleted: this._plan.reps,
+      repsCompleted: counted ? this._repTaps.length : this._plan.reps,
       completed: true,
-      duration: Math.round((Date.now() - this._seriesStart) / 1000)
+      duration: Math.round((Date.now() - this._seriesStart) / 1000),
+      ...(counted ? this._getCadence() : {})
     });
 
-    if (this._currentSeries >= this._plan.series) {
+    if (this._currentSeries >= this._getTargetSeries()) {
       this._state = SESSION_STATE.COMPLETED;
       notifications.notifySessionEnd();
+      voiceCoach.congratulate();
     } else {
+      this._restStartedAt = Date.now();
       this._state = SESSION_STATE.RESTING;
     }
     this._render();
@@ -153,22 +276,184 @@ const SessionScreen = {
       this._timer = null;
     }
 
+    this._recordRestTaken();
     this._currentSeries++;
     this._seriesStart = Date.now();
+    this._restEndsAt = null;
+    this._restStartedAt = null;
+    this._repTaps = [];
     this._state = SESSION_STATE.EXERCISING;
     this._render();
+    this._announceSeries();
+  },
+
+  /**
+   * Allonge / raccourcit le repos en cours. Le minuteur repart
+   * (RestTimer.reset) sur le temps restant ajusté.
+   *
+   * @param {number} delta — Secondes ajoutées (négatif : retirées)
+   */
+  _onAdjustRest(delta) {
+    if (this._state !== SESSION_STATE.RESTING || !this._timer || !Number.isFinite(delta)) return;
+
+    const wasRunning = this._timer.isRunning();
+    const remaining = Math.max(MIN_REST_REMAINING, Math.ceil(this._timer.getRemaining()) + delta);
+
+    // Décompte vocal déjà lancé : il ne correspond plus
+    voiceCoach.stop();
+
+    this._timer.reset(remaining);
+    if (wasRunning) {
+      this._restEndsAt = Date.now() + remaining * 1000;
+      this._timer.start();
+    } else {
+      updateTimerUI(this._timerElements, { fraction: 0, formattedTime: this._timer.formatRemaining(remaining), isCritical: false });
+    }
+
+    this._saveCheckpoint();
+  },
+
+  /**
+   * Enregistre le repos pris sur la série qui le précède.
+   * Un repos démesuré (interruption) n'est pas retenu.
+   */
+  _recordRestTaken() {
+    const last = this._seriesDetail[this._seriesDetail.length - 1];
+    if (!last || !this._restStartedAt) return;
+
+    const taken = Math.round((Date.now() - this._restStartedAt) / 1000);
+    if (taken > MAX_RECORDED_REST) return;
+
+    last.restPlanned = this._plan.rest;
+    last.restTaken = taken;
   },
 
   _onImpossible() {
     if (this._state !== SESSION_STATE.EXERCISING) return;
+
+    // Maintien interrompu : le temps tenu est connu précisément
+    if (this._timer) {
+      this._partialReps = Math.floor(this._timer.getDuration() - this._timer.getRemaining());
+      this._timer.destroy();
+      this._timer = null;
+    } else if (this._repTaps.length > 0) {
+      this._partialReps = Math.min(this._plan.reps, this._repTaps.length);
+    } else {
+      this._partialReps = Math.floor(this._plan.reps / 2);
+    }
+
     this._state = SESSION_STATE.FAILED;
-    this._partialReps = Math.floor(this._plan.reps / 2);
     notifications.notifyImpossible();
     this._render();
   },
 
+  /**
+   * Compte une répétition. Mise à jour sur place (pas de rendu
+   * complet) pour rester réactif à chaque appui.
+   */
+  _onTapRep() {
+    if (this._state !== SESSION_STATE.EXERCISING || this._isTimed()) return;
+
+    const elapsed = Date.now() - this._seriesStart;
+    const last = this._repTaps[this._repTaps.length - 1];
+    if (last !== undefined && elapsed - last < MIN_TAP_INTERVAL_MS) return;
+
+    this._repTaps.push(elapsed);
+    this._updateRepCounter();
+  },
+
+  _onUndoRep() {
+    if (this._state !== SESSION_STATE.EXERCISING || this._repTaps.length === 0) return;
+
+    this._repTaps.pop();
+    this._updateRepCounter();
+  },
+
+  _updateRepCounter() {
+    const counter = this._container.querySelector('.rep-counter');
+    if (!counter) return;
+
+    const count = this._repTaps.length;
+    counter.classList.toggle('rep-counter--over', count >= this._plan.reps);
+    counter.querySelector('.rep-counter__value').textContent = count;
+    counter.querySelector('.rep-counter__hint').textContent = this._formatCadenceHint();
+
+    const undo = this._container.querySelector('[data-action="undo-rep"]');
+    if (undo) undo.disabled = count === 0;
+  },
+
+  /**
+   * Coupe ou relance le métronome pour le reste de la séance.
+   */
+  _onToggleMetronome() {
+    if (this._state !== SESSION_STATE.EXERCISING) return;
+
+    this._metronomeOn = !this._metronomeOn;
+    if (this._metronomeOn) {
+      this._startMetronome();
+    } else {
+      this._stopMetronome();
+    }
+
+    const button = this._container.querySelector('[data-action="toggle-metronome"]');
+    if (button) button.outerHTML = this._buildMetronomeToggle();
+  },
+
+  /**
+   * Cadence de la série en cours, d'après les appuis du compteur.
+   * Le tempo est mesuré entre la première et la dernière rep (la
+   * mise en place avant la première rep n'est pas comptée).
+   *
+   * @returns {{repTimestamps: number[], tempo: number, cadence: number}}
+   */
+  _getCadence() {
+    const taps = this._repTaps;
+    const span = taps.length > 1
+      ? (taps[taps.length - 1] - taps[0]) / (taps.length - 1)
+      : taps[0];
+    const tempo = round(span / 1000, 1);
+
+    return {
+      repTimestamps: [...taps],
+      tempo,
+      cadence: tempo > 0 ? round(60 / tempo, 1) : 0
+    };
+  },
+
+  _formatCadenceHint() {
+    if (this._repTaps.length === 0) return 'Touchez à chaque répétition';
+    if (this._repTaps.length === 1) return 'Continuez…';
+
+    return `${this._getCadence().tempo.toString().replace('.', ',')} s / rep`;
+  },
+
+  /**
+   * Enregistre le RIR de la dernière série terminée (un second
+   * appui sur la même valeur l'efface). Mise à jour sur place :
+   * un nouveau rendu relancerait le minuteur de repos.
+   */
+  _onSetRIR(button) {
+    const series = this._seriesDetail[this._seriesDetail.length - 1];
+    if (!series) return;
+
+    const value = Number(button.dataset.rir);
+    if (series.rir === value) {
+      delete series.rir;
+    } else {
+      series.rir = value;
+    }
+    this._saveCheckpoint();
+
+    this._container.querySelectorAll('[data-action="set-rir"]').forEach(chip => {
+      const active = Number(chip.dataset.rir) === series.rir;
+      chip.classList.toggle('exercise-chip--active', active);
+      chip.setAttribute('aria-pressed', String(active));
+    });
+  },
+
   _adjustPartialReps(delta) {
-    this._partialReps = Math.max(0, Math.min(this._plan.reps, this._partialReps + delta));
+    const step = this._isTimed() ? 5 : 1;
+    this._partialReps = Math.max(0, Math.min(this._plan.reps, this._partialReps + delta * step));
     const valEl = this._container.querySelector('#partial-reps-value');
     if (valEl) valEl.textContent = this._partialReps;
   },
@@ -178,59 +463,147 @@ const SessionScreen = {
     this._state = SESSION_STATE.SAVING;
     this._render();
 
-    const total = this._seriesDetail.reduce((sum, s) => sum + s.repsCompleted, 0) + this._partialReps;
-    
     this._seriesDetail.push({
       seriesNumber: this._currentSeries,
       repsCompleted: this._partialReps,
       completed: false,
+      rir: 0,
       duration: Math.round((Date.now() - this._seriesStart) / 1000)
     });
 
-    await state.saveSession({
-      weekNumber: state.getCurrentWeekNumber(),
-      dayNumber: state.getCurrentDayNumber(),
-      date: new Date().toISOString(),
-      type: 'training',
-      duration: Math.round((Date.now() - this._sessionStart) / 1000),
-      actual: { totalRepsCompleted: total, seriesDetail: this._seriesDetail },
-      feedback: 'impossible',
-      rirEstimated: 0,
-      status: 'completed'
-    });
+    try {
+      await state.saveSession({
+        ...this._buildDayRecord(),
+        feedback: 'impossible',
+        rirEstimated: 0,
+        status: 'completed'
+      });
+    } catch (error) {
+      console.error('Erreur enregistrement séance échouée :', error);
+
+      // Retour à la saisie de l'échec (bouton de nouveau actif)
+      this._seriesDetail.pop();
+      this._state = SESSION_STATE.FAILED;
+      this._render();
+      this._showError(SAVE_ERROR_MESSAGE, this._container?.querySelector('[data-action="save-failed"]'));
+      return;
+    }
+
+    try {
+      await this._adjustRemainingWeek();
+    } catch (error) {
+      console.error('Erreur ajustement du plan :', error);
+    }
 
     this._navigateTo('dashboard');
   },
 
+  /**
+   * Allège les jours restants de la semaine d'après la série
+   * ratée (cf. engine.adjustRemainingWeek).
+   */
+  async _adjustRemainingWeek() {
+    const week = state.getCurrentWeek();
+    if (!week?.plan || !week.testMax) return;
+
+    const dayNumber = state.getCurrentDayNumber();
+    engine.initialize();
+    const { plan, factor, days } = engine.adjustRemainingWeek(
+      week.plan,
+      dayNumber,
+      week.testMax,
+      { planned: this._plan.reps, achieved: this._partialReps },
+      this._getUnit()
+    );
+    if (days.length === 0) return;
+
+    await state.applyPlanAdjustment(plan, { dayNumber, factor, days });
+  },
+
   /* --- Templates HTML --- */
 
   _buildReadyHTML() {
+    const exercise = state.getActiveExercise();
+    const isMini = this._isMiniSession();
     return `
       <div class="screen centered">
         <header class="screen-header text-center">
           <h1 class="screen-header__title">Prêt ?</h1>
-          <span class="text-secondary">Séance J${state.getCurrentDayNumber()}</span>
+          <span class="text-secondary">${exercise.icon} ${exercise.label} · Séance J${state.getCurrentDayNumber()}${isMini ? ` · Mini-séance ${this._miniIndex + 1} / ${this._miniSeries.length}` : ''}</span>
         </header>
+        ${this._buildExercisePicker()}
         <div class="card mb-6 w-full">
           <div class="card__body text-center">
-            <div class="text-4xl font-bold color-primary mb-2">${this._plan.series} × ${this._plan.reps}</div>
-            <div class="text-sm text-secondary">Objectif du jour</div>
+            <div class="text-4xl font-bold color-primary mb-2">${this._getTargetSeries()} × ${this._isTimed() ? `${this._plan.reps}s` : this._plan.reps}</div>
+            <div class="text-sm text-secondary">${isMini ? 'Objectif de la mini-séance' : 'Objectif du jour'}</div>
           </div>
         </div>
-        <button class="btn btn-primary btn-lg btn-block" data-action="start-session">Commencer</button>
+        ${isMini ? this._buildSpacingHint() : ''}
+        ${this._buildResumeHTML()}
       </div>`;
   },
 
+  /**
+   * Boutons de démarrage : « Reprendre la séance » en tête si une
+   * séance du jour a été interrompue (Commencer repart de zéro).
+   * @returns {string}
+   */
+  _buildResumeHTML() {
+    const checkpoint = state.getSessionCheckpoint();
+    if (!checkpoint) {
+      return `<button class="btn btn-primary btn-lg btn-block" data-action="start-session">Commencer</button>`;
+    }
+
+    const minutes = Math.max(0, Math.round((Date.now() - new Date(checkpoint.savedAt).getTime()) / 60000));
+    return `
+      <p class="text-sm text-secondary text-center mb-4">
+        ⏸️ Séance interrompue à la série ${checkpoint.currentSeries} / ${checkpoint.targetSeries}
+        (il y a ${minutes} min).
+      </p>
+      <button class="btn btn-primary btn-lg btn-block mb-3" data-action="resume-session">Reprendre la séance</button>
+      <button class="btn btn-ghost btn-block" data-action="start-session">Recommencer</button>`;
+  },
+
   _buildExercisingHTML() {
-    const progress = Math.round(((this._currentSeries - 1) / this._plan.series) * 100);
+    const progress = Math.round(((this._currentSeries - 1) / this._getTargetSeries()) * 100);
     return `
       <div class="screen centered">
         <header class="screen-header text-center">
-          <h1 class="screen-header__title">Série ${this._currentSeries} / ${this._plan.series}</h1>
+          <h1 class="screen-header__title">Série ${this._currentSeries} / ${this._getTargetSeries()}</h1>
         </header>
-        <div class="text-4xl font-bold mono color-primary mb-8">${this._plan.reps}</div>
+        <button class="rep-counter mb-2" data-action="tap-rep" type="button"
+                aria-label="Compter une répétition">
+          <span class="rep-counter__value" aria-live="polite">0</span>
+          <span class="rep-counter__target">/ ${this._plan.reps}</span>
+          <span class="rep-counter__hint">${this._formatCadenceHint()}</span>
+        </button>
+        <div class="flex flex-center flex-wrap gap-2 mb-6">
+          <button class="btn btn-ghost btn-sm" data-action="undo-rep" type="button" disabled>↶ Annuler une rep</button>
+          ${state.getSettings().metronomeEnabled ? this._buildMetronomeToggle() : ''}
+        </div>
         <button class="btn btn-success btn-lg btn-block mb-4" data-action="series-done">✅ Série terminée</button>
         <button class="btn btn-ghost btn-block" data-action="impossible">❌ Impossible</button>
+        <p class="text-xs text-muted text-center mt-4">Sans comptage, la série est enregistrée à ${this._plan.reps} reps.</p>
+        <div class="progress mt-8"><div class="progress__fill" style="width: ${progress}%"></div></div>
+      </div>`;
+  },
+
+  _buildHoldingHTML() {
+    const progress = Math.round(((this._currentSeries - 1) / this._getTargetSeries()) * 100);
+    return `
+      <div class="screen centered">
+        <header class="screen-header text-center">
+          <h1 class="screen-header__title">Série ${this._currentSeries} / ${this._getTargetSeries()}</h1>
+          <span class="text-secondary">Tenez la position</span>
+        </header>
+        <div class="timer" id="rest-timer-container">
+          <svg class="timer__svg" viewBox="0 0 120 120">
+            <circle class="timer__track" cx="60" cy="60" r="54" />
+            <circle class="timer__progress" id="timer-progress" cx="60" cy="60" r="54" />
+          </svg>
+          <div class="timer__display"><span class="timer__time" id="timer-time">0:00</span></div>
+        </div>
+        <button class="btn btn-ghost btn-block mt-8" data-action="impossible">❌ Impossible</button>
         <div class="progress mt-8"><div class="progress__fill" style="width: ${progress}%"></div></div>
       </div>`;
   },
@@ -246,40 +619,130 @@ const SessionScreen = {
           </svg>
           <div class="timer__display"><span class="timer__time" id="timer-time">0:00</span></div>
         </div>
+        <div class="flex flex-center gap-2 mt-4">
+          <button class="btn btn-ghost btn-sm" data-action="adjust-rest" data-delta="${-REST_ADJUST_STEP}" aria-label="Raccourcir le repos de ${REST_ADJUST_STEP} secondes">−${REST_ADJUST_STEP} s</button>
+          <button class="btn btn-ghost btn-sm" data-action="adjust-rest" data-delta="${REST_ADJUST_STEP}" aria-label="Allonger le repos de ${REST_ADJUST_STEP} secondes">+${REST_ADJUST_STEP} s</button>
+        </div>
+        ${this._buildCountedSummary()}
+        ${this._buildRIRPicker()}
         <button class="btn btn-ghost btn-block mt-8" data-action="skip-rest">⏭️ Passer le repos</button>
       </div>`;
   },
 
   _buildCompletedHTML() {
-    const total = this._seriesDetail.reduce((sum, s) => sum + s.repsCompleted, 0);
-    const goal = this._plan.series * this._plan.reps;
+    const unit = this._getUnit();
+    const total = formatAmount(this._seriesDetail.reduce((sum, s) => sum + s.repsCompleted, 0), unit);
+    const goal = formatAmount(this._getTargetSeries() * this._plan.reps, unit);
+    const isIntermediate = this._isMiniSession() && !this._isLastMiniSession();
     return `
       <div class="screen centered">
         <div class="text-3xl mb-4">🎉</div>
-        <h1 class="text-2xl font-bold mb-6">Séance terminée !</h1>
+        <h1 class="text-2xl font-bold mb-6">${this._isMiniSession()
+          ? `Mini-séance ${this._miniIndex + 1} / ${this._miniSeries.length} terminée !`
+          : 'Séance terminée !'}</h1>
         <div class="card w-full mb-8">
           <div class="card__body">
             <div class="flex-between gap-2 mb-3">
               <span class="text-secondary">Objectif&nbsp;:</span>
-              <span class="mono font-semibold">${goal}&nbsp;reps</span>
+              <span class="mono font-semibold">${goal}</span>
             </div>
             <div class="flex-between gap-2">
               <span class="text-secondary">Réalisé&nbsp;:</span>
-              <span class="mono color-success font-bold">${total}&nbsp;reps</span>
+              <span class="mono color-success font-bold">${total}</span>
             </div>
           </div>
         </div>
-        <button class="btn btn-primary btn-lg btn-block" data-action="go-feedback">Continuer</button>
+        ${this._buildCountedSummary()}
+        ${this._buildRIRPicker()}
+        ${isIntermediate ? `
+          <p class="text-sm text-secondary text-center mb-6">
+            Prochaine mini-séance dans ${this._getSpacingMinutes()} min environ.
+          </p>
+          <button class="btn btn-primary btn-lg btn-block" data-action="save-mini-session">Enregistrer</button>` : `
+          <button class="btn btn-primary btn-lg btn-block" data-action="go-feedback">Continuer</button>`}
       </div>`;
   },
 
+  /**
+   * Saisie facultative du RIR de la dernière série terminée.
+   * @returns {string}
+   */
+  _buildRIRPicker() {
+    const series = this._seriesDetail[this._seriesDetail.length - 1];
+    if (!series) return '';
+
+    const chips = RIR_SCALE.map(value => {
+      const active = series.rir === value;
+      return `
+        <button class="exercise-chip ${active ? 'exercise-chip--active' : ''}"
+                data-action="set-rir" data-rir="${value}"
+                aria-pressed="${active}" type="button">
+          <span class="exercise-chip__label mono">${value}</span>
+        </button>`;
+    }).join('');
+
+    return `
+      <div class="w-full mt-6 mb-6">
+        <p class="text-sm text-secondary text-center mb-2">
+          Série ${series.seriesNumber} : ${this._isTimed() ? 'marge restante' : 'reps en réserve'} (facultatif)
+        </p>
+        <nav class="exercise-picker" aria-label="RIR de la série ${series.seriesNumber}">${chips}</nav>
+        <p class="text-xs text-muted text-center mt-2">0 = échec · 2 = idéal · 5 = très facile</p>
+      </div>`;
+  },
+
+  /**
+   * Bouton du métronome (tempo affiché, coupé ou actif).
+   * @returns {string}
+   */
+  _buildMetronomeToggle() {
+    const tempo = resolveTempo(this._plan.type, state.getSettings());
+    return `
+      <button class="btn btn-ghost btn-sm" data-action="toggle-metronome"
+              aria-pressed="${this._metronomeOn}" type="button">
+        ${this._metronomeOn ? '🎵' : '🔇'} Tempo <span class="mono">${tempo}</span>${this._metronomeOn ? '' : ' (coupé)'}
+      </button>`;
+  },
+
+  /**
+   * Reps comptées et tempo de la dernière série (si le compteur
+   * a été utilisé).
+   * @returns {string}
+   */
+  _buildCountedSummary() {
+    const series = this._seriesDetail[this._seriesDetail.length - 1];
+    if (!series?.repTimestamps) return '';
+
+    return `
+      <p class="text-sm text-secondary text-center mt-4">
+        Série ${series.seriesNumber} : <span class="mono">${series.repsCompleted}</span> reps comptées
+        · <span class="mono">${series.tempo.toString().replace('.', ',')} s / rep</span>
+      </p>`;
+  },
+
+  /**
+   * Rappel d'espacement entre deux mini-séances.
+   * @returns {string}
+   */
+  _buildSpacingHint() {
+    const spacing = this._getSpacingMinutes();
+    const last = this._previous?.actual?.miniSessions?.at(-1);
+    const elapsed = last ? Math.floor((Date.now() - new Date(last.completedAt).getTime()) / 60000) : null;
+
+    const message = elapsed !== null && elapsed < spacing
+      ? `⏳ Dernière mini-séance il y a ${elapsed} min : idéalement, attendez encore ${spacing - elapsed} min.`
+      : `Restez loin de l'échec et espacez les mini-séances d'au moins ${spacing} min.`;
+
+    return `<p class="text-sm text-secondary text-center mb-6">${message}</p>`;
+  },
+
   _buildFailedHTML() {
     const completed = this._seriesDetail.reduce((sum, s) => sum + s.repsCompleted, 0);
     return `
       <div class="screen centered">
         <header class="screen-header text-center">
           <h1 class="screen-header__title">Échec Série ${this._currentSeries}</h1>
-          <p class="text-secondary text-sm">Combien de reps avez-vous pu faire ?</p>
+          <p class="text-secondary text-sm">${this._isTimed() ? 'Combien de secondes avez-vous tenu ?' : 'Combien de reps avez-vous pu faire ?'}</p>
         </header>
         <div class="num-input mb-8">
           <button class="num-input__btn" data-action="partial-decrement">−</button>
@@ -290,25 +753,301 @@ const SessionScreen = {
       </div>`;
   },
 
+  _buildExercisePicker() {
+    const chips = state.getExercisesOverview().map(({ exercise, active }) => `
+      <button class="exercise-chip ${active ? 'exercise-chip--active' : ''}"
+              data-action="select-exercise" data-exercise="${exercise.id}"
+              aria-pressed="${active}" type="button">
+        <span class="exercise-chip__icon" aria-hidden="true">${exercise.icon}</span>
+        <span class="exercise-chip__label">${exercise.label}</span>
+      </button>`).join('');
+    return `<nav class="exercise-picker mb-6" aria-label="Choix de l'exercice">${chips}</nav>`;
+  },
+
   _buildSavingHTML() {
     return `<div class="screen centered"><div class="loading-spinner"></div><p class="mt-4">Enregistrement...</p></div>`;
   },
 
   /* --- Utilitaires --- */
 
+  /**
+   * Métronome de la série (réglage facultatif, exercices en
+   * répétitions) au tempo du type de séance ou des réglages.
+   */
+  _startMetronome() {
+    if (!this._metronomeOn || this._isTimed() || this._metronome) return;
+
+    try {
+      this._metronome = new Metronome({ tempo: resolveTempo(this._plan.type, state.getSettings()) });
+      this._metronome.start();
+    } catch (error) {
+      console.error('Erreur métronome :', error);
+      this._metronome = null;
+    }
+  },
+
+  _stopMetronome() {
+    if (this._metronome) {
+      this._metronome.destroy();
+      this._metronome = null;
+    }
+  },
+
+  /**
+   * Écran allumé et Media Session (si activée dans les réglages)
+   * pendant les séries et les repos ; libérés dans les autres états.
+   */
+  _syncDeviceControls() {
+    const active = this._state === SESSION_STATE.EXERCISING || this._state === SESSION_STATE.RESTING;
+    if (!active) {
+      this._releaseDeviceControls();
+      return;
+    }
+
+    wakeLock.acquire();
+
+    if (state.getSettings().mediaControlsEnabled !== true) {
+      mediaSession.deactivate();
+      return;
+    }
+
+    const target = this._getTargetSeries();
+    const title = this._state === SESSION_STATE.RESTING
+      ? `Repos — prochaine série ${this._currentSeries + 1} / ${target}`
+      : `Série ${this._currentSeries} / ${target} — ${formatAmount(this._plan.reps, this._getUnit())}`;
+
+    mediaSession.activate(
+      { title, album: state.getActiveExercise()?.label || '' },
+      () => this._onMediaAction()
+    );
+  },
+
+  _releaseDeviceControls() {
+    wakeLock.release();
+    mediaSession.deactivate();
+  },
+
+  /**
+   * Bouton du casque / de l'écran verrouillé : « Série terminée »
+   * pendant une série en répétitions (un maintien se valide seul),
+   * « Passer le repos » pendant le repos.
+   */
+  _onMediaAction() {
+    if (this._state === SESSION_STATE.RESTING) {
+      this._onSkipRest();
+    } else if (this._state === SESSION_STATE.EXERCISING && !this._isTimed()) {
+      this._onSeriesDone();
+    }
+  },
+
+  /**
+   * Coach vocal : annonce de la série et de son objectif
+   * (cf. utils/voice-coach.js).
+   */
+  _announceSeries() {
+    voiceCoach.announceSeries(this._currentSeries, this._getTargetSeries(), this._plan.reps, this._getUnit());
+  },
+
+  /**
+   * Démarre le repos. Un repos déjà lancé (reprise) continue
+   * jusqu'à son heure de fin d'origine. La fin est aussi
+   * programmée en notification système (backgroundNotice).
+   */
   _startRestTimer() {
     const settings = state.getSettings();
+    const remaining = this._restEndsAt
+      ? Math.max(1, Math.ceil((this._restEndsAt - Date.now()) / 1000))
+      : this._plan.rest;
+
     this._timer = new RestTimer({
-      duration: this._plan.rest,
+      duration: remaining,
       onTick: (data) => updateTimerUI(this._timerElements, data),
-      onComplete: () => this._onRestComplete()
+      onWarning: () => voiceCoach.startCountdown(this._timer?.getRemaining()),
+      onComplete: () => {
+        notifications.notifyTimerEnd();
+        this._onRestComplete();
+      },
+      backgroundNotice: {
+        title: '⏱️ Repos terminé',
+        body: `Série ${this._currentSeries + 1} / ${this._getTargetSeries()} : c'est reparti !`
+      }
     });
     
-    if (settings.restTimerAutoStart !== false) {
+    if (this._restEndsAt || settings.restTimerAutoStart !== false) {
+      this._restEndsAt = this._restEndsAt || Date.now() + remaining * 1000;
       this._timer.start();
     }
   },
 
+  /**
+   * Sauvegarde l'état de la séance (cf. state.saveSessionCheckpoint).
+   * Rien avant le début de la séance ni pendant l'enregistrement.
+   */
+  _saveCheckpoint() {
+    if (!this._sessionStart || !CHECKPOINT_STATES.includes(this._state)) return;
+
+    state.saveSessionCheckpoint({
+      state: this._state,
+      targetSeries: this._getTargetSeries(),
+      reps: this._plan.reps,
+      miniIndex: this._miniIndex,
+      currentSeries: this._currentSeries,
+      seriesDetail: this._seriesDetail,
+      sessionStart: this._sessionStart,
+      seriesStart: this._seriesStart,
+      restEndsAt: this._restEndsAt,
+      restStartedAt: this._restStartedAt,
+      partialReps: this._partialReps
+    }).catch(error => console.error('Erreur point de reprise :', error));
+  },
+
+  /**
+   * Restaure une séance interrompue.
+   *
+   * @param {Object} checkpoint — state.getSessionCheckpoint()
+   * @returns {boolean} false si le plan du jour ne correspond plus
+   */
+  _restoreCheckpoint(checkpoint) {
+    const matches = checkpoint.miniIndex === this._miniIndex &&
+      checkpoint.targetSeries === this._getTargetSeries() &&
+      checkpoint.reps === this._plan.reps &&
+      CHECKPOINT_STATES.includes(checkpoint.state);
+    if (!matches) return false;
+
+    this._state = checkpoint.state;
+    this._currentSeries = checkpoint.currentSeries;
+    this._seriesDetail = checkpoint.seriesDetail || [];
+    this._sessionStart = checkpoint.sessionStart;
+    this._seriesStart = checkpoint.seriesStart;
+    this._restEndsAt = checkpoint.restEndsAt || null;
+    this._restStartedAt = checkpoint.restStartedAt || null;
+    this._partialReps = checkpoint.partialReps || 0;
+    this._repTaps = [];
+
+    // Série interrompue : elle reprend de zéro
+    if (this._state === SESSION_STATE.EXERCISING) {
+      this._seriesStart = Date.now();
+    }
+
+    // Repos écoulé pendant l'interruption : série suivante
+    if (this._state === SESSION_STATE.RESTING && this._restEndsAt && this._restEndsAt <= Date.now()) {
+      this._onRestComplete();
+      return true;
+    }
+
+    this._render();
+    return true;
+  },
+
+  /**
+   * Maintien isométrique (unité secondes) : décompte de
+   * _plan.reps secondes, série validée à la fin du décompte.
+   */
+  _startWorkTimer() {
+    this._timer = new RestTimer({
+      duration: this._plan.reps,
+      onTick: (data) => updateTimerUI(this._timerElements, data),
+      onComplete: () => {
+        notifications.notifyTimerEnd();
+        this._onSeriesDone();
+      },
+      backgroundNotice: {
+        title: '✅ Maintien terminé',
+        body: `Série ${this._currentSeries} / ${this._getTargetSeries()} validée.`
+      }
+    });
+    this._timer.start();
+  },
+
+  /**
+   * Lit le plan du jour et, pour un jour en mini-séances,
+   * reprend après la dernière mini-séance enregistrée.
+   *
+   * @returns {boolean} false si aucun plan pour aujourd'hui
+   */
+  _loadPlan() {
+    this._plan = state.getCurrentDayPlan();
+    if (!this._plan) return false;
+
+    const record = state.getDaySession();
+    this._previous = record?.status === 'in_progress' ? record : null;
+    this._miniSeries = getMiniSessionSeries(this._plan);
+    this._miniIndex = Math.min(
+      this._previous?.actual?.miniSessions?.length || 0,
+      this._miniSeries.length - 1
+    );
+
+    return true;
+  },
+
+  _getTargetSeries() {
+    return this._miniSeries[this._miniIndex] || this._plan.series;
+  },
+
+  _isMiniSession() {
+    return this._miniSeries.length > 1;
+  },
+
+  _isLastMiniSession() {
+    return this._miniIndex >= this._miniSeries.length - 1;
+  },
+
+  _getSpacingMinutes() {
+    return this._plan.spacingMinutes || MIN_SPACING_MINUTES;
+  },
+
+  /**
+   * Construit l'enregistrement de la journée : séries de cette
+   * séance ajoutées à celles des mini-séances précédentes.
+   *
+   * @returns {Object}
+   */
+  _buildDayRecord() {
+    const previous = this._previous?.actual || {};
+    const offset = previous.seriesDetail?.length || 0;
+    const duration = Math.round((Date.now() - this._sessionStart) / 1000);
+    const seriesDetail = [
+      ...(previous.seriesDetail || []),
+      ...this._seriesDetail.map(s => ({ ...s, seriesNumber: s.seriesNumber + offset }))
+    ];
+
+    const actual = {
+      totalRepsCompleted: seriesDetail.reduce((sum, s) => sum + s.repsCompleted, 0),
+      seriesDetail
+    };
+
+    if (this._isMiniSession()) {
+      actual.miniSessions = [
+        ...(previous.miniSessions || []),
+        {
+          index: this._miniIndex + 1,
+          completedAt: new Date().toISOString(),
+          series: this._seriesDetail.length,
+          repsCompleted: this._seriesDetail.reduce((sum, s) => sum + s.repsCompleted, 0),
+          duration
+        }
+      ];
+    }
+
+    return {
+      weekNumber: state.getCurrentWeekNumber(),
+      dayNumber: state.getCurrentDayNumber(),
+      date: this._previous?.date || new Date().toISOString(),
+      type: 'training',
+      unit: this._getUnit(),
+      duration: (this._previous?.duration || 0) + duration,
+      actual
+    };
+  },
+
+  _getUnit() {
+    return this._plan?.unit || state.getActiveExercise().unit;
+  },
+
+  _isTimed() {
+    return this._getUnit() === UNITS.SECONDS;
+  },
+
   _cacheTimerElements() {
     this._timerElements = {
       container: this._container.querySelector('#rest-timer-container'),
@@ -317,22 +1056,74 @@ const SessionScreen = {
     };
   },
 
-  async _onGoFeedback() {
-    const total = this._seriesDetail.reduce((sum, s) => sum + s.repsCompleted, 0);
-    await state.saveSession({
-      weekNumber: state.getCurrentWeekNumber(),
-      dayNumber: state.getCurrentDayNumber(),
-      date: new Date().toISOString(),
-      type: 'training',
-      duration: Math.round((Date.now() - this._sessionStart) / 1000),
-      actual: { totalRepsCompleted: total, seriesDetail: this._seriesDetail },
-      status: 'completed'
-    });
+  async _onGoFeedback(button) {
+    button.disabled = true;
+    try {
+      await state.saveSession({
+        ...this._buildDayRecord(),
+        status: 'completed'
+      });
+    } catch (error) {
+      console.error('Erreur enregistrement séance :', error);
+      button.disabled = false;
+      this._showError(SAVE_ERROR_MESSAGE, button);
+      return;
+    }
     this._navigateTo('feedback');
   },
 
+  /**
+   * Termine un bloc de mini-séance (cf. algorithms/gtg.js) :
+   * enregistré en 'in_progress' (détail dans actual.miniSessions),
+   * la séance suivante reprend au bloc d'après.
+   */
+  async _onSaveMiniSession(button) {
+    button.disabled = true;
+    try {
+      await state.saveSession({
+        ...this._buildDayRecord(),
+        status: 'in_progress'
+      });
+    } catch (error) {
+      console.error('Erreur enregistrement mini-séance :', error);
+      button.disabled = false;
+      this._showError(SAVE_ERROR_MESSAGE, button);
+      return;
+    }
+    this._navigateTo('dashboard');
+  },
+
+  /**
+   * Affiche un message d'erreur inline (remplace le précédent).
+   *
+   * @param {string} message
+   * @param {HTMLElement} [anchor] — Bouton au-dessus duquel l'afficher
+   */
+  _showError(message, anchor) {
+    if (!this._container) return;
+
+    this._container.querySelector('.session-error')?.remove();
+
+    const errorDiv = document.createElement('p');
+    errorDiv.className = 'session-error text-sm color-danger text-center mb-4';
+    errorDiv.setAttribute('role', 'alert');
+    errorDiv.textContent = message;
+
+    if (anchor?.isConnected) {
+      anchor.before(errorDiv);
+    } else {
+      this._container.appendChild(errorDiv);
+    }
+  },
+
   _showNoPlanError() {
-    this._container.innerHTML = `<div class="screen centered"><p>Aucune séance prévue.</p></div>`;
+    const exercise = state.getActiveExercise();
+    this._container.innerHTML = `
+      <div class="screen centered">
+        ${this._buildExercisePicker()}
+        <p class="mb-6">Aucune séance prévue pour ${exercise.label}.</p>
+        <button class="btn btn-primary btn-block" data-action="go-dashboard">Retour au tableau de bord</button>
+      </div>`;
   }
 };
 
@@ -4,22 +4,61 @@
    Responsabilité unique : gestion des préférences et des données.
    ─────────────────────────────────────────────────────────────
    Contenu :
-   1. Préférences (Sons, Vibrations, Thème, Auto-start).
-   2. Gestion des données (Export JSON, Import, Reset complet).
-   3. Crédits scientifiques (Sources des algorithmes).
+   1. Préférences (Sons, Vibrations, Thème, Auto-start, Métronome,
+      Coach vocal et sa langue, Contrôles casque).
+   2. Semaine d'entraînement (jours d'entraînement / de repos).
+   3. Scoring des algorithmes (pondérations, pénalités, stratégie)
+      avec aperçu sur l'historique avant application.
+   4. Gestion des données (Export JSON, Import, Reset complet).
+   5. Crédits scientifiques (Sources des algorithmes).
    ════════════════════════════════════════════════════════════════ */
 
 import state from '../state.js';
+import engine from '../algorithms/engine.js';
+import {
+  DEFAULT_SCORING_CONFIG,
+  SCORING_CONFIG_BOUNDS,
+  normalizeScoringConfig,
+  getSelectionStrategies
+} from '../algorithms/scoring.js';
 import { exportData, importData } from '../utils/export.js';
+import { SCHEDULE_BOUNDS, normalizeSchedule, getWeekLength } from '../utils/schedule.js';
+import { TEMPO_PRESETS } from '../utils/metronome.js';
+import voiceCoach, { VOICE_LANGUAGES, DEFAULT_VOICE_LANGUAGE } from '../utils/voice-coach.js';
+import mediaSession from '../utils/media-session.js';
+
+/** Paramètres de scoring réglables : pas et bornes (cf. SCORING_CONFIG_BOUNDS) */
+const SCORING_FIELDS = {
+  'weights.precision': { label: '🎯 Précision', step: 'WEIGHT_STEP', min: 'WEIGHT_MIN', max: 'WEIGHT_MAX', percent: true },
+  'weights.feedback':  { label: '💬 Feedback', step: 'WEIGHT_STEP', min: 'WEIGHT_MIN', max: 'WEIGHT_MAX', percent: true },
+  'weights.trend':     { label: '📈 Tendance', step: 'WEIGHT_STEP', min: 'WEIGHT_MIN', max: 'WEIGHT_MAX', percent: true },
+  temporalDecay:       { label: '⏳ Décroissance', step: 'DECAY_STEP', min: 'DECAY_MIN', max: 'DECAY_MAX' },
+  precisionPenalty:    { label: '📏 Pénalité d\'erreur', step: 'PRECISION_PENALTY_STEP', min: 'PRECISION_PENALTY_MIN', max: 'PRECISION_PENALTY_MAX' },
+  impossiblePenalty:   { label: '❌ Pénalité impossible', step: 'IMPOSSIBLE_PENALTY_STEP', min: 'IMPOSSIBLE_PENALTY_MIN', max: 'IMPOSSIBLE_PENALTY_MAX' },
+  banditSeed:          { label: '🎲 Graine du bandit', step: 'BANDIT_SEED_STEP', min: 'BANDIT_SEED_MIN', max: 'BANDIT_SEED_MAX', strategy: 'bandit' }
+};
+
+Object.freeze(SCORING_FIELDS);
 
 const SettingsScreen = {
   _container: null,
   _abortController: null,
 
+  /** @type {Object|null} Configuration de scoring en cours d'édition (non appliquée) */
+  _scoringDraft: null,
+
+  /** @type {Array<Object>|null} Historique rejoué par l'aperçu (chargé une fois) */
+  _previewHistory: null,
+
   async render(container, params) {
     this._container = container;
     this._abortController = new AbortController();
+    this._scoringDraft = state.getScoringConfig();
+    this._previewHistory = null;
 
+    // Délégation sur le conteneur : attachée une seule fois,
+    // _renderUI() ne fait que réécrire le contenu
+    this._attachEvents();
     this._renderUI();
   },
 
@@ -28,6 +67,8 @@ const SettingsScreen = {
       this._abortController.abort();
     }
     this._container = null;
+    this._scoringDraft = null;
+    this._previewHistory = null;
   },
 
   _renderUI() {
@@ -50,10 +91,22 @@ const SettingsScreen = {
             ${this._buildToggle('vibrationEnabled', '📳 Vibrations', settings.vibrationEnabled)}
             ${this._buildToggle('theme', '🌙 Thème Sombre', settings.theme === 'dark')}
             ${this._buildToggle('restTimerAutoStart', '⏱️ Auto-start repos', settings.restTimerAutoStart)}
+            ${this._buildToggle('metronomeEnabled', '🎵 Métronome pendant les séries', settings.metronomeEnabled)}
+            ${settings.metronomeEnabled ? this._buildTempoPicker(settings.metronomeTempo) : ''}
+            ${voiceCoach.isSupported() ? this._buildToggle('voiceCoachEnabled', '🗣️ Coach vocal', settings.voiceCoachEnabled) : ''}
+            ${voiceCoach.isSupported() && settings.voiceCoachEnabled ? this._buildVoiceLanguagePicker(settings.voiceCoachLanguage) : ''}
+            ${mediaSession.isSupported() ? this._buildToggle('mediaControlsEnabled', '🎧 Boutons casque / écran verrouillé', settings.mediaControlsEnabled) : ''}
+            ${mediaSession.isSupported() ? '<p class="text-xs text-muted mt-2">Met en pause votre musique pendant la séance.</p>' : ''}
           </div>
         </section>
 
-        <!-- 2. DONNÉES (Actions de maintenance) -->
+        <!-- 2. SEMAINE D'ENTRAÎNEMENT (Composants Section 3) -->
+        ${this._buildScheduleSection(settings.schedule)}
+
+        <!-- 3. SCORING DES ALGORITHMES (Composants Sections 3 et 19) -->
+        ${this._buildScoringSection()}
+
+        <!-- 4. DONNÉES (Actions de maintenance) -->
         <section class="card mb-6">
           <div class="card__header">
             <h3 class="card__title text-sm">Gestion des données</h3>
@@ -65,7 +118,7 @@ const SettingsScreen = {
           </div>
         </section>
 
-        <!-- 3. CRÉDITS (Composants Section 17) -->
+        <!-- 5. CRÉDITS (Composants Section 17) -->
         <details class="accordion mb-8">
           <summary class="accordion__header">
             <span class="accordion__title">ℹ️ Crédits scientifiques</span>
@@ -86,7 +139,7 @@ const SettingsScreen = {
       </div>
     `;
 
-    this._attachEvents();
+    this._updateScoringPreview();
   },
 
   _buildToggle(id, label, isChecked) {
@@ -99,6 +152,259 @@ const SettingsScreen = {
     `;
   },
 
+  /**
+   * Choix du tempo du métronome (descente-pause-montée, en s).
+   * « Auto » suit le type de séance planifié.
+   *
+   * @param {string|null} current — settings.metronomeTempo
+   * @returns {string}
+   */
+  _buildTempoPicker(current) {
+    const chips = [null, ...TEMPO_PRESETS].map(tempo => {
+      const active = tempo === (current || null);
+      return `
+        <button class="exercise-chip ${active ? 'exercise-chip--active' : ''}"
+                data-action="metronome-tempo"
+                data-tempo="${tempo || ''}"
+                aria-pressed="${active}"
+                type="button">
+          <span class="exercise-chip__label ${tempo ? 'mono' : ''}">${tempo || 'Auto'}</span>
+        </button>
+      `;
+    }).join('');
+
+    return `
+      <div class="mt-4">
+        <p class="text-sm text-secondary mb-2">Tempo (descente-pause-montée, en s)</p>
+        <nav class="exercise-picker" aria-label="Tempo du métronome">${chips}</nav>
+        <p class="text-xs text-muted mt-2">Auto : lent en force (3-1-2), rapide en endurance (1-0-1).</p>
+      </div>
+    `;
+  },
+
+  /**
+   * Choix de la langue du coach vocal.
+   *
+   * @param {string} current — settings.voiceCoachLanguage
+   * @returns {string}
+   */
+  _buildVoiceLanguagePicker(current) {
+    const selected = VOICE_LANGUAGES[current] ? current : DEFAULT_VOICE_LANGUAGE;
+    const chips = Object.entries(VOICE_LANGUAGES).map(([key, { label }]) => {
+      const active = key === selected;
+      return `
+        <button class="exercise-chip ${active ? 'exercise-chip--active' : ''}"
+                data-action="voice-language"
+                data-language="${key}"
+                aria-pressed="${active}"
+                type="button">
+          <span class="exercise-chip__label">${label}</span>
+        </button>
+      `;
+    }).join('');
+
+    return `
+      <div class="mt-4">
+        <p class="text-sm text-secondary mb-2">Langue du coach</p>
+        <nav class="exercise-picker" aria-label="Langue du coach vocal">${chips}</nav>
+        <p class="text-xs text-muted mt-2">Annonce des séries, décompte de fin de repos et félicitations.</p>
+      </div>
+    `;
+  },
+
+  _buildScheduleSection(schedule) {
+    const { trainingDays, restDays } = normalizeSchedule(schedule);
+    const weekLength = getWeekLength({ trainingDays, restDays });
+
+    const stepper = (field, label, value, min, max) =>
+      this._buildStepper('schedule-step', field, label, value, value <= min, value >= max);
+
+    return `
+      <section class="card mb-6">
+        <div class="card__header">
+          <h3 class="card__title text-sm">Semaine d'entraînement</h3>
+          <span class="text-sm text-secondary mono">${weekLength} jours</span>
+        </div>
+        <div class="card__body">
+          <dl class="detail-list">
+            ${stepper('trainingDays', '🏋️ Jours d\'entraînement', trainingDays,
+              SCHEDULE_BOUNDS.TRAINING_DAYS_MIN, SCHEDULE_BOUNDS.TRAINING_DAYS_MAX)}
+            ${stepper('restDays', '💤 Jours de repos', restDays,
+              SCHEDULE_BOUNDS.REST_DAYS_MIN, SCHEDULE_BOUNDS.REST_DAYS_MAX)}
+          </dl>
+          <p class="text-xs text-muted mt-2">
+            Test max + ${trainingDays} séances + ${restDays} repos.
+            S'applique à partir du prochain test max.
+          </p>
+        </div>
+      </section>
+    `;
+  },
+
+  _buildStepper(action, field, label, display, atMin, atMax) {
+    return `
+      <div class="detail-item">
+        <dt class="detail-item__label">${label}</dt>
+        <dd class="num-input num-input--compact">
+          <button class="num-input__btn" data-action="${action}" data-field="${field}" data-delta="-1"
+                  type="button" aria-label="${label} : moins" ${atMin ? 'disabled' : ''}>−</button>
+          <span class="num-input__value">${display}</span>
+          <button class="num-input__btn" data-action="${action}" data-field="${field}" data-delta="1"
+                  type="button" aria-label="${label} : plus" ${atMax ? 'disabled' : ''}>+</button>
+        </dd>
+      </div>
+    `;
+  },
+
+  _buildScoringSection() {
+    const draft = this._scoringDraft;
+    const B = SCORING_CONFIG_BOUNDS;
+    const isApplied = JSON.stringify(draft) === JSON.stringify(state.getScoringConfig());
+    const isDefault = JSON.stringify(draft) === JSON.stringify(normalizeScoringConfig(DEFAULT_SCORING_CONFIG));
+
+    const { precision, feedback, trend } = draft.weights;
+    const total = precision + feedback + trend;
+    const share = (weight) => Math.round((weight / total) * 100);
+
+    // Au moins une pondération doit rester non nulle
+    const steppers = Object.entries(SCORING_FIELDS)
+      .filter(([, config]) => !config.strategy || config.strategy === draft.strategy)
+      .map(([field, config]) => {
+        const value = this._getScoringValue(field);
+        const display = config.percent ? Math.round(value * 100) : value;
+        const atMin = value <= B[config.min]
+          || (config.percent && total - B.WEIGHT_STEP <= 0);
+        return this._buildStepper('scoring-step', field, config.label, display,
+          atMin, value >= B[config.max]);
+      })
+      .join('');
+
+    const strategies = getSelectionStrategies().map(strategy => `
+      <button class="exercise-chip ${strategy.name === draft.strategy ? 'exercise-chip--active' : ''}"
+              data-action="scoring-strategy"
+              data-strategy="${strategy.name}"
+              aria-pressed="${strategy.name === draft.strategy}"
+              title="${strategy.description}"
+              type="button">
+        <span class="exercise-chip__label">${strategy.label}</span>
+      </button>
+    `).join('');
+
+    return `
+      <section class="card mb-6">
+        <div class="card__header">
+          <h3 class="card__title text-sm">Scoring des algorithmes</h3>
+          ${isApplied ? '' : '<span class="badge badge--warning">Non appliqué</span>'}
+        </div>
+        <div class="card__body">
+          <nav class="exercise-picker mb-4" aria-label="Stratégie de sélection">
+            ${strategies}
+          </nav>
+          <dl class="detail-list">
+            ${steppers}
+          </dl>
+          <p class="text-xs text-muted mt-2">
+            Répartition effective : précision ${share(precision)} % ·
+            feedback ${share(feedback)} % · tendance ${share(trend)} %.
+          </p>
+          <div class="mt-4" data-scoring-preview>
+            <p class="text-xs text-muted">Aperçu en cours…</p>
+          </div>
+        </div>
+        <div class="card__footer gap-3">
+          <button class="btn btn-ghost btn-block" data-action="scoring-reset"
+                  type="button" ${isDefault ? 'disabled' : ''}>Valeurs par défaut</button>
+          <button class="btn btn-primary btn-block" data-action="scoring-apply"
+                  type="button" ${isApplied ? 'disabled' : ''}>Appliquer</button>
+        </div>
+      </section>
+    `;
+  },
+
+  /**
+   * Rejoue l'historique de l'exercice actif avec la configuration
+   * en cours d'édition et affiche les sélections qui changeraient.
+   */
+  async _updateScoringPreview() {
+    try {
+      if (!this._previewHistory) {
+        this._previewHistory = await state.getAlgorithmHistory();
+      }
+
+      const slot = this._container?.querySelector('[data-scoring-preview]');
+      if (!slot) return;
+
+      const preview = engine.previewScoringConfig(
+        this._scoringDraft,
+        this._previewHistory,
+        state.getScoringHistory()
+      );
+
+      if (preview.weeks.length === 0) {
+        slot.innerHTML = `
+          <p class="text-xs text-muted">
+            Aperçu disponible à partir de 2 semaines d'historique.
+          </p>
+        `;
+        return;
+      }
+
+      const changes = preview.weeks
+        .filter(week => week.changed)
+        .map(week => `
+          <div class="detail-item">
+            <dt class="detail-item__label">Semaine ${week.weekNumber}</dt>
+            <dd class="detail-item__value mono">${week.current.toUpperCase()} → ${week.preview.toUpperCase()}</dd>
+          </div>
+        `).join('');
+
+      slot.innerHTML = `
+        <p class="text-sm ${preview.changedCount > 0 ? 'color-warning' : 'text-secondary'}">
+          Aperçu sur ${preview.weeks.length} semaine(s) rejouée(s) :
+          ${preview.changedCount > 0
+            ? `${preview.changedCount} sélection(s) différente(s).`
+            : 'aucune sélection ne change.'}
+        </p>
+        ${changes ? `<dl class="detail-list mt-2">${changes}</dl>` : ''}
+      `;
+    } catch (error) {
+      console.error('Erreur aperçu du scoring :', error);
+    }
+  },
+
+  _getScoringValue(field) {
+    const [key, subKey] = field.split('.');
+    return subKey ? this._scoringDraft[key][subKey] : this._scoringDraft[key];
+  },
+
+  _handleScoringStep(button) {
+    const field = button.dataset.field;
+    const config = SCORING_FIELDS[field];
+    const [key, subKey] = field.split('.');
+    const value = this._getScoringValue(field)
+      + Number(button.dataset.delta) * SCORING_CONFIG_BOUNDS[config.step];
+
+    this._scoringDraft = normalizeScoringConfig(subKey
+      ? { ...this._scoringDraft, [key]: { ...this._scoringDraft[key], [subKey]: value } }
+      : { ...this._scoringDraft, [key]: value });
+
+    this._renderUI();
+  },
+
+  async _handleScheduleStep(button) {
+    const current = normalizeSchedule(state.getSchedule());
+    const field = button.dataset.field;
+    const next = normalizeSchedule({
+      ...current,
+      [field]: current[field] + Number(button.dataset.delta)
+    });
+
+    if (next[field] === current[field]) return;
+
+    await state.updateSettings({ schedule: next });
+    this._renderUI();
+  },
+
   _attachEvents() {
     const signal = this._abortController.signal;
 
@@ -117,6 +423,9 @@ const SettingsScreen = {
       }
 
       await state.updateSettings({ [key]: value });
+
+      // Le choix du tempo (de la langue) n'apparaît que métronome (coach) activé
+      if (key === 'metronomeEnabled' || key === 'voiceCoachEnabled') this._renderUI();
     }, { signal });
 
     // Gestion des Actions (Boutons)
@@ -125,6 +434,40 @@ const SettingsScreen = {
       if (!action) return;
 
       switch (action) {
+        case 'schedule-step':
+          await this._handleScheduleStep(e.target.closest('[data-action]'));
+          break;
+        case 'scoring-step':
+          this._handleScoringStep(e.target.closest('[data-action]'));
+          break;
+        case 'metronome-tempo':
+          await state.updateSettings({
+            metronomeTempo: e.target.closest('[data-action]').dataset.tempo || null
+          });
+          this._renderUI();
+          break;
+        case 'voice-language': {
+          const language = e.target.closest('[data-action]').dataset.language;
+          await state.updateSettings({ voiceCoachLanguage: language });
+          voiceCoach.preview(language);
+          this._renderUI();
+          break;
+        }
+        case 'scoring-strategy':
+          this._scoringDraft = normalizeScoringConfig({
+            ...this._scoringDraft,
+            strategy: e.target.closest('[data-action]').dataset.strategy
+          });
+          this._renderUI();
+          break;
+        case 'scoring-reset':
+          this._scoringDraft = normalizeScoringConfig(DEFAULT_SCORING_CONFIG);
+          this._renderUI();
+          break;
+        case 'scoring-apply':
+          await state.updateSettings({ scoring: this._scoringDraft });
+          this._renderUI();
+          break;
         case 'export':
           await exportData();
           break;
@@ -25,24 +25,28 @@
 import state from '../state.js';
 import engine from '../algorithms/engine.js';
 import notifications from '../utils/notifications.js';
+import { UNITS, formatAmount } from '../utils/units.js';
+import { getWeekLength } from '../utils/schedule.js';
+import { getMiniSessionCount } from '../algorithms/gtg.js';
 
 
 // ── Constantes ──
 
-/** Valeur initiale par défaut de l'input test max */
-const DEFAULT_TEST_MAX = 10;
-
-/** Valeur minimale autorisée */
-const MIN_TEST_MAX = 1;
-
-/** Valeur maximale autorisée */
-const MAX_TEST_MAX = 200;
-
-/** Pas d'incrémentation (+/−) */
-const STEP = 1;
+/**
+ * Paramètres de l'input selon l'unité de l'exercice.
+ *
+ * - DEFAULT   : valeur initiale (sans test précédent)
+ * - MIN / MAX : bornes autorisées
+ * - STEP      : pas d'incrémentation (+/−)
+ * - FAST_STEP : pas d'incrémentation rapide (long press)
+ */
+const INPUT_CONFIG = {
+  [UNITS.REPS]:    { DEFAULT: 10, MIN: 1, MAX: 200, STEP: 1, FAST_STEP: 5 },
+  [UNITS.SECONDS]: { DEFAULT: 30, MIN: 5, MAX: 600, STEP: 5, FAST_STEP: 15 }
+};
 
-/** Pas d'incrémentation rapide (long press) */
-const FAST_STEP = 5;
+Object.values(INPUT_CONFIG).forEach(config => Object.freeze(config));
+Object.freeze(INPUT_CONFIG);
 
 /** Délai avant le mode rapide (ms) */
 const LONG_PRESS_DELAY = 400;
@@ -63,7 +67,8 @@ const TYPE_LABELS = {
   INTENSE:      'Intense',
   LIGHT:        'Léger',
   ADAPTATIF:    'Adaptatif',
-  STANDARD:     'Standard'
+  STANDARD:     'Standard',
+  GTG:          'Grease the Groove'
 };
 
 Object.freeze(TYPE_LABELS);
@@ -74,11 +79,24 @@ const ALGO_LABELS = {
   banister:   'Fitness-Fatigue (Banister)',
   dup:        'Ondulation Quotidienne (DUP)',
   rir:        'Autorégulation (RIR)',
-  regression: 'Régression Adaptative'
+  regression: 'Régression Adaptative',
+  gtg:        'Grease the Groove',
+  ensemble:   'Ensemble pondéré'
 };
 
 Object.freeze(ALGO_LABELS);
 
+/**
+ * Nom lisible d'un algorithme, y compris ceux enregistrés
+ * via engine.registerAlgorithm().
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function getAlgoLabel(name) {
+  return ALGO_LABELS[name] || engine.getAlgorithmInfo(name)?.label || name;
+}
+
 
 // ── Écran TestMax ──
 
@@ -94,7 +112,10 @@ const TestMaxScreen = {
   _container: null,
 
   /** @type {number} Valeur courante de l'input */
-  _currentValue: DEFAULT_TEST_MAX,
+  _currentValue: INPUT_CONFIG[UNITS.REPS].DEFAULT,
+
+  /** @type {string} Unité de l'exercice actif */
+  _unit: UNITS.REPS,
 
   /** @type {string} Phase courante : 'input' ou 'result' */
   _phase: 'input',
@@ -119,6 +140,7 @@ const TestMaxScreen = {
     this._abortController = new AbortController();
     this._phase = 'input';
     this._result = null;
+    this._unit = state.getActiveExercise().unit;
 
     // Initialiser la valeur par défaut
     this._currentValue = this._getDefaultValue();
@@ -193,11 +215,13 @@ const TestMaxScreen = {
    * @private
    */
   _buildFirstWeekHTML(weekNumber) {
+    const exercise = state.getActiveExercise();
+
     return `
       <div class="screen centered" role="main" aria-label="Test maximum">
 
         <header class="screen-header text-center">
-          <span class="screen-header__subtitle">Semaine ${weekNumber} — Jour 1</span>
+          <span class="screen-header__subtitle">${exercise.icon} ${exercise.label} · Semaine ${weekNumber} — Jour 1</span>
           <h1 class="screen-header__title">Test Maximum</h1>
         </header>
 
@@ -205,16 +229,18 @@ const TestMaxScreen = {
         <div class="card mb-6">
           <div class="card__body">
             <p class="text-sm mb-4">
-              Faites le maximum d'abdominaux en une seule série, sans pause.
+              ${exercise.testLabel}
             </p>
             <div class="detail-list">
               <div class="detail-item">
                 <dt class="detail-item__label">💡 Position</dt>
-                <dd class="detail-item__value text-sm">Dos au sol, genoux pliés</dd>
+                <dd class="detail-item__value text-sm">${exercise.position}</dd>
               </div>
               <div class="detail-item">
                 <dt class="detail-item__label">🎯 Objectif</dt>
-                <dd class="detail-item__value text-sm">Aller jusqu'à l'épuisement</dd>
+                <dd class="detail-item__value text-sm">
+                  ${this._unit === UNITS.SECONDS ? 'Tenir jusqu\'à la rupture de la position' : 'Aller jusqu\'à l\'épuisement'}
+                </dd>
               </div>
               <div class="detail-item">
                 <dt class="detail-item__label">⏱️ Repos</dt>
@@ -227,7 +253,7 @@ const TestMaxScreen = {
         <!-- Input -->
         <div class="mb-4">
           <p class="text-center text-secondary text-sm mb-4">
-            Combien avez-vous fait ?
+            ${this._unit === UNITS.SECONDS ? 'Combien de secondes avez-vous tenu ?' : 'Combien avez-vous fait ?'}
           </p>
           ${this._buildNumericInput()}
         </div>
@@ -256,6 +282,7 @@ const TestMaxScreen = {
    * @private
    */
   _buildRecurringWeekHTML(weekNumber) {
+    const exercise = state.getActiveExercise();
     const recap = this._buildRecapSection(weekNumber);
     const predictions = this._buildPredictionsSection(weekNumber);
 
@@ -263,7 +290,7 @@ const TestMaxScreen = {
       <div class="screen" role="main" aria-label="Test maximum semaine ${weekNumber}">
 
         <header class="screen-header">
-          <span class="screen-header__subtitle">Semaine ${weekNumber} — Jour 1</span>
+          <span class="screen-header__subtitle">${exercise.icon} ${exercise.label} · Semaine ${weekNumber} — Jour 1</span>
           <h1 class="screen-header__title">Test Maximum</h1>
         </header>
 
@@ -312,13 +339,14 @@ const TestMaxScreen = {
     const prevNumber = previousWeek.weekNumber || weekNumber - 1;
     const prevMax = previousWeek.testMax || '—';
     const prevAlgo = previousWeek.selectedAlgorithm || 'linear';
-    const prevAlgoLabel = ALGO_LABELS[prevAlgo] || prevAlgo;
+    const prevAlgoLabel = getAlgoLabel(prevAlgo);
 
     // Feedbacks
     const fb = previousWeek.feedbackSummary || {};
     const fbParts = [];
     if (fb.parfait) fbParts.push(`${fb.parfait} Parfait`);
     if (fb.facile) fbParts.push(`${fb.facile} Facile`);
+    if (fb.difficile) fbParts.push(`${fb.difficile} Difficile`);
     if (fb.impossible) fbParts.push(`${fb.impossible} Impossible`);
     const fbText = fbParts.length > 0 ? fbParts.join(', ') : 'Aucun';
 
@@ -326,7 +354,7 @@ const TestMaxScreen = {
     const volume = fb.volumeRealiseTotale || fb.volumeTotal || '—';
 
     // Séances complétées
-    const completed = (fb.facile || 0) + (fb.parfait || 0) + (fb.impossible || 0);
+    const completed = (fb.facile || 0) + (fb.parfait || 0) + (fb.difficile || 0) + (fb.impossible || 0);
 
     return `
       <div class="card mb-4">
@@ -337,7 +365,7 @@ const TestMaxScreen = {
           <dl class="detail-list">
             <div class="detail-item">
               <dt class="detail-item__label">Test max</dt>
-              <dd class="detail-item__value mono">${prevMax} reps</dd>
+              <dd class="detail-item__value mono">${formatAmount(prevMax, this._unit)}</dd>
             </div>
             <div class="detail-item">
               <dt class="detail-item__label">Séances</dt>
@@ -349,7 +377,7 @@ const TestMaxScreen = {
             </div>
             <div class="detail-item">
               <dt class="detail-item__label">Volume total</dt>
-              <dd class="detail-item__value mono">${volume} reps</dd>
+              <dd class="detail-item__value mono">${typeof volume === 'number' ? formatAmount(volume, this._unit) : volume}</dd>
             </div>
             <div class="detail-item">
               <dt class="detail-item__label">Algorithme</dt>
@@ -399,11 +427,11 @@ const TestMaxScreen = {
       .filter(([, value]) => value !== null)
       .sort(([, a], [, b]) => b - a)
       .map(([name, value]) => {
-        const label = ALGO_LABELS[name] || name;
+        const label = getAlgoLabel(name);
         return `
           <div class="detail-item">
             <dt class="detail-item__label">${label}</dt>
-            <dd class="detail-item__value mono">${value} reps</dd>
+            <dd class="detail-item__value mono">${formatAmount(value, this._unit)}</dd>
           </div>
         `;
       })
@@ -435,29 +463,33 @@ const TestMaxScreen = {
    * @private
    */
   _buildNumericInput() {
+    const config = INPUT_CONFIG[this._unit];
+    const isTimed = this._unit === UNITS.SECONDS;
+
     return `
-      <div class="num-input" role="group" aria-label="Nombre de répétitions">
+      <div class="num-input" role="group" aria-label="${isTimed ? 'Durée de maintien en secondes' : 'Nombre de répétitions'}">
         <button class="num-input__btn"
                 data-action="decrement"
                 type="button"
-                aria-label="Diminuer de 1">
+                aria-label="Diminuer de ${config.STEP}">
           −
         </button>
         <span class="num-input__value"
               id="test-max-value"
               role="spinbutton"
               aria-valuenow="${this._currentValue}"
-              aria-valuemin="${MIN_TEST_MAX}"
-              aria-valuemax="${MAX_TEST_MAX}">
+              aria-valuemin="${config.MIN}"
+              aria-valuemax="${config.MAX}">
           ${this._currentValue}
         </span>
         <button class="num-input__btn"
                 data-action="increment"
                 type="button"
-                aria-label="Augmenter de 1">
+                aria-label="Augmenter de ${config.STEP}">
           +
         </button>
       </div>
+      ${isTimed ? '<p class="text-center text-secondary text-sm mt-2">secondes</p>' : ''}
     `;
   },
 
@@ -500,7 +532,7 @@ const TestMaxScreen = {
           <div class="card__body text-center">
             <div class="text-3xl mb-2" aria-hidden="true">✅</div>
             <h1 class="text-2xl font-bold mb-2">
-              Test enregistré : ${testMax} reps
+              Test enregistré : ${formatAmount(testMax, this._unit)}
             </h1>
             ${progression !== null ? `
               <p class="text-lg ${progression >= 0 ? 'color-success' : 'color-danger'}">
@@ -541,14 +573,16 @@ const TestMaxScreen = {
       ? `Score : ${result.scores[result.algorithm]?.composite || '—'}/100`
       : '';
 
-    const reliabilityBadge = result.reliability?.reliable
-      ? '<span class="badge badge--success">Fiable</span>'
-      : '<span class="badge badge--warning">En calibration</span>';
+    const reliabilityBadge = result.locked
+      ? '<span class="badge badge--muted">🔒 Verrouillé</span>'
+      : result.reliability?.reliable
+        ? '<span class="badge badge--success">Fiable</span>'
+        : '<span class="badge badge--warning">En calibration</span>';
 
     return `
       <div class="card mb-4">
         <div class="card__header">
-          <h2 class="card__title text-sm">🧠 Algorithme sélectionné</h2>
+          <h2 class="card__title text-sm">🧠 Algorithme ${result.locked ? 'imposé' : 'sélectionné'}</h2>
           ${reliabilityBadge}
         </div>
         <div class="card__body">
@@ -581,7 +615,7 @@ const TestMaxScreen = {
 
     const barsHTML = entries.map(([name, scores]) => {
       const isBest = name === bestName;
-      const label = ALGO_LABELS[name] || name;
+      const label = getAlgoLabel(name);
       const shortLabel = label.split(' ')[0]; // Premier mot
       const percent = Math.min(100, Math.max(0, scores.composite));
 
@@ -613,18 +647,36 @@ const TestMaxScreen = {
   _buildWeekPlanCard(result) {
     if (!result.plan) return '';
 
-    const rows = Object.entries(result.plan)
-      .sort(([a], [b]) => a.localeCompare(b))
-      .map(([dayKey, plan]) => {
-        const dayNum = dayKey.replace('day', '');
+    const dayNumbers = [];
+    for (let day = 2; day <= getWeekLength(result.schedule); day++) {
+      dayNumbers.push(day);
+    }
+
+    const rows = dayNumbers
+      .map(dayNum => {
+        const plan = result.plan[`day${dayNum}`];
+
+        // Jour sans plan = jour de repos (cf. utils/schedule.js)
+        if (!plan) {
+          return `
+            <div class="detail-item">
+              <dt class="detail-item__label">J${dayNum}</dt>
+              <dd class="detail-item__value text-sm text-secondary">💤 Repos</dd>
+            </div>
+          `;
+        }
+
         const typeLabel = TYPE_LABELS[plan.type] || plan.type;
-        const restFormatted = this._formatRest(plan.rest);
+        const miniCount = getMiniSessionCount(plan);
+        const restFormatted = miniCount > 1
+          ? `${miniCount} mini-séances`
+          : this._formatRest(plan.rest);
 
         return `
           <div class="detail-item">
             <dt class="detail-item__label">J${dayNum}</dt>
             <dd class="detail-item__value text-sm mono">
-              ${plan.series} × ${plan.reps} · ${typeLabel} · ${restFormatted}
+              ${plan.series} × ${this._unit === UNITS.SECONDS ? `${plan.reps}s` : plan.reps} · ${typeLabel} · ${restFormatted}
             </dd>
           </div>
         `;
@@ -657,6 +709,7 @@ const TestMaxScreen = {
   _attachInputEvents() {
     if (!this._container || !this._abortController) return;
     const signal = this._abortController.signal;
+    const config = INPUT_CONFIG[this._unit];
 
     // Délégation des clics
     this._container.addEventListener('click', (e) => {
@@ -666,26 +719,26 @@ const TestMaxScreen = {
       const action = target.dataset.action;
 
       if (action === 'increment') {
-        this._adjustValue(STEP);
+        this._adjustValue(config.STEP);
       } else if (action === 'decrement') {
-        this._adjustValue(-STEP);
+        this._adjustValue(-config.STEP);
       } else if (action === 'validate') {
         this._handleValidate(target);
       }
     }, { signal });
 
     // Long press pour incrémentation rapide
-    this._setupLongPress('increment', FAST_STEP, signal);
-    this._setupLongPress('decrement', -FAST_STEP, signal);
+    this._setupLongPress('increment', config.FAST_STEP, signal);
+    this._setupLongPress('decrement', -config.FAST_STEP, signal);
 
     // Clavier (accessibilité)
     this._container.addEventListener('keydown', (e) => {
       if (e.key === 'ArrowUp') {
         e.preventDefault();
-        this._adjustValue(STEP);
+        this._adjustValue(config.STEP);
       } else if (e.key === 'ArrowDown') {
         e.preventDefault();
-        this._adjustValue(-STEP);
+        this._adjustValue(-config.STEP);
       }
     }, { signal });
   },
@@ -748,8 +801,9 @@ const TestMaxScreen = {
    * @private
    */
   _adjustValue(delta) {
+    const config = INPUT_CONFIG[this._unit];
     const newValue = this._currentValue + delta;
-    this._currentValue = Math.max(MIN_TEST_MAX, Math.min(MAX_TEST_MAX, newValue));
+    this._currentValue = Math.max(config.MIN, Math.min(config.MAX, newValue));
     this._updateValueDisplay();
   },
 
@@ -792,7 +846,7 @@ const TestMaxScreen = {
   async _handleValidate(button) {
     const testMax = this._currentValue;
 
-    if (testMax < MIN_TEST_MAX) return;
+    if (testMax < INPUT_CONFIG[this._unit].MIN) return;
 
     try {
       // Désactiver le bouton
@@ -810,12 +864,16 @@ const TestMaxScreen = {
       const hasImpossibleLastWeek = previousWeek?.feedbackSummary?.impossible > 0;
 
       // Lancer le processus complet du moteur algorithmique
+      // (historiques propres à l'exercice actif)
       const result = engine.processNewWeek(
         weekNumber,
         testMax,
         weekHistory,
         scoringHistory,
-        hasImpossibleLastWeek
+        hasImpossibleLastWeek,
+        state.getActiveExerciseId(),
+        state.getSchedule(),
+        state.getLockedAlgorithm()
       );
 
       this._result = result;
@@ -823,9 +881,12 @@ const TestMaxScreen = {
       // Sauvegarder le test max et le plan dans le state
       await state.saveTestMax(testMax, {
         selectedAlgorithm: result.algorithm,
+        recommendedAlgorithm: result.recommendedAlgorithm,
+        algorithmLocked: result.locked,
         algorithmScores: result.scores,
         predictions: result.predictions,
-        plan: result.plan
+        plan: result.plan,
+        schedule: result.schedule
       });
 
       // Sauvegarder le scoring
@@ -834,7 +895,9 @@ const TestMaxScreen = {
           result.algorithm,
           result.scores,
           result.predictions,
-          result.reason
+          result.reason,
+          result.recommendedAlgorithm,
+          result.locked
         );
       }
 
@@ -870,14 +933,17 @@ const TestMaxScreen = {
    * @private
    */
   _getDefaultValue() {
+    const config = INPUT_CONFIG[this._unit];
+
     // Utiliser le dernier test max + 10% comme suggestion
+    // (arrondi au pas de l'input : 5 s pour un maintien)
     const lastMax = state.getCurrentTestMax();
 
     if (lastMax && lastMax > 0) {
-      return Math.round(lastMax * 1.1);
+      return Math.round((lastMax * 1.1) / config.STEP) * config.STEP;
     }
 
-    return DEFAULT_TEST_MAX;
+    return config.DEFAULT;
   },
 
   /**
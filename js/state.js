@@ -40,6 +40,13 @@
      state.getCurrentWeek()              → Semaine courante
      state.getSettings()                 → Paramètres
      state.getHistory()                  → Historique complet
+     state.getActiveExercise()           → Exercice actif (catalogue)
+     state.getExercisesOverview()        → Progression de chaque exercice
+     state.getSchedule()                 → Forme des prochaines semaines
+     state.getWeekSchedule()             → Forme de la semaine courante
+     state.getWeekLength()               → Nombre de jours (J1 inclus)
+     state.getLockedAlgorithm()          → Algorithme verrouillé ou null
+     state.getScoringConfig()            → Configuration du scoring
 
      // Écriture (persiste + notifie)
      state.updateProfile(data)           → Met à jour le profil
@@ -47,21 +54,68 @@
      state.setCurrentWeek(data)          → Définit la semaine courante
      state.saveSession(data)             → Enregistre une séance
      state.advanceDay()                  → Passe au jour suivant
+     state.syncCalendar()                → Rattrape les jours écoulés
      state.advanceWeek()                 → Passe à la semaine suivante
      state.setAlgorithm(name, scores)    → Définit l'algorithme actif
+     state.lockAlgorithm(name)           → Verrouille un algorithme (null = auto)
+     state.applyAlgorithmOverride(n, p)  → Remplace le plan de la semaine
+     state.applyPlanAdjustment(p, adj)   → Allège les jours restants
+     state.setActiveExercise(id)         → Change d'exercice actif
+     state.saveSessionCheckpoint(data)   → Point de reprise de la séance
+     state.clearSessionCheckpoint()      → Oublie le point de reprise
      state.reset()                       → Réinitialise tout
 
      // État dérivé (calculé)
      state.isFirstLaunch()               → Première utilisation ?
      state.isTestMaxDay()                → Jour de test max ?
      state.getCurrentDayPlan()           → Plan du jour courant
+     state.getDaySession(dayNumber)      → Séance enregistrée d'un jour
+     state.getSessionCheckpoint()        → Séance interrompue du jour
      state.getProgressionPercent()       → % de progression
-     state.getWeekCompletionStatus()     → État des 7 jours
+     state.getWeekCompletionStatus()     → État des jours de la semaine
+     state.isRestDay(dayNumber)          → Jour de repos ?
      state.hasImpossibleThisWeek()       → Séance impossible ?
      state.getWeekFeedbackSummary()      → Résumé feedbacks semaine
+
+   ─────────────────────────────────────────────────────────────
+   Multi-exercices :
+     La progression (semaine, jour, algorithme) est propre à
+     chaque exercice et stockée dans profile.exercises[id].
+     Le cache (semaines, séances, scoring) ne contient que les
+     données de l'exercice actif (profile.activeExercise).
+
+   ─────────────────────────────────────────────────────────────
+   Calendrier :
+     La semaine est ancrée sur startDate (date du test max, J1) :
+     le jour N tombe à startDate + (N − 1). À l'ouverture de
+     l'app, les jours écoulés sans séance sont enregistrés
+     'skipped' et le jour courant rejoint le calendrier.
+     S'entraîner en avance reste possible : le jour courant
+     n'est jamais reculé.
+
+   Forme de la semaine :
+     settings.schedule (jours d'entraînement / de repos, cf.
+     utils/schedule.js) s'applique à partir du prochain test max.
+     Chaque semaine mémorise la forme avec laquelle son plan a
+     été généré (week.schedule) ; une semaine sans schedule est
+     une semaine historique de 7 jours.
    ════════════════════════════════════════════════════════════════ */
 
-import db from './db.js';
+import db, { STORES } from './db.js';
+import {
+  DEFAULT_EXERCISE_ID,
+  getExercise,
+  getAllExercises,
+  isValidExercise
+} from './exercises.js';
+import { toLocalDateString, parseLocalDate, daysBetween, addDays } from './utils/dates.js';
+import {
+  DEFAULT_SCHEDULE,
+  normalizeSchedule,
+  getWeekLength,
+  isRestDay as isScheduleRestDay
+} from './utils/schedule.js';
+import { normalizeScoringConfig } from './algorithms/scoring.js';
 
 
 // ── Topics de notification ──
@@ -81,17 +135,33 @@ Object.freeze(TOPICS);
 
 // ── Valeurs par défaut ──
 
-const DEFAULT_PROFILE = {
-  id: 'profile',
-  createdAt: null,
+/** Progression initiale d'un exercice */
+const DEFAULT_PROGRESS = {
   currentWeek: 1,
   currentDay: 1,
   selectedAlgorithm: 'linear',
+  lockedAlgorithm: null
+};
+
+const DEFAULT_PROFILE = {
+  id: 'profile',
+  createdAt: null,
+  activeExercise: DEFAULT_EXERCISE_ID,
+  exercises: {
+    [DEFAULT_EXERCISE_ID]: { ...DEFAULT_PROGRESS }
+  },
   settings: {
     soundEnabled: true,
     vibrationEnabled: true,
     theme: 'dark',
-    restTimerAutoStart: true
+    restTimerAutoStart: true,
+    metronomeEnabled: false,
+    metronomeTempo: null,    // null = tempo selon le type de séance (utils/metronome.js)
+    voiceCoachEnabled: false,
+    voiceCoachLanguage: 'fr', // cf. utils/voice-coach.js
+    mediaControlsEnabled: false, // Boutons casque / écran verrouillé (utils/media-session.js)
+    schedule: { ...DEFAULT_SCHEDULE },
+    scoring: null            // null = configuration par défaut (algorithms/scoring.js)
   }
 };
 
@@ -101,12 +171,17 @@ const DEFAULT_WEEK = {
   testMax: null,
   previousTestMax: null,
   selectedAlgorithm: 'linear',
+  recommendedAlgorithm: null,
+  algorithmLocked: false,
   algorithmScores: null,
   predictions: null,
   plan: null,
+  planAdjustments: [],
+  schedule: null,
   feedbackSummary: {
     facile: 0,
     parfait: 0,
+    difficile: 0,
     impossible: 0,
     rirMoyen: 2,
     volumeTotal: 0,
@@ -115,6 +190,7 @@ const DEFAULT_WEEK = {
   status: 'pending'
 };
 
+Object.freeze(DEFAULT_PROGRESS);
 Object.freeze(DEFAULT_PROFILE);
 Object.freeze(DEFAULT_WEEK);
 
@@ -133,7 +209,8 @@ class State {
       currentWeek: null,
       sessions: [],
       weeks: [],
-      scoringHistory: []
+      scoringHistory: [],
+      checkpoint: null
     };
 
     /** @type {boolean} */
@@ -159,28 +236,42 @@ class State {
 
     // Charger le profil (peut être null si premier lancement)
     this._cache.profile = await db.getProfile();
+    this._cache.checkpoint = await db.getSessionCheckpoint();
+
+    // Charger les données de l'exercice actif
+    await this._loadExerciseCache();
+
+    this._initialized = true;
+
+    // Rattraper les jours écoulés depuis la dernière ouverture
+    await this.syncCalendar();
+  }
+
+  /**
+   * Charge dans le cache les semaines, la semaine courante,
+   * ses séances et l'historique de scoring de l'exercice actif.
+   *
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _loadExerciseCache() {
+    const exerciseId = this._getActiveExerciseId();
+    const progress = this._getProgress(exerciseId);
 
     // Charger les semaines
-    this._cache.weeks = await db.getAllWeeks();
+    this._cache.weeks = await db.getAllWeeks(exerciseId);
 
-    // Charger la semaine courante si elle existe
-    if (this._cache.profile?.currentWeek) {
-      this._cache.currentWeek = await db.getWeek(
-        this._cache.profile.currentWeek
-      );
-    }
+    // Charger la semaine courante et ses séances si elles existent
+    this._cache.currentWeek = null;
+    this._cache.sessions = [];
 
-    // Charger les séances de la semaine courante
-    if (this._cache.profile?.currentWeek) {
-      this._cache.sessions = await db.getSessionsByWeek(
-        this._cache.profile.currentWeek
-      );
+    if (this._cache.profile && progress.currentWeek) {
+      this._cache.currentWeek = await db.getWeek(exerciseId, progress.currentWeek);
+      this._cache.sessions = await db.getSessionsByWeek(exerciseId, progress.currentWeek);
     }
 
     // Charger l'historique de scoring
-    this._cache.scoringHistory = await db.getScoringHistory();
-
-    this._initialized = true;
+    this._cache.scoringHistory = await db.getScoringHistory(exerciseId);
   }
 
   /**
@@ -291,7 +382,7 @@ class State {
       case TOPICS.SESSION:    return this._cache.sessions;
       case TOPICS.HISTORY:    return this._cache.weeks;
       case TOPICS.SETTINGS:   return this._cache.profile?.settings;
-      case TOPICS.ALGORITHM:  return this._cache.profile?.selectedAlgorithm;
+      case TOPICS.ALGORITHM:  return this._getProgress().selectedAlgorithm;
       default:                return null;
     }
   }
@@ -374,30 +465,120 @@ class State {
   }
 
   /**
-   * Retourne le numéro de semaine courante.
+   * Retourne le numéro de semaine courante (exercice actif).
    * @returns {number}
    */
   getCurrentWeekNumber() {
     this._ensureInitialized();
-    return this._cache.profile?.currentWeek || 1;
+    return this._getProgress().currentWeek || 1;
   }
 
   /**
-   * Retourne le numéro de jour courant.
+   * Retourne le numéro de jour courant (exercice actif).
    * @returns {number}
    */
   getCurrentDayNumber() {
     this._ensureInitialized();
-    return this._cache.profile?.currentDay || 1;
+    return this._getProgress().currentDay || 1;
   }
 
   /**
-   * Retourne le nom de l'algorithme actif.
+   * Retourne le nom de l'algorithme actif (exercice actif).
    * @returns {string}
    */
   getSelectedAlgorithm() {
     this._ensureInitialized();
-    return this._cache.profile?.selectedAlgorithm || 'linear';
+    return this._getProgress().selectedAlgorithm || 'linear';
+  }
+
+  /**
+   * Retourne l'algorithme verrouillé par l'utilisateur
+   * (exercice actif), ou null en sélection automatique.
+   * @returns {string|null}
+   */
+  getLockedAlgorithm() {
+    this._ensureInitialized();
+    return this._getProgress().lockedAlgorithm || null;
+  }
+
+  /**
+   * Retourne l'identifiant de l'exercice actif.
+   * @returns {string}
+   */
+  getActiveExerciseId() {
+    this._ensureInitialized();
+    return this._getActiveExerciseId();
+  }
+
+  /**
+   * Retourne la définition de l'exercice actif (cf. exercises.js).
+   * @returns {Object}
+   */
+  getActiveExercise() {
+    return getExercise(this.getActiveExerciseId());
+  }
+
+  /**
+   * Forme de semaine configurée (appliquée au prochain test max).
+   * @returns {{trainingDays: number, restDays: number}}
+   */
+  getSchedule() {
+    return normalizeSchedule(this.getSettings().schedule);
+  }
+
+  /**
+   * Configuration du scoring des algorithmes (pondérations,
+   * pénalités, stratégie), complétée par les valeurs par défaut.
+   * @returns {Object}
+   */
+  getScoringConfig() {
+    return normalizeScoringConfig(this.getSettings().scoring);
+  }
+
+  /**
+   * Forme de la semaine courante (celle de son plan).
+   * Avant le test max, c'est la forme configurée qui s'appliquera.
+   * @returns {{trainingDays: number, restDays: number}}
+   */
+  getWeekSchedule() {
+    this._ensureInitialized();
+
+    const week = this._cache.currentWeek;
+    if (!week) return this.getSchedule();
+
+    return normalizeSchedule(week.schedule);
+  }
+
+  /**
+   * Nombre de jours de la semaine courante, J1 inclus.
+   * @returns {number}
+   */
+  getWeekLength() {
+    return getWeekLength(this.getWeekSchedule());
+  }
+
+  /**
+   * Retourne la progression de chaque exercice du catalogue,
+   * pour les sélecteurs d'exercice.
+   *
+   * @returns {Array<Object>} { exercise, currentWeek, currentDay, started, active }
+   */
+  getExercisesOverview() {
+    this._ensureInitialized();
+
+    const activeId = this._getActiveExerciseId();
+    const exercises = this._cache.profile?.exercises || {};
+
+    return getAllExercises().map(exercise => {
+      const progress = this._getProgress(exercise.id);
+      return {
+        exercise,
+        currentWeek: progress.currentWeek,
+        currentDay: progress.currentDay,
+        started: Boolean(exercises[exercise.id]),
+        active: exercise.id === activeId
+      };
+    });
   }
 
 
@@ -469,11 +650,12 @@ class State {
     const data = {
       ...DEFAULT_WEEK,
       ...weekData,
+      exerciseId: this._getActiveExerciseId(),
       updatedAt: new Date().toISOString()
     };
 
     await db.saveWeek(data);
-    this._cache.currentWeek = await db.getWeek(data.weekNumber);
+    this._cache.currentWeek = await db.getWeek(data.exerciseId, data.weekNumber);
 
     // Mettre à jour la liste des semaines dans le cache
     await this._refreshWeeksCache();
@@ -482,7 +664,8 @@ class State {
   }
 
   /**
-   * Enregistre le résultat du test max pour la semaine courante.
+   * Enregistre le résultat du test max pour la semaine courante
+   * de l'exercice actif.
    *
    * @param {number} testMax      — Nombre de reps au test max
    * @param {Object} [extraData]  — Données supplémentaires (prédictions, scores...)
@@ -496,9 +679,17 @@ class State {
       ? this._cache.weeks[this._cache.weeks.length - 1]
       : null;
 
+    // Un nouveau test max ré-ancre la semaine sur aujourd'hui :
+    // les jours marqués 'skipped' selon l'ancien calendrier tombent
+    for (const session of this._cache.sessions) {
+      if (session.weekNumber === weekNumber && session.status === 'skipped') {
+        await db.delete(STORES.SESSIONS, session.id);
+      }
+    }
+
     const weekData = {
       weekNumber,
-      startDate: new Date().toISOString().split('T')[0],
+      startDate: toLocalDateString(),
       testMax,
       previousTestMax: previousWeek?.testMax || null,
       status: 'in_progress',
@@ -530,7 +721,7 @@ class State {
     });
 
     // Avancer au jour 2
-    await this.updateProfile({
+    await this._updateProgress({
       currentDay: 2
     });
   }
@@ -544,8 +735,11 @@ class State {
   async saveSession(sessionData) {
     this._ensureInitialized();
 
+    const exerciseId = this._getActiveExerciseId();
     const data = {
+      unit: getExercise(exerciseId).unit,
       ...sessionData,
+      exerciseId,
       updatedAt: new Date().toISOString()
     };
 
@@ -553,7 +747,16 @@ class State {
 
     // Rafraîchir le cache des séances de la semaine courante
     const weekNumber = data.weekNumber || this.getCurrentWeekNumber();
-    this._cache.sessions = await db.getSessionsByWeek(weekNumber);
+
+    // La séance enregistrée remplace son point de reprise
+    const checkpoint = this._cache.checkpoint;
+    if (checkpoint &&
+        checkpoint.exerciseId === data.exerciseId &&
+        checkpoint.weekNumber === weekNumber &&
+        checkpoint.dayNumber === data.dayNumber) {
+      await this.clearSessionCheckpoint();
+    }
+    this._cache.sessions = await db.getSessionsByWeek(data.exerciseId, weekNumber);
 
     // Mettre à jour le résumé des feedbacks dans la semaine
     if (data.feedback && data.type !== 'test_max') {
@@ -574,13 +777,77 @@ class State {
     const currentDay = this.getCurrentDayNumber();
     const nextDay = currentDay + 1;
 
-    if (nextDay > 7) {
+    if (nextDay > this.getWeekLength()) {
       // Semaine terminée — marquer comme complétée
       await this._completeCurrentWeek();
       return;
     }
 
-    await this.updateProfile({ currentDay: nextDay });
+    await this._updateProgress({ currentDay: nextDay });
+  }
+
+  /**
+   * Aligne le jour courant de l'exercice actif sur le calendrier.
+   *
+   * Chaque jour d'entraînement écoulé depuis le jour courant et
+   * sans séance enregistrée est marqué 'skipped' dans le store
+   * sessions (les jours de repos sont ignorés). Si la semaine
+   * entière est écoulée, elle est clôturée.
+   * Sans effet tant que le test max (J1) n'est pas fait, ou si
+   * l'utilisateur est en avance sur le calendrier.
+   *
+   * @param {Date} [today=new Date()]
+   * @returns {Promise<number>} Nombre de jours marqués 'skipped'
+   */
+  async syncCalendar(today = new Date()) {
+    this._ensureInitialized();
+
+    const week = this._cache.currentWeek;
+    if (!week?.startDate || week.status !== 'in_progress') return 0;
+
+    const currentDay = this.getCurrentDayNumber();
+    const calendarDay = daysBetween(week.startDate, today) + 1;
+    if (calendarDay <= currentDay) return 0;
+
+    const weekSchedule = this.getWeekSchedule();
+    const weekLength = getWeekLength(weekSchedule);
+    const lastElapsedDay = Math.min(calendarDay - 1, weekLength);
+    const exerciseId = this._getActiveExerciseId();
+    let marked = 0;
+
+    for (let day = Math.max(currentDay, 2); day <= lastElapsedDay; day++) {
+      if (isScheduleRestDay(weekSchedule, day)) continue;
+      if (this._cache.sessions.some(s => s.dayNumber === day)) continue;
+
+      await db.saveSession({
+        exerciseId,
+        unit: getExercise(exerciseId).unit,
+        weekNumber: week.weekNumber,
+        dayNumber: day,
+        date: parseLocalDate(addDays(week.startDate, day - 1)).toISOString(),
+        type: 'training',
+        actual: null,
+        feedback: null,
+        status: 'skipped',
+        updatedAt: new Date().toISOString()
+      });
+      marked++;
+    }
+
+    if (marked > 0) {
+      this._cache.sessions = await db.getSessionsByWeek(exerciseId, week.weekNumber);
+      this.notify(TOPICS.SESSION);
+    }
+
+    if (calendarDay > weekLength) {
+      // Semaine entièrement écoulée
+      await this._updateProgress({ currentDay: weekLength });
+      await this._completeCurrentWeek();
+    } else {
+      await this._updateProgress({ currentDay: calendarDay });
+    }
+
+    return marked;
   }
 
   /**
@@ -599,7 +866,7 @@ class State {
 
     const nextWeek = this.getCurrentWeekNumber() + 1;
 
-    await this.updateProfile({
+    await this._updateProgress({
       currentWeek: nextWeek,
       currentDay: 1
     });
@@ -614,19 +881,26 @@ class State {
   /**
    * Définit l'algorithme actif et enregistre les scores.
    *
-   * @param {string} algorithmName — Nom de l'algorithme sélectionné
+   * Avec un verrou manuel, l'algorithme actif (celui du plan)
+   * diffère du choix du scoring : l'entrée de scoring garde le
+   * choix du moteur (selectedAlgorithm) et note l'algorithme
+   * réellement appliqué, pour comparaison ultérieure.
+   *
+   * @param {string} algorithmName — Nom de l'algorithme appliqué
    * @param {Object} scores        — Scores de tous les algorithmes
    * @param {Object} predictions   — Prédictions de tous les algorithmes
    * @param {string} [reason]      — Raison de la sélection
+   * @param {string} [recommendedAlgorithm] — Choix du scoring (défaut : algorithmName)
+   * @param {boolean} [locked]     — Algorithme imposé par un verrou (result.locked du moteur)
    * @returns {Promise<void>}
    */
-  async setAlgorithm(algorithmName, scores, predictions, reason = '') {
+  async setAlgorithm(algorithmName, scores, predictions, reason = '', recommendedAlgorithm = algorithmName, locked = false) {
     this._ensureInitialized();
 
     const weekNumber = this.getCurrentWeekNumber();
 
-    // Mettre à jour le profil
-    await this.updateProfile({
+    // Mettre à jour la progression de l'exercice
+    await this._updateProgress({
       selectedAlgorithm: algorithmName
     });
 
@@ -635,6 +909,7 @@ class State {
       await this.setCurrentWeek({
         ...this._cache.currentWeek,
         selectedAlgorithm: algorithmName,
+        recommendedAlgorithm,
         algorithmScores: scores,
         predictions
       });
@@ -642,16 +917,83 @@ class State {
 
     // Enregistrer dans l'historique de scoring
     const scoringEntry = {
+      exerciseId: this._getActiveExerciseId(),
       weekNumber,
       calculations: scores,
       predictions,
-      selectedAlgorithm: algorithmName,
+      selectedAlgorithm: recommendedAlgorithm,
+      appliedAlgorithm: algorithmName,
+      locked,
       reasoning: reason,
       actual: this._cache.currentWeek?.testMax || null
     };
 
     await db.saveScoringEntry(scoringEntry);
-    this._cache.scoringHistory = await db.getScoringHistory();
+    this._cache.scoringHistory = await db.getScoringHistory(scoringEntry.exerciseId);
+
+    this.notify(TOPICS.ALGORITHM);
+  }
+
+  /**
+   * Verrouille un algorithme pour l'exercice actif (null = retour
+   * à la sélection automatique). Le verrou s'applique aux tests
+   * max suivants ; pour la semaine en cours, cf.
+   * applyAlgorithmOverride().
+   *
+   * @param {string|null} algorithmName
+   * @returns {Promise<void>}
+   */
+  async lockAlgorithm(algorithmName) {
+    this._ensureInitialized();
+
+    await this._updateProgress({ lockedAlgorithm: algorithmName || null });
+    this.notify(TOPICS.ALGORITHM);
+  }
+
+  /**
+   * Remplace l'algorithme et le plan de la semaine courante
+   * (changement manuel en cours de semaine).
+   *
+   * Les jours déjà passés ou dont la séance est enregistrée
+   * gardent leur plan d'origine pour que l'historique reste
+   * cohérent avec les séances réalisées.
+   * Le choix du scoring (recommendedAlgorithm) n'est pas modifié.
+   *
+   * @param {string} algorithmName — Algorithme appliqué
+   * @param {Object} plan          — Plan généré par engine.generateWeekPlan()
+   * @param {Array<Object>} [planAdjustments] — Allègements réappliqués
+   *   au nouveau plan (cf. applyPlanAdjustment) ; conservés par défaut
+   * @returns {Promise<void>}
+   */
+  async applyAlgorithmOverride(algorithmName, plan, planAdjustments = null) {
+    this._ensureInitialized();
+
+    const week = this._cache.currentWeek;
+    if (!week) {
+      throw new Error('Impossible de changer d\'algorithme : aucune semaine courante.');
+    }
+
+    const currentDay = this.getCurrentDayNumber();
+    const merged = { ...plan };
+
+    Object.keys(merged).forEach(key => {
+      const dayNumber = Number(key.replace('day', ''));
+      const isRecorded = this._cache.sessions.some(s => s.dayNumber === dayNumber);
+      if ((dayNumber < currentDay || isRecorded) && week.plan?.[key]) {
+        merged[key] = week.plan[key];
+      }
+    });
+
+    await this._updateProgress({ selectedAlgorithm: algorithmName });
+
+    await this.setCurrentWeek({
+      ...week,
+      selectedAlgorithm: algorithmName,
+      recommendedAlgorithm: week.recommendedAlgorithm || week.selectedAlgorithm,
+      algorithmLocked: algorithmName === this.getLockedAlgorithm(),
+      plan: merged,
+      planAdjustments: planAdjustments ?? week.planAdjustments ?? []
+    });
 
     this.notify(TOPICS.ALGORITHM);
   }
@@ -675,6 +1017,102 @@ class State {
     });
   }
 
+  /**
+   * Enregistre le plan allégé après une séance impossible
+   * (cf. engine.adjustRemainingWeek) et garde une trace de
+   * l'ajustement dans la semaine.
+   *
+   * @param {Object} plan — Plan ajusté de la semaine
+   * @param {Object} adjustment — { dayNumber, factor, days }
+   * @returns {Promise<void>}
+   */
+  async applyPlanAdjustment(plan, adjustment) {
+    this._ensureInitialized();
+
+    const week = this._cache.currentWeek;
+    if (!week) {
+      throw new Error('Impossible d\'ajuster le plan : aucune semaine courante.');
+    }
+
+    await this.setCurrentWeek({
+      ...week,
+      plan,
+      planAdjustments: [
+        ...(week.planAdjustments || []),
+        { ...adjustment, date: new Date().toISOString() }
+      ]
+    });
+  }
+
+  /**
+   * Enregistre le point de reprise de la séance en cours
+   * (exercice, semaine et jour courants).
+   *
+   * @param {Object} data — État de l'écran de séance
+   * @returns {Promise<void>}
+   */
+  async saveSessionCheckpoint(data) {
+    this._ensureInitialized();
+
+    this._cache.checkpoint = {
+      ...data,
+      exerciseId: this._getActiveExerciseId(),
+      weekNumber: this.getCurrentWeekNumber(),
+      dayNumber: this.getCurrentDayNumber(),
+      savedAt: new Date().toISOString()
+    };
+
+    await db.saveSessionCheckpoint(this._cache.checkpoint);
+  }
+
+  /**
+   * Supprime le point de reprise (séance enregistrée ou abandonnée).
+   *
+   * @returns {Promise<void>}
+   */
+  async clearSessionCheckpoint() {
+    this._ensureInitialized();
+
+    if (!this._cache.checkpoint) return;
+
+    this._cache.checkpoint = null;
+    await db.deleteSessionCheckpoint();
+  }
+
+  /**
+   * Change l'exercice actif et recharge le cache correspondant.
+   * Un exercice jamais pratiqué démarre en semaine 1, jour 1 (test max).
+   *
+   * @param {string} exerciseId — Identifiant du catalogue
+   * @returns {Promise<void>}
+   */
+  async setActiveExercise(exerciseId) {
+    this._ensureInitialized();
+
+    if (!isValidExercise(exerciseId)) {
+      throw new Error(`Exercice inconnu : ${exerciseId}`);
+    }
+
+    if (exerciseId === this._getActiveExerciseId()) return;
+
+    const update = { activeExercise: exerciseId };
+    if (!this._cache.profile?.exercises?.[exerciseId]) {
+      update.exercises = { [exerciseId]: { ...DEFAULT_PROGRESS } };
+    }
+
+    await db.saveProfile(update);
+    this._cache.profile = await db.getProfile();
+
+    await this._loadExerciseCache();
+    await this.syncCalendar();
+
+    this.notify(TOPICS.PROFILE);
+    this.notify(TOPICS.WEEK);
+    this.notify(TOPICS.SESSION);
+    this.notify(TOPICS.HISTORY);
+    this.notify(TOPICS.ALGORITHM);
+  }
+
   /**
    * Réinitialise toutes les données (factory reset).
    *
@@ -688,7 +1126,8 @@ class State {
       currentWeek: null,
       sessions: [],
       weeks: [],
-      scoringHistory: []
+      scoringHistory: [],
+      checkpoint: null
     };
 
     this._initialized = false;
@@ -795,20 +1234,32 @@ class State {
     return Math.round(((currentMax - firstMax) / firstMax) * 100);
   }
 
+  /**
+   * Vérifie si un jour de la semaine courante est un jour de repos.
+   *
+   * @param {number} [dayNumber] — Jour courant par défaut
+   * @returns {boolean}
+   */
+  isRestDay(dayNumber = this.getCurrentDayNumber()) {
+    this._ensureInitialized();
+    return isScheduleRestDay(this.getWeekSchedule(), dayNumber);
+  }
+
   /**
    * Retourne l'état de complétion de chaque jour de la semaine.
    *
-   * @returns {Array<Object>} 7 entrées : { day, status, feedback }
-   *   status: 'done' | 'current' | 'pending' | 'failed' | 'skipped'
+   * @returns {Array<Object>} Une entrée par jour : { day, status, feedback }
+   *   status: 'done' | 'current' | 'pending' | 'failed' | 'skipped' | 'rest'
    */
   getWeekCompletionStatus() {
     this._ensureInitialized();
 
     const currentDay = this.getCurrentDayNumber();
     const sessions = this._cache.sessions;
+    const weekSchedule = this.getWeekSchedule();
     const status = [];
 
-    for (let day = 1; day <= 7; day++) {
+    for (let day = 1; day <= getWeekLength(weekSchedule); day++) {
       const session = sessions.find(s => s.dayNumber === day);
 
       let dayStatus;
@@ -816,6 +1267,8 @@ class State {
         dayStatus = session.feedback === 'impossible' ? 'failed' : 'done';
       } else if (session?.status === 'skipped') {
         dayStatus = 'skipped';
+      } else if (isScheduleRestDay(weekSchedule, day)) {
+        dayStatus = 'rest';
       } else if (day === currentDay) {
         dayStatus = 'current';
       } else if (day < currentDay) {
@@ -851,7 +1304,10 @@ class State {
   /**
    * Calcule le résumé des feedbacks de la semaine courante.
    *
-   * @returns {Object} { facile, parfait, impossible, total, rirMoyen, volumeTotal, volumeRealiseTotale }
+   * Les semaines enregistrées avant l'ajout du feedback « difficile »
+   * n'en comptent simplement aucun.
+   *
+   * @returns {Object} { facile, parfait, difficile, impossible, total, rirMoyen, volumeTotal, volumeRealiseTotale }
    */
   getWeekFeedbackSummary() {
     this._ensureInitialized();
@@ -863,6 +1319,7 @@ class State {
     const summary = {
       facile: 0,
       parfait: 0,
+      difficile: 0,
       impossible: 0,
       total: sessions.length,
       rirMoyen: 2,
@@ -899,10 +1356,43 @@ class State {
     return summary;
   }
 
+  /**
+   * Retourne la séance enregistrée d'un jour de la semaine courante
+   * (terminée, en cours — mini-séances, cf. algorithms/gtg.js — ou
+   * manquée).
+   *
+   * @param {number} [dayNumber] — Jour courant par défaut
+   * @returns {Object|null}
+   */
+  getDaySession(dayNumber = this.getCurrentDayNumber()) {
+    this._ensureInitialized();
+    return this._cache.sessions.find(s => s.dayNumber === dayNumber) || null;
+  }
+
+  /**
+   * Retourne le point de reprise de la séance interrompue du jour
+   * courant (exercice actif), ou null s'il n'y en a pas ou s'il
+   * date d'un autre jour.
+   *
+   * @returns {Object|null} cf. screens/session.js _saveCheckpoint()
+   */
+  getSessionCheckpoint() {
+    this._ensureInitialized();
+
+    const checkpoint = this._cache.checkpoint;
+    if (!checkpoint) return null;
+
+    const isToday = checkpoint.exerciseId === this._getActiveExerciseId() &&
+      checkpoint.weekNumber === this.getCurrentWeekNumber() &&
+      checkpoint.dayNumber === this.getCurrentDayNumber();
+
+    return isToday && !this.isSessionCompleted(checkpoint.dayNumber) ? checkpoint : null;
+  }
+
   /**
    * Vérifie si une séance spécifique a déjà été complétée.
    *
-   * @param {number} dayNumber — Numéro de jour (1-7)
+   * @param {number} dayNumber — Numéro de jour (1 = test max)
    * @returns {boolean}
    */
   isSessionCompleted(dayNumber) {
@@ -913,7 +1403,8 @@ class State {
   }
 
   /**
-   * Retourne le nombre de jours consécutifs manqués.
+   * Retourne le nombre de jours d'entraînement consécutifs manqués
+   * (les jours de repos ne comptent pas et n'interrompent pas la série).
    *
    * @returns {number}
    */
@@ -921,9 +1412,12 @@ class State {
     this._ensureInitialized();
 
     const currentDay = this.getCurrentDayNumber();
+    const weekSchedule = this.getWeekSchedule();
     let skipped = 0;
 
     for (let day = currentDay - 1; day >= 2; day--) {
+      if (isScheduleRestDay(weekSchedule, day)) continue;
+
       const session = this._cache.sessions.find(s => s.dayNumber === day);
       if (!session || session.status === 'skipped') {
         skipped++;
@@ -957,18 +1451,23 @@ class State {
 
     const history = [];
 
+    const exerciseId = this._getActiveExerciseId();
+
     for (const week of this._cache.weeks) {
-      const sessions = await db.getSessionsByWeek(week.weekNumber);
-      const feedbackCounts = await db.countFeedbacksByWeek(week.weekNumber);
+      const sessions = await db.getSessionsByWeek(exerciseId, week.weekNumber);
+      const feedbackCounts = await db.countFeedbacksByWeek(exerciseId, week.weekNumber);
 
       history.push({
         weekNumber: week.weekNumber,
         testMax: week.testMax,
         selectedAlgorithm: week.selectedAlgorithm,
+        recommendedAlgorithm: week.recommendedAlgorithm || null,
         plan: week.plan,
+        schedule: week.schedule || null,
         feedbackSummary: {
           facile: feedbackCounts.facile,
           parfait: feedbackCounts.parfait,
+          difficile: feedbackCounts.difficile,
           impossible: feedbackCounts.impossible,
           rirMoyen: week.feedbackSummary?.rirMoyen ?? 2
         },
@@ -1013,6 +1512,47 @@ class State {
      MÉTHODES PRIVÉES
      ────────────────────────────────────────────────────────── */
 
+  /**
+   * Identifiant de l'exercice actif, sans vérification d'init.
+   * @returns {string}
+   * @private
+   */
+  _getActiveExerciseId() {
+    const id = this._cache.profile?.activeExercise;
+    return isValidExercise(id) ? id : DEFAULT_EXERCISE_ID;
+  }
+
+  /**
+   * Progression d'un exercice (défaut : exercice actif).
+   *
+   * @param {string} [exerciseId]
+   * @returns {Object} { currentWeek, currentDay, selectedAlgorithm, lockedAlgorithm }
+   * @private
+   */
+  _getProgress(exerciseId = this._getActiveExerciseId()) {
+    return {
+      ...DEFAULT_PROGRESS,
+      ...(this._cache.profile?.exercises?.[exerciseId] || {})
+    };
+  }
+
+  /**
+   * Met à jour la progression de l'exercice actif (fusion partielle).
+   *
+   * @param {Object} data — { currentWeek?, currentDay?, selectedAlgorithm?, lockedAlgorithm? }
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _updateProgress(data) {
+    const exerciseId = this._getActiveExerciseId();
+
+    await this.updateProfile({
+      exercises: {
+        [exerciseId]: { ...this._getProgress(exerciseId), ...data }
+      }
+    });
+  }
+
   /**
    * Marque la semaine courante comme terminée.
    * @private
@@ -1038,7 +1578,8 @@ class State {
    * @private
    */
   async _updateWeekFeedbackSummary(weekNumber) {
-    const week = await db.getWeek(weekNumber);
+    const exerciseId = this._getActiveExerciseId();
+    const week = await db.getWeek(exerciseId, weekNumber);
     if (!week) return;
 
     const summary = this.getWeekFeedbackSummary();
@@ -1049,7 +1590,7 @@ class State {
     });
 
     // Rafraîchir le cache
-    this._cache.currentWeek = await db.getWeek(weekNumber);
+    this._cache.currentWeek = await db.getWeek(exerciseId, weekNumber);
   }
 
   /**
@@ -1057,7 +1598,7 @@ class State {
    * @private
    */
   async _refreshWeeksCache() {
-    this._cache.weeks = await db.getAllWeeks();
+    this._cache.weeks = await db.getAllWeeks(this._getActiveExerciseId());
   }
 }
 
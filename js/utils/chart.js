@@ -0,0 +1,347 @@
+/* ════════════════════════════════════════════════════════════════
+   AbdoPro — utils/chart.js
+
+   Responsabilité unique : graphique de progression du test max.
+   ─────────────────────────────────────────────────────────────
+   Génère le SVG (chaîne HTML) du graphique de l'historique :
+   - axe X : semaines (numéro + date du test max),
+   - axe Y : quantité (reps ou secondes selon l'exercice),
+   - courbe du test max réel,
+   - une courbe pointillée par algorithme : test max prédit
+     (champ `predictions` de l'historique de scoring), pour
+     comparer chaque modèle à la réalité.
+
+   Aucun accès au DOM ni au state : l'écran appelant fournit
+   les données, gère les clics (data-action="chart-point",
+   data-week) et affiche le détail via getWeekDetails().
+
+   ─────────────────────────────────────────────────────────────
+   API publique :
+
+     buildChartData(history, scoringHistory) → Points réels + prédictions
+     buildChartSVG(data, options)            → Markup SVG
+     getWeekDetails(data, weekNumber)        → Réel vs prédictions d'une semaine
+     getPointPosition(data, weekNumber)      → Position du point (en %)
+     getAlgorithmColor(name, index)          → Couleur d'une courbe
+     getNiceTicks(maxValue, count)           → Graduations « rondes » 0..max
+   ════════════════════════════════════════════════════════════════ */
+
+import { parseLocalDate } from './dates.js';
+import { round, mean } from './math.js';
+
+
+// ── Constantes ──
+
+/** Géométrie du graphique (unités du viewBox) */
+const CHART_LAYOUT = {
+  WIDTH: 320,
+  HEIGHT: 200,
+  PADDING_TOP: 18,
+  PADDING_RIGHT: 14,
+  PADDING_BOTTOM: 34,
+  PADDING_LEFT: 34,
+  Y_TICKS: 4,
+  MAX_X_LABELS: 6
+};
+
+/** Couleur de chaque algorithme intégré */
+const ALGORITHM_COLORS = {
+  linear:     '#3b82f6',
+  banister:   '#14b8a6',
+  dup:        '#f59e0b',
+  rir:        '#22c55e',
+  regression: '#ec4899',
+  gtg:        '#8b5cf6'
+};
+
+/** Couleurs de repli pour les algorithmes inconnus */
+const FALLBACK_COLORS = ['#a855f7', '#f97316', '#06b6d4', '#84cc16'];
+
+Object.freeze(CHART_LAYOUT);
+Object.freeze(ALGORITHM_COLORS);
+Object.freeze(FALLBACK_COLORS);
+
+
+/* ──────────────────────────────────────────────────────────────
+   DONNÉES
+   ────────────────────────────────────────────────────────────── */
+
+/**
+ * Prépare les données du graphique.
+ *
+ * @param {Array<Object>} history        — Semaines (state.getHistory())
+ * @param {Array<Object>} scoringHistory — Entrées de scoring
+ * @returns {{
+ *   points: Array<{weekNumber: number, date: string|null, actual: number, algorithm: string|null}>,
+ *   overlays: Object<string, Array<{weekNumber: number, predicted: number, actual: number}>>,
+ *   accuracy: Object<string, number|null>
+ * }}
+ *   accuracy = erreur absolue moyenne en % du réel, par algorithme
+ */
+export function buildChartData(history, scoringHistory) {
+  const points = (history || [])
+    .filter(week => Number.isFinite(week?.testMax))
+    .sort((a, b) => a.weekNumber - b.weekNumber)
+    .map(week => ({
+      weekNumber: week.weekNumber,
+      date: week.startDate || null,
+      actual: week.testMax,
+      algorithm: week.selectedAlgorithm || null
+    }));
+
+  const actualByWeek = new Map(points.map(p => [p.weekNumber, p.actual]));
+  const overlays = {};
+
+  (scoringHistory || [])
+    .filter(entry => entry?.predictions && actualByWeek.has(entry.weekNumber))
+    .sort((a, b) => a.weekNumber - b.weekNumber)
+    .forEach(entry => {
+      Object.entries(entry.predictions).forEach(([name, predicted]) => {
+        if (!Number.isFinite(predicted)) return;
+
+        if (!overlays[name]) overlays[name] = [];
+        overlays[name].push({
+          weekNumber: entry.weekNumber,
+          predicted,
+          actual: actualByWeek.get(entry.weekNumber)
+        });
+      });
+    });
+
+  const accuracy = {};
+  Object.entries(overlays).forEach(([name, series]) => {
+    const errors = series
+      .filter(p => p.actual > 0)
+      .map(p => Math.abs(p.predicted - p.actual) / p.actual * 100);
+    accuracy[name] = errors.length > 0 ? round(mean(errors)) : null;
+  });
+
+  return { points, overlays, accuracy };
+}
+
+/**
+ * Réel et prédictions d'une semaine, prédictions triées
+ * de la plus proche à la plus éloignée du réel.
+ *
+ * @param {Object} data — Résultat de buildChartData()
+ * @param {number} weekNumber
+ * @returns {{
+ *   weekNumber: number, date: string|null, actual: number, algorithm: string|null,
+ *   predictions: Array<{algorithm: string, predicted: number, error: number}>
+ * }|null}
+ */
+export function getWeekDetails(data, weekNumber) {
+  const point = data.points.find(p => p.weekNumber === weekNumber);
+  if (!point) return null;
+
+  const predictions = Object.entries(data.overlays)
+    .map(([name, series]) => {
+      const entry = series.find(p => p.weekNumber === weekNumber);
+      return entry
+        ? { algorithm: name, predicted: entry.predicted, error: entry.predicted - point.actual }
+        : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => Math.abs(a.error) - Math.abs(b.error));
+
+  return { ...point, predictions };
+}
+
+/**
+ * Couleur de la courbe d'un algorithme.
+ *
+ * @param {string} name
+ * @param {number} [index=0] — Rang de l'algorithme (couleurs de repli)
+ * @returns {string}
+ */
+export function getAlgorithmColor(name, index = 0) {
+  return ALGORITHM_COLORS[name] || FALLBACK_COLORS[index % FALLBACK_COLORS.length];
+}
+
+
+/* ──────────────────────────────────────────────────────────────
+   ÉCHELLES
+   ────────────────────────────────────────────────────────────── */
+
+/**
+ * Graduations « rondes » (pas de 1, 2, 5 × 10ⁿ) de 0 à un
+ * maximum couvrant maxValue avec 10 % de marge.
+ *
+ * @param {number} maxValue
+ * @param {number} [count=CHART_LAYOUT.Y_TICKS] — Nombre de pas visé
+ * @returns {{max: number, ticks: number[]}}
+ */
+export function getNiceTicks(maxValue, count = CHART_LAYOUT.Y_TICKS) {
+  const raw = Math.max(maxValue, 1) / count;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+  const normalized = raw / magnitude;
+
+  const factor = normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10;
+  const step = Math.max(1, factor * magnitude);
+  const max = step * Math.max(1, Math.ceil(maxValue * 1.1 / step));
+
+  const ticks = [];
+  for (let tick = 0; tick <= max; tick += step) ticks.push(tick);
+
+  return { max, ticks };
+}
+
+/**
+ * Calcule les échelles X (semaines) et Y (quantité).
+ * L'échelle Y couvre toutes les prédictions, masquées ou non,
+ * pour que le graphique ne saute pas quand on en masque une.
+ *
+ * @param {Object} data
+ * @returns {{x: Function, y: Function, yTicks: number[], weeks: number[]}}
+ * @private
+ */
+function buildScales(data) {
+  const {
+    WIDTH, HEIGHT, PADDING_TOP, PADDING_RIGHT, PADDING_BOTTOM, PADDING_LEFT
+  } = CHART_LAYOUT;
+
+  const weeks = data.points.map(p => p.weekNumber);
+  const firstWeek = weeks[0];
+  const lastWeek = weeks[weeks.length - 1];
+
+  const values = [
+    ...data.points.map(p => p.actual),
+    ...Object.values(data.overlays).flat().map(p => p.predicted)
+  ];
+  const { max: yMax, ticks: yTicks } = getNiceTicks(Math.max(...values));
+
+  const plotWidth = WIDTH - PADDING_LEFT - PADDING_RIGHT;
+  const plotHeight = HEIGHT - PADDING_TOP - PADDING_BOTTOM;
+
+  const x = (weekNumber) => (lastWeek === firstWeek)
+    ? PADDING_LEFT + plotWidth / 2
+    : PADDING_LEFT + ((weekNumber - firstWeek) / (lastWeek - firstWeek)) * plotWidth;
+
+  const y = (value) => PADDING_TOP + plotHeight - (value / yMax) * plotHeight;
+
+  return { x, y, yTicks, weeks };
+}
+
+/**
+ * Position d'un point réel en pourcentage du graphique,
+ * pour placer une info-bulle HTML par-dessus le SVG.
+ *
+ * @param {Object} data
+ * @param {number} weekNumber
+ * @returns {{left: number, top: number}|null}
+ */
+export function getPointPosition(data, weekNumber) {
+  const point = data.points.find(p => p.weekNumber === weekNumber);
+  if (!point) return null;
+
+  const { x, y } = buildScales(data);
+  return {
+    left: round((x(weekNumber) / CHART_LAYOUT.WIDTH) * 100, 2),
+    top: round((y(point.actual) / CHART_LAYOUT.HEIGHT) * 100, 2)
+  };
+}
+
+
+/* ──────────────────────────────────────────────────────────────
+   RENDU SVG
+   ────────────────────────────────────────────────────────────── */
+
+/**
+ * Formate une date de test max en 'JJ/MM'.
+ *
+ * @param {string|null} date
+ * @returns {string}
+ * @private
+ */
+function formatShortDate(date) {
+  if (!date) return '';
+  const d = parseLocalDate(date);
+  if (Number.isNaN(d.getTime())) return '';
+  return `${String(d.getDate()).padStart(2, '0')}/${String(d.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Génère le SVG du graphique.
+ *
+ * @param {Object} data — Résultat de buildChartData()
+ * @param {Object} [options]
+ * @param {string} [options.unitLabel='reps'] — Titre de l'axe Y
+ * @param {string[]} [options.hidden=[]]     — Algorithmes masqués
+ * @param {number|null} [options.selectedWeek=null] — Point inspecté
+ * @returns {string}
+ */
+export function buildChartSVG(data, { unitLabel = 'reps', hidden = [], selectedWeek = null } = {}) {
+  if (data.points.length === 0) return '';
+
+  const { WIDTH, HEIGHT, PADDING_TOP, PADDING_BOTTOM, PADDING_LEFT, PADDING_RIGHT, MAX_X_LABELS } = CHART_LAYOUT;
+  const { x, y, yTicks, weeks } = buildScales(data);
+  const plotBottom = HEIGHT - PADDING_BOTTOM;
+
+  // ── Grille et axe Y ──
+  const grid = yTicks.map(tick => `
+    <line class="chart__grid" x1="${PADDING_LEFT}" x2="${WIDTH - PADDING_RIGHT}" y1="${y(tick)}" y2="${y(tick)}" />
+    <text class="chart__tick" x="${PADDING_LEFT - 6}" y="${y(tick) + 3}" text-anchor="end">${tick}</text>
+  `).join('');
+
+  // ── Axe X : une étiquette sur N, toujours la dernière ──
+  const labelEvery = Math.ceil(weeks.length / MAX_X_LABELS);
+  const xLabels = data.points
+    .filter((p, i) => i % labelEvery === 0 || i === weeks.length - 1)
+    .map(p => `
+      <text class="chart__tick" x="${x(p.weekNumber)}" y="${plotBottom + 13}" text-anchor="middle">S${p.weekNumber}</text>
+      <text class="chart__tick chart__tick--muted" x="${x(p.weekNumber)}" y="${plotBottom + 24}" text-anchor="middle">${formatShortDate(p.date)}</text>
+    `).join('');
+
+  // ── Prédictions ──
+  const overlays = Object.entries(data.overlays)
+    .filter(([name]) => !hidden.includes(name))
+    .map(([name, series]) => {
+      const color = getAlgorithmColor(name, Object.keys(data.overlays).indexOf(name));
+      const path = series.map(p => `${x(p.weekNumber)},${y(p.predicted)}`).join(' ');
+      return `
+        <polyline class="chart__prediction" stroke="${color}" points="${path}" />
+        ${series.map(p => `<circle cx="${x(p.weekNumber)}" cy="${y(p.predicted)}" r="2.5" fill="${color}" />`).join('')}
+      `;
+    }).join('');
+
+  // ── Test max réel ──
+  const actualPath = data.points.map(p => `${x(p.weekNumber)},${y(p.actual)}`).join(' ');
+  const actualDots = data.points.map(p => `
+    <circle class="chart__point ${p.weekNumber === selectedWeek ? 'chart__point--selected' : ''}"
+            cx="${x(p.weekNumber)}" cy="${y(p.actual)}" r="${p.weekNumber === selectedWeek ? 6 : 4}" />
+  `).join('');
+
+  // ── Repère vertical du point inspecté ──
+  const guide = selectedWeek !== null && weeks.includes(selectedWeek)
+    ? `<line class="chart__guide" x1="${x(selectedWeek)}" x2="${x(selectedWeek)}" y1="${PADDING_TOP}" y2="${plotBottom}" />`
+    : '';
+
+  // ── Zones de tap : une colonne par semaine ──
+  const half = weeks.length > 1
+    ? (x(weeks[weeks.length - 1]) - x(weeks[0])) / (weeks.length - 1) / 2
+    : (WIDTH - PADDING_LEFT - PADDING_RIGHT) / 2;
+  const hitAreas = data.points.map(p => `
+    <rect class="chart__hit" data-action="chart-point" data-week="${p.weekNumber}"
+          x="${x(p.weekNumber) - half}" y="0" width="${half * 2}" height="${plotBottom}" />
+  `).join('');
+
+  return `
+    <svg viewBox="0 0 ${WIDTH} ${HEIGHT}" class="chart__svg" role="img"
+         aria-label="Évolution du test max sur ${data.points.length} semaine(s)">
+      ${grid}
+      <text class="chart__tick chart__tick--muted" x="4" y="${PADDING_TOP - 3}">${unitLabel}</text>
+      <line class="chart__axis" x1="${PADDING_LEFT}" x2="${WIDTH - PADDING_RIGHT}" y1="${plotBottom}" y2="${plotBottom}" />
+      ${xLabels}
+      ${guide}
+      ${overlays}
+      <polyline class="chart__actual" points="${actualPath}" />
+      ${actualDots}
+      ${hitAreas}
+    </svg>
+  `;
+}
+
+
+// ── Export ──
+
+export { CHART_LAYOUT, ALGORITHM_COLORS };
@@ -0,0 +1,96 @@
+/* ════════════════════════════════════════════════════════════════
+   AbdoPro — utils/dates.js
+
+   Responsabilité unique : calculs de dates calendaires.
+   ─────────────────────────────────────────────────────────────
+   Les dates « jour » (startDate des semaines) sont stockées au
+   format 'YYYY-MM-DD' dans le fuseau LOCAL de l'utilisateur :
+   une séance faite à 23h30 appartient bien au jour en cours.
+
+   Les écarts en jours sont arrondis pour absorber les
+   changements d'heure (journées de 23 h ou 25 h).
+
+   ─────────────────────────────────────────────────────────────
+   API publique :
+
+     toLocalDateString(date)      → 'YYYY-MM-DD' (fuseau local)
+     parseLocalDate(dateString)   → Date à minuit local
+     daysBetween(from, to)        → Nombre de jours calendaires
+     addDays(dateString, days)    → 'YYYY-MM-DD' décalé
+   ════════════════════════════════════════════════════════════════ */
+
+
+// ── Constantes ──
+
+/** Durée d'un jour en millisecondes */
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+
+/* ──────────────────────────────────────────────────────────────
+   CONVERSIONS
+   ────────────────────────────────────────────────────────────── */
+
+/**
+ * Formate une date en 'YYYY-MM-DD' dans le fuseau local.
+ *
+ * @param {Date} [date=new Date()]
+ * @returns {string}
+ */
+export function toLocalDateString(date = new Date()) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Interprète 'YYYY-MM-DD' comme minuit local.
+ * (new Date('YYYY-MM-DD') interpréterait la date en UTC.)
+ * Une date ISO complète est ramenée à son jour local.
+ *
+ * @param {string|Date} dateString
+ * @returns {Date}
+ */
+export function parseLocalDate(dateString) {
+  if (dateString instanceof Date) {
+    return new Date(dateString.getFullYear(), dateString.getMonth(), dateString.getDate());
+  }
+
+  const [year, month, day] = String(dateString).slice(0, 10).split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+
+/* ──────────────────────────────────────────────────────────────
+   CALCULS
+   ────────────────────────────────────────────────────────────── */
+
+/**
+ * Nombre de jours calendaires entre deux dates (to − from).
+ *
+ * @param {string|Date} from
+ * @param {string|Date} [to=new Date()]
+ * @returns {number} 0 le même jour, négatif si to précède from
+ */
+export function daysBetween(from, to = new Date()) {
+  const diff = parseLocalDate(to) - parseLocalDate(from);
+  return Math.round(diff / MS_PER_DAY);
+}
+
+/**
+ * Décale une date 'YYYY-MM-DD' d'un nombre de jours.
+ *
+ * @param {string} dateString
+ * @param {number} days
+ * @returns {string}
+ */
+export function addDays(dateString, days) {
+  const date = parseLocalDate(dateString);
+  date.setDate(date.getDate() + days);
+  return toLocalDateString(date);
+}
+
+
+// ── Export ──
+
+export { MS_PER_DAY };
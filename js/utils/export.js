@@ -10,7 +10,7 @@
    - Export : db.exportAll() → JSON string → Blob → URL.createObjectURL
               → <a download> → clic programmatique → cleanup
    - Import : <input type="file"> → FileReader → JSON.parse
-              → validation → state.importData()
+              → validation → mise à niveau du format → state.importData()
 
    ─────────────────────────────────────────────────────────────
    API publique :
@@ -20,9 +20,14 @@
      importFromJson(jsonStr)   → Importe depuis une chaîne JSON brute
      generateFileName()        → Nom de fichier horodaté
      validateImportData(data)  → Valide la structure avant import
+     upgradeImportData(data)   → Met un export ancien au format courant
    ════════════════════════════════════════════════════════════════ */
 
 import state from '../state.js';
+import { STORES } from '../db.js';
+import { DEFAULT_EXERCISE_ID } from '../exercises.js';
+import { getExportUpgrades } from '../migrations.js';
+import { MAX_WEEK_LENGTH } from './schedule.js';
 
 
 // ── Constantes ──
@@ -37,7 +42,7 @@ const FILE_EXTENSION = '.json';
 const JSON_MIME_TYPE = 'application/json';
 
 /** Version courante de l'app (pour compatibilité d'import) */
-const APP_VERSION = '1.0.0';
+const APP_VERSION = '1.1.0';
 
 /** Clés obligatoires dans un fichier d'import */
 const REQUIRED_IMPORT_KEYS = ['appVersion', 'exportDate'];
@@ -45,6 +50,16 @@ const REQUIRED_IMPORT_KEYS = ['appVersion', 'exportDate'];
 /** Taille maximale d'un fichier d'import (5 Mo) */
 const MAX_IMPORT_SIZE_BYTES = 5 * 1024 * 1024;
 
+/** Correspondance store IndexedDB → champ du fichier d'export */
+const EXPORT_FIELDS = {
+  [STORES.USER]: 'user',
+  [STORES.WEEKS]: 'weeks',
+  [STORES.SESSIONS]: 'sessions',
+  [STORES.ALGORITHM_HISTORY]: 'algorithmHistory'
+};
+
+Object.freeze(EXPORT_FIELDS);
+
 
 /* ──────────────────────────────────────────────────────────────
    EXPORT
@@ -157,10 +172,13 @@ export async function importFromJson(jsonString) {
     );
   }
 
-  // 3. Importer dans la base
+  // 3. Mettre au format courant (exports de versions antérieures)
+  data = upgradeImportData(data);
+
+  // 4. Importer dans la base
   await state.importData(data);
 
-  // 4. Retourner un résumé
+  // 5. Retourner un résumé
   return {
     success: true,
     weekCount: Array.isArray(data.weeks) ? data.weeks.length : 0,
@@ -169,6 +187,42 @@ export async function importFromJson(jsonString) {
 }
 
 
+/* ──────────────────────────────────────────────────────────────
+   MISE À NIVEAU DU FORMAT
+   ────────────────────────────────────────────────────────────── */
+
+/**
+ * Applique à un export ancien les transformations d'enregistrements
+ * des migrations postérieures à sa version (cf. migrations.js),
+ * dans l'ordre du registre. Les données doivent avoir été validées.
+ *
+ * @param {Object} data — Données parsées et validées
+ * @returns {Object} Nouvel objet au format APP_VERSION
+ */
+export function upgradeImportData(data) {
+  const upgrades = getExportUpgrades(data.appVersion);
+  if (upgrades.length === 0) return data;
+
+  const upgraded = { ...data };
+
+  upgrades.forEach(migration => {
+    Object.entries(migration.records).forEach(([storeName, transform]) => {
+      const field = EXPORT_FIELDS[storeName];
+      const value = upgraded[field];
+
+      if (Array.isArray(value)) {
+        upgraded[field] = value.map(transform);
+      } else if (value && typeof value === 'object') {
+        upgraded[field] = transform(value);
+      }
+    });
+  });
+
+  upgraded.appVersion = APP_VERSION;
+  return upgraded;
+}
+
+
 /* ──────────────────────────────────────────────────────────────
    SÉLECTION DE FICHIER
    ────────────────────────────────────────────────────────────── */
@@ -365,8 +419,11 @@ export function validateImportData(data) {
       }
     }
 
-    // Vérifier l'unicité des weekNumber
-    const weekNumbers = data.weeks.map(w => w.weekNumber);
+    // Vérifier l'unicité des weekNumber par exercice
+    // (les exports 1.0.x sans exerciseId relèvent de l'exercice par défaut)
+    const weekNumbers = data.weeks.map(
+      w => `${w.exerciseId || DEFAULT_EXERCISE_ID}_${w.weekNumber}`
+    );
     const uniqueWeeks = new Set(weekNumbers);
     if (uniqueWeeks.size !== weekNumbers.length) {
       return {
@@ -404,17 +461,19 @@ export function validateImportData(data) {
         };
       }
       if (typeof session.dayNumber !== 'number' ||
-          session.dayNumber < 1 || session.dayNumber > 7) {
+          session.dayNumber < 1 || session.dayNumber > MAX_WEEK_LENGTH) {
         return {
           valid: false,
-          message: `Séance ${i + 1} : dayNumber doit être entre 1 et 7.`,
+          message: `Séance ${i + 1} : dayNumber doit être entre 1 et ${MAX_WEEK_LENGTH}.`,
           code: 'INVALID_SESSION_DAY'
         };
       }
     }
 
-    // Vérifier l'unicité des combinaisons week+day
-    const sessionKeys = data.sessions.map(s => `${s.weekNumber}_${s.dayNumber}`);
+    // Vérifier l'unicité des combinaisons exercice+week+day
+    const sessionKeys = data.sessions.map(
+      s => `${s.exerciseId || DEFAULT_EXERCISE_ID}_${s.weekNumber}_${s.dayNumber}`
+    );
     const uniqueSessions = new Set(sessionKeys);
     if (uniqueSessions.size !== sessionKeys.length) {
       return {
@@ -0,0 +1,297 @@
+/* ════════════════════════════════════════════════════════════════
+   AbdoPro — utils/fitness.js
+
+   Responsabilité unique : vue « Forme » du modèle Banister.
+   ─────────────────────────────────────────────────────────────
+   Expose l'état fitness / fatigue calculé par BanisterAlgorithm
+   à partir des séances réellement enregistrées :
+   - courbes fitness, fatigue et performance estimée, du J1 de
+     la semaine 1 jusqu'à aujourd'hui, prolongées de quelques
+     jours sans entraînement (projection de récupération),
+   - diagnostic du jour (analyzeTrainingStatus) + recommandation.
+
+   Le temps est exprimé en jours absolus du modèle (J1 de la
+   semaine 1 = jour 1, cf. utils/schedule.js getWeekStartDay).
+
+   Utilisé par l'écran Forme (screens/fitness.js) et par la
+   carte du tableau de bord (buildFitnessCard).
+
+   ─────────────────────────────────────────────────────────────
+   API publique :
+
+     getFitnessOverview(history, weekNumber, dayNumber) → État + courbes
+     buildFitnessChartSVG(overview, unit)               → Markup SVG
+     buildFitnessCard(overview, options)                → Carte HTML
+   ════════════════════════════════════════════════════════════════ */
+
+import engine from '../algorithms/engine.js';
+import { getWeekStartDay } from './schedule.js';
+import { CHART_LAYOUT, getNiceTicks } from './chart.js';
+import { round } from './math.js';
+import { UNITS, formatAmount, getUnitShortLabel } from './units.js';
+
+
+// ── Constantes ──
+
+/** Jours projetés après aujourd'hui (repos complet) */
+const PROJECTION_DAYS = 7;
+
+/** Présentation de chaque statut de analyzeTrainingStatus() */
+const FITNESS_STATUS = {
+  peaking: {
+    label: 'Au pic de forme',
+    icon: '🚀',
+    badge: 'badge--success'
+  },
+  optimal: {
+    label: 'Équilibre optimal',
+    icon: '✅',
+    badge: 'badge--success'
+  },
+  overreaching: {
+    label: 'Fatigue accumulée',
+    icon: '⚠️',
+    badge: 'badge--warning'
+  },
+  overtrained: {
+    label: 'Surmenage',
+    icon: '🛑',
+    badge: 'badge--danger'
+  },
+  undertrained: {
+    label: 'Données insuffisantes',
+    icon: '🌱',
+    badge: 'badge--muted'
+  }
+};
+
+/** Couleurs des courbes (cohérentes avec les accents du thème) */
+const CURVE_COLORS = {
+  fitness:     'var(--accent-success)',
+  fatigue:     'var(--accent-danger)',
+  performance: 'var(--accent-primary)'
+};
+
+Object.values(FITNESS_STATUS).forEach(status => Object.freeze(status));
+Object.freeze(FITNESS_STATUS);
+Object.freeze(CURVE_COLORS);
+
+
+/* ──────────────────────────────────────────────────────────────
+   DONNÉES
+   ────────────────────────────────────────────────────────────── */
+
+/**
+ * Calcule l'état de forme à partir de l'historique réel.
+ *
+ * @param {Array<Object>} history — state.getAlgorithmHistory()
+ * @param {number} weekNumber     — Semaine courante
+ * @param {number} dayNumber      — Jour courant dans la semaine
+ * @returns {{
+ *   available: boolean,
+ *   today: number,
+ *   current: {performance: number, fitness: number, fatigue: number}|null,
+ *   status: {status: string, ratio: number, recommendation: string, label: string, icon: string, badge: string},
+ *   curve: Array<{day: number, performance: number, fitness: number, fatigue: number, projected: boolean}>,
+ *   weekMarkers: Array<{weekNumber: number, day: number}>,
+ *   peakDay: number|null
+ * }}
+ *   peakDay = jour de la projection où la performance est maximale
+ */
+export function getFitnessOverview(history, weekNumber, dayNumber) {
+  engine.initialize();
+  const banister = engine.getAlgorithm('banister');
+  const weeks = (history || []).filter(week => Number.isFinite(week.testMax));
+
+  if (weeks.length === 0) {
+    const analysis = banister.analyzeTrainingStatus([]);
+    return {
+      available: false,
+      today: 1,
+      current: null,
+      status: { ...analysis, ...FITNESS_STATUS[analysis.status] },
+      curve: [],
+      weekMarkers: [],
+      peakDay: null
+    };
+  }
+
+  const today = getWeekStartDay(weekNumber, weeks) + dayNumber - 1;
+
+  const curve = banister
+    .getPerformanceCurve(weeks, 1, today + PROJECTION_DAYS)
+    .map(point => ({ ...point, projected: point.day > today }));
+
+  const analysis = banister.analyzeTrainingStatus(weeks, today);
+
+  const projection = curve.filter(point => point.day >= today);
+  const peak = projection.reduce(
+    (best, point) => (point.performance > best.performance ? point : best),
+    projection[0]
+  );
+
+  return {
+    available: true,
+    today,
+    current: curve.find(point => point.day === today) || null,
+    status: { ...analysis, ...FITNESS_STATUS[analysis.status] },
+    curve,
+    weekMarkers: weeks.map(week => ({
+      weekNumber: week.weekNumber,
+      day: getWeekStartDay(week.weekNumber, weeks)
+    })),
+    peakDay: peak && peak.day > today ? peak.day : null
+  };
+}
+
+
+/* ──────────────────────────────────────────────────────────────
+   RENDU
+   ────────────────────────────────────────────────────────────── */
+
+/**
+ * Génère le SVG des courbes fitness / fatigue / performance.
+ *
+ * Fitness et fatigue (charge cumulée) partagent l'axe de gauche,
+ * la performance estimée (unité du test max) utilise l'axe de
+ * droite. La projection est tracée en pointillés.
+ *
+ * @param {Object} overview — Résultat de getFitnessOverview()
+ * @param {string} [unit=UNITS.REPS] — Unité de l'exercice
+ * @returns {string}
+ */
+export function buildFitnessChartSVG(overview, unit = UNITS.REPS) {
+  if (!overview.available || overview.curve.length < 2) return '';
+
+  const { WIDTH, HEIGHT, PADDING_TOP, PADDING_BOTTOM, PADDING_LEFT, MAX_X_LABELS } = CHART_LAYOUT;
+  const paddingRight = PADDING_LEFT;
+  const plotBottom = HEIGHT - PADDING_BOTTOM;
+  const plotWidth = WIDTH - PADDING_LEFT - paddingRight;
+  const plotHeight = plotBottom - PADDING_TOP;
+
+  const { curve, today, weekMarkers } = overview;
+  const firstDay = curve[0].day;
+  const lastDay = curve[curve.length - 1].day;
+
+  const load = getNiceTicks(Math.max(...curve.map(p => Math.max(p.fitness, p.fatigue))));
+  const perf = getNiceTicks(Math.max(...curve.map(p => p.performance)));
+
+  const x = (day) => PADDING_LEFT + ((day - firstDay) / (lastDay - firstDay)) * plotWidth;
+  const yLoad = (value) => plotBottom - (value / load.max) * plotHeight;
+  const yPerf = (value) => plotBottom - (value / perf.max) * plotHeight;
+
+  // Une polyline pleine (réel) + une pointillée (projection),
+  // qui se rejoignent sur le point d'aujourd'hui
+  const line = (key, y, className) => {
+    const toPoints = (points) => points.map(p => `${round(x(p.day), 1)},${round(y(p[key]), 1)}`).join(' ');
+    const past = curve.filter(p => p.day <= today);
+    const future = curve.filter(p => p.day >= today);
+
+    return `
+      <polyline class="${className}" stroke="${CURVE_COLORS[key]}" points="${toPoints(past)}" />
+      <polyline class="${className} chart__projection" stroke="${CURVE_COLORS[key]}" points="${toPoints(future)}" />
+    `;
+  };
+
+  // ── Grille : graduations de charge à gauche, de performance à droite ──
+  const grid = load.ticks.map(tick => `
+    <line class="chart__grid" x1="${PADDING_LEFT}" x2="${WIDTH - paddingRight}" y1="${yLoad(tick)}" y2="${yLoad(tick)}" />
+    <text class="chart__tick" x="${PADDING_LEFT - 6}" y="${yLoad(tick) + 3}" text-anchor="end">${tick}</text>
+  `).join('');
+
+  const perfTicks = perf.ticks.map(tick => `
+    <text class="chart__tick" x="${WIDTH - paddingRight + 6}" y="${yPerf(tick) + 3}"
+          style="fill: ${CURVE_COLORS.performance}">${tick}</text>
+  `).join('');
+
+  // ── Axe X : début de chaque semaine ──
+  const labelEvery = Math.ceil(weekMarkers.length / MAX_X_LABELS);
+  const xLabels = weekMarkers
+    .filter((m, i) => i % labelEvery === 0 || i === weekMarkers.length - 1)
+    .map(m => `
+      <line class="chart__grid" x1="${x(m.day)}" x2="${x(m.day)}" y1="${plotBottom}" y2="${plotBottom + 4}" />
+      <text class="chart__tick" x="${x(m.day)}" y="${plotBottom + 14}" text-anchor="middle">S${m.weekNumber}</text>
+    `).join('');
+
+  return `
+    <svg viewBox="0 0 ${WIDTH} ${HEIGHT}" class="chart__svg" role="img"
+         aria-label="Fitness, fatigue et performance estimée jour par jour">
+      ${grid}
+      ${perfTicks}
+      <text class="chart__tick chart__tick--muted" x="4" y="${PADDING_TOP - 6}">charge</text>
+      <text class="chart__tick chart__tick--muted" x="${WIDTH - 4}" y="${PADDING_TOP - 6}" text-anchor="end">${getUnitShortLabel(unit)}</text>
+      <line class="chart__axis" x1="${PADDING_LEFT}" x2="${WIDTH - paddingRight}" y1="${plotBottom}" y2="${plotBottom}" />
+      ${xLabels}
+      <line class="chart__guide" x1="${x(today)}" x2="${x(today)}" y1="${PADDING_TOP}" y2="${plotBottom}" />
+      <text class="chart__tick chart__tick--muted" x="${x(today)}" y="${plotBottom + 26}" text-anchor="middle">auj.</text>
+      ${line('fitness', yLoad, 'chart__curve')}
+      ${line('fatigue', yLoad, 'chart__curve')}
+      ${line('performance', yPerf, 'chart__curve chart__curve--main')}
+    </svg>
+  `;
+}
+
+/**
+ * Carte « Forme » : statut du jour, recommandation et valeurs
+ * courantes du modèle.
+ *
+ * @param {Object} overview — Résultat de getFitnessOverview()
+ * @param {Object} [options]
+ * @param {boolean} [options.compact=false] — Version tableau de bord
+ *   (bouton vers l'écran Forme, sans détail des valeurs)
+ * @param {string} [options.unit=UNITS.REPS] — Unité de l'exercice
+ * @returns {string}
+ */
+export function buildFitnessCard(overview, { compact = false, unit = UNITS.REPS } = {}) {
+  const { status, current, peakDay, today } = overview;
+
+  const values = current && !compact
+    ? `
+      <dl class="detail-list mt-4">
+        <div class="detail-item">
+          <dt class="detail-item__label">Fitness</dt>
+          <dd class="detail-item__value mono">${round(current.fitness)}</dd>
+        </div>
+        <div class="detail-item">
+          <dt class="detail-item__label">Fatigue</dt>
+          <dd class="detail-item__value mono">${round(current.fatigue)}</dd>
+        </div>
+        <div class="detail-item">
+          <dt class="detail-item__label">Performance estimée</dt>
+          <dd class="detail-item__value mono">${formatAmount(round(current.performance), unit)}</dd>
+        </div>
+        ${peakDay ? `
+          <div class="detail-item">
+            <dt class="detail-item__label">Pic au repos</dt>
+            <dd class="detail-item__value mono">dans ${peakDay - today} j</dd>
+          </div>` : ''}
+      </dl>
+    `
+    : '';
+
+  return `
+    <div class="card mb-6">
+      <div class="card__header">
+        <h3 class="card__title text-sm">🔋 Forme</h3>
+        <span class="badge ${status.badge}">${status.icon} ${status.label}</span>
+      </div>
+      <div class="card__body">
+        <p class="text-sm text-secondary">${status.recommendation}</p>
+        ${values}
+      </div>
+      ${compact ? `
+        <div class="card__footer">
+          <button class="btn btn-ghost btn-block"
+                  data-action="open-fitness"
+                  type="button">
+            Voir la courbe de forme
+          </button>
+        </div>` : ''}
+    </div>
+  `;
+}
+
+
+// ── Export ──
+
+export { FITNESS_STATUS, PROJECTION_DAYS };
@@ -16,6 +16,7 @@
      5. Régression polynomiale d'ordre 2 (moindres carrés)
      6. Calculs exponentiels (modèle Banister)
      7. Utilitaires de progression
+     8. Échantillonnage pseudo-aléatoire à graine fixe
    ════════════════════════════════════════════════════════════════ */
 
 
@@ -412,6 +413,32 @@ export function evaluatePolynomial(model, x) {
   return model.a * x * x + model.b * x + model.c;
 }
 
+/**
+ * Coefficient de détermination R² d'un modèle sur ses points.
+ *
+ * R² = 1 − Σ(y − ŷ)² / Σ(y − ȳ)²
+ *
+ * @param {Array<[number, number]>} points — Tableau de [x, y]
+ * @param {{a: number, b: number, c: number}} model — Coefficients
+ * @returns {number} Entre 0 et 1 (1 si tous les y sont égaux et bien prédits)
+ */
+export function rSquared(points, model) {
+  if (!points || points.length === 0) return 0;
+
+  const meanY = points.reduce((acc, [, y]) => acc + y, 0) / points.length;
+
+  let ssRes = 0;
+  let ssTot = 0;
+  for (const [x, y] of points) {
+    ssRes += (y - evaluatePolynomial(model, x)) ** 2;
+    ssTot += (y - meanY) ** 2;
+  }
+
+  if (ssTot === 0) return ssRes === 0 ? 1 : 0;
+
+  return Math.max(0, 1 - ssRes / ssTot);
+}
+
 /**
  * Calcule l'intervalle de confiance à 95% pour une prédiction.
  *
@@ -692,4 +719,86 @@ export function volumeToSeriesReps(targetVolume, testMax) {
   }
 
   return { series, reps };
+}
+
+
+/* ──────────────────────────────────────────────────────────────
+   8. ÉCHANTILLONNAGE PSEUDO-ALÉATOIRE À GRAINE FIXE
+
+   Même graine → même suite de tirages : les sélections qui
+   reposent sur le hasard (bandit) restent reproductibles et
+   testables.
+   ────────────────────────────────────────────────────────────── */
+
+/**
+ * Crée un générateur pseudo-aléatoire (mulberry32).
+ *
+ * @param {number} seed — Graine entière
+ * @returns {function(): number} Tirage uniforme dans [0, 1)
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Tirage selon une loi normale centrée réduite (Box-Muller).
+ *
+ * @param {function(): number} random — Générateur uniforme
+ * @returns {number}
+ */
+export function sampleNormal(random) {
+  const u1 = Math.max(random(), Number.EPSILON);
+  const u2 = random();
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+/**
+ * Tirage selon une loi Gamma(shape, 1) (Marsaglia-Tsang).
+ * Pour shape < 1 : Gamma(shape + 1) × U^(1/shape).
+ *
+ * @param {number} shape — Paramètre de forme (> 0)
+ * @param {function(): number} random — Générateur uniforme
+ * @returns {number}
+ */
+export function sampleGamma(shape, random) {
+  if (shape < 1) {
+    const u = Math.max(random(), Number.EPSILON);
+    return sampleGamma(shape + 1, random) * Math.pow(u, 1 / shape);
+  }
+
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+
+  for (;;) {
+    const x = sampleNormal(random);
+    const v = Math.pow(1 + c * x, 3);
+    if (v <= 0) continue;
+
+    const u = random();
+    if (Math.log(Math.max(u, Number.EPSILON)) < 0.5 * x * x + d - d * v + d * Math.log(v)) {
+      return d * v;
+    }
+  }
+}
+
+/**
+ * Tirage selon une loi Beta(alpha, beta).
+ *
+ * @param {number} alpha — Succès + 1 (> 0)
+ * @param {number} beta  — Échecs + 1 (> 0)
+ * @param {function(): number} random — Générateur uniforme
+ * @returns {number} Valeur dans [0, 1]
+ */
+export function sampleBeta(alpha, beta, random) {
+  const x = sampleGamma(alpha, random);
+  const y = sampleGamma(beta, random);
+  return x + y > 0 ? x / (x + y) : 0.5;
 }
\ No newline at end of file
@@ -0,0 +1,207 @@
+/* ════════════════════════════════════════════════════════════════
+   AbdoPro — utils/media-session.js
+
+   Responsabilité unique : contrôles média (casque, écran
+   verrouillé) pendant une séance.
+   ─────────────────────────────────────────────────────────────
+   Publie une Media Session : titre de l'étape en cours sur
+   l'écran verrouillé, et boutons lecture / pause / piste
+   suivante du casque ou du système redirigés vers une seule
+   action contextuelle fournie par l'écran (série terminée,
+   passer le repos…).
+
+   Contraintes :
+   - Les navigateurs n'exposent les contrôles qu'à une page qui
+     joue un son : une piste silencieuse générée à la volée est
+     jouée en boucle pendant la séance. Elle prend le focus audio
+     (la musique de l'utilisateur se met en pause sur mobile) :
+     la fonction est donc facultative (settings.mediaControlsEnabled,
+     désactivée par défaut).
+   - La lecture doit partir d'un geste utilisateur (le bouton
+     « Commencer ») ; en cas de refus, les contrôles ne
+     s'affichent simplement pas.
+   - Sans API Media Session : aucune erreur, rien n'est publié.
+
+   ─────────────────────────────────────────────────────────────
+   API publique :
+
+     mediaSession.activate({ title, artist, album }, onAction)
+                              → Publie / met à jour la session
+     mediaSession.deactivate() → Retire la session
+     mediaSession.isSupported() → API disponible ?
+   ════════════════════════════════════════════════════════════════ */
+
+
+// ── Constantes ──
+
+/** Actions système redirigées vers l'action de l'écran */
+const MEDIA_ACTIONS = ['play', 'pause', 'nexttrack'];
+
+/** Pochette affichée sur l'écran verrouillé */
+const ARTWORK = [
+  { src: './icons/icon-192.png', sizes: '192x192', type: 'image/png' },
+  { src: './icons/icon-512.png', sizes: '512x512', type: 'image/png' }
+];
+
+/** Piste silencieuse : durée (s) et fréquence d'échantillonnage (Hz) */
+const SILENT_TRACK = {
+  DURATION: 1,
+  SAMPLE_RATE: 8000
+};
+
+Object.freeze(MEDIA_ACTIONS);
+ARTWORK.forEach(image => Object.freeze(image));
+Object.freeze(ARTWORK);
+Object.freeze(SILENT_TRACK);
+
+
+/**
+ * Génère un WAV PCM 8 bits mono silencieux.
+ *
+ * @returns {Blob}
+ */
+function buildSilentWav() {
+  const samples = SILENT_TRACK.DURATION * SILENT_TRACK.SAMPLE_RATE;
+  const buffer = new ArrayBuffer(44 + samples);
+  const view = new DataView(buffer);
+  const writeText = (offset, text) => {
+    [...text].forEach((char, i) => view.setUint8(offset + i, char.charCodeAt(0)));
+  };
+
+  writeText(0, 'RIFF');
+  view.setUint32(4, 36 + samples, true);
+  writeText(8, 'WAVE');
+  writeText(12, 'fmt ');
+  view.setUint32(16, 16, true);                        // Taille du bloc fmt
+  view.setUint16(20, 1, true);                         // PCM
+  view.setUint16(22, 1, true);                         // Mono
+  view.setUint32(24, SILENT_TRACK.SAMPLE_RATE, true);
+  view.setUint32(28, SILENT_TRACK.SAMPLE_RATE, true);  // Octets / s
+  view.setUint16(32, 1, true);                         // Octets / échantillon
+  view.setUint16(34, 8, true);                         // Bits / échantillon
+  writeText(36, 'data');
+  view.setUint32(40, samples, true);
+
+  // 8 bits non signés : 128 = silence
+  new Uint8Array(buffer, 44).fill(128);
+
+  return new Blob([buffer], { type: 'audio/wav' });
+}
+
+
+// ── Classe MediaSessionControls ──
+
+class MediaSessionControls {
+
+  constructor() {
+    /** @type {HTMLAudioElement|null} Piste silencieuse */
+    this._audio = null;
+
+    /** @type {boolean} Session publiée */
+    this._active = false;
+  }
+
+
+  /* ──────────────────────────────────────────────────────────
+     CONTRÔLE
+     ────────────────────────────────────────────────────────── */
+
+  /**
+   * Publie (ou met à jour) la session média.
+   *
+   * @param {Object} metadata
+   * @param {string} metadata.title  — Étape en cours (ex. « Série 2 / 5 »)
+   * @param {string} [metadata.artist]
+   * @param {string} [metadata.album]
+   * @param {Function} onAction — Action déclenchée par le casque / l'écran verrouillé
+   */
+  activate({ title, artist = 'AbdoPro', album = '' }, onAction) {
+    if (!this.isSupported()) return;
+
+    try {
+      navigator.mediaSession.metadata = new MediaMetadata({ title, artist, album, artwork: [...ARTWORK] });
+
+      MEDIA_ACTIONS.forEach(action => {
+        navigator.mediaSession.setActionHandler(action, () => onAction(action));
+      });
+
+      navigator.mediaSession.playbackState = 'playing';
+    } catch (error) {
+      console.warn('Media Session indisponible :', error.message);
+      return;
+    }
+
+    if (!this._active) {
+      this._active = true;
+      this._playSilentTrack();
+    }
+  }
+
+  /**
+   * Retire la session média et arrête la piste silencieuse.
+   */
+  deactivate() {
+    if (!this._active) return;
+    this._active = false;
+
+    if (this._audio) {
+      this._audio.pause();
+    }
+
+    try {
+      MEDIA_ACTIONS.forEach(action => navigator.mediaSession.setActionHandler(action, null));
+      navigator.mediaSession.metadata = null;
+      navigator.mediaSession.playbackState = 'none';
+    } catch {
+      // Silencieux
+    }
+  }
+
+
+  /* ──────────────────────────────────────────────────────────
+     ÉTAT & CAPACITÉS
+     ────────────────────────────────────────────────────────── */
+
+  /**
+   * @returns {boolean}
+   */
+  isSupported() {
+    return typeof navigator !== 'undefined' && 'mediaSession' in navigator;
+  }
+
+
+  /* ──────────────────────────────────────────────────────────
+     INTERNE
+     ────────────────────────────────────────────────────────── */
+
+  /**
+   * Joue la piste silencieuse en boucle (créée au premier appel).
+   * @private
+   */
+  _playSilentTrack() {
+    try {
+      if (!this._audio) {
+        this._audio = new Audio(URL.createObjectURL(buildSilentWav()));
+        this._audio.loop = true;
+      }
+
+      const playPromise = this._audio.play();
+      if (playPromise !== undefined) {
+        playPromise.catch(() => {
+          // Lecture refusée (pas de geste utilisateur) — pas de contrôles
+        });
+      }
+    } catch (error) {
+      console.warn('Piste silencieuse indisponible :', error.message);
+    }
+  }
+}
+
+
+// ── Export singleton ──
+
+const mediaSession = new MediaSessionControls();
+
+export { mediaSession, MEDIA_ACTIONS };
+
+export default mediaSession;
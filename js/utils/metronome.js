@@ -0,0 +1,265 @@
+/* ════════════════════════════════════════════════════════════════
+   AbdoPro — utils/metronome.js
+
+   Responsabilité unique : métronome de tempo pendant les séries.
+   ─────────────────────────────────────────────────────────────
+   Un tempo « 2-0-2 » décrit une répétition en secondes :
+   descente - pause - montée. Un bip marque le début de chaque
+   phase (aigu au début de la rep, grave ensuite) ; une phase
+   de 0 s est silencieuse.
+
+   Le tempo par défaut dépend du type de séance planifié par
+   l'algorithme : lent et contrôlé pour la force, rapide pour
+   l'endurance. Un tempo fixe peut être choisi dans les réglages
+   (settings.metronomeTempo, null = selon la séance).
+
+   Découplé du DOM : les sons passent par utils/notifications.js
+   et l'écran est prévenu de chaque rep via un callback.
+   Les échéances sont calculées depuis le démarrage (pas de
+   dérive cumulée des setTimeout).
+
+   ─────────────────────────────────────────────────────────────
+   API publique :
+
+     const metronome = new Metronome({
+       tempo: '2-0-2',          // ou [2, 0, 2]
+       onRep(count),            // Appelé au début de chaque rep
+     });
+
+     metronome.start()          → Démarre (1re rep immédiate)
+     metronome.stop()           → Arrête
+     metronome.destroy()        → Nettoie les ressources
+     metronome.isRunning()      → En cours ?
+
+     getDefaultTempo(type)      → Tempo par défaut d'un type de séance
+     resolveTempo(type, settings) → Tempo effectif (réglage ou défaut)
+     parseTempo(tempo)          → [descente, pause, montée]
+   ════════════════════════════════════════════════════════════════ */
+
+import notifications from './notifications.js';
+
+
+// ── Constantes ──
+
+/** Tempo utilisé pour un type de séance inconnu */
+const DEFAULT_TEMPO = '2-0-2';
+
+/** Tempo par défaut de chaque type de séance */
+const TYPE_TEMPOS = {
+  FORCE:        '3-1-2',
+  INTENSE:      '3-1-2',
+  HYPERTROPHIE: '3-0-2',
+  MIXTE:        '2-0-2',
+  STANDARD:     '2-0-2',
+  MODERATE:     '2-0-2',
+  ADAPTATIF:    '2-0-2',
+  DELOAD:       '2-0-2',
+  RECOVERY:     '2-0-2',
+  DEBUTANT:     '2-0-2',
+  GTG:          '2-0-1',
+  ENDURANCE:    '1-0-1',
+  LIGHT:        '1-0-1'
+};
+
+/** Tempos proposés dans les réglages */
+const TEMPO_PRESETS = ['1-0-1', '2-0-1', '2-0-2', '3-0-2', '3-1-2', '4-0-2'];
+
+/** Durée maximale d'une phase (secondes) */
+const MAX_PHASE_SECONDS = 10;
+
+Object.freeze(TYPE_TEMPOS);
+Object.freeze(TEMPO_PRESETS);
+
+
+/* ──────────────────────────────────────────────────────────────
+   TEMPOS
+   ────────────────────────────────────────────────────────────── */
+
+/**
+ * Décompose un tempo « descente-pause-montée ».
+ *
+ * @param {string|number[]} tempo — '2-0-2' ou [2, 0, 2]
+ * @returns {number[]} [descente, pause, montée] en secondes
+ * @throws {Error} Si le tempo est invalide ou de durée nulle
+ */
+export function parseTempo(tempo) {
+  const phases = Array.isArray(tempo)
+    ? tempo
+    : String(tempo).split('-').map(Number);
+
+  const valid = phases.length === 3 &&
+    phases.every(p => Number.isInteger(p) && p >= 0 && p <= MAX_PHASE_SECONDS) &&
+    phases.some(p => p > 0);
+
+  if (!valid) {
+    throw new Error(`Métronome : tempo invalide (${tempo}).`);
+  }
+
+  return [...phases];
+}
+
+/**
+ * Tempo par défaut d'un type de séance.
+ *
+ * @param {string} type — Type du plan du jour (FORCE, ENDURANCE…)
+ * @returns {string}
+ */
+export function getDefaultTempo(type) {
+  return TYPE_TEMPOS[type] || DEFAULT_TEMPO;
+}
+
+/**
+ * Tempo effectif : celui des réglages s'il est valide,
+ * sinon celui du type de séance.
+ *
+ * @param {string} type
+ * @param {Object} settings — state.getSettings()
+ * @returns {string}
+ */
+export function resolveTempo(type, settings) {
+  const chosen = settings?.metronomeTempo;
+  if (chosen) {
+    try {
+      parseTempo(chosen);
+      return chosen;
+    } catch {
+      // Réglage corrompu : retour au tempo de la séance
+    }
+  }
+  return getDefaultTempo(type);
+}
+
+
+// ── Classe Metronome ──
+
+class Metronome {
+
+  /**
+   * @param {Object} options
+   * @param {string|number[]} [options.tempo] — Tempo (DEFAULT_TEMPO par défaut)
+   * @param {Function} [options.onRep] — Callback au début de chaque rep (count)
+   */
+  constructor(options = {}) {
+    /** @type {number[]} Durée de chaque phase (s) */
+    this._phases = parseTempo(options.tempo || DEFAULT_TEMPO);
+
+    /** @type {Function|null} */
+    this._onRep = options.onRep || null;
+
+    /** @type {number|null} Timestamp de démarrage (ms) */
+    this._startTime = null;
+
+    /** @type {number} Index de la prochaine phase (toutes reps confondues) */
+    this._beat = 0;
+
+    /** @type {number|null} ID du setTimeout en attente */
+    this._timeoutId = null;
+
+    this._fire = this._fire.bind(this);
+  }
+
+
+  /* ──────────────────────────────────────────────────────────
+     CONTRÔLE
+     ────────────────────────────────────────────────────────── */
+
+  /**
+   * Démarre le métronome : la première rep commence tout de suite.
+   */
+  start() {
+    if (this.isRunning()) return;
+
+    this._startTime = Date.now();
+    this._beat = 0;
+    this._fire();
+  }
+
+  /**
+   * Arrête le métronome.
+   */
+  stop() {
+    if (this._timeoutId !== null) {
+      clearTimeout(this._timeoutId);
+      this._timeoutId = null;
+    }
+    this._startTime = null;
+  }
+
+  /**
+   * Nettoie les ressources.
+   */
+  destroy() {
+    this.stop();
+    this._onRep = null;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isRunning() {
+    return this._startTime !== null;
+  }
+
+
+  /* ──────────────────────────────────────────────────────────
+     BOUCLE INTERNE
+     ────────────────────────────────────────────────────────── */
+
+  /**
+   * Joue la phase courante puis planifie la suivante.
+   * Les phases de 0 s sont sautées sans bip.
+   * @private
+   */
+  _fire() {
+    const phaseCount = this._phases.length;
+
+    while (this._phases[this._beat % phaseCount] === 0) {
+      this._beat++;
+    }
+
+    const isRepStart = this._beat === this._firstBeatOfRep();
+
+    notifications.playTick(isRepStart);
+    if (isRepStart && this._onRep) {
+      this._onRep(Math.floor(this._beat / phaseCount) + 1);
+    }
+
+    this._beat++;
+    const nextAt = this._startTime + this._elapsedBefore(this._beat) * 1000;
+    this._timeoutId = setTimeout(this._fire, Math.max(0, nextAt - Date.now()));
+  }
+
+  /**
+   * Index de la première phase non nulle de la rep courante.
+   * @returns {number}
+   * @private
+   */
+  _firstBeatOfRep() {
+    const phaseCount = this._phases.length;
+    const repStart = this._beat - (this._beat % phaseCount);
+    return repStart + this._phases.findIndex(p => p > 0);
+  }
+
+  /**
+   * Secondes écoulées depuis le démarrage au début d'une phase.
+   *
+   * @param {number} beat
+   * @returns {number}
+   * @private
+   */
+  _elapsedBefore(beat) {
+    const phaseCount = this._phases.length;
+    const repSeconds = this._phases.reduce((total, p) => total + p, 0);
+    const partial = this._phases
+      .slice(0, beat % phaseCount)
+      .reduce((total, p) => total + p, 0);
+
+    return Math.floor(beat / phaseCount) * repSeconds + partial;
+  }
+}
+
+
+// ── Export ──
+
+export { Metronome, DEFAULT_TEMPO, TYPE_TEMPOS, TEMPO_PRESETS };
+export default Metronome;
@@ -15,6 +15,10 @@
    - navigator.vibrate() n'existe pas sur iOS.
    - L'API Vibration est ignorée si le téléphone est en silencieux
      sur certains Android.
+   - En arrière-plan (écran éteint, onglet masqué), la page ne
+     peut plus jouer de son : la fin d'un décompte est confiée au
+     Service Worker, qui affiche une notification système
+     (cf. sw.js, « Notifications programmées »).
 
    ─────────────────────────────────────────────────────────────
    API publique :
@@ -24,6 +28,7 @@
 
      notifications.playBeep()          → Son de fin de repos
      notifications.playSuccess()       → Son de succès (séance terminée)
+     notifications.playTick(accent)    → Bip de métronome (accent = début de rep)
 
      notifications.vibrate(pattern)    → Vibration personnalisée
      notifications.vibrateShort()      → Vibration courte (fin de repos)
@@ -35,6 +40,10 @@
      notifications.notifySessionEnd()  → Son + vibration séance terminée
      notifications.notifyImpossible()  → Vibration erreur
 
+     notifications.requestSystemPermission() → Autorise les notifications système
+     notifications.scheduleSystemNotification(id, at, title, body) → Via le Service Worker
+     notifications.cancelSystemNotification(id) → Annule une échéance
+
      notifications.isAudioUnlocked()   → Audio déverrouillé ?
      notifications.isVibrationSupported() → Vibration disponible ?
    ════════════════════════════════════════════════════════════════ */
@@ -56,6 +65,15 @@ const VIBRATION_PATTERNS = {
 
 Object.freeze(VIBRATION_PATTERNS);
 
+/** Bips du métronome (utils/metronome.js) : fréquence Hz, durée s */
+const TICK_TONES = {
+  ACCENT: { frequency: 1046, duration: 0.06 },
+  BEAT:   { frequency: 660,  duration: 0.04 }
+};
+
+Object.values(TICK_TONES).forEach(tone => Object.freeze(tone));
+Object.freeze(TICK_TONES);
+
 /** ID de l'élément audio dans index.html */
 const BEEP_ELEMENT_ID = 'beep-sound';
 
@@ -262,6 +280,18 @@ class Notifications {
     ]);
   }
 
+  /**
+   * Joue un bip court de métronome.
+   *
+   * @param {boolean} [accent=false] — Bip aigu (début de rep)
+   */
+  playTick(accent = false) {
+    if (!this._isSoundEnabled()) return;
+
+    const tone = accent ? TICK_TONES.ACCENT : TICK_TONES.BEAT;
+    this._playSyntheticBeep(tone.frequency, tone.duration);
+  }
+
   /**
    * Joue un élément <audio> depuis le début.
    *
@@ -486,6 +516,84 @@ class Notifications {
   }
 
 
+  /* ──────────────────────────────────────────────────────────
+     NOTIFICATIONS SYSTÈME (SERVICE WORKER)
+
+     Relais de fin de décompte quand l'app est en arrière-plan.
+     Sans Service Worker actif ou sans permission, ces méthodes
+     ne font rien : le bip de la page reste le seul signal.
+     ────────────────────────────────────────────────────────── */
+
+  /**
+   * Demande l'autorisation d'afficher des notifications système.
+   * À appeler sur un geste utilisateur ; ne redemande jamais
+   * après un refus.
+   *
+   * @returns {Promise<boolean>} True si autorisé
+   */
+  async requestSystemPermission() {
+    if (!this.isSystemNotificationSupported()) return false;
+    if (Notification.permission !== 'default') {
+      return Notification.permission === 'granted';
+    }
+
+    try {
+      return (await Notification.requestPermission()) === 'granted';
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Programme une notification système (remplace la précédente).
+   * Le Service Worker ne l'affiche que si l'app n'est pas visible.
+   *
+   * @param {string} id    — Identifiant de l'échéance (pour l'annuler)
+   * @param {number} at    — Timestamp d'affichage (ms, Date.now())
+   * @param {string} title
+   * @param {string} body
+   * @returns {boolean} True si l'échéance a été transmise
+   */
+  scheduleSystemNotification(id, at, title, body) {
+    const worker = this._getServiceWorker();
+    if (!worker || Notification.permission !== 'granted') return false;
+    if (!this._isSoundEnabled() && !this._isVibrationEnabled()) return false;
+
+    worker.postMessage({
+      type: 'SCHEDULE_NOTIFICATION',
+      id,
+      at,
+      title,
+      body,
+      vibrate: this._isVibrationEnabled() ? VIBRATION_PATTERNS.DOUBLE : null
+    });
+    return true;
+  }
+
+  /**
+   * Annule une notification programmée (sans effet si une autre
+   * échéance l'a déjà remplacée).
+   *
+   * @param {string} id
+   */
+  cancelSystemNotification(id) {
+    const worker = this._getServiceWorker();
+    if (!worker) return;
+
+    worker.postMessage({ type: 'CANCEL_NOTIFICATION', id });
+  }
+
+  /**
+   * Service Worker qui contrôle la page, ou null.
+   * @returns {ServiceWorker|null}
+   * @private
+   */
+  _getServiceWorker() {
+    if (!this.isSystemNotificationSupported()) return null;
+    return navigator.serviceWorker.controller || null;
+  }
+
+
   /* ──────────────────────────────────────────────────────────
      ÉTAT & CAPACITÉS
      ────────────────────────────────────────────────────────── */
@@ -506,6 +614,15 @@ class Notifications {
     return 'vibrate' in navigator;
   }
 
+  /**
+   * Vérifie si les notifications système sont disponibles
+   * (API Notification + Service Worker).
+   * @returns {boolean}
+   */
+  isSystemNotificationSupported() {
+    return typeof Notification !== 'undefined' && 'serviceWorker' in navigator;
+  }
+
   /**
    * Vérifie si l'AudioContext est disponible.
    * @returns {boolean}
@@ -526,6 +643,9 @@ class Notifications {
       audioContext: this.isAudioContextSupported(),
       audioUnlocked: this._audioUnlocked,
       vibration: this.isVibrationSupported(),
+      systemNotification: this.isSystemNotificationSupported()
+        ? Notification.permission
+        : 'unsupported',
       soundEnabled: this._isSoundEnabled(),
       vibrationEnabled: this._isVibrationEnabled()
     };
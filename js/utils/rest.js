@@ -0,0 +1,118 @@
+/* ════════════════════════════════════════════════════════════════
+   AbdoPro — utils/rest.js
+
+   Responsabilité unique : repos réellement pris et préférence
+   de repos apprise.
+   ─────────────────────────────────────────────────────────────
+   Pendant la séance, le repos peut être allongé / raccourci
+   (±15 s) ou passé. Chaque série suivie d'un repos enregistre
+   dans seriesDetail[] le repos prévu (restPlanned) et le repos
+   effectivement pris (restTaken), en secondes
+   (cf. screens/session.js).
+
+   Préférence de repos : médiane du rapport pris / prévu sur les
+   séances récentes, ramenée vers 1 tant que les mesures sont
+   peu nombreuses (rétrécissement : poids = n / (n + PRIOR)).
+   Les algorithmes qui calculent eux-mêmes le repos (linear.js,
+   rir.js) multiplient leur repos par ce rapport.
+
+   ─────────────────────────────────────────────────────────────
+   API publique :
+
+     getSeriesRest(session)                → [{ planned, taken }]
+     getRestPreference(history)            → { ratio, samples } | null
+     applyRestPreference(rest, preference) → Repos ajusté (s)
+   ════════════════════════════════════════════════════════════════ */
+
+import { clamp, median, round } from './math.js';
+
+
+// ── Constantes ──
+
+/**
+ * Paramètres de l'apprentissage du repos.
+ *
+ * - MAX_SESSIONS  : séances récentes prises en compte
+ * - MIN_SAMPLES   : mesures minimales avant tout ajustement
+ * - PRIOR_SAMPLES : poids du repos prévu (rétrécissement vers 1)
+ * - MIN_RATIO / MAX_RATIO : bornes du rapport pris / prévu
+ * - STEP          : arrondi du repos ajusté (s)
+ */
+const REST_LEARNING = {
+  MAX_SESSIONS: 12,
+  MIN_SAMPLES: 3,
+  PRIOR_SAMPLES: 6,
+  MIN_RATIO: 0.5,
+  MAX_RATIO: 1.5,
+  STEP: 5
+};
+
+/** Bornes de sécurité du repos (s), identiques à celles des algorithmes */
+const REST_BOUNDS = {
+  MIN: 20,
+  MAX: 180
+};
+
+Object.freeze(REST_LEARNING);
+Object.freeze(REST_BOUNDS);
+
+
+/**
+ * Repos prévu / pris de chaque série d'une séance (séries sans
+ * repos mesuré ignorées).
+ *
+ * @param {Object|null} session — { actual: { seriesDetail: [{ restPlanned, restTaken }] } }
+ * @returns {Array<{planned: number, taken: number}>}
+ */
+export function getSeriesRest(session) {
+  return (session?.actual?.seriesDetail || [])
+    .filter(series => series.restPlanned > 0 && Number.isFinite(series.restTaken))
+    .map(series => ({ planned: series.restPlanned, taken: series.restTaken }));
+}
+
+/**
+ * Préférence de repos apprise sur les séances récentes.
+ *
+ * @param {Array<Object>} history — Semaines passées ({ sessions })
+ * @returns {{ratio: number, samples: number}|null} null si pas
+ *   assez de mesures
+ */
+export function getRestPreference(history) {
+  const sessions = (history || [])
+    .flatMap(week => week.sessions || [])
+    .filter(session => getSeriesRest(session).length > 0)
+    .slice(-REST_LEARNING.MAX_SESSIONS);
+
+  const ratios = sessions
+    .flatMap(getSeriesRest)
+    .map(({ planned, taken }) => taken / planned);
+
+  if (ratios.length < REST_LEARNING.MIN_SAMPLES) return null;
+
+  const weight = ratios.length / (ratios.length + REST_LEARNING.PRIOR_SAMPLES);
+  const ratio = 1 + (median(ratios) - 1) * weight;
+
+  return {
+    ratio: round(clamp(ratio, REST_LEARNING.MIN_RATIO, REST_LEARNING.MAX_RATIO), 2),
+    samples: ratios.length
+  };
+}
+
+/**
+ * Applique la préférence de repos à un repos calculé.
+ *
+ * @param {number} rest — Repos calculé par l'algorithme (s)
+ * @param {{ratio: number}|null} preference — getRestPreference()
+ * @returns {number} Repos ajusté, arrondi à REST_LEARNING.STEP
+ */
+export function applyRestPreference(rest, preference) {
+  if (!preference) return rest;
+
+  const adjusted = round(rest * preference.ratio / REST_LEARNING.STEP) * REST_LEARNING.STEP;
+  return clamp(adjusted, REST_BOUNDS.MIN, REST_BOUNDS.MAX);
+}
+
+
+// ── Export ──
+
+export { REST_LEARNING, REST_BOUNDS };
@@ -0,0 +1,231 @@
+/* ════════════════════════════════════════════════════════════════
+   AbdoPro — utils/schedule.js
+
+   Responsabilité unique : forme de la semaine d'entraînement.
+   ─────────────────────────────────────────────────────────────
+   Une semaine = J1 (test max) + N jours d'entraînement
+   + R jours de repos. Par défaut : 6 jours d'entraînement,
+   0 repos → semaine de 7 jours (J2-J7 tous entraînés).
+
+   Les jours de repos sont intercalés régulièrement entre les
+   jours d'entraînement. Un plan ne contient QUE les jours
+   d'entraînement : l'absence de clé `dayN` signifie repos.
+
+   Les algorithmes décrivent leur semaine type sur 6 jours
+   (ratios de volume, rotation de profils…). Pour une semaine
+   plus courte, le motif est échantillonné à intervalles
+   réguliers et le volume hebdomadaire est redistribué sur
+   les jours restants.
+
+   ─────────────────────────────────────────────────────────────
+   API publique :
+
+     normalizeSchedule(schedule)        → { trainingDays, restDays } borné
+     getWeekLength(schedule)            → Nombre de jours (J1 inclus)
+     getTrainingDays(schedule)          → Numéros des jours entraînés
+     isRestDay(schedule, dayNumber)     → Jour de repos ?
+     samplePattern(pattern, schedule)   → Motif 6 jours → jours entraînés
+     sampleRatios(ratios, schedule)     → Idem, somme des ratios conservée
+     getVolumeScale(schedule)           → Facteur de volume par jour
+     getWeekStartDay(weekNumber, history) → Jour absolu du J1
+   ════════════════════════════════════════════════════════════════ */
+
+
+// ── Constantes ──
+
+/** Bornes de configuration */
+const SCHEDULE_BOUNDS = {
+  TRAINING_DAYS_MIN: 2,
+  TRAINING_DAYS_MAX: 6,
+  REST_DAYS_MIN: 0,
+  REST_DAYS_MAX: 4
+};
+
+Object.freeze(SCHEDULE_BOUNDS);
+
+/** Semaine historique : J1 test + J2-J7 entraînés */
+const DEFAULT_SCHEDULE = {
+  trainingDays: 6,
+  restDays: 0
+};
+
+Object.freeze(DEFAULT_SCHEDULE);
+
+/** Longueur maximale d'une semaine (J1 inclus) */
+const MAX_WEEK_LENGTH = 1 + SCHEDULE_BOUNDS.TRAINING_DAYS_MAX + SCHEDULE_BOUNDS.REST_DAYS_MAX;
+
+
+/* ──────────────────────────────────────────────────────────────
+   CONFIGURATION
+   ────────────────────────────────────────────────────────────── */
+
+/**
+ * Borne une configuration de semaine (valeurs manquantes → défaut).
+ *
+ * @param {Object|null} [schedule]
+ * @returns {{trainingDays: number, restDays: number}}
+ */
+export function normalizeSchedule(schedule) {
+  const bound = (value, fallback, min, max) => {
+    const n = Number.isFinite(value) ? Math.round(value) : fallback;
+    return Math.min(max, Math.max(min, n));
+  };
+
+  return {
+    trainingDays: bound(
+      schedule?.trainingDays,
+      DEFAULT_SCHEDULE.trainingDays,
+      SCHEDULE_BOUNDS.TRAINING_DAYS_MIN,
+      SCHEDULE_BOUNDS.TRAINING_DAYS_MAX
+    ),
+    restDays: bound(
+      schedule?.restDays,
+      DEFAULT_SCHEDULE.restDays,
+      SCHEDULE_BOUNDS.REST_DAYS_MIN,
+      SCHEDULE_BOUNDS.REST_DAYS_MAX
+    )
+  };
+}
+
+/**
+ * Nombre de jours de la semaine, test max (J1) inclus.
+ *
+ * @param {Object|null} [schedule]
+ * @returns {number}
+ */
+export function getWeekLength(schedule) {
+  const { trainingDays, restDays } = normalizeSchedule(schedule);
+  return 1 + trainingDays + restDays;
+}
+
+/**
+ * Numéros des jours d'entraînement (J2 à J{longueur}).
+ * Les jours de repos sont répartis régulièrement : le premier
+ * jour après le test est toujours entraîné.
+ *
+ * Ex : 3 entraînements + 3 repos → [2, 4, 6]
+ *
+ * @param {Object|null} [schedule]
+ * @returns {number[]}
+ */
+export function getTrainingDays(schedule) {
+  const { trainingDays, restDays } = normalizeSchedule(schedule);
+  const slots = trainingDays + restDays;
+  const days = [];
+
+  for (let i = 0; i < trainingDays; i++) {
+    days.push(2 + Math.round((i * slots) / trainingDays));
+  }
+
+  return days;
+}
+
+/**
+ * Le jour est-il un jour de repos ? (J1 = test, jamais repos)
+ *
+ * @param {Object|null} schedule
+ * @param {number} dayNumber
+ * @returns {boolean}
+ */
+export function isRestDay(schedule, dayNumber) {
+  if (dayNumber <= 1 || dayNumber > getWeekLength(schedule)) return false;
+  return !getTrainingDays(schedule).includes(dayNumber);
+}
+
+
+/* ──────────────────────────────────────────────────────────────
+   REDISTRIBUTION DES MOTIFS HEBDOMADAIRES
+   ────────────────────────────────────────────────────────────── */
+
+/**
+ * Échantillonne un motif défini sur 6 jours pour les jours
+ * d'entraînement de la semaine. Le premier et le dernier
+ * élément sont toujours conservés (post-test / pré-test).
+ * Un motif plus court que la semaine voit ses éléments répétés.
+ *
+ * @param {Array} pattern — Motif J2-J7
+ * @param {Object|null} [schedule]
+ * @returns {Array} Un élément par jour d'entraînement
+ */
+export function samplePattern(pattern, schedule) {
+  const count = getTrainingDays(schedule).length;
+
+  if (count === pattern.length) return [...pattern];
+  if (count === 1 || pattern.length === 1) return Array(count).fill(pattern[0]);
+
+  const result = [];
+  for (let i = 0; i < count; i++) {
+    result.push(pattern[Math.round((i * (pattern.length - 1)) / (count - 1))]);
+  }
+
+  return result;
+}
+
+/**
+ * Échantillonne des ratios de volume et les renormalise pour
+ * conserver leur somme : le volume hebdomadaire est ainsi
+ * redistribué sur les jours d'entraînement restants.
+ *
+ * @param {number[]} ratios — Ratios J2-J7
+ * @param {Object|null} [schedule]
+ * @returns {number[]}
+ */
+export function sampleRatios(ratios, schedule) {
+  const sampled = samplePattern(ratios, schedule);
+  if (sampled.length === ratios.length) return sampled;
+
+  const total = ratios.reduce((a, b) => a + b, 0);
+  const sampledTotal = sampled.reduce((a, b) => a + b, 0);
+  if (sampledTotal === 0) return sampled;
+
+  return sampled.map(r => (r * total) / sampledTotal);
+}
+
+/**
+ * Facteur de volume par jour pour les algorithmes qui
+ * prescrivent jour par jour (sans volume hebdomadaire) :
+ * 6 jours → 1, 3 jours → 2.
+ *
+ * @param {Object|null} [schedule]
+ * @returns {number}
+ */
+export function getVolumeScale(schedule) {
+  return DEFAULT_SCHEDULE.trainingDays / normalizeSchedule(schedule).trainingDays;
+}
+
+
+/* ──────────────────────────────────────────────────────────────
+   AXE DU TEMPS
+   ────────────────────────────────────────────────────────────── */
+
+/**
+ * Jour absolu (1 = J1 de la semaine 1) du test max d'une semaine,
+ * en tenant compte de la longueur réelle des semaines passées
+ * (champ `schedule` des semaines de l'historique). Les semaines
+ * inconnues comptent pour la longueur de la dernière connue.
+ *
+ * @param {number} weekNumber
+ * @param {Array<Object>} [history]
+ * @returns {number}
+ */
+export function getWeekStartDay(weekNumber, history = []) {
+  const lengths = new Map();
+  (history || []).forEach(week => {
+    if (week?.weekNumber) lengths.set(week.weekNumber, getWeekLength(week.schedule));
+  });
+
+  let day = 1;
+  let lastLength = getWeekLength(DEFAULT_SCHEDULE);
+
+  for (let w = 1; w < weekNumber; w++) {
+    if (lengths.has(w)) lastLength = lengths.get(w);
+    day += lastLength;
+  }
+
+  return day;
+}
+
+
+// ── Export ──
+
+export { SCHEDULE_BOUNDS, DEFAULT_SCHEDULE, MAX_WEEK_LENGTH };
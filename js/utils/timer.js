@@ -9,6 +9,17 @@
    Découplé du DOM : communique via des callbacks.
    L'écran session.js est responsable de mettre à jour l'UI.
 
+   Également utilisé comme décompte de la phase de travail
+   des exercices isométriques (maintien en secondes).
+
+   Arrière-plan : requestAnimationFrame s'arrête quand la page
+   est masquée. Le timer garde donc en parallèle :
+   - un setTimeout de fin (ralenti mais exécuté en arrière-plan),
+   - un rattrapage immédiat au retour (visibilitychange),
+   - si backgroundNotice est fourni, une notification système
+     programmée via le Service Worker (utils/notifications.js),
+     annulée si le décompte est passé, mis en pause ou détruit.
+
    ─────────────────────────────────────────────────────────────
    API publique :
 
@@ -17,6 +28,7 @@
        onTick(remaining, fraction),  // Appelé chaque frame (~60fps)
        onWarning(),                  // Appelé quand < seuil critique
        onComplete(),                 // Appelé à la fin du décompte
+       backgroundNotice: { title, body }, // Notification si app masquée
      });
 
      timer.start()         → Démarre le décompte
@@ -34,6 +46,9 @@
    ════════════════════════════════════════════════════════════════ */
 
 
+import notifications from './notifications.js';
+
+
 // ── Constantes ──
 
 /** Seuil en secondes sous lequel le warning est déclenché */
@@ -52,6 +67,12 @@ const TIMER_STATE = {
 
 Object.freeze(TIMER_STATE);
 
+/** Marge après l'échéance pour le setTimeout de fin (ms) */
+const BACKGROUND_MARGIN_MS = 50;
+
+/** Compteur d'instances (identifiant des notifications programmées) */
+let timerSequence = 0;
+
 
 // ── Classe RestTimer ──
 
@@ -63,6 +84,8 @@ class RestTimer {
    * @param {Function} [options.onTick]    — Callback chaque frame (remaining, fraction)
    * @param {Function} [options.onWarning] — Callback quand remaining < seuil critique
    * @param {Function} [options.onComplete]— Callback quand le timer atteint 0
+   * @param {{title: string, body: string}} [options.backgroundNotice]
+   *   — Notification système si le décompte finit app masquée
    */
   constructor(options = {}) {
     this._validateOptions(options);
@@ -97,8 +120,18 @@ class RestTimer {
     /** @type {number} Dernière valeur entière de remaining (pour détecter les changements) */
     this._lastWholeSecond = -1;
 
-    // Binder la méthode _tick pour requestAnimationFrame
+    /** @type {{title: string, body: string}|null} */
+    this._backgroundNotice = options.backgroundNotice || null;
+
+    /** @type {string} Identifiant de la notification programmée */
+    this._id = `timer-${++timerSequence}`;
+
+    /** @type {number|null} ID du setTimeout de fin (arrière-plan) */
+    this._backgroundTimeoutId = null;
+
+    // Binder les callbacks (requestAnimationFrame, setTimeout, DOM)
     this._tick = this._tick.bind(this);
+    this._onVisibilityChange = this._onVisibilityChange.bind(this);
   }
 
   /**
@@ -154,6 +187,7 @@ class RestTimer {
 
     // Lancer la boucle d'animation
     this._scheduleNextTick();
+    this._armBackground();
   }
 
   /**
@@ -169,6 +203,7 @@ class RestTimer {
 
     // Annuler l'animation en cours
     this._cancelAnimation();
+    this._disarmBackground(true);
 
     this._state = TIMER_STATE.PAUSED;
   }
@@ -183,6 +218,7 @@ class RestTimer {
     this._startTime = performance.now();
 
     this._scheduleNextTick();
+    this._armBackground();
   }
 
   /**
@@ -192,6 +228,7 @@ class RestTimer {
     if (this._state === TIMER_STATE.COMPLETE) return;
 
     this._cancelAnimation();
+    this._disarmBackground(true);
     this._state = TIMER_STATE.COMPLETE;
 
     // Notifier un dernier tick à 0
@@ -209,6 +246,7 @@ class RestTimer {
    */
   reset(duration) {
     this._cancelAnimation();
+    this._disarmBackground(true);
 
     if (typeof duration === 'number' && duration >= 0) {
       this._duration = duration;
@@ -227,6 +265,9 @@ class RestTimer {
    */
   destroy() {
     this._cancelAnimation();
+    // Décompte arrivé à son terme : la notification éventuelle
+    // (app masquée) doit rester affichée
+    this._disarmBackground(this._state !== TIMER_STATE.COMPLETE);
 
     this._state = TIMER_STATE.COMPLETE;
     this._onTick = null;
@@ -347,6 +388,8 @@ class RestTimer {
    * @private
    */
   _scheduleNextTick() {
+    // Un seul frame en attente (le rattrapage peut appeler _tick hors rAF)
+    this._cancelAnimation();
     this._rafId = requestAnimationFrame(this._tick);
   }
 
@@ -365,6 +408,8 @@ class RestTimer {
 
     // Timer terminé ?
     if (remaining <= 0) {
+      this._cancelAnimation();
+      this._disarmBackground(false);
       this._state = TIMER_STATE.COMPLETE;
       this._fireTick(0, 1);
       this._fireComplete();
@@ -396,6 +441,62 @@ class RestTimer {
   }
 
 
+  /* ──────────────────────────────────────────────────────────
+     ARRIÈRE-PLAN
+     ────────────────────────────────────────────────────────── */
+
+  /**
+   * Programme la fin du décompte hors requestAnimationFrame :
+   * setTimeout, rattrapage au retour et notification système.
+   * @private
+   */
+  _armBackground() {
+    this._disarmBackground(false);
+
+    const remainingMs = this.getRemaining() * 1000;
+    this._backgroundTimeoutId = setTimeout(this._tick, remainingMs + BACKGROUND_MARGIN_MS);
+    document.addEventListener('visibilitychange', this._onVisibilityChange);
+
+    if (this._backgroundNotice) {
+      notifications.scheduleSystemNotification(
+        this._id,
+        Date.now() + remainingMs,
+        this._backgroundNotice.title,
+        this._backgroundNotice.body
+      );
+    }
+  }
+
+  /**
+   * Annule la programmation d'arrière-plan.
+   *
+   * @param {boolean} cancelNotice — Annuler aussi la notification système
+   * @private
+   */
+  _disarmBackground(cancelNotice) {
+    if (this._backgroundTimeoutId !== null) {
+      clearTimeout(this._backgroundTimeoutId);
+      this._backgroundTimeoutId = null;
+    }
+    document.removeEventListener('visibilitychange', this._onVisibilityChange);
+
+    if (cancelNotice && this._backgroundNotice) {
+      notifications.cancelSystemNotification(this._id);
+    }
+  }
+
+  /**
+   * Retour au premier plan : l'affichage rattrape le temps écoulé
+   * (ou le décompte se termine) sans attendre le prochain frame.
+   * @private
+   */
+  _onVisibilityChange() {
+    if (document.visibilityState === 'visible' && this._state === TIMER_STATE.RUNNING) {
+      this._tick();
+    }
+  }
+
+
   /* ──────────────────────────────────────────────────────────
      DÉCLENCHEMENT DES CALLBACKS
      ────────────────────────────────────────────────────────── */
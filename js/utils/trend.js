@@ -0,0 +1,185 @@
+/* ════════════════════════════════════════════════════════════════
+   AbdoPro — utils/trend.js
+
+   Responsabilité unique : diagnostic du modèle de régression.
+   ─────────────────────────────────────────────────────────────
+   Rend visibles les calculs de RegressionAlgorithm :
+   - équation ajustée sur les tests max, R², erreur type,
+   - courbe projetée sur les prochaines semaines avec sa bande
+     de confiance à 95 % (± 1,96 × erreur type),
+   - facteur d'ajustement réel/théorique et réduction liée au
+     taux d'échec, qui expliquent le volume planifié.
+
+   Utilisé par l'écran d'historique (screens/history.js).
+
+   ─────────────────────────────────────────────────────────────
+   API publique :
+
+     getRegressionDiagnostics(history, projectionWeeks) → Modèle + courbe
+     buildTrendChartSVG(diagnostics, unit)              → Markup SVG
+   ════════════════════════════════════════════════════════════════ */
+
+import engine from '../algorithms/engine.js';
+import { CHART_LAYOUT, getNiceTicks } from './chart.js';
+import { round } from './math.js';
+import { UNITS, getUnitShortLabel } from './units.js';
+
+
+// ── Constantes ──
+
+/** Semaines projetées par défaut après le dernier test max */
+const PROJECTION_WEEKS = 4;
+
+/** Points minimum pour afficher un diagnostic */
+const MIN_POINTS = 2;
+
+/** Libellés de analyzeModelQuality().quality */
+const QUALITY_LABELS = {
+  excellent:    'Excellent',
+  good:         'Bon',
+  fair:         'Moyen',
+  poor:         'Faible',
+  linear_only:  'Linéaire (3 tests max requis pour la courbure)',
+  insufficient: 'Données insuffisantes'
+};
+
+Object.freeze(QUALITY_LABELS);
+
+
+/* ──────────────────────────────────────────────────────────────
+   DONNÉES
+   ────────────────────────────────────────────────────────────── */
+
+/**
+ * Diagnostic complet du modèle de régression.
+ *
+ * @param {Array<Object>} history — Semaines (state.getHistory())
+ * @param {number} [projectionWeeks=PROJECTION_WEEKS]
+ * @returns {{
+ *   available: boolean,
+ *   points: Array<[number, number]>,
+ *   quality: Object,
+ *   qualityLabel: string,
+ *   curve: Array<{week: number, predicted: number, lower: number, upper: number}>,
+ *   lastWeek: number|null,
+ *   adjustment: {factor: number, interpretation: string, failureRate: number, failureLabel: string}|null,
+ *   nextWeek: {week: number, predicted: number, lower: number, upper: number}|null
+ * }}
+ */
+export function getRegressionDiagnostics(history, projectionWeeks = PROJECTION_WEEKS) {
+  engine.initialize();
+  const regression = engine.getAlgorithm('regression');
+
+  const weeks = (history || []).filter(week => Number.isFinite(week.testMax) && week.testMax > 0);
+  const { points } = regression.getModel(weeks);
+  const quality = regression.analyzeModelQuality(weeks);
+
+  if (points.length < MIN_POINTS) {
+    return {
+      available: false,
+      points,
+      quality,
+      qualityLabel: QUALITY_LABELS.insufficient,
+      curve: [],
+      lastWeek: null,
+      adjustment: null,
+      nextWeek: null
+    };
+  }
+
+  const firstWeek = points[0][0];
+  const lastWeek = points[points.length - 1][0];
+  const curve = regression.getPredictionCurve(weeks, firstWeek, lastWeek + projectionWeeks);
+  const lastMax = points[points.length - 1][1];
+
+  return {
+    available: true,
+    points,
+    quality,
+    qualityLabel: QUALITY_LABELS[quality.quality] || quality.quality,
+    curve,
+    lastWeek,
+    adjustment: regression.analyzeAdjustment(lastMax, weeks),
+    nextWeek: curve.find(p => p.week === lastWeek + 1) || null
+  };
+}
+
+
+/* ──────────────────────────────────────────────────────────────
+   RENDU
+   ────────────────────────────────────────────────────────────── */
+
+/**
+ * Génère le SVG : tests max réels, courbe ajustée, projection
+ * en pointillés et bande de confiance à 95 %.
+ *
+ * @param {Object} diagnostics — Résultat de getRegressionDiagnostics()
+ * @param {string} [unit=UNITS.REPS]
+ * @returns {string}
+ */
+export function buildTrendChartSVG(diagnostics, unit = UNITS.REPS) {
+  if (!diagnostics.available) return '';
+
+  const { WIDTH, HEIGHT, PADDING_TOP, PADDING_RIGHT, PADDING_BOTTOM, PADDING_LEFT, MAX_X_LABELS } = CHART_LAYOUT;
+  const { curve, points, lastWeek } = diagnostics;
+  const plotBottom = HEIGHT - PADDING_BOTTOM;
+  const plotWidth = WIDTH - PADDING_LEFT - PADDING_RIGHT;
+  const plotHeight = plotBottom - PADDING_TOP;
+
+  const firstWeek = curve[0].week;
+  const endWeek = curve[curve.length - 1].week;
+  const { max: yMax, ticks } = getNiceTicks(Math.max(
+    ...curve.map(p => p.upper),
+    ...points.map(([, y]) => y)
+  ));
+
+  const x = (week) => PADDING_LEFT + ((week - firstWeek) / (endWeek - firstWeek)) * plotWidth;
+  const y = (value) => plotBottom - (value / yMax) * plotHeight;
+  const toPoints = (list, key) => list.map(p => `${round(x(p.week), 1)},${round(y(p[key]), 1)}`).join(' ');
+
+  // ── Bande de confiance : bord haut aller, bord bas retour ──
+  const band = [
+    ...curve.map(p => `${round(x(p.week), 1)},${round(y(p.upper), 1)}`),
+    ...curve.slice().reverse().map(p => `${round(x(p.week), 1)},${round(y(p.lower), 1)}`)
+  ].join(' ');
+
+  const fitted = curve.filter(p => p.week <= lastWeek);
+  const projected = curve.filter(p => p.week >= lastWeek);
+
+  const grid = ticks.map(tick => `
+    <line class="chart__grid" x1="${PADDING_LEFT}" x2="${WIDTH - PADDING_RIGHT}" y1="${y(tick)}" y2="${y(tick)}" />
+    <text class="chart__tick" x="${PADDING_LEFT - 6}" y="${y(tick) + 3}" text-anchor="end">${tick}</text>
+  `).join('');
+
+  const labelEvery = Math.ceil(curve.length / MAX_X_LABELS);
+  const xLabels = curve
+    .filter((p, i) => i % labelEvery === 0 || i === curve.length - 1)
+    .map(p => `
+      <text class="chart__tick ${p.week > lastWeek ? 'chart__tick--muted' : ''}"
+            x="${x(p.week)}" y="${plotBottom + 13}" text-anchor="middle">S${p.week}</text>
+    `).join('');
+
+  const dots = points.map(([week, value]) => `
+    <circle class="chart__point" cx="${x(week)}" cy="${y(value)}" r="3.5" />
+  `).join('');
+
+  return `
+    <svg viewBox="0 0 ${WIDTH} ${HEIGHT}" class="chart__svg" role="img"
+         aria-label="Régression du test max et projection sur ${endWeek - lastWeek} semaine(s)">
+      ${grid}
+      <text class="chart__tick chart__tick--muted" x="4" y="${PADDING_TOP - 6}">${getUnitShortLabel(unit)}</text>
+      <line class="chart__axis" x1="${PADDING_LEFT}" x2="${WIDTH - PADDING_RIGHT}" y1="${plotBottom}" y2="${plotBottom}" />
+      ${xLabels}
+      <polygon class="chart__band" points="${band}" />
+      <line class="chart__guide" x1="${x(lastWeek)}" x2="${x(lastWeek)}" y1="${PADDING_TOP}" y2="${plotBottom}" />
+      <polyline class="chart__curve chart__curve--main chart__curve--trend" points="${toPoints(fitted, 'predicted')}" />
+      <polyline class="chart__curve chart__curve--main chart__curve--trend chart__projection" points="${toPoints(projected, 'predicted')}" />
+      ${dots}
+    </svg>
+  `;
+}
+
+
+// ── Export ──
+
+export { PROJECTION_WEEKS, QUALITY_LABELS };
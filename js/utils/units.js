@@ -0,0 +1,212 @@
+/* ════════════════════════════════════════════════════════════════
+   AbdoPro — utils/units.js
+
+   Responsabilité unique : unités de mesure des exercices.
+   ─────────────────────────────────────────────────────────────
+   Un exercice se mesure soit en répétitions (crunch…), soit
+   en secondes de maintien (gainage isométrique).
+
+   Convention : le champ `reps` des plans et `repsCompleted` /
+   `totalRepsCompleted` des séances désignent la quantité par
+   série DANS L'UNITÉ DE L'EXERCICE. Pour un exercice en
+   secondes, `reps: 45` signifie « tenir 45 secondes ».
+   Les algorithmes raisonnent donc en ratios du test max
+   quelle que soit l'unité ; seules les bornes, l'arrondi,
+   le calcul du repos et l'affichage dépendent de l'unité.
+
+   ─────────────────────────────────────────────────────────────
+   API publique :
+
+     getUnitBounds(unit)                → Bornes de sécurité de l'unité
+     boundAmount(amount, testMax, unit) → Arrondi + bornage d'une quantité
+     getMaxAmount(testMax, unit)        → Quantité max par série
+     isBeginnerTestMax(testMax, unit)   → Seuil grand débutant atteint ?
+     getBeginnerDay(unit)               → Séance fixe grand débutant
+     toRestBasis(amount, unit)          → Équivalent reps pour le repos
+     formatAmount(amount, unit)         → '12 reps' / '45 s' / '1 min 30'
+     getUnitShortLabel(unit)            → 'reps' / 's'
+   ════════════════════════════════════════════════════════════════ */
+
+
+// ── Constantes ──
+
+/** Unités supportées */
+const UNITS = {
+  REPS: 'reps',
+  SECONDS: 'seconds'
+};
+
+Object.freeze(UNITS);
+
+/**
+ * Bornes de sécurité par unité.
+ *
+ * - AMOUNT_MIN         : quantité minimale par série
+ * - AMOUNT_MAX_RATIO   : quantité max par série = testMax × ratio
+ *                        (< 1 en isométrie : on ne prescrit pas
+ *                        plusieurs séries au-delà du maintien max)
+ * - STEP               : granularité d'arrondi
+ * - BEGINNER_THRESHOLD : test max sous lequel le plan fixe s'applique
+ * - BEGINNER_DAY       : séance fixe du mode grand débutant
+ */
+const UNIT_BOUNDS = {
+  [UNITS.REPS]: {
+    AMOUNT_MIN: 3,
+    AMOUNT_MAX_RATIO: 1.2,
+    STEP: 1,
+    BEGINNER_THRESHOLD: 5,
+    BEGINNER_DAY: { series: 5, reps: 3, rest: 90, type: 'DEBUTANT' }
+  },
+  [UNITS.SECONDS]: {
+    AMOUNT_MIN: 10,
+    AMOUNT_MAX_RATIO: 0.9,
+    STEP: 5,
+    BEGINNER_THRESHOLD: 20,
+    BEGINNER_DAY: { series: 5, reps: 10, rest: 60, type: 'DEBUTANT' }
+  }
+};
+
+Object.values(UNIT_BOUNDS).forEach(bounds => {
+  Object.freeze(bounds.BEGINNER_DAY);
+  Object.freeze(bounds);
+});
+Object.freeze(UNIT_BOUNDS);
+
+/**
+ * Durée moyenne d'une répétition (tempo 1-0-1).
+ * Sert à convertir un maintien en « équivalent reps » pour
+ * réutiliser les formules de repos des algorithmes.
+ */
+const SECONDS_PER_REP = 2;
+
+
+/* ──────────────────────────────────────────────────────────────
+   BORNES
+   ────────────────────────────────────────────────────────────── */
+
+/**
+ * Retourne les bornes de sécurité d'une unité (défaut : reps).
+ *
+ * @param {string} unit
+ * @returns {Object}
+ */
+export function getUnitBounds(unit) {
+  return UNIT_BOUNDS[unit] || UNIT_BOUNDS[UNITS.REPS];
+}
+
+/**
+ * Quantité maximale par série pour un test max donné.
+ *
+ * @param {number} testMax
+ * @param {string} unit
+ * @returns {number}
+ */
+export function getMaxAmount(testMax, unit) {
+  const bounds = getUnitBounds(unit);
+  const raw = testMax * bounds.AMOUNT_MAX_RATIO;
+
+  // En reps on arrondit au supérieur (comportement historique),
+  // en secondes on descend au pas inférieur pour rester sous le max.
+  const max = bounds.STEP === 1
+    ? Math.ceil(raw)
+    : Math.floor(raw / bounds.STEP) * bounds.STEP;
+
+  return Math.max(bounds.AMOUNT_MIN, max);
+}
+
+/**
+ * Arrondit une quantité au pas de l'unité puis la borne.
+ *
+ * @param {number} amount
+ * @param {number} testMax
+ * @param {string} unit
+ * @returns {number}
+ */
+export function boundAmount(amount, testMax, unit) {
+  const bounds = getUnitBounds(unit);
+  const stepped = Math.round(amount / bounds.STEP) * bounds.STEP;
+
+  return Math.max(bounds.AMOUNT_MIN, Math.min(getMaxAmount(testMax, unit), stepped));
+}
+
+
+/* ──────────────────────────────────────────────────────────────
+   MODE GRAND DÉBUTANT
+   ────────────────────────────────────────────────────────────── */
+
+/**
+ * @param {number} testMax
+ * @param {string} unit
+ * @returns {boolean}
+ */
+export function isBeginnerTestMax(testMax, unit) {
+  return testMax < getUnitBounds(unit).BEGINNER_THRESHOLD;
+}
+
+/**
+ * Retourne une copie de la séance fixe grand débutant.
+ *
+ * @param {string} unit
+ * @returns {{series: number, reps: number, rest: number, type: string}}
+ */
+export function getBeginnerDay(unit) {
+  return { ...getUnitBounds(unit).BEGINNER_DAY };
+}
+
+
+/* ──────────────────────────────────────────────────────────────
+   REPOS
+   ────────────────────────────────────────────────────────────── */
+
+/**
+ * Convertit une quantité en « équivalent reps » pour les
+ * formules de repos (calculateRest et dérivées).
+ *
+ * @param {number} amount
+ * @param {string} unit
+ * @returns {number}
+ */
+export function toRestBasis(amount, unit) {
+  return unit === UNITS.SECONDS
+    ? Math.round(amount / SECONDS_PER_REP)
+    : amount;
+}
+
+
+/* ──────────────────────────────────────────────────────────────
+   AFFICHAGE
+   ────────────────────────────────────────────────────────────── */
+
+/**
+ * Libellé court de l'unité.
+ *
+ * @param {string} unit
+ * @returns {string} 'reps' | 's'
+ */
+export function getUnitShortLabel(unit) {
+  return unit === UNITS.SECONDS ? 's' : 'reps';
+}
+
+/**
+ * Formate une quantité pour l'affichage.
+ *
+ * @param {number} amount
+ * @param {string} unit
+ * @returns {string} Ex: '12 reps', '45 s', '1 min 30'
+ */
+export function formatAmount(amount, unit) {
+  if (unit !== UNITS.SECONDS) return `${amount} reps`;
+
+  if (amount < 60) return `${amount} s`;
+
+  const mins = Math.floor(amount / 60);
+  const secs = amount % 60;
+  return secs === 0
+    ? `${mins} min`
+    : `${mins} min ${String(secs).padStart(2, '0')}`;
+}
+
+
+// ── Export ──
+
+export { UNITS, UNIT_BOUNDS, SECONDS_PER_REP };
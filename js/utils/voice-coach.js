@@ -0,0 +1,267 @@
+/* ════════════════════════════════════════════════════════════════
+   AbdoPro — utils/voice-coach.js
+
+   Responsabilité unique : consignes vocales pendant la séance.
+   ─────────────────────────────────────────────────────────────
+   Coach vocal facultatif (settings.voiceCoachEnabled) basé sur
+   la synthèse vocale du navigateur (speechSynthesis) :
+   - annonce de la série et de l'objectif au début de chaque série ;
+   - décompte des dernières secondes du repos ;
+   - félicitations en fin de séance.
+
+   Langue au choix dans les réglages (settings.voiceCoachLanguage) :
+   français ou anglais. La voix retenue est la première voix
+   installée de cette langue ; à défaut, le navigateur choisit
+   à partir de la langue de l'énoncé.
+
+   Une annonce interrompt ce qui est en cours de lecture (un
+   décompte ne déborde jamais sur la série suivante).
+   Navigateur sans synthèse vocale : aucune erreur, silence.
+
+   ─────────────────────────────────────────────────────────────
+   API publique :
+
+     voiceCoach.announceSeries(series, total, amount, unit)
+                                       → « Série 2 sur 5 : 12 répétitions »
+     voiceCoach.startCountdown(seconds) → Décompte jusqu'à la fin du repos
+     voiceCoach.congratulate()         → Félicitations de fin de séance
+     voiceCoach.preview(language)      → Phrase d'essai (réglages)
+     voiceCoach.stop()                 → Coupe la parole et le décompte
+
+     voiceCoach.isEnabled()            → Activé dans les réglages et supporté ?
+     voiceCoach.isSupported()          → Synthèse vocale disponible ?
+   ════════════════════════════════════════════════════════════════ */
+
+import state from '../state.js';
+import { UNITS } from './units.js';
+
+
+// ── Constantes ──
+
+/** Langues proposées : code BCP 47 et libellé des réglages */
+const VOICE_LANGUAGES = {
+  fr: { lang: 'fr-FR', label: 'Français' },
+  en: { lang: 'en-US', label: 'English' }
+};
+
+/** Langue par défaut */
+const DEFAULT_VOICE_LANGUAGE = 'fr';
+
+/** Phrases du coach par langue */
+const PHRASES = {
+  fr: {
+    series: (series, total, amount, unit) =>
+      `Série ${series} sur ${total} : ${amount} ${unit === UNITS.SECONDS ? 'secondes' : 'répétitions'}.`,
+    lastSeries: 'Dernière série !',
+    congratulate: 'Séance terminée. Bravo, excellent travail !',
+    preview: 'Bonjour, je serai votre coach pendant la séance.'
+  },
+  en: {
+    series: (series, total, amount, unit) =>
+      `Set ${series} of ${total}: ${amount} ${unit === UNITS.SECONDS ? 'seconds' : 'reps'}.`,
+    lastSeries: 'Last set!',
+    congratulate: 'Workout complete. Great job!',
+    preview: 'Hello, I will be your coach during the workout.'
+  }
+};
+
+Object.values(VOICE_LANGUAGES).forEach(language => Object.freeze(language));
+Object.freeze(VOICE_LANGUAGES);
+Object.values(PHRASES).forEach(phrases => Object.freeze(phrases));
+Object.freeze(PHRASES);
+
+
+// ── Classe VoiceCoach ──
+
+class VoiceCoach {
+
+  constructor() {
+    /** @type {number[]} setTimeout du décompte en attente */
+    this._countdownIds = [];
+  }
+
+
+  /* ──────────────────────────────────────────────────────────
+     ANNONCES
+     ────────────────────────────────────────────────────────── */
+
+  /**
+   * Annonce le début d'une série et son objectif.
+   *
+   * @param {number} series — Numéro de la série (1-based)
+   * @param {number} total — Nombre de séries prévues
+   * @param {number} amount — Objectif (reps ou secondes)
+   * @param {string} [unit]
+   */
+  announceSeries(series, total, amount, unit = UNITS.REPS) {
+    this._clearCountdown();
+    if (!this.isEnabled()) return;
+
+    const phrases = this._getPhrases();
+    const text = phrases.series(series, total, amount, unit);
+    this._speak(series === total && total > 1 ? `${phrases.lastSeries} ${text}` : text);
+  }
+
+  /**
+   * Décompte vocal des dernières secondes, calé sur la fin
+   * du minuteur (RestTimer onWarning).
+   *
+   * @param {number} seconds — Secondes restantes au déclenchement
+   */
+  startCountdown(seconds) {
+    this._clearCountdown();
+    if (!this.isEnabled() || !(seconds > 0)) return;
+
+    const endsAt = Date.now() + seconds * 1000;
+
+    // Chaque nombre tombe quand il reste n secondes (arrondi au plus
+    // proche pour le premier, dont l'échéance vient d'être franchie)
+    for (let n = Math.round(seconds); n >= 1; n--) {
+      const delay = Math.max(0, endsAt - n * 1000 - Date.now());
+      this._countdownIds.push(setTimeout(() => this._speak(String(n)), delay));
+    }
+  }
+
+  /**
+   * Félicitations de fin de séance.
+   */
+  congratulate() {
+    this._clearCountdown();
+    if (!this.isEnabled()) return;
+    this._speak(this._getPhrases().congratulate);
+  }
+
+  /**
+   * Phrase d'essai dans une langue (choix dans les réglages,
+   * indépendamment de l'activation).
+   *
+   * @param {string} language — Clé de VOICE_LANGUAGES
+   */
+  preview(language) {
+    if (!this.isSupported()) return;
+    const key = VOICE_LANGUAGES[language] ? language : DEFAULT_VOICE_LANGUAGE;
+    this._speak(PHRASES[key].preview, key);
+  }
+
+  /**
+   * Coupe la parole et annule le décompte en attente.
+   */
+  stop() {
+    this._clearCountdown();
+    if (this.isSupported()) {
+      window.speechSynthesis.cancel();
+    }
+  }
+
+
+  /* ──────────────────────────────────────────────────────────
+     ÉTAT & CAPACITÉS
+     ────────────────────────────────────────────────────────── */
+
+  /**
+   * @returns {boolean}
+   */
+  isEnabled() {
+    if (!this.isSupported()) return false;
+    try {
+      return state.getSettings().voiceCoachEnabled === true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isSupported() {
+    return typeof window !== 'undefined' &&
+      'speechSynthesis' in window &&
+      typeof window.SpeechSynthesisUtterance === 'function';
+  }
+
+
+  /* ──────────────────────────────────────────────────────────
+     INTERNE
+     ────────────────────────────────────────────────────────── */
+
+  /**
+   * Langue choisie dans les réglages.
+   * @returns {string}
+   * @private
+   */
+  _getLanguage() {
+    try {
+      const language = state.getSettings().voiceCoachLanguage;
+      return VOICE_LANGUAGES[language] ? language : DEFAULT_VOICE_LANGUAGE;
+    } catch {
+      return DEFAULT_VOICE_LANGUAGE;
+    }
+  }
+
+  /**
+   * @returns {Object} Phrases de la langue choisie
+   * @private
+   */
+  _getPhrases() {
+    return PHRASES[this._getLanguage()];
+  }
+
+  /**
+   * Prononce un texte en interrompant l'énoncé en cours.
+   *
+   * @param {string} text
+   * @param {string} [language] — Langue (réglages par défaut)
+   * @private
+   */
+  _speak(text, language = this._getLanguage()) {
+    try {
+      const synth = window.speechSynthesis;
+      const lang = VOICE_LANGUAGES[language].lang;
+      const utterance = new window.SpeechSynthesisUtterance(text);
+
+      utterance.lang = lang;
+      const voice = this._findVoice(lang);
+      if (voice) utterance.voice = voice;
+
+      synth.cancel();
+      synth.speak(utterance);
+    } catch (error) {
+      console.warn('Synthèse vocale indisponible :', error.message);
+    }
+  }
+
+  /**
+   * Première voix installée d'une langue (« fr-FR » accepte
+   * fr_FR, fr-CA…).
+   *
+   * @param {string} lang
+   * @returns {SpeechSynthesisVoice|null}
+   * @private
+   */
+  _findVoice(lang) {
+    const voices = window.speechSynthesis.getVoices() || [];
+    const prefix = lang.split('-')[0].toLowerCase();
+    const normalized = (voice) => voice.lang.replace('_', '-').toLowerCase();
+
+    return voices.find(voice => normalized(voice) === lang.toLowerCase()) ||
+      voices.find(voice => normalized(voice).startsWith(prefix)) ||
+      null;
+  }
+
+  /**
+   * @private
+   */
+  _clearCountdown() {
+    this._countdownIds.forEach(id => clearTimeout(id));
+    this._countdownIds = [];
+  }
+}
+
+
+// ── Export singleton ──
+
+const voiceCoach = new VoiceCoach();
+
+export { voiceCoach, VOICE_LANGUAGES, DEFAULT_VOICE_LANGUAGE };
+
+export default voiceCoach;
@@ -0,0 +1,155 @@
+/* ════════════════════════════════════════════════════════════════
+   AbdoPro — utils/wake-lock.js
+
+   Responsabilité unique : garder l'écran allumé pendant l'effort.
+   ─────────────────────────────────────────────────────────────
+   Encapsule l'API Screen Wake Lock. Le navigateur libère le
+   verrou dès que la page est masquée : tant qu'il est demandé,
+   il est repris automatiquement au retour (visibilitychange).
+
+   Navigateur sans Wake Lock (Firefox, anciens Safari) ou refus
+   (économie d'énergie) : aucune erreur, l'écran se met en veille
+   normalement.
+
+   ─────────────────────────────────────────────────────────────
+   API publique :
+
+     wakeLock.acquire()       → Demande le verrou (et le maintient)
+     wakeLock.release()       → Libère le verrou
+     wakeLock.isActive()      → Verrou actuellement tenu ?
+     wakeLock.isSupported()   → API disponible ?
+   ════════════════════════════════════════════════════════════════ */
+
+
+// ── Classe WakeLock ──
+
+class WakeLock {
+
+  constructor() {
+    /** @type {WakeLockSentinel|null} Verrou tenu */
+    this._sentinel = null;
+
+    /** @type {Promise<void>|null} Demande en cours */
+    this._pending = null;
+
+    /** @type {boolean} Verrou voulu par l'écran */
+    this._wanted = false;
+
+    this._onVisibilityChange = this._onVisibilityChange.bind(this);
+  }
+
+
+  /* ──────────────────────────────────────────────────────────
+     CONTRÔLE
+     ────────────────────────────────────────────────────────── */
+
+  /**
+   * Demande le verrou d'écran et le reprend à chaque retour
+   * au premier plan jusqu'à release().
+   *
+   * @returns {Promise<void>}
+   */
+  async acquire() {
+    if (!this.isSupported()) return;
+
+    if (!this._wanted) {
+      this._wanted = true;
+      document.addEventListener('visibilitychange', this._onVisibilityChange);
+    }
+
+    await this._request();
+  }
+
+  /**
+   * Libère le verrou d'écran.
+   *
+   * @returns {Promise<void>}
+   */
+  async release() {
+    this._wanted = false;
+    document.removeEventListener('visibilitychange', this._onVisibilityChange);
+
+    // Une demande en cours aboutira après coup : attendre pour la libérer
+    if (this._pending) await this._pending;
+
+    const sentinel = this._sentinel;
+    this._sentinel = null;
+    if (!sentinel) return;
+
+    try {
+      await sentinel.release();
+    } catch {
+      // Déjà libéré par le navigateur
+    }
+  }
+
+
+  /* ──────────────────────────────────────────────────────────
+     ÉTAT & CAPACITÉS
+     ────────────────────────────────────────────────────────── */
+
+  /**
+   * @returns {boolean}
+   */
+  isActive() {
+    return this._sentinel !== null;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isSupported() {
+    return typeof navigator !== 'undefined' && 'wakeLock' in navigator;
+  }
+
+
+  /* ──────────────────────────────────────────────────────────
+     INTERNE
+     ────────────────────────────────────────────────────────── */
+
+  /**
+   * Demande un verrou s'il n'y en a pas (page visible uniquement).
+   *
+   * @returns {Promise<void>}
+   * @private
+   */
+  _request() {
+    if (this._sentinel || this._pending) return this._pending || Promise.resolve();
+    if (document.visibilityState !== 'visible') return Promise.resolve();
+
+    this._pending = navigator.wakeLock.request('screen')
+      .then(sentinel => {
+        this._sentinel = sentinel;
+        sentinel.addEventListener('release', () => {
+          if (this._sentinel === sentinel) this._sentinel = null;
+        });
+      })
+      .catch(error => {
+        console.warn('Wake Lock refusé :', error.message);
+      })
+      .finally(() => {
+        this._pending = null;
+      });
+
+    return this._pending;
+  }
+
+  /**
+   * Retour au premier plan : reprise du verrou perdu.
+   * @private
+   */
+  _onVisibilityChange() {
+    if (this._wanted && document.visibilityState === 'visible') {
+      this._request();
+    }
+  }
+}
+
+
+// ── Export singleton ──
+
+const wakeLock = new WakeLock();
+
+export { wakeLock };
+
+export default wakeLock;
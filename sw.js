@@ -7,6 +7,8 @@
 // Install  → Télécharge et met en cache TOUS les assets.
 // Fetch    → Sert depuis le cache. Fallback réseau si absent.
 // Activate → Supprime les caches obsolètes (versions précédentes).
+// Message  → Notification système programmée (fin de repos),
+//            affichée même si l'onglet est masqué.
 //
 // Ce fichier tourne dans un contexte Worker isolé.
 // Aucun import ES6, aucun accès au DOM, aucune dépendance.
@@ -19,7 +21,7 @@
 // pour permettre la coexistence temporaire ancien/nouveau
 // pendant la phase d'activation.
 
-const CACHE_VERSION = 'v1';
+const CACHE_VERSION = 'v2';
 const CACHE_NAME = `abdopro-${CACHE_VERSION}`;
 
 // ── Assets à Pré-cacher ────────────────────────────────────
@@ -45,6 +47,8 @@ const STATIC_ASSETS = [
   './js/app.js',
   './js/db.js',
   './js/state.js',
+  './js/exercises.js',
+  './js/migrations.js',
 
   // ── Algorithmes ──
   './js/algorithms/engine.js',
@@ -53,6 +57,8 @@ const STATIC_ASSETS = [
   './js/algorithms/dup.js',
   './js/algorithms/rir.js',
   './js/algorithms/regression.js',
+  './js/algorithms/ensemble.js',
+  './js/algorithms/gtg.js',
   './js/algorithms/scoring.js',
 
   // ── Écrans ──
@@ -62,13 +68,25 @@ const STATIC_ASSETS = [
   './js/screens/session.js',
   './js/screens/feedback.js',
   './js/screens/history.js',
+  './js/screens/fitness.js',
   './js/screens/settings.js',
 
   // ── Utilitaires ──
   './js/utils/timer.js',
   './js/utils/notifications.js',
+  './js/utils/metronome.js',
+  './js/utils/wake-lock.js',
+  './js/utils/media-session.js',
+  './js/utils/voice-coach.js',
+  './js/utils/rest.js',
   './js/utils/export.js',
   './js/utils/math.js',
+  './js/utils/units.js',
+  './js/utils/dates.js',
+  './js/utils/schedule.js',
+  './js/utils/chart.js',
+  './js/utils/fitness.js',
+  './js/utils/trend.js',
 
   // ── Assets Média ──
   './assets/sounds/beep.mp3',
@@ -176,4 +194,95 @@ self.addEventListener('fetch', (event) => {
           });
       })
   );
+});
+
+// ── Notifications programmées ──────────────────────────────
+//
+// Quand l'app passe en arrière-plan (écran verrouillé, onglet
+// masqué), requestAnimationFrame s'arrête et la page ne peut
+// plus signaler la fin du repos. La page confie donc l'échéance
+// au Service Worker (cf. js/utils/notifications.js) :
+//
+//   { type: 'SCHEDULE_NOTIFICATION', id, at, title, body, vibrate }
+//   { type: 'CANCEL_NOTIFICATION', id }
+//
+// Une seule échéance à la fois : une nouvelle remplace la
+// précédente. event.waitUntil() garde le worker actif jusqu'à
+// l'échéance (les repos durent au plus quelques minutes).
+// À l'échéance, rien n'est affiché si une fenêtre de l'app est
+// visible : la page joue alors elle-même son bip.
+
+const NOTIFICATION_TAG = 'abdopro-timer';
+
+/** @type {{id: string, timeoutId: number, resolve: Function}|null} */
+let pendingNotification = null;
+
+function cancelPendingNotification(id) {
+  if (!pendingNotification) return;
+  if (id && pendingNotification.id !== id) return;
+
+  clearTimeout(pendingNotification.timeoutId);
+  pendingNotification.resolve();
+  pendingNotification = null;
+}
+
+async function showTimerNotification(data) {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  if (windows.some((client) => client.visibilityState === 'visible')) return;
+
+  await self.registration.showNotification(data.title, {
+    body: data.body,
+    tag: NOTIFICATION_TAG,
+    renotify: true,
+    icon: './icons/icon-192.png',
+    badge: './icons/icon-192.png',
+    vibrate: data.vibrate || undefined,
+    silent: false
+  });
+}
+
+self.addEventListener('message', (event) => {
+  const data = event.data || {};
+
+  if (data.type === 'CANCEL_NOTIFICATION') {
+    cancelPendingNotification(data.id);
+    return;
+  }
+
+  if (data.type !== 'SCHEDULE_NOTIFICATION') return;
+
+  cancelPendingNotification();
+
+  event.waitUntil(new Promise((resolve) => {
+    const delay = Math.max(0, data.at - Date.now());
+    const entry = { id: data.id, resolve, timeoutId: null };
+
+    entry.timeoutId = setTimeout(() => {
+      if (pendingNotification === entry) pendingNotification = null;
+      showTimerNotification(data)
+        .catch(() => {
+          // Permission retirée ou API indisponible — rien à faire
+        })
+        .then(resolve);
+    }, delay);
+
+    pendingNotification = entry;
+  }));
+});
+
+// ── Clic sur une notification ──────────────────────────────
+//
+// Ramène l'app au premier plan (ou l'ouvre si elle a été fermée).
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+      .then((windows) => {
+        const client = windows[0];
+        if (client) return client.focus();
+        return self.clients.openWindow('./');
+      })
+  );
 });
\ No newline at end of file
@@ -0,0 +1,118 @@
+/* ════════════════════════════════════════════════════════════════
+   AbdoPro — tests/db-migrations.test.js
+
+   Ouverture d'une base v1 (mono-exercice) par db.js : les
+   migrations doivent préfixer les clés par l'exercice, ajouter
+   exerciseId et convertir le profil au format multi-exercices.
+   ─────────────────────────────────────────────────────────────
+   IndexedDB simulée par fake-indexeddb ; le jeu de données v1
+   est dans fixtures/db-v1.json.
+   ════════════════════════════════════════════════════════════════ */
+
+import 'fake-indexeddb/auto';
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import { getPendingMigrations } from '../js/migrations.js';
+import { DEFAULT_EXERCISE_ID } from '../js/exercises.js';
+
+// db.js vérifie window.indexedDB
+globalThis.window = globalThis;
+
+const { default: db } = await import('../js/db.js');
+
+const FIXTURE = JSON.parse(
+  await readFile(new URL('./fixtures/db-v1.json', import.meta.url), 'utf8')
+);
+
+
+/**
+ * Crée la base 'abdopro' en version 1 et y écrit le jeu de données.
+ *
+ * @returns {Promise<void>}
+ */
+function seedV1Database() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open('abdopro', 1);
+
+    request.onupgradeneeded = () => {
+      getPendingMigrations(0, 1).forEach(migration => migration.upgradeSchema(request.result));
+    };
+
+    request.onsuccess = () => {
+      const v1 = request.result;
+      const tx = v1.transaction(Object.keys(FIXTURE), 'readwrite');
+
+      Object.entries(FIXTURE).forEach(([storeName, records]) => {
+        records.forEach(record => tx.objectStore(storeName).put(record));
+      });
+
+      tx.oncomplete = () => {
+        v1.close();
+        resolve();
+      };
+      tx.onerror = () => reject(tx.error);
+    };
+
+    request.onerror = () => reject(request.error);
+  });
+}
+
+
+before(async () => {
+  await seedV1Database();
+  await db.open();
+});
+
+after(() => {
+  db.close();
+});
+
+
+test('le profil v1 est converti au format multi-exercices', async () => {
+  const profile = await db.getProfile();
+
+  assert.equal(profile.activeExercise, DEFAULT_EXERCISE_ID);
+  assert.deepEqual(profile.exercises[DEFAULT_EXERCISE_ID], {
+    currentWeek: 3,
+    currentDay: 2,
+    selectedAlgorithm: 'dup'
+  });
+  assert.equal(profile.currentWeek, undefined);
+  assert.equal(profile.selectedAlgorithm, undefined);
+});
+
+test('les semaines sont préfixées par l\'exercice', async () => {
+  const weeks = await db.getAll('weeks');
+
+  assert.deepEqual(
+    weeks.map(week => week.id).sort(),
+    [`${DEFAULT_EXERCISE_ID}_week_1`, `${DEFAULT_EXERCISE_ID}_week_2`]
+  );
+  weeks.forEach(week => assert.equal(week.exerciseId, DEFAULT_EXERCISE_ID));
+
+  const week = await db.getWeek(DEFAULT_EXERCISE_ID, 2);
+  assert.equal(week.testMax, 23);
+});
+
+test('les séances sont préfixées et indexées par exercice', async () => {
+  const sessions = await db.getAll('sessions');
+
+  assert.deepEqual(
+    sessions.map(session => session.id).sort(),
+    [`${DEFAULT_EXERCISE_ID}_week1_day1`, `${DEFAULT_EXERCISE_ID}_week2_day3`]
+  );
+  sessions.forEach(session => assert.equal(session.exerciseId, DEFAULT_EXERCISE_ID));
+
+  const weekSessions = await db.getSessionsByWeek(DEFAULT_EXERCISE_ID, 2);
+  assert.deepEqual(weekSessions.map(session => session.dayNumber), [3]);
+});
+
+test('l\'historique de scoring est préfixé par l\'exercice', async () => {
+  const history = await db.getAll('algorithm_history');
+
+  assert.deepEqual(history.map(entry => entry.id), [`${DEFAULT_EXERCISE_ID}_scoring_week2`]);
+  assert.equal(history[0].exerciseId, DEFAULT_EXERCISE_ID);
+});
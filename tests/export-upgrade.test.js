@@ -0,0 +1,71 @@
+/* ════════════════════════════════════════════════════════════════
+   AbdoPro — tests/export-upgrade.test.js
+
+   Import d'un export 1.0.0 (mono-exercice) : upgradeImportData
+   doit appliquer les transformations du registre de migrations
+   et produire le format 1.1.0.
+   ─────────────────────────────────────────────────────────────
+   L'export est construit à partir du jeu de données v1
+   (fixtures/db-v1.json).
+   ════════════════════════════════════════════════════════════════ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import { getExportUpgrades } from '../js/migrations.js';
+import { DEFAULT_EXERCISE_ID } from '../js/exercises.js';
+import { upgradeImportData } from '../js/utils/export.js';
+
+const FIXTURE = JSON.parse(
+  await readFile(new URL('./fixtures/db-v1.json', import.meta.url), 'utf8')
+);
+
+/** Export tel que produit par la version 1.0.0 */
+const EXPORT_V1 = {
+  appVersion: '1.0.0',
+  exportDate: '2024-01-20T10:00:00.000Z',
+  user: FIXTURE.user[0],
+  weeks: FIXTURE.weeks,
+  sessions: FIXTURE.sessions,
+  algorithmHistory: FIXTURE.algorithm_history
+};
+
+
+test('seules les migrations postérieures à l\'export sont retenues', () => {
+  assert.deepEqual(getExportUpgrades('1.0.0').map(migration => migration.appVersion), ['1.1.0']);
+  assert.deepEqual(getExportUpgrades('1.1.0'), []);
+});
+
+test('un export 1.0.0 est mis au format 1.1.0', () => {
+  const upgraded = upgradeImportData(EXPORT_V1);
+
+  assert.equal(upgraded.appVersion, '1.1.0');
+  assert.equal(upgraded.exportDate, EXPORT_V1.exportDate);
+
+  assert.equal(upgraded.user.activeExercise, DEFAULT_EXERCISE_ID);
+  assert.deepEqual(upgraded.user.exercises, {
+    [DEFAULT_EXERCISE_ID]: { currentWeek: 3, currentDay: 2, selectedAlgorithm: 'dup' }
+  });
+
+  assert.deepEqual(upgraded.weeks.map(week => week.id), ['crunch_week_1', 'crunch_week_2']);
+  assert.deepEqual(upgraded.sessions.map(session => session.id), ['crunch_week1_day1', 'crunch_week2_day3']);
+  assert.deepEqual(upgraded.algorithmHistory.map(entry => entry.id), ['crunch_scoring_week2']);
+
+  [...upgraded.weeks, ...upgraded.sessions, ...upgraded.algorithmHistory].forEach(record => {
+    assert.equal(record.exerciseId, DEFAULT_EXERCISE_ID);
+  });
+});
+
+test('l\'export d\'origine n\'est pas modifié', () => {
+  upgradeImportData(EXPORT_V1);
+
+  assert.equal(EXPORT_V1.appVersion, '1.0.0');
+  assert.equal(EXPORT_V1.weeks[0].id, 'week_1');
+  assert.equal(EXPORT_V1.user.exercises, undefined);
+});
+
+test('un export déjà au format courant est rendu tel quel', () => {
+  const current = { ...EXPORT_V1, appVersion: '1.1.0' };
+  assert.equal(upgradeImportData(current), current);
+});
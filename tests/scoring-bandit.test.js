@@ -0,0 +1,70 @@
+/* ════════════════════════════════════════════════════════════════
+   AbdoPro — tests/scoring-bandit.test.js
+
+   Stratégie de sélection 'bandit' (Thompson sampling) : tirages
+   reproductibles pour une graine et une semaine données, et
+   raison indiquant exploration ou exploitation.
+   ════════════════════════════════════════════════════════════════ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AlgorithmScorer, DEFAULT_SCORING_CONFIG } from '../js/algorithms/scoring.js';
+
+
+const WEEK = 6;
+
+/** linear prédit juste depuis 4 semaines, dup mal, rir jamais observé */
+const SCORING_HISTORY = [1, 2, 3, 4].map(weekNumber => ({
+  weekNumber,
+  actual: 20,
+  calculations: {
+    linear: { prediction: 20 },
+    dup: { prediction: 14 }
+  }
+}));
+
+const SCORES = Object.fromEntries(['linear', 'dup', 'rir'].map(name => [name, {
+  composite: 50,
+  scorePrecision: 50,
+  scoreFeedback: 50,
+  scoreTendance: 50,
+  prediction: null
+}]));
+
+
+/**
+ * Sélection bandit pour une graine.
+ *
+ * @param {number} banditSeed
+ * @param {number} [weekNumber]
+ * @returns {{name: string, score: number, reason: string}}
+ */
+function selectWithSeed(banditSeed, weekNumber = WEEK) {
+  const scorer = new AlgorithmScorer({ ...DEFAULT_SCORING_CONFIG, strategy: 'bandit', banditSeed });
+  return scorer.selectBestAlgorithm(SCORES, { weekNumber, scoringHistory: SCORING_HISTORY });
+}
+
+const SEEDS = Array.from({ length: 40 }, (_, i) => i + 1);
+
+
+test('même graine et même semaine : même choix', () => {
+  SEEDS.forEach(seed => {
+    assert.deepEqual(selectWithSeed(seed), selectWithSeed(seed));
+  });
+});
+
+test('une autre graine peut changer le choix', () => {
+  const picks = new Set(SEEDS.map(seed => selectWithSeed(seed).name));
+  assert.ok(picks.size > 1, `toujours ${[...picks]}`);
+});
+
+test('la raison distingue exploration et exploitation', () => {
+  const reasons = SEEDS.map(seed => selectWithSeed(seed));
+
+  reasons.forEach(({ name, reason }) => {
+    assert.match(reason, name === 'linear' ? /^Exploitation : linear/ : new RegExp(`^Exploration : ${name}`));
+  });
+  assert.ok(reasons.some(({ reason }) => reason.startsWith('Exploitation')));
+  assert.ok(reasons.some(({ reason }) => reason.startsWith('Exploration')));
+});